@@ -0,0 +1,114 @@
+/**
+ * Permission Matrix
+ * Declares which roles may perform which actions across routes and socket events
+ */
+
+const PERMISSIONS = {
+    // Interviews
+    INTERVIEWS_CREATE: 'interviews:create',
+    INTERVIEWS_READ: 'interviews:read',
+    INTERVIEWS_READ_ALL: 'interviews:read_all',
+    INTERVIEWS_ASSIGN: 'interviews:assign',
+    INTERVIEWS_DELETE: 'interviews:delete',
+
+    // Reports
+    REPORTS_READ: 'reports:read',
+    REPORTS_ANALYTICS: 'reports:analytics',
+    REPORTS_EXPORT: 'reports:export',
+
+    // Dashboard
+    DASHBOARD_VIEW: 'dashboard:view',
+
+    // Live monitoring over sockets
+    SESSIONS_MONITOR: 'sessions:monitor',
+    SESSIONS_MESSAGE: 'sessions:message',
+
+    // Administration
+    USERS_MANAGE: 'users:manage',
+    POLICIES_MANAGE: 'policies:manage',
+    SETTINGS_MANAGE: 'settings:manage'
+};
+
+const ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS),
+    interviewer: [
+        PERMISSIONS.INTERVIEWS_CREATE,
+        PERMISSIONS.INTERVIEWS_READ,
+        PERMISSIONS.INTERVIEWS_ASSIGN,
+        PERMISSIONS.REPORTS_READ,
+        PERMISSIONS.DASHBOARD_VIEW,
+        PERMISSIONS.SESSIONS_MONITOR,
+        PERMISSIONS.SESSIONS_MESSAGE
+    ],
+    reviewer: [
+        PERMISSIONS.INTERVIEWS_READ,
+        PERMISSIONS.INTERVIEWS_READ_ALL,
+        PERMISSIONS.REPORTS_READ,
+        PERMISSIONS.REPORTS_ANALYTICS,
+        PERMISSIONS.REPORTS_EXPORT,
+        PERMISSIONS.DASHBOARD_VIEW,
+        PERMISSIONS.SESSIONS_MONITOR
+    ]
+};
+
+// Socket events emitted by staff clients and the permission each one requires.
+// Candidate-side events are authorized against the candidate's own session instead.
+const SOCKET_EVENT_PERMISSIONS = {
+    'join-as-interviewer': PERMISSIONS.SESSIONS_MONITOR,
+    'interviewer-message': PERMISSIONS.SESSIONS_MESSAGE,
+    'request-candidate-attention': PERMISSIONS.SESSIONS_MESSAGE,
+    'live-view-request': PERMISSIONS.SESSIONS_MONITOR,
+    'live-view-stop': PERMISSIONS.SESSIONS_MONITOR,
+    'webrtc-signal': PERMISSIONS.SESSIONS_MONITOR,
+    'chat-history': PERMISSIONS.SESSIONS_MONITOR,
+    'chat-read': PERMISSIONS.SESSIONS_MONITOR
+};
+
+const CANDIDATE_SOCKET_EVENTS = [
+    'join-interview',
+    'leave-interview',
+    'interview-started',
+    'interview-ended',
+    'violation-detected',
+    'event-logged',
+    'detection-update',
+    'system-check',
+    'identity-enrolled',
+    'technical-issue',
+    'heartbeat',
+    'webrtc-signal',
+    'candidate-message',
+    'chat-history',
+    'chat-read'
+];
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name
+ * @returns {boolean} Whether the role grants the permission
+ */
+const hasPermission = (role, permission) => {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes(permission);
+};
+
+/**
+ * Check whether a role may emit a staff socket event
+ * @param {string} role - User role
+ * @param {string} eventName - Socket event name
+ * @returns {boolean} Whether the event is allowed
+ */
+const canEmitSocketEvent = (role, eventName) => {
+    const permission = SOCKET_EVENT_PERMISSIONS[eventName];
+    return !!permission && hasPermission(role, permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    SOCKET_EVENT_PERMISSIONS,
+    CANDIDATE_SOCKET_EVENTS,
+    hasPermission,
+    canEmitSocketEvent
+};
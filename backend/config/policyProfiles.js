@@ -0,0 +1,158 @@
+/**
+ * Proctoring Policy Profiles
+ * Default detection thresholds, risk bands and the built-in profiles seeded into the database.
+ *
+ * Detection values mirror the AIDetectionSystem defaults; a profile only needs to list
+ * the values it changes.
+ */
+
+const INTERVIEW_TYPES = ['technical', 'behavioral', 'screening', 'final'];
+
+const DEFAULT_DETECTION = {
+    lookingAwayThreshold: 5000, // ms looking away before a violation
+    noFaceThreshold: 10000, // ms without a face before a violation
+    eyeClosureThreshold: 3000, // ms with eyes closed before a violation
+    headAngleThreshold: 25, // degrees of head turn left or right
+    // Degrees of head pitch from the candidate's neutral pose; left and right may be set here
+    // to override headAngleThreshold for one side
+    headPoseThresholds: { up: 15, down: 20 },
+    confidenceThresholds: {
+        mobilePhone: { high: 0.60, medium: 0.45, low: 0.30 },
+        objects: { high: 0.55, medium: 0.40, low: 0.25 }
+    },
+    // Consecutive detections before a tracked object becomes a violation
+    objectViolationThresholds: {
+        mobile: 3,
+        book: 4,
+        default: 3
+    },
+    // Detections needed on each enhanced mobile pathway
+    violationPathways: {
+        directMobile: 3,
+        misclassifiedObject: 2,
+        personWithObject: 4,
+        highSuspiciousness: 1
+    },
+    // Tab, window and fullscreen tracking in VideoProctoringApp
+    browser: {
+        minAwayDuration: 1000, // ms away before leaving becomes a violation
+        highSeverityDuration: 10000 // ms away that makes the violation high severity
+    },
+    // Clipboard, shortcut and devtools monitoring (InputMonitoringSystem)
+    input: {
+        enabled: true,
+        minPasteLength: 20, // characters pasted before a paste becomes a violation
+        devtoolsSizeThreshold: 160 // px the viewport must shrink by before devtools count as open
+    },
+    // Audio analyzer (AudioDetectionSystem)
+    audio: {
+        backgroundVoiceThreshold: 5000, // ms of sustained distant voices
+        whisperThreshold: 3000, // ms of sustained whispering
+        loudNoiseJumpDb: 25 // dB above the running average that counts as a sudden noise
+    }
+};
+
+// Minimum integrity score for each risk level; anything below `high` is critical
+const DEFAULT_RISK_BANDS = {
+    low: 90,
+    medium: 70,
+    high: 50
+};
+
+const BUILT_IN_PROFILES = [{
+        name: 'standard',
+        description: 'Balanced thresholds for technical and behavioral interviews',
+        interviewTypes: ['technical', 'behavioral'],
+        isDefault: true,
+        detection: {},
+        riskBands: {}
+    },
+    {
+        name: 'lenient_screening',
+        description: 'Tolerant thresholds for short screening calls',
+        interviewTypes: ['screening'],
+        detection: {
+            lookingAwayThreshold: 8000,
+            noFaceThreshold: 15000,
+            headAngleThreshold: 30,
+            objectViolationThresholds: { mobile: 4, book: 6, default: 5 },
+            violationPathways: { directMobile: 4, misclassifiedObject: 3, personWithObject: 6 },
+            browser: { minAwayDuration: 3000, highSeverityDuration: 20000 },
+            // Screening calls are conversational, so clipboard activity is not monitored
+            input: { enabled: false }
+        },
+        riskBands: { low: 85, medium: 60, high: 40 }
+    },
+    {
+        name: 'strict_final',
+        description: 'Strict thresholds for final-round interviews',
+        interviewTypes: ['final'],
+        detection: {
+            lookingAwayThreshold: 3000,
+            noFaceThreshold: 5000,
+            headAngleThreshold: 20,
+            confidenceThresholds: {
+                mobilePhone: { high: 0.50, medium: 0.35, low: 0.25 },
+                objects: { high: 0.45, medium: 0.30, low: 0.20 }
+            },
+            objectViolationThresholds: { mobile: 2, book: 3, default: 2 },
+            violationPathways: { directMobile: 2, misclassifiedObject: 1, personWithObject: 3 },
+            audio: { backgroundVoiceThreshold: 3000, whisperThreshold: 2000 },
+            browser: { minAwayDuration: 0, highSeverityDuration: 5000 },
+            input: { minPasteLength: 1 }
+        },
+        riskBands: { low: 95, medium: 80, high: 60 }
+    }
+];
+
+/**
+ * Fill in every detection value a profile leaves out
+ * @param {Object} overrides - Profile detection overrides
+ * @returns {Object} Complete detection settings
+ */
+const withDetectionDefaults = (overrides) => {
+    const detection = overrides || {};
+    const thresholds = detection.confidenceThresholds || {};
+
+    return {
+        ...DEFAULT_DETECTION,
+        ...detection,
+        confidenceThresholds: {
+            mobilePhone: { ...DEFAULT_DETECTION.confidenceThresholds.mobilePhone, ...thresholds.mobilePhone },
+            objects: { ...DEFAULT_DETECTION.confidenceThresholds.objects, ...thresholds.objects }
+        },
+        headPoseThresholds: { ...DEFAULT_DETECTION.headPoseThresholds, ...detection.headPoseThresholds },
+        objectViolationThresholds: { ...DEFAULT_DETECTION.objectViolationThresholds, ...detection.objectViolationThresholds },
+        violationPathways: { ...DEFAULT_DETECTION.violationPathways, ...detection.violationPathways },
+        browser: { ...DEFAULT_DETECTION.browser, ...detection.browser },
+        input: { ...DEFAULT_DETECTION.input, ...detection.input },
+        audio: { ...DEFAULT_DETECTION.audio, ...detection.audio }
+    };
+};
+
+/**
+ * Fill in every risk band a profile leaves out
+ * @param {Object} riskBands - Profile risk band overrides
+ * @returns {Object} Complete risk bands
+ */
+const withRiskBandDefaults = (riskBands) => {
+    const overrides = riskBands || {};
+    const bands = { ...DEFAULT_RISK_BANDS };
+
+    Object.keys(bands).forEach(level => {
+        if (typeof overrides[level] === 'number') {
+            bands[level] = overrides[level];
+        }
+    });
+
+    return bands;
+};
+
+module.exports = {
+    INTERVIEW_TYPES,
+    DEFAULT_DETECTION,
+    DEFAULT_RISK_BANDS,
+    BUILT_IN_PROFILES,
+    withDetectionDefaults,
+    withRiskBandDefaults
+};
@@ -0,0 +1,68 @@
+/**
+ * Scoring Rules
+ * Versioned rules used by the scoring engine to derive interview scores from stored violations and events.
+ *
+ * Bump `version` whenever a rule changes: interviews scored under an older version are
+ * re-scored by `npm run rescore` and are fully recomputed on their next violation.
+ * SCORING_RULES_FILE may point to a JSON file whose keys override these defaults;
+ * it must carry its own version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES = {
+    version: '5',
+
+    // Multiplier applied to a type's registry penalty by the recorded severity
+    severityWeights: {
+        low: 0.75,
+        medium: 1,
+        high: 1.25
+    },
+
+    // Scale penalties by detector confidence (violations without one count as fully confident)
+    confidenceWeighting: true,
+
+    // Registry categories feeding each sub-score (integrity always counts every violation)
+    focusCategories: ['attention', 'browser'],
+    behaviorCategories: ['identity', 'device', 'object', 'audio', 'speech', 'input', 'other'],
+
+    // Timeline events that cost points even though they are not violations
+    // (focus_change events are timeline records of the tab/window violations, which carry the penalty)
+    eventPenalties: {},
+
+    // Weights of the sub-scores in the overall score
+    overallWeights: {
+        integrity: 0.5,
+        focus: 0.25,
+        behavior: 0.25
+    }
+};
+
+/**
+ * Load the active rules, applying SCORING_RULES_FILE overrides when set
+ * @returns {Object} Scoring rules
+ */
+const loadRules = () => {
+    const overridePath = process.env.SCORING_RULES_FILE;
+    if (!overridePath) {
+        return DEFAULT_RULES;
+    }
+
+    const overrides = JSON.parse(fs.readFileSync(path.resolve(overridePath), 'utf8'));
+    if (!overrides.version || String(overrides.version) === DEFAULT_RULES.version) {
+        throw new Error(`Scoring rules in ${overridePath} must set a version different from the default (${DEFAULT_RULES.version})`);
+    }
+
+    return {
+        ...DEFAULT_RULES,
+        ...overrides,
+        version: String(overrides.version)
+    };
+};
+
+module.exports = {
+    DEFAULT_RULES,
+    SCORING_RULES: loadRules()
+};
@@ -0,0 +1,6 @@
+/**
+ * Violation Type Registry
+ * Re-exports the registry shared with the frontend so both sides validate the same types
+ */
+
+module.exports = require('../../frontend/js/violation-types');
@@ -4,30 +4,79 @@
  */
 
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
 
-const auth = (req, res, next) => {
+const authError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Verify a staff JWT and load the active user it was issued for
+ * @param {string} token - JWT issued at login
+ * @param {string} purpose - Purpose of a narrower token (e.g. 'media'); login tokens have none
+ * @returns {Promise<Object>} The user document
+ */
+const authenticateUser = async(token, purpose = null) => {
+    // Check if no token
+    if (!token) {
+        throw authError('No token, authorization denied', 401);
+    }
+
+    // Verify token
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw authError('Token is not valid', 401);
+    }
+
+    // Tokens issued for one purpose (such as a media link) are not accepted anywhere else
+    if ((decoded.purpose || null) !== purpose) {
+        throw authError('Token is not valid', 401);
+    }
+
+    // Load the user the token was issued for
+    const user = decoded.userId ? await User.findById(decoded.userId) : null;
+
+    if (!user) {
+        throw authError('User no longer exists', 401);
+    }
+
+    if (!user.isActive) {
+        throw authError('Account has been deactivated', 403);
+    }
+
+    if (user.changedPasswordAfter(decoded.iat)) {
+        throw authError('Password was changed, please log in again', 401);
+    }
+
+    return user;
+};
+
+const auth = async(req, res, next) => {
     try {
         // Get token from header
         const token = (req.header('Authorization') || '').replace('Bearer ', '');
 
-        // Check if no token
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                error: 'No token, authorization denied'
-            });
-        }
-
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        const user = await authenticateUser(token);
+
+        req.user = {
+            userId: user._id.toString(),
+            email: user.email,
+            role: user.role,
+            name: user.name
+        };
+        req.userDoc = user;
         next();
     } catch (error) {
-        res.status(401).json({
+        res.status(error.statusCode || 401).json({
             success: false,
-            error: 'Token is not valid'
+            error: error.statusCode ? error.message : 'Token is not valid'
         });
     }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
+module.exports.authenticateUser = authenticateUser;
@@ -0,0 +1,75 @@
+/**
+ * Authorization Middleware
+ * Role and permission checks layered on top of the auth middleware
+ */
+
+const Interview = require('../models/Interview');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Allow only the given roles
+ * @param {...string} roles - Roles allowed to continue
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            message: `Requires one of the roles: ${roles.join(', ')}`
+        });
+    }
+    next();
+};
+
+/**
+ * Allow only roles holding every given permission
+ * @param {...string} permissions - Permissions required to continue
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+    const missing = permissions.filter(permission => !req.user || !hasPermission(req.user.role, permission));
+
+    if (missing.length > 0) {
+        return res.status(403).json({
+            success: false,
+            error: 'Access denied',
+            message: `Missing permission: ${missing.join(', ')}`
+        });
+    }
+    next();
+};
+
+/**
+ * Load the interview named by :sessionId and check the user owns, is assigned to,
+ * or may read every interview. The document is attached as req.interview.
+ */
+const requireSessionAccess = async(req, res, next) => {
+    try {
+        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
+
+        if (!interview) {
+            return res.status(404).json({
+                error: 'Interview not found',
+                message: 'No interview found with the provided session ID'
+            });
+        }
+
+        if (!interview.isAccessibleBy(req.user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Access denied',
+                message: 'You are not assigned to this interview'
+            });
+        }
+
+        req.interview = interview;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    requireRole,
+    requirePermission,
+    requireSessionAccess
+};
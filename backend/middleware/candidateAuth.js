@@ -0,0 +1,74 @@
+/**
+ * Candidate Authentication Middleware
+ * Protects candidate-facing interview routes with per-session candidate tokens
+ */
+
+const jwt = require('jsonwebtoken');
+const Interview = require('../models/Interview');
+
+const candidateError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Verify a candidate token against a session and load its interview
+ * @param {string} token - Candidate token issued for the session
+ * @param {string} sessionId - Session the caller is acting on
+ * @returns {Promise<Object>} The interview the token grants access to
+ */
+const authenticateCandidate = async(token, sessionId) => {
+    if (!token) {
+        throw candidateError('No candidate token, authorization denied', 401);
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw candidateError('Candidate token is not valid', 401);
+    }
+
+    if (decoded.role !== 'candidate') {
+        throw candidateError('Candidate token is not valid', 401);
+    }
+
+    if (decoded.sessionId !== sessionId) {
+        throw candidateError('Candidate token was not issued for this session', 403);
+    }
+
+    const interview = await Interview.findOne({ sessionId });
+
+    if (!interview) {
+        throw candidateError('Interview not found', 404);
+    }
+
+    if (decoded.tokenVersion !== interview.candidateAccess.tokenVersion) {
+        throw candidateError('Candidate token has been revoked', 401);
+    }
+
+    return interview;
+};
+
+const candidateAuth = async(req, res, next) => {
+    try {
+        const token = (req.header('Authorization') || '').replace('Bearer ', '');
+
+        req.interview = await authenticateCandidate(token, req.params.sessionId);
+        req.candidate = { sessionId: req.params.sessionId };
+        next();
+    } catch (error) {
+        if (!error.statusCode) {
+            return next(error);
+        }
+
+        res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+module.exports = candidateAuth;
+module.exports.authenticateCandidate = authenticateCandidate;
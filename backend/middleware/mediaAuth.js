@@ -0,0 +1,71 @@
+/**
+ * Media Authentication Middleware
+ * Protects stored recordings and evidence snapshots. Dashboard requests send the staff token as
+ * usual; links in PDF reports cannot, so they carry a media token (?access=) issued to the user who
+ * generated the report and scoped to one file. Either way the user is loaded as they are now, so the
+ * permission and session access checks that follow still apply.
+ */
+
+const jwt = require('jsonwebtoken');
+const { authenticateUser } = require('./auth');
+
+const MEDIA_TOKEN_PURPOSE = 'media';
+
+const mediaError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Add a media token for a user to the URL of a stored file
+ * @param {string} url - File URL (API path, optionally with a #fragment)
+ * @param {string} userId - User the link is issued to
+ * @returns {string} URL with the ?access= token
+ */
+const createMediaLink = (url, userId) => {
+    const [pathname, fragment] = url.split('#');
+    const token = jwt.sign({ userId, purpose: MEDIA_TOKEN_PURPOSE, file: pathname }, process.env.JWT_SECRET, {
+        expiresIn: process.env.MEDIA_LINK_EXPIRES_IN || '7d'
+    });
+
+    return `${pathname}?access=${token}${fragment ? `#${fragment}` : ''}`;
+};
+
+const mediaAuth = async(req, res, next) => {
+    try {
+        const headerToken = (req.header('Authorization') || '').replace('Bearer ', '');
+        let user;
+
+        if (headerToken) {
+            user = await authenticateUser(headerToken);
+        } else {
+            const access = typeof req.query.access === 'string' ? req.query.access : '';
+            const decoded = jwt.decode(access);
+
+            // A media token only opens the file it was issued for
+            if (!decoded || decoded.file !== `${req.baseUrl}${req.path}`) {
+                throw mediaError('Media link is not valid', 401);
+            }
+
+            user = await authenticateUser(access, MEDIA_TOKEN_PURPOSE);
+        }
+
+        req.user = {
+            userId: user._id.toString(),
+            email: user.email,
+            role: user.role,
+            name: user.name
+        };
+        req.userDoc = user;
+        next();
+    } catch (error) {
+        res.status(error.statusCode || 401).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Token is not valid'
+        });
+    }
+};
+
+module.exports = mediaAuth;
+module.exports.createMediaLink = createMediaLink;
@@ -0,0 +1,78 @@
+/**
+ * Chat Message Model
+ * Messages exchanged between interviewers and the candidate during a session, with read receipts.
+ * Attention requests from interviewers are kept in the same transcript.
+ */
+
+const mongoose = require('mongoose');
+
+const SENDER_ROLES = ['interviewer', 'candidate'];
+const MESSAGE_KINDS = ['message', 'attention'];
+const MAX_MESSAGE_LENGTH = 1000;
+
+const chatMessageSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true
+    },
+    interview: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Interview'
+    },
+    sender: {
+        role: {
+            type: String,
+            required: true,
+            enum: SENDER_ROLES
+        },
+        // Staff user id (candidates have no user account)
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        name: {
+            type: String
+        }
+    },
+    kind: {
+        type: String,
+        enum: MESSAGE_KINDS,
+        default: 'message'
+    },
+    text: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: MAX_MESSAGE_LENGTH
+    },
+    // Set when the other side has seen the message
+    readAt: {
+        type: Date
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+chatMessageSchema.index({ sessionId: 1, createdAt: 1 });
+
+// Static method to get a session's transcript in the order it was written
+chatMessageSchema.statics.getTranscript = function(sessionId) {
+    return this.find({ sessionId }).sort({ createdAt: 1 });
+};
+
+// Static method to mark everything the other side sent as read by a role
+// Returns the ids of the messages that were newly marked
+chatMessageSchema.statics.markReadBy = async function(sessionId, readerRole, readAt = new Date()) {
+    const filter = { sessionId, 'sender.role': { $ne: readerRole }, readAt: { $exists: false } };
+    const unread = await this.find(filter).select('_id');
+
+    if (unread.length === 0) return [];
+
+    await this.updateMany({ _id: { $in: unread.map(message => message._id) } }, { $set: { readAt } });
+    return unread.map(message => message._id);
+};
+
+chatMessageSchema.statics.SENDER_ROLES = SENDER_ROLES;
+chatMessageSchema.statics.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,132 @@
+/**
+ * Event Model
+ * Stores interview violations and timeline events outside the Interview document
+ */
+
+const mongoose = require('mongoose');
+const ViolationTypes = require('../config/violationTypes');
+
+const VIOLATION_TYPES = ViolationTypes.list();
+const EVENT_TYPES = ['interview_started', 'interview_ended', 'violation', 'camera_disabled', 'microphone_disabled', 'system_check', 'focus_change', 'input_activity', 'connection_lost'];
+const VIOLATION_SEVERITIES = ViolationTypes.SEVERITIES;
+const EVENT_SEVERITIES = ['info', 'warning', 'danger'];
+
+// Event types only the server records: the session starting and ending, and connection gaps it measured
+const SERVER_EVENT_TYPES = ['interview_started', 'interview_ended', 'connection_lost'];
+const CLIENT_EVENT_TYPES = EVENT_TYPES.filter(type => !SERVER_EVENT_TYPES.includes(type));
+
+// Prefix of the ids of events the server records itself, which clients may not use
+const SERVER_EVENT_ID_PREFIX = 'server:';
+
+const eventSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true
+    },
+    interview: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Interview'
+    },
+    kind: {
+        type: String,
+        required: true,
+        enum: ['violation', 'event']
+    },
+    eventId: {
+        type: String // client-supplied (or server-prefixed) id, used to drop replayed duplicates
+    },
+    // Position in the candidate client's offline queue
+    sequence: {
+        type: Number
+    },
+    // Copied from the arrays embedded in the interview by scripts/migrate-events.js
+    migrated: {
+        type: Boolean
+    },
+    type: {
+        type: String,
+        required: true,
+        validate: {
+            validator: function(value) {
+                return (this.kind === 'violation' ? VIOLATION_TYPES : EVENT_TYPES).includes(value);
+            },
+            message: props => `${props.value} is not a valid type`
+        }
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    severity: {
+        type: String,
+        validate: {
+            validator: function(value) {
+                return (this.kind === 'violation' ? VIOLATION_SEVERITIES : EVENT_SEVERITIES).includes(value);
+            },
+            message: props => `${props.value} is not a valid severity`
+        },
+        default: function() {
+            return this.kind === 'violation' ? 'medium' : 'info';
+        }
+    },
+    confidence: {
+        type: Number,
+        min: 0,
+        max: 1
+    },
+    timestamp: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for per-session timelines and cross-session dashboards
+eventSchema.index({ sessionId: 1, timestamp: 1 });
+eventSchema.index({ sessionId: 1, kind: 1, timestamp: 1 });
+eventSchema.index({ kind: 1, timestamp: -1 });
+eventSchema.index({ kind: 1, type: 1, timestamp: -1 });
+// A client id is stored at most once per session, so replayed deliveries fail on insert
+eventSchema.index({ sessionId: 1, eventId: 1 }, {
+    unique: true,
+    partialFilterExpression: { eventId: { $type: 'string' } },
+    name: 'sessionId_eventId_unique'
+});
+
+// Static method to get the violations of a session in chronological order
+eventSchema.statics.getViolations = function(sessionId) {
+    return this.find({ sessionId, kind: 'violation' }).sort({ timestamp: 1 });
+};
+
+// Static method to get the timeline events of a session in chronological order
+eventSchema.statics.getEvents = function(sessionId) {
+    return this.find({ sessionId, kind: 'event' }).sort({ timestamp: 1 });
+};
+
+// Static method to tell whether an insert failed because the client id was already stored
+eventSchema.statics.isDuplicate = function(error) {
+    return Boolean(error) && error.code === 11000;
+};
+
+// Static method to give an event the server records itself an id no client can send
+eventSchema.statics.serverEventId = function(name) {
+    return `${SERVER_EVENT_ID_PREFIX}${name}`;
+};
+
+// Static method to tell whether an id is reserved for events the server records itself
+eventSchema.statics.isServerEventId = function(id) {
+    return String(id).startsWith(SERVER_EVENT_ID_PREFIX);
+};
+
+eventSchema.statics.VIOLATION_TYPES = VIOLATION_TYPES;
+eventSchema.statics.EVENT_TYPES = EVENT_TYPES;
+eventSchema.statics.CLIENT_EVENT_TYPES = CLIENT_EVENT_TYPES;
+eventSchema.statics.EVENT_SEVERITIES = EVENT_SEVERITIES;
+
+module.exports = mongoose.model('Event', eventSchema);
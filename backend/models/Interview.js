@@ -1,72 +1,28 @@
 /**
  * Interview Model
- * Stores interview session data, violations, events, and integrity scores
+ * Stores interview session data and integrity scores (violations and events live in the Event collection)
  */
 
 const mongoose = require('mongoose');
-
-const violationSchema = new mongoose.Schema({
-    type: {
-        type: String,
-        required: true,
-        enum: ['no_face', 'multiple_faces', 'focus_lost', 'unauthorized_object', 'eye_closure', 'camera_disabled', 'microphone_disabled']
-    },
-    message: {
-        type: String,
-        required: true
-    },
-    severity: {
-        type: String,
-        required: true,
-        enum: ['low', 'medium', 'high'],
-        default: 'medium'
-    },
-    timestamp: {
-        type: Date,
-        required: true,
-        default: Date.now
-    },
-    confidence: {
-        type: Number,
-        min: 0,
-        max: 1,
-        default: 1
-    },
-    metadata: {
-        type: mongoose.Schema.Types.Mixed,
-        default: {}
-    }
-});
-
-const eventSchema = new mongoose.Schema({
-    id: {
-        type: String,
-        required: true
-    },
-    type: {
-        type: String,
-        required: true,
-        enum: ['interview_started', 'interview_ended', 'violation', 'camera_disabled', 'microphone_disabled', 'system_check', 'focus_change']
-    },
-    message: {
-        type: String,
-        required: true
-    },
-    severity: {
-        type: String,
-        enum: ['info', 'warning', 'danger'],
-        default: 'info'
-    },
-    timestamp: {
-        type: Date,
-        required: true,
-        default: Date.now
-    },
-    metadata: {
-        type: mongoose.Schema.Types.Mixed,
-        default: {}
-    }
-});
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Event = require('./Event');
+const ViolationTypes = require('../config/violationTypes');
+const ScoringEngine = require('../services/scoringEngine');
+const ClientStatistics = require('../services/clientStatistics');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { INTERVIEW_TYPES, DEFAULT_RISK_BANDS } = require('../config/policyProfiles');
+
+// How long a candidate may be disconnected and still resume the session as a short interruption
+const RECONNECT_GRACE_SECONDS = parseInt(process.env.CANDIDATE_RECONNECT_GRACE_SECONDS) || 120;
+
+// Times the candidate's page was last heard from, as the session started, connected, dropped or sent a heartbeat
+const CANDIDATE_ACTIVITY_PATHS = [
+    'sessionData.startTime',
+    'sessionData.connection.connectedAt',
+    'sessionData.connection.disconnectedAt',
+    'sessionData.connection.lastHeartbeatAt'
+];
 
 const statisticsSchema = new mongoose.Schema({
     eventCounts: {
@@ -79,12 +35,111 @@ const statisticsSchema = new mongoose.Schema({
     timers: {
         focusLostTime: { type: Number, default: 0 },
         noFaceTime: { type: Number, default: 0 },
-        eyeClosedTime: { type: Number, default: 0 }
+        eyeClosedTime: { type: Number, default: 0 },
+        // Seconds spent away from the interview, from focus_change events
+        tabHiddenTime: { type: Number, default: 0 },
+        windowBlurTime: { type: Number, default: 0 },
+        fullscreenExitTime: { type: Number, default: 0 },
+        // Seconds the candidate's connection was lost, from connection_lost events
+        disconnectedTime: { type: Number, default: 0 }
     },
     detectionAccuracy: {
         faceDetectionRate: { type: Number, default: 0 },
         objectDetectionRate: { type: Number, default: 0 },
         averageConfidence: { type: Number, default: 0 }
+    },
+    // Reported by the candidate's audio analyzer (times in seconds, levels in dBFS)
+    audio: {
+        averageLevelDb: Number,
+        peakLevelDb: Number,
+        noiseFloorDb: Number,
+        monitoredTime: { type: Number, default: 0 },
+        speechTime: { type: Number, default: 0 },
+        speechRatio: { type: Number, default: 0 },
+        backgroundVoiceTime: { type: Number, default: 0 },
+        whisperTime: { type: Number, default: 0 },
+        loudNoiseCount: { type: Number, default: 0 }
+    },
+    // Reported by the candidate's eye tracker (times in seconds, blink rate per minute,
+    // perclos is the share of the last minute with the eyes closed)
+    eyes: {
+        trackedTime: { type: Number, default: 0 },
+        blinkCount: { type: Number, default: 0 },
+        blinkRate: { type: Number, default: 0 },
+        perclos: { type: Number, default: 0 },
+        drowsinessCount: { type: Number, default: 0 }
+    },
+    // Reported by the candidate's lip tracker (times in seconds); the mismatch times are lips moving
+    // with no speech heard and speech heard with still lips
+    lips: {
+        trackedTime: { type: Number, default: 0 },
+        talkingTime: { type: Number, default: 0 },
+        talkingRatio: { type: Number, default: 0 },
+        talkingSegments: { type: Number, default: 0 },
+        longestSegment: { type: Number, default: 0 },
+        silentLipMovementTime: { type: Number, default: 0 },
+        speechWithoutLipMovementTime: { type: Number, default: 0 }
+    },
+    // Reported by the candidate's head pose tracker (times in seconds); episodes are the periods the
+    // candidate looked away, by direction from their point of view (e.g. 'down-left')
+    headPose: {
+        trackedTime: { type: Number, default: 0 },
+        awayTime: { type: Number, default: 0 },
+        timeByDirection: { type: Map, of: Number },
+        episodes: [{
+            _id: false,
+            direction: String,
+            startedAt: Date,
+            duration: Number,
+            peakYaw: Number,
+            peakPitch: Number,
+            flagged: Boolean
+        }]
+    },
+    // Reported by the candidate's iris gaze tracker (times in seconds), only when the candidate's gaze
+    // calibration succeeded. Heatmap cells hold seconds of gaze, row by row from the top left as the
+    // candidate sees the screen; the outer ring of cells is beyond the screen edges.
+    gaze: {
+        calibrated: { type: Boolean, default: false },
+        calibrationError: Number,
+        trackedTime: { type: Number, default: 0 },
+        offScreenTime: { type: Number, default: 0 },
+        offScreenRatio: { type: Number, default: 0 },
+        offScreenEpisodes: { type: Number, default: 0 },
+        longestOffScreen: { type: Number, default: 0 },
+        heatmap: {
+            columns: Number,
+            rows: Number,
+            cells: [Number]
+        }
+    },
+    // Reported by the candidate's identity verification: the live face compared with the reference face
+    // enrolled at the system check. Similarities run from 0 to 1; checks below the threshold are mismatches.
+    identity: {
+        enrolled: { type: Boolean, default: false },
+        enrolledAt: Date,
+        threshold: Number,
+        checks: { type: Number, default: 0 },
+        mismatches: { type: Number, default: 0 },
+        impersonationCount: { type: Number, default: 0 },
+        averageSimilarity: Number,
+        lowestSimilarity: Number,
+        history: [{
+            _id: false,
+            timestamp: Date,
+            similarity: Number,
+            matched: Boolean
+        }]
+    },
+    // Reported by the candidate's input monitor (pasted text itself is never stored)
+    input: {
+        pasteCount: { type: Number, default: 0 },
+        pastedCharacters: { type: Number, default: 0 },
+        copyCount: { type: Number, default: 0 },
+        cutCount: { type: Number, default: 0 },
+        contextMenuCount: { type: Number, default: 0 },
+        shortcutCount: { type: Number, default: 0 },
+        devtoolsOpenCount: { type: Number, default: 0 }
     }
 });
 
@@ -130,7 +185,7 @@ const interviewSchema = new mongoose.Schema({
         },
         interviewType: {
             type: String,
-            enum: ['technical', 'behavioral', 'screening', 'final'],
+            enum: INTERVIEW_TYPES,
             default: 'screening'
         },
         scheduledDuration: {
@@ -153,7 +208,7 @@ const interviewSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['scheduled', 'in_progress', 'completed', 'cancelled', 'failed'],
+            enum: ['scheduled', 'in_progress', 'completed', 'cancelled', 'failed', 'abandoned'],
             default: 'scheduled',
             index: true
         },
@@ -166,6 +221,26 @@ const interviewSchema = new mongoose.Schema({
             screenResolution: String,
             timezone: String,
             connection: String
+        },
+        // Candidate socket state while the interview runs
+        connection: {
+            status: {
+                type: String,
+                enum: ['connected', 'disconnected', 'reconnected']
+            },
+            connectedAt: {
+                type: Date
+            },
+            disconnectedAt: {
+                type: Date
+            },
+            lastHeartbeatAt: {
+                type: Date
+            },
+            reconnectCount: {
+                type: Number,
+                default: 0
+            }
         }
     },
     scores: {
@@ -194,8 +269,52 @@ const interviewSchema = new mongoose.Schema({
             default: 100
         }
     },
-    violations: [violationSchema],
-    events: [eventSchema],
+    // Proctoring policy the interview runs under, copied from its profile at creation
+    policy: {
+        profile: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PolicyProfile'
+        },
+        name: {
+            type: String
+        },
+        detection: {
+            type: mongoose.Schema.Types.Mixed
+        },
+        riskBands: {
+            low: { type: Number, default: DEFAULT_RISK_BANDS.low },
+            medium: { type: Number, default: DEFAULT_RISK_BANDS.medium },
+            high: { type: Number, default: DEFAULT_RISK_BANDS.high }
+        }
+    },
+    // Bookkeeping of the scoring engine; scores are never written by clients.
+    // No version means the interview has never been scored from its stored history.
+    scoring: {
+        version: {
+            type: String
+        },
+        penalties: {
+            integrity: { type: Number, default: 0 },
+            focus: { type: Number, default: 0 },
+            behavior: { type: Number, default: 0 }
+        },
+        scoredAt: {
+            type: Date
+        }
+    },
+    violationCounts: {
+        total: { type: Number, default: 0 },
+        low: { type: Number, default: 0 },
+        medium: { type: Number, default: 0 },
+        high: { type: Number, default: 0 }
+    },
+    eventCount: {
+        type: Number,
+        default: 0
+    },
+    lastViolationAt: {
+        type: Date
+    },
     statistics: {
         type: statisticsSchema,
         default: () => ({})
@@ -219,8 +338,22 @@ const interviewSchema = new mongoose.Schema({
         technicalIssues: {
             type: Boolean,
             default: false
+        },
+        // A violation type that only warrants a closer look was raised (see needsReview in the registry)
+        needsReview: {
+            type: Boolean,
+            default: false
         }
     },
+    // Reference face enrolled at the candidate's system check and the match threshold derived from it,
+    // kept so reviewers can compare identity flags with it (the snapshot is stored like evidence)
+    identityReference: {
+        path: String,
+        url: String,
+        size: Number,
+        threshold: { type: Number, min: 0, max: 1 },
+        enrolledAt: Date
+    },
     analysis: {
         recommendation: {
             type: String,
@@ -254,6 +387,24 @@ const interviewSchema = new mongoose.Schema({
             type: String
         }
     },
+    assignedInterviewers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    candidateAccess: {
+        inviteCode: {
+            type: String,
+            select: false
+        },
+        inviteExpires: {
+            type: Date,
+            select: false
+        },
+        tokenVersion: {
+            type: Number,
+            default: 0
+        }
+    },
     metadata: {
         ipAddress: String,
         userAgent: String,
@@ -276,6 +427,9 @@ interviewSchema.index({ 'sessionData.startTime': -1 });
 interviewSchema.index({ 'scores.integrityScore': -1 });
 interviewSchema.index({ 'analysis.riskLevel': 1 });
 interviewSchema.index({ createdAt: -1 });
+interviewSchema.index({ 'interviewer.id': 1 });
+interviewSchema.index({ assignedInterviewers: 1 });
+interviewSchema.index({ 'scoring.version': 1 });
 
 // Virtual for formatted duration
 interviewSchema.virtual('formattedDuration').get(function() {
@@ -288,32 +442,44 @@ interviewSchema.virtual('formattedDuration').get(function() {
 
 // Virtual for violation count
 interviewSchema.virtual('violationCount').get(function() {
-    return this.violations.length;
+    return this.violationCounts.total;
 });
 
 // Virtual for high severity violations
 interviewSchema.virtual('highSeverityViolations').get(function() {
-    return this.violations.filter(v => v.severity === 'high').length;
+    return this.violationCounts.high;
 });
 
+// Paths written whenever the scores change (see countRecord)
+const SCORED_PATHS = [
+    'scores.integrityScore', 'scores.focusScore', 'scores.behaviorScore', 'scores.overallScore', 'scoring.scoredAt',
+    'flags.hasViolations', 'flags.requiresReview', 'flags.isHighRisk',
+    'analysis.riskLevel', 'analysis.recommendation', 'analysis.summary'
+];
+
 // Pre-save middleware to update flags and analysis
 interviewSchema.pre('save', function(next) {
-    // Update flags based on violations and scores
-    this.flags.hasViolations = this.violations.length > 0;
-    this.flags.requiresReview = this.scores.integrityScore < 70 || this.violations.filter(v => v.severity === 'high').length > 0;
-    this.flags.isHighRisk = this.scores.integrityScore < 50 || this.violations.filter(v => v.severity === 'high').length > 2;
+    this.updateAnalysis();
+    next();
+});
 
-    // Update overall score
-    this.scores.overallScore = Math.round((this.scores.integrityScore + this.scores.focusScore + this.scores.behaviorScore) / 3);
+// Method to update flags and analysis from the counts and scores (does not save)
+interviewSchema.methods.updateAnalysis = function() {
+    const bands = this.policy.riskBands;
 
-    // Update risk level
-    if (this.scores.integrityScore >= 90) {
+    // Update flags based on violations and scores
+    this.flags.hasViolations = this.violationCounts.total > 0;
+    this.flags.requiresReview = this.scores.integrityScore < bands.medium || this.violationCounts.high > 0 || this.flags.needsReview;
+    this.flags.isHighRisk = this.scores.integrityScore < bands.high || this.violationCounts.high > 2;
+
+    // Update risk level using the policy's risk bands
+    if (this.scores.integrityScore >= bands.low) {
         this.analysis.riskLevel = 'low';
         this.analysis.recommendation = 'proceed';
-    } else if (this.scores.integrityScore >= 70) {
+    } else if (this.scores.integrityScore >= bands.medium) {
         this.analysis.riskLevel = 'medium';
         this.analysis.recommendation = 'review_required';
-    } else if (this.scores.integrityScore >= 50) {
+    } else if (this.scores.integrityScore >= bands.high) {
         this.analysis.riskLevel = 'high';
         this.analysis.recommendation = 'review_required';
     } else {
@@ -323,13 +489,11 @@ interviewSchema.pre('save', function(next) {
 
     // Generate summary
     this.analysis.summary = this.generateSummary();
-
-    next();
-});
+};
 
 // Method to generate analysis summary
 interviewSchema.methods.generateSummary = function() {
-    const violationCount = this.violations.length;
+    const violationCount = this.violationCounts.total;
     const integrityScore = this.scores.integrityScore;
     const duration = Math.round(this.sessionData.duration / 60); // in minutes
 
@@ -343,7 +507,7 @@ interviewSchema.methods.generateSummary = function() {
         summary += ` ${violationCount} violations detected.`;
     }
 
-    const highSeverityCount = this.violations.filter(v => v.severity === 'high').length;
+    const highSeverityCount = this.violationCounts.high;
     if (highSeverityCount > 0) {
         summary += ` ${highSeverityCount} high-severity violations require attention.`;
     }
@@ -351,35 +515,435 @@ interviewSchema.methods.generateSummary = function() {
     return summary;
 };
 
-// Method to add violation
-interviewSchema.methods.addViolation = function(violationData) {
-    this.violations.push(violationData);
+// Timer a focus_change or connection_lost event adds its duration to, if any
+const getEventTimer = (event) => {
+    const metadata = event.metadata || {};
+    if (!(metadata.durationMs > 0)) {
+        return null;
+    }
+
+    if (event.type === 'connection_lost') {
+        return 'disconnectedTime';
+    }
 
-    // Recalculate integrity score
-    this.scores.integrityScore = Math.max(0, this.scores.integrityScore - this.getViolationPenalty(violationData.type));
+    const timers = {
+        tab_hidden: 'tabHiddenTime',
+        window_blur: 'windowBlurTime',
+        fullscreen_exit: 'fullscreenExitTime'
+    };
+    return event.type === 'focus_change' ? timers[metadata.reason] || null : null;
+};
 
-    return this.save();
+// Method to store a violation or event, or null when its client id is already stored
+interviewSchema.methods.recordEvent = async function(data) {
+    try {
+        return await Event.create({ ...data, sessionId: this.sessionId, interview: this._id });
+    } catch (error) {
+        if (Event.isDuplicate(error)) {
+            return null;
+        }
+        throw error;
+    }
 };
 
-// Method to get violation penalty
-interviewSchema.methods.getViolationPenalty = function(violationType) {
-    const penalties = {
-        'no_face': 20,
-        'multiple_faces': 15,
-        'focus_lost': 5,
-        'unauthorized_object': 10,
-        'eye_closure': 2,
-        'camera_disabled': 15,
-        'microphone_disabled': 10
+// Method to add violation (stored in the Event collection, counted here)
+// Aliases resolve to their registered type; unknown types are stored as 'unknown'
+// Returns null for a replayed violation, which is neither stored nor counted again
+interviewSchema.methods.addViolation = async function(violationData) {
+    const { id, ...data } = violationData;
+
+    const violation = await this.recordEvent({
+        ...ViolationTypes.normalize(data),
+        eventId: id !== undefined ? String(id) : undefined,
+        kind: 'violation'
+    });
+    if (!violation) {
+        return null;
+    }
+
+    const update = {
+        $inc: { 'violationCounts.total': 1, [`violationCounts.${violation.severity}`]: 1 },
+        $max: { lastViolationAt: violation.timestamp }
     };
+    if (ViolationTypes.get(violation.type).needsReview) {
+        update.$set = { 'flags.needsReview': true };
+    }
 
-    return penalties[violationType] || 5;
+    await this.countRecord(violation, update);
+    return violation;
 };
 
-// Method to add event
-interviewSchema.methods.addEvent = function(eventData) {
-    this.events.push(eventData);
-    return this.save();
+// Method to add event (stored in the Event collection, counted here)
+// Returns null for a replayed event, which is neither stored nor counted again
+interviewSchema.methods.addEvent = async function(eventData) {
+    const { id, ...data } = eventData;
+
+    const event = await this.recordEvent({
+        ...data,
+        eventId: id !== undefined ? String(id) : undefined,
+        kind: 'event'
+    });
+    if (!event) {
+        return null;
+    }
+
+    const increments = { eventCount: 1 };
+    const timer = getEventTimer(event);
+    if (timer) {
+        increments[`statistics.timers.${timer}`] = Math.round(event.metadata.durationMs / 1000);
+    }
+
+    await this.countRecord(event, { $inc: increments });
+    return event;
+};
+
+// Method to count a newly stored violation or event and rescore, then save any other pending changes.
+// Counters and penalties are incremented atomically so concurrent records are never lost; the scores
+// are written only while the penalties are still the ones they were computed from, since a record
+// counted in the meantime writes its own.
+interviewSchema.methods.countRecord = async function(record, changes) {
+    const scored = this.scoring.version === ScoringEngine.RULES.version;
+    const update = { ...changes, $inc: { ...changes.$inc } };
+
+    if (scored) {
+        Object.entries(ScoringEngine.penaltiesFor(record)).forEach(([score, points]) => {
+            update.$inc[`scoring.penalties.${score}`] = points;
+        });
+    }
+
+    const stored = await this.constructor.findByIdAndUpdate(this._id, update, { new: true });
+    if (!stored) {
+        return;
+    }
+
+    // Take the counted values from the stored document without marking them as changed here
+    [update.$inc, update.$max, update.$set].filter(Boolean).flatMap(Object.keys).forEach(path => {
+        this.set(path, stored.get(path));
+        this.unmarkModified(path);
+    });
+
+    // Sessions scored under older rules are recomputed from their full history instead
+    if (!scored) {
+        await this.computeScores();
+        await this.save();
+        return;
+    }
+
+    const penalties = this.scoring.penalties;
+    Object.assign(this.scores, ScoringEngine.scoresFromPenalties(penalties));
+    this.scoring.scoredAt = new Date();
+    this.updateAnalysis();
+
+    await this.constructor.updateOne({
+        _id: this._id,
+        'scoring.penalties.integrity': penalties.integrity,
+        'scoring.penalties.focus': penalties.focus,
+        'scoring.penalties.behavior': penalties.behavior
+    }, {
+        $set: SCORED_PATHS.reduce((values, path) => ({ ...values, [path]: this.get(path) }), {})
+    });
+    SCORED_PATHS.forEach(path => this.unmarkModified(path));
+
+    if (this.isModified()) {
+        await this.save();
+    }
+};
+
+// Method to record the candidate's socket joining the session (does not save)
+// Returns the connection gap being closed, or null on a first connection
+interviewSchema.methods.markCandidateConnected = function(now = new Date()) {
+    const connection = this.sessionData.connection;
+    const disconnectedAt = connection.disconnectedAt;
+
+    connection.status = disconnectedAt ? 'reconnected' : 'connected';
+    connection.connectedAt = now;
+    connection.disconnectedAt = undefined;
+
+    if (!disconnectedAt) {
+        return null;
+    }
+
+    connection.reconnectCount += 1;
+    const durationMs = now - disconnectedAt;
+
+    return {
+        disconnectedAt,
+        reconnectedAt: now,
+        durationMs,
+        withinGrace: durationMs <= RECONNECT_GRACE_SECONDS * 1000
+    };
+};
+
+// Method to record the candidate's socket dropping out of a running session (does not save)
+interviewSchema.methods.markCandidateDisconnected = function(now = new Date()) {
+    this.sessionData.connection.status = 'disconnected';
+    this.sessionData.connection.disconnectedAt = now;
+};
+
+// Method to tell whether a duration reported by the candidate fits in the session so far
+interviewSchema.methods.fitsSession = function(durationMs, now = new Date()) {
+    const since = this.sessionData.startTime || this.createdAt;
+    return Number.isFinite(durationMs) && durationMs >= 0 && durationMs <= now - since;
+};
+
+// Method to get the last time the candidate's page was heard from
+interviewSchema.methods.getLastCandidateActivity = function() {
+    const times = CANDIDATE_ACTIVITY_PATHS
+        .map(path => this.get(path))
+        .filter(Boolean)
+        .map(time => time.getTime());
+
+    return new Date(Math.max(...times));
+};
+
+// Static method to build a query matching sessions the candidate has not been heard from since a time
+interviewSchema.statics.silentSince = function(cutoff) {
+    // A missing time counts as silent, hence $not rather than $lt
+    return CANDIDATE_ACTIVITY_PATHS.reduce((query, path) => ({ ...query, [path]: { $not: { $gte: cutoff } } }), {});
+};
+
+// Method to start a scheduled session and record it on the timeline (saves through addEvent)
+// Shared by PUT /interviews/:sessionId/start and the candidate's 'interview-started' socket message
+interviewSchema.methods.start = async function(startTime = new Date()) {
+    this.sessionData.status = 'in_progress';
+    this.sessionData.startTime = startTime;
+
+    const started = await this.addEvent({
+        id: Event.serverEventId('interview_started'),
+        type: 'interview_started',
+        message: 'Interview session started',
+        severity: 'info',
+        timestamp: startTime
+    });
+
+    // An event already stored under the same id leaves the changes above unsaved
+    if (!started) {
+        await this.save();
+    }
+};
+
+// Method to end a running session at the candidate's request (saves through addEvent)
+// Only an in-progress session is completed, once; returns false when it was not in progress
+interviewSchema.methods.complete = async function(statistics, endTime = new Date()) {
+    if (this.sessionData.status !== 'in_progress') {
+        return false;
+    }
+
+    // Claim the transition so a second end request (socket and REST) cannot complete it again
+    const claimed = await this.constructor.updateOne(
+        { _id: this._id, 'sessionData.status': 'in_progress' },
+        { $set: { 'sessionData.status': 'completed' } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return false;
+    }
+
+    this.sessionData.status = 'completed';
+    this.sessionData.endTime = endTime;
+    this.sessionData.duration = Math.max(0, Math.floor((endTime - this.sessionData.startTime) / 1000));
+
+    // The candidate has nothing left to write once the session is over
+    this.revokeCandidateTokens();
+
+    this.applyReportedStatistics(statistics);
+
+    const ended = await this.addEvent({
+        id: Event.serverEventId('interview_ended'),
+        type: 'interview_ended',
+        message: 'Interview session ended',
+        severity: 'info',
+        timestamp: endTime
+    });
+
+    // An event already stored under the same id leaves the changes above unsaved
+    if (!ended) {
+        await this.save();
+    }
+    return true;
+};
+
+// Method to store the detection statistics reported by the candidate page (does not save)
+// Only validated fields are kept (see services/clientStatistics)
+interviewSchema.methods.applyReportedStatistics = function(reported) {
+    const statistics = ClientStatistics.sanitize(reported, this.sessionData.duration);
+
+    if (statistics.audio) {
+        this.statistics.audio = statistics.audio;
+    }
+    if (statistics.input) {
+        this.statistics.input = statistics.input;
+    }
+    if (statistics.eyes) {
+        const { closureCount, eyeClosedTime, ...eyes } = statistics.eyes;
+        this.statistics.eyes = eyes;
+        this.statistics.eventCounts.eyeClosure = closureCount || 0;
+        this.statistics.timers.eyeClosedTime = eyeClosedTime || 0;
+    }
+    if (statistics.lips) {
+        this.statistics.lips = statistics.lips;
+    }
+    if (statistics.headPose) {
+        this.statistics.headPose = statistics.headPose;
+        this.statistics.timers.focusLostTime = statistics.headPose.awayTime || 0;
+    }
+    if (statistics.gaze) {
+        this.statistics.gaze = statistics.gaze;
+    }
+    if (statistics.identity) {
+        this.statistics.identity = statistics.identity;
+    }
+};
+
+// Method to close out a session the candidate stopped responding in (saves through addEvent)
+// The session ends when the candidate was last heard from, not when the silence was noticed.
+// Only a session still in progress and silent since the cutoff is abandoned; returns false otherwise
+interviewSchema.methods.abandon = async function(reason, cutoff = new Date()) {
+    // Claim the transition so a heartbeat or an end request arriving meanwhile keeps the session
+    const claimed = await this.constructor.updateOne(
+        { _id: this._id, 'sessionData.status': 'in_progress', ...this.constructor.silentSince(cutoff) },
+        { $set: { 'sessionData.status': 'abandoned' } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return false;
+    }
+
+    const endTime = this.getLastCandidateActivity();
+
+    this.sessionData.status = 'abandoned';
+    this.sessionData.endTime = endTime;
+    this.sessionData.duration = Math.max(0, Math.floor((endTime - this.sessionData.startTime) / 1000));
+    this.revokeCandidateTokens();
+
+    const ended = await this.addEvent({
+        id: Event.serverEventId(`abandoned_${endTime.getTime()}`),
+        type: 'interview_ended',
+        message: `Interview abandoned: ${reason}`,
+        severity: 'warning',
+        timestamp: new Date(),
+        metadata: { reason, lastSeenAt: endTime }
+    });
+
+    if (!ended) {
+        await this.save();
+    }
+    return true;
+};
+
+// Method to apply a resolved policy (see PolicyProfile.resolvePolicy)
+interviewSchema.methods.applyPolicy = function(policy) {
+    this.policy = {
+        profile: policy.profile,
+        name: policy.name,
+        detection: policy.detection,
+        riskBands: policy.riskBands
+    };
+};
+
+// Method to recompute scores from all stored violations and events (does not save)
+interviewSchema.methods.computeScores = async function() {
+    const [violations, events] = await Promise.all([this.getViolations(), this.getEvents()]);
+    const result = ScoringEngine.computeScores(violations, events);
+
+    this.scoring.version = result.version;
+    this.scoring.penalties = result.penalties;
+    this.scoring.scoredAt = new Date();
+    Object.assign(this.scores, result.scores);
+
+    return this.scores;
+};
+
+// Method to re-score the interview under the current rules and save it
+interviewSchema.methods.rescore = async function() {
+    await this.computeScores();
+    await this.save();
+    return this.scores;
+};
+
+// Method to load this interview's violations
+interviewSchema.methods.getViolations = function() {
+    return Event.getViolations(this.sessionId);
+};
+
+// Method to load this interview's timeline events
+interviewSchema.methods.getEvents = function() {
+    return Event.getEvents(this.sessionId);
+};
+
+// Method to check whether a user owns or is assigned to this interview
+interviewSchema.methods.isAccessibleBy = function(user) {
+    if (hasPermission(user.role, PERMISSIONS.INTERVIEWS_READ_ALL)) {
+        return true;
+    }
+
+    const ownerId = this.interviewer && this.interviewer.id ? this.interviewer.id.toString() : null;
+    const assigned = (this.assignedInterviewers || []).map(id => id.toString());
+
+    return ownerId === user.userId || assigned.includes(user.userId);
+};
+
+// Method to create a candidate invite code (the hash is stored, the raw code is returned)
+interviewSchema.methods.createInviteCode = function() {
+    const inviteCode = crypto.randomBytes(24).toString('hex');
+
+    this.candidateAccess.inviteCode = crypto.createHash('sha256').update(inviteCode).digest('hex');
+    this.candidateAccess.inviteExpires = new Date(Date.now() + (parseInt(process.env.CANDIDATE_INVITE_EXPIRES_HOURS) || 72) * 60 * 60 * 1000);
+
+    return inviteCode;
+};
+
+// Method to generate a short-lived token scoped to this session for the candidate
+interviewSchema.methods.generateCandidateToken = function() {
+    const payload = {
+        sessionId: this.sessionId,
+        role: 'candidate',
+        tokenVersion: this.candidateAccess.tokenVersion
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+        expiresIn: process.env.CANDIDATE_TOKEN_EXPIRES_IN || '4h'
+    });
+};
+
+// Method to invalidate every candidate token issued so far
+interviewSchema.methods.revokeCandidateTokens = function() {
+    this.candidateAccess.tokenVersion += 1;
+};
+
+// Static method to find an interview by a valid, unexpired invite code
+interviewSchema.statics.findByInviteCode = function(sessionId, inviteCode) {
+    const hashedCode = crypto.createHash('sha256').update(inviteCode).digest('hex');
+
+    return this.findOne({
+        sessionId,
+        'candidateAccess.inviteCode': hashedCode,
+        'candidateAccess.inviteExpires': { $gt: Date.now() }
+    });
+};
+
+// Static method to build the query filter limiting a user to the interviews they may see
+interviewSchema.statics.accessFilterFor = function(user) {
+    if (hasPermission(user.role, PERMISSIONS.INTERVIEWS_READ_ALL)) {
+        return {};
+    }
+
+    const userId = new mongoose.Types.ObjectId(user.userId);
+
+    return {
+        $or: [
+            { 'interviewer.id': userId },
+            { assignedInterviewers: userId }
+        ]
+    };
+};
+
+// Static method to build the Event query filter limiting a user to the sessions they may see
+interviewSchema.statics.eventAccessFilterFor = async function(user) {
+    if (hasPermission(user.role, PERMISSIONS.INTERVIEWS_READ_ALL)) {
+        return {};
+    }
+
+    const sessionIds = await this.distinct('sessionId', this.accessFilterFor(user));
+    return { sessionId: { $in: sessionIds } };
 };
 
 // Static method to get interviews by date range
@@ -408,13 +972,14 @@ interviewSchema.statics.getRequiringReview = function() {
 };
 
 // Static method to get statistics
-interviewSchema.statics.getStatistics = async function(dateRange = null) {
+interviewSchema.statics.getStatistics = async function(dateRange = null, accessFilter = {}) {
     const matchStage = dateRange ? {
         'sessionData.startTime': {
             $gte: dateRange.start,
             $lte: dateRange.end
-        }
-    } : {};
+        },
+        ...accessFilter
+    } : {...accessFilter };
 
     const stats = await this.aggregate([
         { $match: matchStage },
@@ -427,7 +992,7 @@ interviewSchema.statics.getStatistics = async function(dateRange = null) {
                 },
                 averageIntegrityScore: { $avg: '$scores.integrityScore' },
                 averageDuration: { $avg: '$sessionData.duration' },
-                totalViolations: { $sum: { $size: '$violations' } },
+                totalViolations: { $sum: '$violationCounts.total' },
                 highRiskCount: {
                     $sum: { $cond: ['$flags.isHighRisk', 1, 0] }
                 },
@@ -449,4 +1014,6 @@ interviewSchema.statics.getStatistics = async function(dateRange = null) {
     };
 };
 
+interviewSchema.statics.RECONNECT_GRACE_SECONDS = RECONNECT_GRACE_SECONDS;
+
 module.exports = mongoose.model('Interview', interviewSchema);
\ No newline at end of file
@@ -0,0 +1,128 @@
+/**
+ * Policy Profile Model
+ * Named proctoring policies (detection thresholds and risk bands) that interviews are run under
+ */
+
+const mongoose = require('mongoose');
+const {
+    INTERVIEW_TYPES,
+    BUILT_IN_PROFILES,
+    withDetectionDefaults,
+    withRiskBandDefaults
+} = require('../config/policyProfiles');
+
+const policyProfileSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_-]+$/, 'Profile name may only contain letters, numbers, dashes and underscores']
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Interview types this profile applies to when an interview names no profile
+    interviewTypes: [{
+        type: String,
+        enum: INTERVIEW_TYPES
+    }],
+    isDefault: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    // Only the values that differ from config/policyProfiles DEFAULT_DETECTION
+    detection: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    riskBands: {
+        low: { type: Number, min: 0, max: 100 },
+        medium: { type: Number, min: 0, max: 100 },
+        high: { type: Number, min: 0, max: 100 }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+policyProfileSchema.index({ interviewTypes: 1 });
+
+// Pre-save middleware to keep risk bands ordered and a single default profile
+policyProfileSchema.pre('save', async function() {
+    const bands = withRiskBandDefaults(this.toObject().riskBands);
+    if (!(bands.low > bands.medium && bands.medium > bands.high)) {
+        throw new Error('Risk bands must be ordered low > medium > high');
+    }
+
+    if (this.isDefault && this.isModified('isDefault')) {
+        await this.constructor.updateMany({ _id: { $ne: this._id }, isDefault: true }, { $set: { isDefault: false } });
+    }
+});
+
+// Method to get the complete policy applied to an interview
+// Dashboard settings fill in only the detection values the profile leaves to the defaults
+policyProfileSchema.methods.toPolicy = function(settings = {}) {
+    const profile = this.toObject();
+
+    return {
+        profile: this._id,
+        name: profile.name,
+        detection: withDetectionDefaults({ ...settings, ...profile.detection }),
+        riskBands: withRiskBandDefaults(profile.riskBands)
+    };
+};
+
+// Static method to resolve the policy for an interview: explicit profile, then one
+// matching the interview type, then the default profile, then the built-in fallback
+policyProfileSchema.statics.resolvePolicy = async function({ profileId, interviewType, settings } = {}) {
+    if (profileId) {
+        const profile = await this.findOne({ _id: profileId, isActive: true });
+        return profile ? profile.toPolicy(settings) : null;
+    }
+
+    const profile = await this.findOne({ interviewTypes: interviewType, isActive: true }) ||
+        await this.findOne({ isDefault: true, isActive: true });
+
+    if (profile) {
+        return profile.toPolicy(settings);
+    }
+
+    return this.builtInPolicy(interviewType, settings);
+};
+
+// Static method to get a built-in policy without touching the database
+policyProfileSchema.statics.builtInPolicy = function(interviewType, settings = {}) {
+    const builtIn = BUILT_IN_PROFILES.find(p => p.interviewTypes.includes(interviewType)) ||
+        BUILT_IN_PROFILES.find(p => p.isDefault);
+
+    return {
+        profile: null,
+        name: builtIn.name,
+        detection: withDetectionDefaults({ ...settings, ...builtIn.detection }),
+        riskBands: withRiskBandDefaults(builtIn.riskBands)
+    };
+};
+
+// Static method to recompute an interview's detection values from its profile under new dashboard settings
+// (a profile that was deleted since falls back to the built-in profile for the interview type)
+policyProfileSchema.statics.detectionFor = async function(policy, interviewType, settings = {}) {
+    const profile = policy && policy.profile ? await this.findById(policy.profile) : null;
+
+    return profile ?
+        profile.toPolicy(settings).detection :
+        this.builtInPolicy(interviewType, settings).detection;
+};
+
+module.exports = mongoose.model('PolicyProfile', policyProfileSchema);
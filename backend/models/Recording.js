@@ -0,0 +1,111 @@
+/**
+ * Recording Model
+ * Session video segments uploaded by the candidate page, indexed by the time they cover.
+ *
+ * Each segment is a self-contained media file (the recorder restarts between segments),
+ * so any segment can be played on its own and clips are addressed with media fragments.
+ */
+
+const mongoose = require('mongoose');
+
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+
+// Seconds of video shown before and after a violation
+const CLIP_PADDING_MS = 5000;
+
+const recordingSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        required: true
+    },
+    interview: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Interview'
+    },
+    // Order of the segment within the session, assigned by the recorder
+    sequence: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    startTime: {
+        type: Date,
+        required: true
+    },
+    endTime: {
+        type: Date,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        default: 'video/webm'
+    },
+    size: {
+        type: Number,
+        default: 0
+    },
+    // Path below the uploads directory, served by GET /recordings/:sessionId/segments/:recordingId/file
+    path: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+recordingSchema.index({ sessionId: 1, startTime: 1 });
+recordingSchema.index({ sessionId: 1, sequence: 1 }, { unique: true });
+
+// Served by the authenticated segment route, which checks access to the session
+recordingSchema.virtual('url').get(function() {
+    return `${API_PREFIX}/recordings/${encodeURIComponent(this.sessionId)}/segments/${this._id}/file`;
+});
+
+recordingSchema.virtual('durationMs').get(function() {
+    return this.endTime - this.startTime;
+});
+
+// Static method to get a session's segments in time order
+recordingSchema.statics.getSegments = function(sessionId) {
+    return this.find({ sessionId }).sort({ startTime: 1 });
+};
+
+// Static method to find the clip around each timestamp.
+// Returns one entry per timestamp (null when no segment covers it); a clip that crosses a
+// segment boundary lists every part with media-fragment URLs.
+recordingSchema.statics.findClips = async function(sessionId, timestamps, paddingMs = CLIP_PADDING_MS) {
+    const segments = await this.getSegments(sessionId);
+
+    return timestamps.map(timestamp => {
+        const at = new Date(timestamp).getTime();
+        const from = at - paddingMs;
+        const to = at + paddingMs;
+
+        const parts = segments
+            .filter(segment => segment.startTime.getTime() < to && segment.endTime.getTime() > from)
+            .map(segment => {
+                const start = Math.max(0, (from - segment.startTime.getTime()) / 1000);
+                const end = Math.min(segment.durationMs, to - segment.startTime.getTime()) / 1000;
+
+                return {
+                    recordingId: segment._id,
+                    sequence: segment.sequence,
+                    url: `${segment.url}#t=${start.toFixed(1)},${end.toFixed(1)}`,
+                    start,
+                    end
+                };
+            });
+
+        if (parts.length === 0) return null;
+
+        return {
+            from: new Date(from),
+            to: new Date(to),
+            parts
+        };
+    });
+};
+
+recordingSchema.statics.CLIP_PADDING_MS = CLIP_PADDING_MS;
+
+module.exports = mongoose.model('Recording', recordingSchema);
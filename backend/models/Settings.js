@@ -0,0 +1,87 @@
+/**
+ * Settings Model
+ * Proctoring preferences saved from the interviewer dashboard, organization-wide or per interviewer
+ */
+
+const mongoose = require('mongoose');
+
+const SCOPES = ['organization', 'interviewer'];
+
+// Detection values the dashboard can tune (milliseconds, see config/policyProfiles DEFAULT_DETECTION)
+const DETECTION_SETTINGS = ['lookingAwayThreshold', 'noFaceThreshold', 'eyeClosureThreshold'];
+
+const settingsSchema = new mongoose.Schema({
+    scope: {
+        type: String,
+        required: true,
+        enum: SCOPES
+    },
+    // Owner of interviewer-scoped settings; empty for the organization document
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    detection: {
+        lookingAwayThreshold: { type: Number, min: 0 },
+        noFaceThreshold: { type: Number, min: 0 },
+        eyeClosureThreshold: { type: Number, min: 0 }
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// One organization document and one document per interviewer
+settingsSchema.index({ scope: 1, user: 1 }, { unique: true });
+
+// Method to get only the detection values that were actually set
+settingsSchema.methods.getDetectionOverrides = function() {
+    const detection = this.toObject().detection || {};
+
+    return DETECTION_SETTINGS
+        .filter(setting => typeof detection[setting] === 'number')
+        .reduce((overrides, setting) => ({ ...overrides, [setting]: detection[setting] }), {});
+};
+
+// Static method to find settings for a scope (user is ignored for the organization)
+settingsSchema.statics.findScope = function(scope, userId) {
+    return this.findOne({ scope, user: scope === 'organization' ? null : userId });
+};
+
+// Static method to save detection values for a scope, creating the document if needed
+settingsSchema.statics.saveScope = async function(scope, userId, detection, updatedBy) {
+    const settings = await this.findScope(scope, userId) ||
+        new this({ scope, user: scope === 'organization' ? null : userId });
+
+    DETECTION_SETTINGS.forEach(setting => {
+        if (detection[setting] !== undefined) {
+            settings.detection[setting] = detection[setting];
+        }
+    });
+    settings.updatedBy = updatedBy;
+
+    await settings.save();
+    return settings;
+};
+
+// Static method to merge organization and interviewer settings (the interviewer wins)
+settingsSchema.statics.resolveFor = async function(userId) {
+    const [organization, interviewer] = await Promise.all([
+        this.findScope('organization'),
+        userId ? this.findScope('interviewer', userId) : null
+    ]);
+
+    return {
+        ...(organization ? organization.getDetectionOverrides() : {}),
+        ...(interviewer ? interviewer.getDetectionOverrides() : {})
+    };
+};
+
+settingsSchema.statics.SCOPES = SCOPES;
+settingsSchema.statics.DETECTION_SETTINGS = DETECTION_SETTINGS;
+
+module.exports = mongoose.model('Settings', settingsSchema);
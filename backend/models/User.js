@@ -0,0 +1,166 @@
+/**
+ * User Model
+ * Stores interviewer, reviewer and administrator accounts
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'interviewer', 'reviewer'];
+
+const userSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    password: {
+        type: String,
+        required: true,
+        minlength: 6,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'interviewer',
+        index: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+    deactivatedAt: {
+        type: Date
+    },
+    lastLogin: {
+        type: Date
+    },
+    passwordChangedAt: {
+        type: Date
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    }
+}, {
+    timestamps: true
+});
+
+// Hash password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+    if (!this.isModified('password')) {
+        return next();
+    }
+
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.password = await bcrypt.hash(this.password, salt);
+
+        // Tokens issued before this point are no longer valid
+        if (!this.isNew) {
+            this.passwordChangedAt = new Date(Date.now() - 1000);
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Method to check a candidate password against the stored hash
+userSchema.methods.comparePassword = function(candidatePassword) {
+    return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to check whether the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+    if (!this.passwordChangedAt) {
+        return false;
+    }
+
+    return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to sign a JWT for this user
+userSchema.methods.generateAuthToken = function() {
+    const payload = {
+        userId: this._id.toString(),
+        email: this.email,
+        role: this.role,
+        name: this.name
+    };
+
+    return jwt.sign(payload, process.env.JWT_SECRET, {
+        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    });
+};
+
+// Method to create a one-time password reset token (the hash is stored, the raw token is returned)
+userSchema.methods.createPasswordResetToken = function() {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.passwordResetExpires = new Date(Date.now() + (parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30) * 60 * 1000);
+
+    return resetToken;
+};
+
+// Method to deactivate the account
+userSchema.methods.deactivate = function() {
+    this.isActive = false;
+    this.deactivatedAt = new Date();
+    return this.save();
+};
+
+// Method to reactivate the account
+userSchema.methods.activate = function() {
+    this.isActive = true;
+    this.deactivatedAt = undefined;
+    return this.save();
+};
+
+// Public representation of the user
+userSchema.methods.toPublicJSON = function() {
+    return {
+        id: this._id,
+        email: this.email,
+        role: this.role,
+        name: this.name,
+        isActive: this.isActive,
+        lastLogin: this.lastLogin
+    };
+};
+
+// Static method to find a user by email including the password hash
+userSchema.statics.findByEmailWithPassword = function(email) {
+    return this.findOne({ email: email.toLowerCase() }).select('+password');
+};
+
+// Static method to find a user by a raw password reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+    const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+    return this.findOne({
+        passwordResetToken: hashedToken,
+        passwordResetExpires: { $gt: new Date() }
+    }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
+userSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', userSchema);
@@ -1,30 +1,15 @@
 /**
  * Authentication Routes
- * Basic authentication for demo purposes
+ * Account login, registration, password management and user administration
  */
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-
-// Simple in-memory user store for demo (in production, use a proper database)
-const users = [{
-        id: 1,
-        email: 'admin@videoproctoring.com',
-        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj3bp.Uy6Nz6', // password: admin123
-        role: 'admin',
-        name: 'System Administrator'
-    },
-    {
-        id: 2,
-        email: 'interviewer@videoproctoring.com',
-        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj3bp.Uy6Nz6', // password: admin123
-        role: 'interviewer',
-        name: 'Interview Manager'
-    }
-];
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -51,7 +36,7 @@ router.post('/login', [
         const { email, password } = req.body;
 
         // Find user
-        const user = users.find(u => u.email === email);
+        const user = await User.findByEmailWithPassword(email);
         if (!user) {
             return res.status(401).json({
                 error: 'Invalid credentials'
@@ -59,36 +44,30 @@ router.post('/login', [
         }
 
         // Check password
-        const isMatch = await bcrypt.compare(password, user.password);
+        const isMatch = await user.comparePassword(password);
         if (!isMatch) {
             return res.status(401).json({
                 error: 'Invalid credentials'
             });
         }
 
-        // Generate JWT token
-        const payload = {
-            userId: user.id,
-            email: user.email,
-            role: user.role,
-            name: user.name
-        };
+        if (!user.isActive) {
+            return res.status(403).json({
+                error: 'Account has been deactivated'
+            });
+        }
 
-        const token = jwt.sign(payload, process.env.JWT_SECRET, {
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-        });
+        user.lastLogin = new Date();
+        await user.save();
+
+        const token = user.generateAuthToken();
 
         res.json({
             success: true,
             message: 'Login successful',
             data: {
                 token,
-                user: {
-                    id: user.id,
-                    email: user.email,
-                    role: user.role,
-                    name: user.name
-                }
+                user: user.toPublicJSON()
             }
         });
 
@@ -103,64 +82,45 @@ router.post('/login', [
 
 /**
  * @route   POST /api/v1/auth/register
- * @desc    Register new user (demo purposes)
+ * @desc    Register new user. Self-registered accounts are always interviewers, who only see their own
+ *          sessions; reviewer and admin roles are granted by an admin through the role change route.
  * @access  Public
  */
 router.post('/register', [
     body('name').notEmpty().trim().withMessage('Name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').optional().isIn(['admin', 'interviewer']).withMessage('Invalid role')
+    body('role').optional().equals('interviewer').withMessage('Roles other than interviewer are granted by an administrator')
 ], handleValidationErrors, async(req, res) => {
     try {
-        const { name, email, password, role = 'interviewer' } = req.body;
+        const { name, email, password } = req.body;
 
         // Check if user already exists
-        const existingUser = users.find(u => u.email === email);
+        const existingUser = await User.findOne({ email: email.toLowerCase() });
         if (existingUser) {
             return res.status(400).json({
                 error: 'User already exists with this email'
             });
         }
 
-        // Hash password
-        const salt = await bcrypt.genSalt(12);
-        const hashedPassword = await bcrypt.hash(password, salt);
-
-        // Create new user
-        const newUser = {
-            id: users.length + 1,
+        // Password is hashed by the model's pre-save hook
+        const newUser = new User({
             name,
             email,
-            password: hashedPassword,
-            role
-        };
+            password,
+            role: 'interviewer'
+        });
 
-        users.push(newUser);
+        await newUser.save();
 
-        // Generate JWT token
-        const payload = {
-            userId: newUser.id,
-            email: newUser.email,
-            role: newUser.role,
-            name: newUser.name
-        };
-
-        const token = jwt.sign(payload, process.env.JWT_SECRET, {
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h'
-        });
+        const token = newUser.generateAuthToken();
 
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             data: {
                 token,
-                user: {
-                    id: newUser.id,
-                    email: newUser.email,
-                    role: newUser.role,
-                    name: newUser.name
-                }
+                user: newUser.toPublicJSON()
             }
         });
 
@@ -178,9 +138,194 @@ router.post('/register', [
  * @desc    Get current user info
  * @access  Private
  */
-router.get('/me', require('../middleware/auth'), (req, res) => {
+router.get('/me', auth, (req, res) => {
+    res.json({
+        success: true,
+        data: req.userDoc.toPublicJSON()
+    });
+});
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Refresh JWT token
+ * @access  Private
+ */
+router.post('/refresh', auth, (req, res) => {
+    try {
+        // Re-sign from the stored user so role or name changes are picked up
+        const token = req.userDoc.generateAuthToken();
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                token
+            }
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            error: 'Server error during token refresh',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/auth/password
+ * @desc    Change password of the current user
+ * @access  Private
+ */
+router.put('/password', auth, [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], handleValidationErrors, async(req, res) => {
     try {
-        const user = users.find(u => u.id === req.user.userId);
+        const user = await User.findById(req.user.userId).select('+password');
+
+        const isMatch = await user.comparePassword(req.body.currentPassword);
+        if (!isMatch) {
+            return res.status(401).json({
+                error: 'Current password is incorrect'
+            });
+        }
+
+        user.password = req.body.newPassword;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                token: user.generateAuthToken()
+            }
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            error: 'Server error during password change',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/auth/forgot-password
+ * @desc    Issue a password reset token
+ * @access  Public
+ */
+router.post('/forgot-password', [
+    body('email').isEmail().withMessage('Valid email is required')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+        // Same response whether or not the account exists
+        const response = {
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been issued'
+        };
+
+        if (user && user.isActive) {
+            const resetToken = user.createPasswordResetToken();
+            await user.save();
+
+            // The token is never returned to the caller. No mail transport is configured, so local
+            // development can opt in to having it written to the server log.
+            if (process.env.PASSWORD_RESET_LOG_TOKENS === 'true' && process.env.NODE_ENV !== 'production') {
+                console.log(`Password reset token for ${user.email}: ${resetToken}`);
+            }
+        }
+
+        res.json(response);
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            error: 'Server error during password reset request',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/auth/reset-password/:token
+ * @desc    Reset password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password/:token', [
+    param('token').isHexadecimal().withMessage('Invalid reset token'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const user = await User.findByResetToken(req.params.token);
+
+        if (!user) {
+            return res.status(400).json({
+                error: 'Reset token is invalid or has expired'
+            });
+        }
+
+        user.password = req.body.password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            error: 'Server error during password reset',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/auth/users
+ * @desc    List user accounts
+ * @access  Private (users:manage)
+ */
+router.get('/users', auth, requirePermission(PERMISSIONS.USERS_MANAGE), async(req, res) => {
+    try {
+        const users = await User.find().sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: users.map(user => user.toPublicJSON())
+        });
+
+    } catch (error) {
+        console.error('List users error:', error);
+        res.status(500).json({
+            error: 'Failed to fetch users',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/auth/users/:userId/deactivate
+ * @desc    Deactivate a user account
+ * @access  Private (users:manage)
+ */
+router.put('/users/:userId/deactivate', auth, requirePermission(PERMISSIONS.USERS_MANAGE), [
+    param('userId').isMongoId().withMessage('Valid user ID is required')
+], handleValidationErrors, async(req, res) => {
+    try {
+        if (req.params.userId === req.user.userId) {
+            return res.status(400).json({
+                error: 'You cannot deactivate your own account'
+            });
+        }
+
+        const user = await User.findById(req.params.userId);
 
         if (!user) {
             return res.status(404).json({
@@ -188,33 +333,33 @@ router.get('/me', require('../middleware/auth'), (req, res) => {
             });
         }
 
+        await user.deactivate();
+
         res.json({
             success: true,
-            data: {
-                id: user.id,
-                email: user.email,
-                role: user.role,
-                name: user.name
-            }
+            message: 'User deactivated successfully',
+            data: user.toPublicJSON()
         });
 
     } catch (error) {
-        console.error('Get user error:', error);
+        console.error('Deactivate user error:', error);
         res.status(500).json({
-            error: 'Server error',
+            error: 'Failed to deactivate user',
             message: error.message
         });
     }
 });
 
 /**
- * @route   POST /api/v1/auth/refresh
- * @desc    Refresh JWT token
- * @access  Private
+ * @route   PUT /api/v1/auth/users/:userId/activate
+ * @desc    Reactivate a user account
+ * @access  Private (users:manage)
  */
-router.post('/refresh', require('../middleware/auth'), (req, res) => {
+router.put('/users/:userId/activate', auth, requirePermission(PERMISSIONS.USERS_MANAGE), [
+    param('userId').isMongoId().withMessage('Valid user ID is required')
+], handleValidationErrors, async(req, res) => {
     try {
-        const user = users.find(u => u.id === req.user.userId);
+        const user = await User.findById(req.params.userId);
 
         if (!user) {
             return res.status(404).json({
@@ -222,33 +367,57 @@ router.post('/refresh', require('../middleware/auth'), (req, res) => {
             });
         }
 
-        // Generate new token
-        const payload = {
-            userId: user.id,
-            email: user.email,
-            role: user.role,
-            name: user.name
-        };
+        await user.activate();
 
-        const token = jwt.sign(payload, process.env.JWT_SECRET, {
-            expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        res.json({
+            success: true,
+            message: 'User activated successfully',
+            data: user.toPublicJSON()
         });
 
+    } catch (error) {
+        console.error('Activate user error:', error);
+        res.status(500).json({
+            error: 'Failed to activate user',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/auth/users/:userId/role
+ * @desc    Change the role of a user account
+ * @access  Private (users:manage)
+ */
+router.put('/users/:userId/role', auth, requirePermission(PERMISSIONS.USERS_MANAGE), [
+    param('userId').isMongoId().withMessage('Valid user ID is required'),
+    body('role').isIn(User.ROLES).withMessage('Invalid role')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const user = await User.findById(req.params.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        user.role = req.body.role;
+        await user.save();
+
         res.json({
             success: true,
-            message: 'Token refreshed successfully',
-            data: {
-                token
-            }
+            message: 'User role updated successfully',
+            data: user.toPublicJSON()
         });
 
     } catch (error) {
-        console.error('Token refresh error:', error);
+        console.error('Update role error:', error);
         res.status(500).json({
-            error: 'Server error during token refresh',
+            error: 'Failed to update user role',
             message: error.message
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -7,7 +7,10 @@ const express = require('express');
 const router = express.Router();
 const { query, validationResult } = require('express-validator');
 const Interview = require('../models/Interview');
+const Event = require('../models/Event');
 const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -24,10 +27,13 @@ const handleValidationErrors = (req, res, next) => {
 /**
  * @route   GET /api/v1/dashboard/overview
  * @desc    Get dashboard overview statistics
- * @access  Private
+ * @access  Private (dashboard:view)
  */
-router.get('/overview', auth, async(req, res) => {
+router.get('/overview', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async(req, res) => {
     try {
+        // Only interviews the user owns or is assigned to
+        const scope = Interview.accessFilterFor(req.user);
+        const eventScope = await Interview.eventAccessFilterFor(req.user);
         const today = new Date();
         const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
         const startOfWeek = new Date(today.setDate(today.getDate() - today.getDay()));
@@ -43,7 +49,7 @@ router.get('/overview', auth, async(req, res) => {
         ] = await Promise.all([
             // Today's statistics
             Interview.aggregate([
-                { $match: { 'sessionData.startTime': { $gte: startOfDay } } },
+                { $match: { 'sessionData.startTime': { $gte: startOfDay }, ...scope } },
                 {
                     $group: {
                         _id: null,
@@ -51,14 +57,14 @@ router.get('/overview', auth, async(req, res) => {
                         completed: { $sum: { $cond: [{ $eq: ['$sessionData.status', 'completed'] }, 1, 0] } },
                         inProgress: { $sum: { $cond: [{ $eq: ['$sessionData.status', 'in_progress'] }, 1, 0] } },
                         avgIntegrity: { $avg: '$scores.integrityScore' },
-                        totalViolations: { $sum: { $size: '$violations' } }
+                        totalViolations: { $sum: '$violationCounts.total' }
                     }
                 }
             ]),
 
             // This week's statistics
             Interview.aggregate([
-                { $match: { 'sessionData.startTime': { $gte: startOfWeek } } },
+                { $match: { 'sessionData.startTime': { $gte: startOfWeek }, ...scope } },
                 {
                     $group: {
                         _id: null,
@@ -71,7 +77,7 @@ router.get('/overview', auth, async(req, res) => {
 
             // This month's statistics
             Interview.aggregate([
-                { $match: { 'sessionData.startTime': { $gte: startOfMonth } } },
+                { $match: { 'sessionData.startTime': { $gte: startOfMonth }, ...scope } },
                 {
                     $group: {
                         _id: null,
@@ -83,30 +89,21 @@ router.get('/overview', auth, async(req, res) => {
             ]),
 
             // Active interviews
-            Interview.find({ 'sessionData.status': 'in_progress' })
+            Interview.find({ 'sessionData.status': 'in_progress', ...scope })
             .select('sessionId candidateInfo sessionData scores')
             .sort({ 'sessionData.startTime': -1 })
             .limit(10),
 
             // Recent violations (last 24 hours)
-            Interview.aggregate([
-                { $match: { 'sessionData.startTime': { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } } },
-                { $unwind: '$violations' },
-                { $match: { 'violations.timestamp': { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } } },
-                {
-                    $project: {
-                        sessionId: 1,
-                        candidateName: '$candidateInfo.name',
-                        violation: '$violations',
-                        integrityScore: '$scores.integrityScore'
-                    }
-                },
-                { $sort: { 'violation.timestamp': -1 } },
-                { $limit: 20 }
+            Event.aggregate([
+                { $match: { kind: 'violation', timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }, ...eventScope } },
+                { $sort: { timestamp: -1 } },
+                { $limit: 20 },
+                ...violationFeedStages()
             ]),
 
             // High-risk interviews requiring attention
-            Interview.find({ 'flags.isHighRisk': true, 'sessionData.status': { $in: ['completed', 'in_progress'] } })
+            Interview.find({ 'flags.isHighRisk': true, 'sessionData.status': { $in: ['completed', 'in_progress'] }, ...scope })
             .select('sessionId candidateInfo scores analysis sessionData')
             .sort({ 'sessionData.startTime': -1 })
             .limit(10)
@@ -143,29 +140,42 @@ router.get('/overview', auth, async(req, res) => {
 /**
  * @route   GET /api/v1/dashboard/active-interviews
  * @desc    Get currently active interviews
- * @access  Private
+ * @access  Private (dashboard:view)
  */
-router.get('/active-interviews', auth, async(req, res) => {
+router.get('/active-interviews', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async(req, res) => {
     try {
-        const activeInterviews = await Interview.find({ 'sessionData.status': 'in_progress' })
-            .select('sessionId candidateInfo sessionData scores violations flags')
+        const scope = Interview.accessFilterFor(req.user);
+        const activeInterviews = await Interview.find({ 'sessionData.status': 'in_progress', ...scope })
+            .select('sessionId candidateInfo sessionData scores violationCounts lastViolationAt flags analysis')
             .sort({ 'sessionData.startTime': -1 });
 
+        // Recent violation count (last 5 minutes) and latest violation per session
+        const recentThreshold = new Date(Date.now() - 5 * 60 * 1000);
+        const violationActivity = await Event.aggregate([
+            { $match: { kind: 'violation', sessionId: { $in: activeInterviews.map(interview => interview.sessionId) } } },
+            { $sort: { timestamp: 1 } },
+            {
+                $group: {
+                    _id: '$sessionId',
+                    recentViolationCount: { $sum: { $cond: [{ $gt: ['$timestamp', recentThreshold] }, 1, 0] } },
+                    lastViolation: { $last: { type: '$type', message: '$message', severity: '$severity', timestamp: '$timestamp' } }
+                }
+            }
+        ]);
+        const activityBySession = new Map(violationActivity.map(activity => [activity._id, activity]));
+
         // Calculate additional metrics for each interview
         const enrichedInterviews = activeInterviews.map(interview => {
             const currentTime = new Date();
             const elapsedTime = Math.floor((currentTime - interview.sessionData.startTime) / 1000);
-            const recentViolations = interview.violations.filter(v =>
-                new Date(v.timestamp) > new Date(Date.now() - 5 * 60 * 1000) // Last 5 minutes
-            );
+            const activity = activityBySession.get(interview.sessionId);
 
             return {
                 ...interview.toObject(),
                 elapsedTime,
                 formattedElapsedTime: formatTime(elapsedTime),
-                recentViolationCount: recentViolations.length,
-                lastViolation: interview.violations.length > 0 ?
-                    interview.violations[interview.violations.length - 1] : null
+                recentViolationCount: activity ? activity.recentViolationCount : 0,
+                lastViolation: activity ? activity.lastViolation : null
             };
         });
 
@@ -189,43 +199,33 @@ router.get('/active-interviews', auth, async(req, res) => {
 /**
  * @route   GET /api/v1/dashboard/violations/recent
  * @desc    Get recent violations across all interviews
- * @access  Private
+ * @access  Private (dashboard:view)
  */
-router.get('/violations/recent', auth, [
+router.get('/violations/recent', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), [
     query('hours').optional().isInt({ min: 1, max: 168 }).withMessage('Hours must be between 1-168'),
     query('severity').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid severity level'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100')
 ], handleValidationErrors, async(req, res) => {
     try {
+        const eventScope = await Interview.eventAccessFilterFor(req.user);
         const hours = parseInt(req.query.hours) || 24;
         const severity = req.query.severity;
         const limit = parseInt(req.query.limit) || 50;
 
         const timeThreshold = new Date(Date.now() - hours * 60 * 60 * 1000);
 
-        const pipeline = [
-            { $match: { 'sessionData.startTime': { $gte: timeThreshold } } },
-            { $unwind: '$violations' },
-            { $match: { 'violations.timestamp': { $gte: timeThreshold } } }
-        ];
+        const match = { kind: 'violation', timestamp: { $gte: timeThreshold }, ...eventScope };
 
         if (severity) {
-            pipeline.push({ $match: { 'violations.severity': severity } });
+            match.severity = severity;
         }
 
-        pipeline.push({
-            $project: {
-                sessionId: 1,
-                candidateName: '$candidateInfo.name',
-                candidateEmail: '$candidateInfo.email',
-                position: '$candidateInfo.position',
-                violation: '$violations',
-                integrityScore: '$scores.integrityScore',
-                interviewStatus: '$sessionData.status'
-            }
-        }, { $sort: { 'violation.timestamp': -1 } }, { $limit: limit });
-
-        const recentViolations = await Interview.aggregate(pipeline);
+        const recentViolations = await Event.aggregate([
+            { $match: match },
+            { $sort: { timestamp: -1 } },
+            { $limit: limit },
+            ...violationFeedStages()
+        ]);
 
         // Group violations by type for summary
         const violationSummary = {};
@@ -263,10 +263,12 @@ router.get('/violations/recent', auth, [
 /**
  * @route   GET /api/v1/dashboard/alerts
  * @desc    Get system alerts and notifications
- * @access  Private
+ * @access  Private (dashboard:view)
  */
-router.get('/alerts', auth, async(req, res) => {
+router.get('/alerts', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async(req, res) => {
     try {
+        const scope = Interview.accessFilterFor(req.user);
+        const eventScope = await Interview.eventAccessFilterFor(req.user);
         const now = new Date();
         const last24Hours = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 
@@ -278,13 +280,13 @@ router.get('/alerts', auth, async(req, res) => {
         ] = await Promise.all([
             // System-level alerts
             Interview.aggregate([
-                { $match: { 'sessionData.startTime': { $gte: last24Hours } } },
+                { $match: { 'sessionData.startTime': { $gte: last24Hours }, ...scope } },
                 {
                     $group: {
                         _id: null,
                         highViolationRate: {
                             $sum: {
-                                $cond: [{ $gt: [{ $size: '$violations' }, 5] }, 1, 0]
+                                $cond: [{ $gt: ['$violationCounts.total', 5] }, 1, 0]
                             }
                         },
                         lowIntegrityScores: {
@@ -304,30 +306,47 @@ router.get('/alerts', auth, async(req, res) => {
             // High-risk interviews needing immediate attention
             Interview.find({
                 'flags.isHighRisk': true,
-                'sessionData.status': 'in_progress'
-            }).select('sessionId candidateInfo scores violations'),
+                'sessionData.status': 'in_progress',
+                ...scope
+            }).select('sessionId candidateInfo scores violationCounts'),
 
             // Recent technical issues
             Interview.find({
                 'flags.technicalIssues': true,
-                'sessionData.startTime': { $gte: last24Hours }
-            }).select('sessionId candidateInfo sessionData events'),
+                'sessionData.startTime': { $gte: last24Hours },
+                ...scope
+            }).select('sessionId candidateInfo sessionData'),
 
             // Suspicious activity patterns
-            Interview.aggregate([
-                { $match: { 'sessionData.startTime': { $gte: last24Hours } } },
-                { $unwind: '$violations' },
+            Event.aggregate([
+                { $match: { kind: 'violation', timestamp: { $gte: last24Hours }, ...eventScope } },
                 {
                     $group: {
-                        _id: '$candidateInfo.email',
-                        candidateName: { $first: '$candidateInfo.name' },
+                        _id: '$sessionId',
                         violationCount: { $sum: 1 },
-                        sessions: { $addToSet: '$sessionId' },
                         highSeverityCount: {
-                            $sum: { $cond: [{ $eq: ['$violations.severity', 'high'] }, 1, 0] }
+                            $sum: { $cond: [{ $eq: ['$severity', 'high'] }, 1, 0] }
                         }
                     }
                 },
+                {
+                    $lookup: {
+                        from: Interview.collection.name,
+                        localField: '_id',
+                        foreignField: 'sessionId',
+                        as: 'interview'
+                    }
+                },
+                { $unwind: '$interview' },
+                {
+                    $group: {
+                        _id: '$interview.candidateInfo.email',
+                        candidateName: { $first: '$interview.candidateInfo.name' },
+                        violationCount: { $sum: '$violationCount' },
+                        sessions: { $addToSet: '$_id' },
+                        highSeverityCount: { $sum: '$highSeverityCount' }
+                    }
+                },
                 { $match: { violationCount: { $gte: 10 } } },
                 { $sort: { violationCount: -1 } }
             ])
@@ -422,14 +441,15 @@ router.get('/alerts', auth, async(req, res) => {
 /**
  * @route   GET /api/v1/dashboard/performance
  * @desc    Get system performance metrics
- * @access  Private
+ * @access  Private (dashboard:view)
  */
-router.get('/performance', auth, async(req, res) => {
+router.get('/performance', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async(req, res) => {
     try {
+        const scope = Interview.accessFilterFor(req.user);
         const last7Days = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
 
         const performanceMetrics = await Interview.aggregate([
-            { $match: { 'sessionData.startTime': { $gte: last7Days } } },
+            { $match: { 'sessionData.startTime': { $gte: last7Days }, ...scope } },
             {
                 $group: {
                     _id: {
@@ -446,7 +466,7 @@ router.get('/performance', auth, async(req, res) => {
                     },
                     averageIntegrityScore: { $avg: '$scores.integrityScore' },
                     averageDuration: { $avg: '$sessionData.duration' },
-                    totalViolations: { $sum: { $size: '$violations' } },
+                    totalViolations: { $sum: '$violationCounts.total' },
                     technicalIssues: {
                         $sum: { $cond: ['$flags.technicalIssues', 1, 0] }
                     }
@@ -489,6 +509,42 @@ router.get('/performance', auth, async(req, res) => {
     }
 });
 
+/**
+ * Helper function to join violation events with their interview for feed views
+ */
+function violationFeedStages() {
+    return [{
+            $lookup: {
+                from: Interview.collection.name,
+                localField: 'sessionId',
+                foreignField: 'sessionId',
+                as: 'interview'
+            }
+        },
+        { $unwind: '$interview' },
+        {
+            $project: {
+                _id: 0,
+                sessionId: 1,
+                candidateName: '$interview.candidateInfo.name',
+                candidateEmail: '$interview.candidateInfo.email',
+                position: '$interview.candidateInfo.position',
+                violation: {
+                    _id: '$_id',
+                    type: '$type',
+                    message: '$message',
+                    severity: '$severity',
+                    confidence: '$confidence',
+                    timestamp: '$timestamp',
+                    metadata: '$metadata'
+                },
+                integrityScore: '$interview.scores.integrityScore',
+                interviewStatus: '$interview.sessionData.status'
+            }
+        }
+    ];
+}
+
 /**
  * Helper function to format time in HH:MM:SS
  */
@@ -7,7 +7,16 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const Interview = require('../models/Interview');
+const Event = require('../models/Event');
+const PolicyProfile = require('../models/PolicyProfile');
+const Settings = require('../models/Settings');
 const auth = require('../middleware/auth');
+const mediaAuth = require('../middleware/mediaAuth');
+const { requirePermission, requireSessionAccess } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+const candidateAuth = require('../middleware/candidateAuth');
+const ViolationTypes = require('../config/violationTypes');
+const EvidenceStore = require('../services/evidenceStore');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -23,15 +32,18 @@ const handleValidationErrors = (req, res, next) => {
 
 /**
  * @route   POST /api/v1/interviews
- * @desc    Create a new interview session
- * @access  Public
+ * @desc    Create a new interview session owned by the current user
+ * @access  Private (interviews:create)
  */
-router.post('/', [
+router.post('/', auth, requirePermission(PERMISSIONS.INTERVIEWS_CREATE), [
     body('candidateName').notEmpty().trim().withMessage('Candidate name is required'),
     body('position').notEmpty().trim().withMessage('Position is required'),
     body('email').optional().isEmail().withMessage('Valid email is required'),
     body('interviewType').optional().isIn(['technical', 'behavioral', 'screening', 'final']),
-    body('scheduledDuration').optional().isInt({ min: 1, max: 300 }).withMessage('Duration must be between 1-300 minutes')
+    body('scheduledDuration').optional().isInt({ min: 1, max: 300 }).withMessage('Duration must be between 1-300 minutes'),
+    body('assignedInterviewers').optional().isArray().withMessage('Assigned interviewers must be an array'),
+    body('assignedInterviewers.*').isMongoId().withMessage('Assigned interviewer must be a valid user ID'),
+    body('policyProfileId').optional().isMongoId().withMessage('Policy profile ID must be valid')
 ], handleValidationErrors, async(req, res) => {
     try {
         const {
@@ -43,9 +55,25 @@ router.post('/', [
             interviewType = 'screening',
             scheduledDuration = 60,
             title,
-            description
+            description,
+            assignedInterviewers = [],
+            policyProfileId
         } = req.body;
 
+        // Explicit profile first, otherwise the profile for this interview type. Dashboard settings saved by
+        // the organization and this interviewer apply only where the profile does not set a value itself
+        const policy = await PolicyProfile.resolvePolicy({
+            profileId: policyProfileId,
+            interviewType,
+            settings: await Settings.resolveFor(req.user.userId)
+        });
+        if (!policy) {
+            return res.status(400).json({
+                error: 'Invalid policy profile',
+                message: 'Policy profile not found or inactive'
+            });
+        }
+
         // Generate unique session ID
         const sessionId = `interview_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -78,6 +106,12 @@ router.post('/', [
                     connection: req.body.connection
                 }
             },
+            interviewer: {
+                id: req.user.userId,
+                name: req.user.name,
+                email: req.user.email
+            },
+            assignedInterviewers,
             metadata: {
                 ipAddress: req.ip,
                 userAgent: req.get('User-Agent'),
@@ -86,6 +120,9 @@ router.post('/', [
             }
         });
 
+        interview.applyPolicy(policy);
+
+        const inviteCode = interview.createInviteCode();
         await interview.save();
 
         res.status(201).json({
@@ -93,7 +130,9 @@ router.post('/', [
             message: 'Interview session created successfully',
             data: {
                 sessionId: interview.sessionId,
-                interview: interview
+                interview: interview,
+                candidateToken: interview.generateCandidateToken(),
+                invite: buildInvite(interview, inviteCode)
             }
         });
 
@@ -108,13 +147,13 @@ router.post('/', [
 
 /**
  * @route   GET /api/v1/interviews
- * @desc    Get all interviews with pagination and filtering
- * @access  Private
+ * @desc    Get all interviews visible to the current user with pagination and filtering
+ * @access  Private (interviews:read)
  */
-router.get('/', [
+router.get('/', auth, requirePermission(PERMISSIONS.INTERVIEWS_READ), [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1-100'),
-    query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'failed']),
+    query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'failed', 'abandoned']),
     query('riskLevel').optional().isIn(['low', 'medium', 'high', 'critical']),
     query('startDate').optional().isISO8601().withMessage('Start date must be valid ISO date'),
     query('endDate').optional().isISO8601().withMessage('End date must be valid ISO date')
@@ -161,11 +200,14 @@ router.get('/', [
             ];
         }
 
+        // Restrict to interviews the user owns or is assigned to
+        filter.$and = [Interview.accessFilterFor(req.user)];
+
         const interviews = await Interview.find(filter)
             .sort({ 'sessionData.startTime': -1 })
             .skip(skip)
             .limit(limit)
-            .select('-events -metadata'); // Exclude large fields for list view
+            .select('-metadata'); // Exclude large fields for list view
 
         const total = await Interview.countDocuments(filter);
 
@@ -194,24 +236,22 @@ router.get('/', [
 /**
  * @route   GET /api/v1/interviews/:sessionId
  * @desc    Get interview by session ID
- * @access  Public
+ * @access  Private (interviews:read, owner or assigned)
  */
-router.get('/:sessionId', [
+router.get('/:sessionId', auth, requirePermission(PERMISSIONS.INTERVIEWS_READ), [
     param('sessionId').notEmpty().withMessage('Session ID is required')
-], handleValidationErrors, async(req, res) => {
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found',
-                message: 'No interview found with the provided session ID'
-            });
-        }
+        const recentViolations = await Event.find({ sessionId: req.interview.sessionId, kind: 'violation' })
+            .sort({ timestamp: -1 })
+            .limit(20);
 
         res.json({
             success: true,
-            data: interview
+            data: {
+                ...req.interview.toJSON(),
+                recentViolations: recentViolations.reverse()
+            }
         });
 
     } catch (error) {
@@ -224,43 +264,137 @@ router.get('/:sessionId', [
 });
 
 /**
- * @route   PUT /api/v1/interviews/:sessionId/start
- * @desc    Start an interview session
+ * @route   POST /api/v1/interviews/:sessionId/join
+ * @desc    Exchange an invite code for a candidate token
  * @access  Public
  */
-router.put('/:sessionId/start', [
-    param('sessionId').notEmpty().withMessage('Session ID is required')
+router.post('/:sessionId/join', [
+    param('sessionId').notEmpty().withMessage('Session ID is required'),
+    body('inviteCode').isHexadecimal().withMessage('Valid invite code is required')
 ], handleValidationErrors, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
+        const interview = await Interview.findByInviteCode(req.params.sessionId, req.body.inviteCode);
 
         if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
+            return res.status(401).json({
+                error: 'Invite link is invalid or has expired'
             });
         }
 
-        if (interview.sessionData.status !== 'scheduled') {
+        if (['completed', 'cancelled', 'failed', 'abandoned'].includes(interview.sessionData.status)) {
             return res.status(400).json({
-                error: 'Interview cannot be started',
+                error: 'Interview is no longer open',
                 message: `Interview is currently ${interview.sessionData.status}`
             });
         }
 
-        interview.sessionData.status = 'in_progress';
-        interview.sessionData.startTime = new Date();
+        res.json({
+            success: true,
+            message: 'Invite accepted',
+            data: {
+                sessionId: interview.sessionId,
+                candidateToken: interview.generateCandidateToken(),
+                candidateInfo: interview.candidateInfo,
+                interviewDetails: interview.interviewDetails,
+                reconnectGraceSeconds: Interview.RECONNECT_GRACE_SECONDS
+            }
+        });
 
-        // Add start event
-        interview.events.push({
-            id: `event_${Date.now()}`,
-            type: 'interview_started',
-            message: 'Interview session started',
-            severity: 'info',
-            timestamp: new Date()
+    } catch (error) {
+        console.error('Error accepting invite:', error);
+        res.status(500).json({
+            error: 'Failed to accept invite',
+            message: error.message
         });
+    }
+});
 
+/**
+ * @route   POST /api/v1/interviews/:sessionId/invite
+ * @desc    Issue a new invite link, revoking any candidate tokens already handed out
+ * @access  Private (interviews:create, owner or assigned)
+ */
+router.post('/:sessionId/invite', auth, requirePermission(PERMISSIONS.INTERVIEWS_CREATE), [
+    param('sessionId').notEmpty().withMessage('Session ID is required')
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
+    try {
+        const interview = req.interview;
+
+        interview.revokeCandidateTokens();
+        const inviteCode = interview.createInviteCode();
         await interview.save();
 
+        res.json({
+            success: true,
+            message: 'Invite issued successfully',
+            data: {
+                sessionId: interview.sessionId,
+                invite: buildInvite(interview, inviteCode)
+            }
+        });
+
+    } catch (error) {
+        console.error('Error issuing invite:', error);
+        res.status(500).json({
+            error: 'Failed to issue invite',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/interviews/:sessionId/policy
+ * @desc    Get the proctoring policy the candidate page configures detection from
+ * @access  Candidate token
+ */
+router.get('/:sessionId/policy', candidateAuth, [
+    param('sessionId').notEmpty().withMessage('Session ID is required')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const interview = req.interview;
+
+        // Interviews created before policy profiles fall back to the built-in profile for their type
+        const policy = interview.policy && interview.policy.detection ?
+            interview.policy :
+            PolicyProfile.builtInPolicy(interview.interviewDetails.interviewType);
+
+        res.json({
+            success: true,
+            data: {
+                name: policy.name,
+                detection: policy.detection
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching interview policy:', error);
+        res.status(500).json({
+            error: 'Failed to fetch interview policy',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/interviews/:sessionId/start
+ * @desc    Start an interview session
+ * @access  Candidate token
+ */
+router.put('/:sessionId/start', candidateAuth, [
+    param('sessionId').notEmpty().withMessage('Session ID is required')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const interview = req.interview;
+
+        if (interview.sessionData.status !== 'scheduled') {
+            return res.status(400).json({
+                error: 'Interview cannot be started',
+                message: `Interview is currently ${interview.sessionData.status}`
+            });
+        }
+
+        await interview.start();
+
         res.json({
             success: true,
             message: 'Interview started successfully',
@@ -279,56 +413,25 @@ router.put('/:sessionId/start', [
 /**
  * @route   PUT /api/v1/interviews/:sessionId/end
  * @desc    End an interview session
- * @access  Public
+ * @access  Candidate token
  */
-router.put('/:sessionId/end', [
+router.put('/:sessionId/end', candidateAuth, [
     param('sessionId').notEmpty().withMessage('Session ID is required'),
     body('finalData').optional().isObject()
 ], handleValidationErrors, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
+        const interview = req.interview;
 
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
-            });
-        }
+        // Reported statistics are validated; scores are computed server-side only
+        const statistics = req.body.finalData ? req.body.finalData.statistics : null;
 
-        if (interview.sessionData.status !== 'in_progress') {
+        if (!await interview.complete(statistics)) {
             return res.status(400).json({
                 error: 'Interview cannot be ended',
                 message: `Interview is currently ${interview.sessionData.status}`
             });
         }
 
-        const endTime = new Date();
-        const duration = Math.floor((endTime - interview.sessionData.startTime) / 1000);
-
-        interview.sessionData.status = 'completed';
-        interview.sessionData.endTime = endTime;
-        interview.sessionData.duration = duration;
-
-        // Update final data if provided
-        if (req.body.finalData) {
-            if (req.body.finalData.scores) {
-                Object.assign(interview.scores, req.body.finalData.scores);
-            }
-            if (req.body.finalData.statistics) {
-                Object.assign(interview.statistics, req.body.finalData.statistics);
-            }
-        }
-
-        // Add end event
-        interview.events.push({
-            id: `event_${Date.now()}`,
-            type: 'interview_ended',
-            message: 'Interview session ended',
-            severity: 'info',
-            timestamp: endTime
-        });
-
-        await interview.save();
-
         res.json({
             success: true,
             message: 'Interview ended successfully',
@@ -347,41 +450,38 @@ router.put('/:sessionId/end', [
 /**
  * @route   POST /api/v1/interviews/:sessionId/violations
  * @desc    Add a violation to an interview
- * @access  Public
+ * @access  Candidate token
  */
-router.post('/:sessionId/violations', [
+router.post('/:sessionId/violations', candidateAuth, [
     param('sessionId').notEmpty().withMessage('Session ID is required'),
-    body('type').isIn(['no_face', 'multiple_faces', 'focus_lost', 'unauthorized_object', 'eye_closure', 'camera_disabled', 'microphone_disabled']).withMessage('Invalid violation type'),
+    body('type').custom(type => ViolationTypes.isKnown(type)).withMessage('Unknown violation type'),
     body('message').notEmpty().withMessage('Violation message is required'),
-    body('severity').isIn(['low', 'medium', 'high']).withMessage('Invalid severity level'),
-    body('confidence').optional().isFloat({ min: 0, max: 1 }).withMessage('Confidence must be between 0 and 1')
+    body('severity').optional().isIn(ViolationTypes.SEVERITIES).withMessage('Invalid severity level'),
+    body('confidence').optional().isFloat({ min: 0, max: 1 }).withMessage('Confidence must be between 0 and 1'),
+    body('evidence.snapshot').optional().isString().withMessage('Evidence snapshot must be a data URL')
 ], handleValidationErrors, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
-            });
-        }
+        const interview = req.interview;
 
-        const violationData = {
+        const violationData = await EvidenceStore.extractEvidence(interview.sessionId, {
             type: req.body.type,
             message: req.body.message,
             severity: req.body.severity,
             confidence: req.body.confidence || 1,
             timestamp: new Date(),
-            metadata: req.body.metadata || {}
-        };
+            metadata: req.body.metadata || {},
+            evidence: req.body.evidence
+        });
 
-        await interview.addViolation(violationData);
+        const violation = await interview.addViolation(violationData);
 
         res.json({
             success: true,
             message: 'Violation added successfully',
             data: {
-                violation: violationData,
-                integrityScore: interview.scores.integrityScore
+                violation,
+                integrityScore: interview.scores.integrityScore,
+                scores: interview.scores
             }
         });
 
@@ -397,22 +497,18 @@ router.post('/:sessionId/violations', [
 /**
  * @route   POST /api/v1/interviews/:sessionId/events
  * @desc    Add an event to an interview
- * @access  Public
+ * @access  Candidate token
  */
-router.post('/:sessionId/events', [
+router.post('/:sessionId/events', candidateAuth, [
     param('sessionId').notEmpty().withMessage('Session ID is required'),
-    body('type').isIn(['interview_started', 'interview_ended', 'violation', 'camera_disabled', 'microphone_disabled', 'system_check', 'focus_change']).withMessage('Invalid event type'),
+    body('type').isIn(Event.CLIENT_EVENT_TYPES).withMessage('Invalid event type'),
     body('message').notEmpty().withMessage('Event message is required'),
-    body('severity').optional().isIn(['info', 'warning', 'danger']).withMessage('Invalid severity level')
+    body('severity').optional().isIn(Event.EVENT_SEVERITIES).withMessage('Invalid severity level'),
+    body('metadata.durationMs').optional()
+        .custom((durationMs, { req }) => req.interview.fitsSession(durationMs)).withMessage('Invalid event duration')
 ], handleValidationErrors, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
-            });
-        }
+        const interview = req.interview;
 
         const eventData = {
             id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
@@ -441,48 +537,34 @@ router.post('/:sessionId/events', [
 });
 
 /**
- * @route   PUT /api/v1/interviews/:sessionId/scores
- * @desc    Update interview scores
- * @access  Public
+ * @route   POST /api/v1/interviews/:sessionId/rescore
+ * @desc    Recompute scores from the stored violations and events under the current scoring rules
+ * @access  Private (interviews:read, owner or assigned)
  */
-router.put('/:sessionId/scores', [
-    param('sessionId').notEmpty().withMessage('Session ID is required'),
-    body('integrityScore').optional().isFloat({ min: 0, max: 100 }).withMessage('Integrity score must be between 0-100'),
-    body('focusScore').optional().isFloat({ min: 0, max: 100 }).withMessage('Focus score must be between 0-100'),
-    body('behaviorScore').optional().isFloat({ min: 0, max: 100 }).withMessage('Behavior score must be between 0-100')
-], handleValidationErrors, async(req, res) => {
+router.post('/:sessionId/rescore', auth, requirePermission(PERMISSIONS.INTERVIEWS_READ), [
+    param('sessionId').notEmpty().withMessage('Session ID is required')
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
-            });
-        }
+        const interview = req.interview;
+        const previousScores = interview.toObject().scores;
 
-        // Update scores
-        if (req.body.integrityScore !== undefined) {
-            interview.scores.integrityScore = req.body.integrityScore;
-        }
-        if (req.body.focusScore !== undefined) {
-            interview.scores.focusScore = req.body.focusScore;
-        }
-        if (req.body.behaviorScore !== undefined) {
-            interview.scores.behaviorScore = req.body.behaviorScore;
-        }
-
-        await interview.save();
+        await interview.rescore();
 
         res.json({
             success: true,
-            message: 'Scores updated successfully',
-            data: interview.scores
+            message: 'Interview re-scored successfully',
+            data: {
+                sessionId: interview.sessionId,
+                previousScores,
+                scores: interview.scores,
+                scoring: interview.scoring
+            }
         });
 
     } catch (error) {
-        console.error('Error updating scores:', error);
+        console.error('Error re-scoring interview:', error);
         res.status(500).json({
-            error: 'Failed to update scores',
+            error: 'Failed to re-score interview',
             message: error.message
         });
     }
@@ -491,32 +573,81 @@ router.put('/:sessionId/scores', [
 /**
  * @route   GET /api/v1/interviews/:sessionId/violations
  * @desc    Get all violations for an interview
- * @access  Public
+ * @access  Private (interviews:read, owner or assigned)
  */
-router.get('/:sessionId/violations', [
+router.get('/:sessionId/violations', auth, requirePermission(PERMISSIONS.INTERVIEWS_READ), [
     param('sessionId').notEmpty().withMessage('Session ID is required')
-], handleValidationErrors, async(req, res) => {
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId }).select('violations');
+        const violations = await req.interview.getViolations();
 
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
+        res.json({
+            success: true,
+            data: {
+                violations,
+                count: violations.length
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching violations:', error);
+        res.status(500).json({
+            error: 'Failed to fetch violations',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/interviews/:sessionId/evidence/:fileName
+ * @desc    Get an evidence snapshot stored with a violation
+ * @access  Private (interviews:read, owner or assigned; staff token or media link)
+ */
+router.get('/:sessionId/evidence/:fileName', mediaAuth, requirePermission(PERMISSIONS.INTERVIEWS_READ), [
+    param('sessionId').notEmpty().withMessage('Session ID is required'),
+    param('fileName').matches(/^[0-9a-f-]{36}\.jpg$/).withMessage('Evidence file name is not valid')
+], handleValidationErrors, requireSessionAccess, (req, res) => {
+    const relativePath = ['evidence', req.interview.sessionId, req.params.fileName].join('/');
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.sendFile(EvidenceStore.resolvePath(relativePath), error => {
+        if (error && !res.headersSent) {
+            res.status(error.statusCode === 404 ? 404 : 500).json({
+                error: error.statusCode === 404 ? 'Evidence not found' : 'Failed to fetch evidence'
             });
         }
+    });
+});
+
+/**
+ * @route   PUT /api/v1/interviews/:sessionId/assign
+ * @desc    Replace the interviewers assigned to an interview
+ * @access  Private (interviews:assign, owner or assigned)
+ */
+router.put('/:sessionId/assign', auth, requirePermission(PERMISSIONS.INTERVIEWS_ASSIGN), [
+    param('sessionId').notEmpty().withMessage('Session ID is required'),
+    body('interviewerIds').isArray().withMessage('Interviewer IDs must be an array'),
+    body('interviewerIds.*').isMongoId().withMessage('Interviewer ID must be a valid user ID')
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
+    try {
+        const interview = req.interview;
+
+        interview.assignedInterviewers = [...new Set(req.body.interviewerIds)];
+        await interview.save();
 
         res.json({
             success: true,
+            message: 'Interviewers assigned successfully',
             data: {
-                violations: interview.violations,
-                count: interview.violations.length
+                sessionId: interview.sessionId,
+                assignedInterviewers: interview.assignedInterviewers
             }
         });
 
     } catch (error) {
-        console.error('Error fetching violations:', error);
+        console.error('Error assigning interviewers:', error);
         res.status(500).json({
-            error: 'Failed to fetch violations',
+            error: 'Failed to assign interviewers',
             message: error.message
         });
     }
@@ -525,19 +656,13 @@ router.get('/:sessionId/violations', [
 /**
  * @route   DELETE /api/v1/interviews/:sessionId
  * @desc    Delete an interview (soft delete by changing status)
- * @access  Private
+ * @access  Private (interviews:delete)
  */
-router.delete('/:sessionId', auth, [
+router.delete('/:sessionId', auth, requirePermission(PERMISSIONS.INTERVIEWS_DELETE), [
     param('sessionId').notEmpty().withMessage('Session ID is required')
-], handleValidationErrors, async(req, res) => {
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
-            });
-        }
+        const interview = req.interview;
 
         interview.sessionData.status = 'cancelled';
         await interview.save();
@@ -559,16 +684,16 @@ router.delete('/:sessionId', auth, [
 /**
  * @route   GET /api/v1/interviews/stats/overview
  * @desc    Get interview statistics overview
- * @access  Private
+ * @access  Private (dashboard:view)
  */
-router.get('/stats/overview', auth, async(req, res) => {
+router.get('/stats/overview', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async(req, res) => {
     try {
         const dateRange = req.query.dateRange ? {
             start: new Date(req.query.startDate),
             end: new Date(req.query.endDate)
         } : null;
 
-        const stats = await Interview.getStatistics(dateRange);
+        const stats = await Interview.getStatistics(dateRange, Interview.accessFilterFor(req.user));
 
         res.json({
             success: true,
@@ -584,4 +709,18 @@ router.get('/stats/overview', auth, async(req, res) => {
     }
 });
 
+/**
+ * Helper function to build the candidate invite link
+ */
+function buildInvite(interview, inviteCode) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const params = new URLSearchParams({ session: interview.sessionId, invite: inviteCode });
+
+    return {
+        code: inviteCode,
+        url: `${frontendUrl}/?${params}`,
+        expiresAt: interview.candidateAccess.inviteExpires
+    };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * Policy Profile Routes
+ * Manage the named proctoring policies interviews are run under
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const PolicyProfile = require('../models/PolicyProfile');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+const { INTERVIEW_TYPES, withDetectionDefaults } = require('../config/policyProfiles');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Validation shared by create and update
+const profileValidation = [
+    body('description').optional().isString().trim(),
+    body('interviewTypes').optional().isArray().withMessage('Interview types must be an array'),
+    body('interviewTypes.*').isIn(INTERVIEW_TYPES).withMessage('Invalid interview type'),
+    body('isDefault').optional().isBoolean(),
+    body('detection').optional().isObject().withMessage('Detection settings must be an object'),
+    body(['detection.lookingAwayThreshold', 'detection.noFaceThreshold', 'detection.eyeClosureThreshold'])
+        .optional().isInt({ min: 0 }).withMessage('Durations must be positive milliseconds'),
+    body(['detection.headAngleThreshold', 'detection.headPoseThresholds.*'])
+        .optional().isFloat({ min: 0, max: 90 }).withMessage('Head angle must be between 0-90 degrees'),
+    body(['detection.confidenceThresholds.*.high', 'detection.confidenceThresholds.*.medium', 'detection.confidenceThresholds.*.low'])
+        .optional().isFloat({ min: 0, max: 1 }).withMessage('Confidence thresholds must be between 0 and 1'),
+    body(['detection.objectViolationThresholds.*', 'detection.violationPathways.*'])
+        .optional().isInt({ min: 1 }).withMessage('Detection counts must be at least 1'),
+    body(['detection.audio.backgroundVoiceThreshold', 'detection.audio.whisperThreshold', 'detection.browser.*'])
+        .optional().isInt({ min: 0 }).withMessage('Durations must be positive milliseconds'),
+    body('detection.input.enabled').optional().isBoolean().withMessage('Input monitoring switch must be a boolean'),
+    body(['detection.input.minPasteLength', 'detection.input.devtoolsSizeThreshold'])
+        .optional().isInt({ min: 0 }).withMessage('Input thresholds must be positive integers'),
+    body('detection.audio.loudNoiseJumpDb').optional().isFloat({ min: 1, max: 60 }).withMessage('Loud noise jump must be between 1-60 dB'),
+    body(['riskBands.low', 'riskBands.medium', 'riskBands.high'])
+        .optional().isFloat({ min: 0, max: 100 }).withMessage('Risk bands must be between 0-100')
+];
+
+/**
+ * @route   GET /api/v1/policies
+ * @desc    List active policy profiles with their complete detection settings
+ * @access  Private (interviews:read)
+ */
+router.get('/', auth, requirePermission(PERMISSIONS.INTERVIEWS_READ), async(req, res) => {
+    try {
+        const profiles = await PolicyProfile.find({ isActive: true }).sort({ isDefault: -1, name: 1 });
+
+        res.json({
+            success: true,
+            data: profiles.map(profile => ({
+                ...profile.toObject(),
+                resolved: profile.toPolicy()
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching policy profiles:', error);
+        res.status(500).json({
+            error: 'Failed to fetch policy profiles',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/policies/:profileId
+ * @desc    Get a policy profile
+ * @access  Private (interviews:read)
+ */
+router.get('/:profileId', auth, requirePermission(PERMISSIONS.INTERVIEWS_READ), [
+    param('profileId').isMongoId().withMessage('Valid profile ID is required')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const profile = await PolicyProfile.findById(req.params.profileId);
+
+        if (!profile) {
+            return res.status(404).json({
+                error: 'Policy profile not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ...profile.toObject(),
+                resolved: profile.toPolicy()
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching policy profile:', error);
+        res.status(500).json({
+            error: 'Failed to fetch policy profile',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/policies
+ * @desc    Create a policy profile
+ * @access  Private (policies:manage)
+ */
+router.post('/', auth, requirePermission(PERMISSIONS.POLICIES_MANAGE), [
+    body('name').notEmpty().trim().withMessage('Profile name is required'),
+    ...profileValidation
+], handleValidationErrors, async(req, res) => {
+    try {
+        const { name, description, interviewTypes = [], isDefault = false, detection = {}, riskBands = {} } = req.body;
+
+        const existingProfile = await PolicyProfile.findOne({ name: name.toLowerCase() });
+        if (existingProfile) {
+            return res.status(400).json({
+                error: 'Policy profile already exists',
+                message: `A profile named ${name} already exists`
+            });
+        }
+
+        const profile = new PolicyProfile({
+            name,
+            description,
+            interviewTypes,
+            isDefault,
+            detection: pickDetection(detection),
+            riskBands,
+            createdBy: req.user.userId
+        });
+
+        await profile.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Policy profile created successfully',
+            data: profile
+        });
+
+    } catch (error) {
+        console.error('Error creating policy profile:', error);
+        res.status(500).json({
+            error: 'Failed to create policy profile',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/policies/:profileId
+ * @desc    Update a policy profile (interviews already created keep the policy they were created with)
+ * @access  Private (policies:manage)
+ */
+router.put('/:profileId', auth, requirePermission(PERMISSIONS.POLICIES_MANAGE), [
+    param('profileId').isMongoId().withMessage('Valid profile ID is required'),
+    ...profileValidation
+], handleValidationErrors, async(req, res) => {
+    try {
+        const profile = await PolicyProfile.findById(req.params.profileId);
+
+        if (!profile) {
+            return res.status(404).json({
+                error: 'Policy profile not found'
+            });
+        }
+
+        ['description', 'interviewTypes', 'isDefault'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                profile[field] = req.body[field];
+            }
+        });
+        if (req.body.detection !== undefined) {
+            profile.detection = pickDetection(req.body.detection);
+        }
+        if (req.body.riskBands !== undefined) {
+            profile.riskBands = req.body.riskBands;
+        }
+
+        await profile.save();
+
+        res.json({
+            success: true,
+            message: 'Policy profile updated successfully',
+            data: profile
+        });
+
+    } catch (error) {
+        console.error('Error updating policy profile:', error);
+        res.status(500).json({
+            error: 'Failed to update policy profile',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/policies/:profileId
+ * @desc    Deactivate a policy profile (soft delete)
+ * @access  Private (policies:manage)
+ */
+router.delete('/:profileId', auth, requirePermission(PERMISSIONS.POLICIES_MANAGE), [
+    param('profileId').isMongoId().withMessage('Valid profile ID is required')
+], handleValidationErrors, async(req, res) => {
+    try {
+        const profile = await PolicyProfile.findById(req.params.profileId);
+
+        if (!profile) {
+            return res.status(404).json({
+                error: 'Policy profile not found'
+            });
+        }
+
+        if (profile.isDefault) {
+            return res.status(400).json({
+                error: 'Cannot deactivate the default profile',
+                message: 'Make another profile the default first'
+            });
+        }
+
+        profile.isActive = false;
+        await profile.save();
+
+        res.json({
+            success: true,
+            message: 'Policy profile deactivated successfully'
+        });
+
+    } catch (error) {
+        console.error('Error deactivating policy profile:', error);
+        res.status(500).json({
+            error: 'Failed to deactivate policy profile',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Helper function to keep only the detection settings the detector understands
+ */
+function pickDetection(detection) {
+    const known = Object.keys(withDetectionDefaults());
+
+    return Object.keys(detection)
+        .filter(key => known.includes(key))
+        .reduce((picked, key) => ({ ...picked, [key]: detection[key] }), {});
+}
+
+module.exports = router;
@@ -0,0 +1,234 @@
+/**
+ * Recording Routes
+ * Upload of session video segments from the candidate page and lookup of violation clips
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { body, param, query, validationResult } = require('express-validator');
+const Recording = require('../models/Recording');
+const auth = require('../middleware/auth');
+const mediaAuth = require('../middleware/mediaAuth');
+const candidateAuth = require('../middleware/candidateAuth');
+const { requirePermission, requireSessionAccess } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const MAX_SEGMENT_BYTES = (parseInt(process.env.RECORDING_MAX_SEGMENT_MB) || 50) * 1024 * 1024;
+const MIME_TYPES = ['video/webm', 'video/mp4'];
+
+// Segments are stored as uploads/recordings/<sessionId>/<random name> and only served through
+// the authenticated segment file route below
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, callback) => {
+            const directory = path.join(UPLOADS_DIR, 'recordings', req.interview.sessionId);
+            fs.mkdir(directory, { recursive: true }, error => callback(error, directory));
+        },
+        filename: (req, file, callback) => {
+            const extension = file.mimetype.startsWith('video/mp4') ? 'mp4' : 'webm';
+            callback(null, `${uuidv4()}.${extension}`);
+        }
+    }),
+    limits: { fileSize: MAX_SEGMENT_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+        callback(null, MIME_TYPES.some(type => file.mimetype.startsWith(type)));
+    }
+});
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        // Drop a segment that was stored before its fields failed validation
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+/**
+ * @route   POST /api/v1/recordings/:sessionId/segments
+ * @desc    Upload one recorded video segment (multipart field `segment`)
+ * @access  Candidate token
+ */
+router.post('/:sessionId/segments', candidateAuth, (req, res, next) => {
+    upload.single('segment')(req, res, error => {
+        if (error) {
+            return res.status(400).json({
+                error: 'Upload failed',
+                message: error.message
+            });
+        }
+        next();
+    });
+}, [
+    param('sessionId').notEmpty().withMessage('Session ID is required'),
+    body('sequence').isInt({ min: 0 }).withMessage('Sequence must be a non-negative integer'),
+    body('startTime').isISO8601().withMessage('Start time must be a valid ISO date'),
+    body('endTime').isISO8601().withMessage('End time must be a valid ISO date')
+], handleValidationErrors, async(req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'Upload failed',
+                message: 'A video segment (video/webm or video/mp4) is required'
+            });
+        }
+
+        const interview = req.interview;
+
+        // A retried upload replaces the earlier copy of the same segment
+        const previous = await Recording.findOne({ sessionId: interview.sessionId, sequence: req.body.sequence });
+        if (previous) {
+            fs.unlink(path.join(UPLOADS_DIR, previous.path), () => {});
+            await previous.deleteOne();
+        }
+
+        const recording = await Recording.create({
+            sessionId: interview.sessionId,
+            interview: interview._id,
+            sequence: req.body.sequence,
+            startTime: new Date(req.body.startTime),
+            endTime: new Date(req.body.endTime),
+            mimeType: req.file.mimetype,
+            size: req.file.size,
+            path: path.relative(UPLOADS_DIR, req.file.path).split(path.sep).join('/')
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Segment uploaded successfully',
+            data: {
+                id: recording._id,
+                sequence: recording.sequence
+            }
+        });
+
+    } catch (error) {
+        if (req.file) {
+            fs.unlink(req.file.path, () => {});
+        }
+        console.error('Error storing recording segment:', error);
+        res.status(500).json({
+            error: 'Failed to store recording segment',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/recordings/:sessionId
+ * @desc    List the recorded segments of an interview
+ * @access  Private (reports:read, owner or assigned)
+ */
+router.get('/:sessionId', auth, requirePermission(PERMISSIONS.REPORTS_READ), [
+    param('sessionId').notEmpty().withMessage('Session ID is required')
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
+    try {
+        const segments = await Recording.getSegments(req.interview.sessionId);
+
+        res.json({
+            success: true,
+            data: segments.map(segment => ({
+                id: segment._id,
+                sequence: segment.sequence,
+                startTime: segment.startTime,
+                endTime: segment.endTime,
+                durationMs: segment.durationMs,
+                mimeType: segment.mimeType,
+                size: segment.size,
+                url: segment.url
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching recordings:', error);
+        res.status(500).json({
+            error: 'Failed to fetch recordings',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/recordings/:sessionId/segments/:recordingId/file
+ * @desc    Stream a recorded segment (supports range requests for seeking)
+ * @access  Private (reports:read, owner or assigned; staff token or media link)
+ */
+router.get('/:sessionId/segments/:recordingId/file', mediaAuth, requirePermission(PERMISSIONS.REPORTS_READ), [
+    param('sessionId').notEmpty().withMessage('Session ID is required'),
+    param('recordingId').isMongoId().withMessage('Recording ID must be valid')
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
+    try {
+        const recording = await Recording.findOne({ _id: req.params.recordingId, sessionId: req.interview.sessionId });
+
+        if (!recording) {
+            return res.status(404).json({
+                error: 'Recording not found'
+            });
+        }
+
+        res.set('Cache-Control', 'private, max-age=3600');
+        res.sendFile(path.join(UPLOADS_DIR, ...recording.path.split('/')), { headers: { 'Content-Type': recording.mimeType } }, error => {
+            if (error && !res.headersSent) {
+                res.status(error.statusCode || 500).json({
+                    error: 'Failed to stream recording'
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error('Error streaming recording:', error);
+        res.status(500).json({
+            error: 'Failed to stream recording',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/recordings/:sessionId/clip
+ * @desc    Get the clip around a moment of the interview
+ * @access  Private (reports:read, owner or assigned)
+ */
+router.get('/:sessionId/clip', auth, requirePermission(PERMISSIONS.REPORTS_READ), [
+    param('sessionId').notEmpty().withMessage('Session ID is required'),
+    query('at').isISO8601().withMessage('Timestamp must be a valid ISO date'),
+    query('padding').optional().isInt({ min: 0, max: 60000 }).withMessage('Padding must be between 0-60000 ms')
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
+    try {
+        const padding = req.query.padding !== undefined ? parseInt(req.query.padding) : Recording.CLIP_PADDING_MS;
+        const [clip] = await Recording.findClips(req.interview.sessionId, [req.query.at], padding);
+
+        if (!clip) {
+            return res.status(404).json({
+                error: 'Clip not found',
+                message: 'No recording covers the requested time'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: clip
+        });
+
+    } catch (error) {
+        console.error('Error fetching clip:', error);
+        res.status(500).json({
+            error: 'Failed to fetch clip',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -7,7 +7,15 @@ const express = require('express');
 const router = express.Router();
 const { param, query, validationResult } = require('express-validator');
 const Interview = require('../models/Interview');
+const Event = require('../models/Event');
+const Recording = require('../models/Recording');
+const ChatMessage = require('../models/ChatMessage');
+const EvidenceStore = require('../services/evidenceStore');
+const ViolationTypes = require('../config/violationTypes');
 const auth = require('../middleware/auth');
+const { createMediaLink } = require('../middleware/mediaAuth');
+const { requirePermission, requireSessionAccess } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
@@ -27,23 +35,22 @@ const handleValidationErrors = (req, res, next) => {
 /**
  * @route   GET /api/v1/reports/:sessionId
  * @desc    Generate comprehensive report for an interview
- * @access  Public
+ * @access  Private (reports:read, owner or assigned)
  */
-router.get('/:sessionId', [
+router.get('/:sessionId', auth, requirePermission(PERMISSIONS.REPORTS_READ), [
     param('sessionId').notEmpty().withMessage('Session ID is required')
-], handleValidationErrors, async(req, res) => {
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found',
-                message: 'No interview found with the provided session ID'
-            });
-        }
+        const interview = req.interview;
+        const [violations, events, chat] = await Promise.all([
+            interview.getViolations(),
+            interview.getEvents(),
+            ChatMessage.getTranscript(interview.sessionId)
+        ]);
+        const clips = await Recording.findClips(interview.sessionId, violations.map(v => v.timestamp));
 
         // Generate comprehensive report
-        const report = generateDetailedReport(interview);
+        const report = generateDetailedReport(interview, violations, events, clips, chat);
 
         res.json({
             success: true,
@@ -62,22 +69,21 @@ router.get('/:sessionId', [
 /**
  * @route   GET /api/v1/reports/:sessionId/pdf
  * @desc    Generate PDF report for an interview
- * @access  Public
+ * @access  Private (reports:read, owner or assigned)
  */
-router.get('/:sessionId/pdf', [
+router.get('/:sessionId/pdf', auth, requirePermission(PERMISSIONS.REPORTS_READ), [
     param('sessionId').notEmpty().withMessage('Session ID is required')
-], handleValidationErrors, async(req, res) => {
+], handleValidationErrors, requireSessionAccess, async(req, res) => {
     try {
-        const interview = await Interview.findOne({ sessionId: req.params.sessionId });
-
-        if (!interview) {
-            return res.status(404).json({
-                error: 'Interview not found'
-            });
-        }
+        const interview = req.interview;
+        const [violations, chat] = await Promise.all([
+            interview.getViolations(),
+            ChatMessage.getTranscript(interview.sessionId)
+        ]);
+        const clips = await Recording.findClips(interview.sessionId, violations.map(v => v.timestamp));
 
-        // Generate PDF
-        const pdfBuffer = await generatePDFReport(interview);
+        // Generate PDF (clip links need the server's absolute URL)
+        const pdfBuffer = await generatePDFReport(interview, violations, clips, url => `${req.protocol}://${req.get('host')}${createMediaLink(url, req.user.userId)}`, chat);
 
         // Set headers for PDF download
         res.setHeader('Content-Type', 'application/pdf');
@@ -97,10 +103,10 @@ router.get('/:sessionId/pdf', [
 
 /**
  * @route   GET /api/v1/reports/analytics/overview
- * @desc    Get analytics overview for all interviews
- * @access  Private
+ * @desc    Get analytics overview for all interviews visible to the user
+ * @access  Private (reports:analytics)
  */
-router.get('/analytics/overview', auth, [
+router.get('/analytics/overview', auth, requirePermission(PERMISSIONS.REPORTS_ANALYTICS), [
     query('startDate').optional().isISO8601().withMessage('Start date must be valid ISO date'),
     query('endDate').optional().isISO8601().withMessage('End date must be valid ISO date'),
     query('department').optional().isString(),
@@ -109,8 +115,8 @@ router.get('/analytics/overview', auth, [
     try {
         const { startDate, endDate, department, position } = req.query;
 
-        // Build filter
-        const filter = {};
+        // Build filter, limited to interviews the user may see
+        const filter = Interview.accessFilterFor(req.user);
 
         if (startDate || endDate) {
             filter['sessionData.startTime'] = {};
@@ -141,9 +147,9 @@ router.get('/analytics/overview', auth, [
 /**
  * @route   GET /api/v1/reports/analytics/violations
  * @desc    Get violation analytics
- * @access  Private
+ * @access  Private (reports:analytics)
  */
-router.get('/analytics/violations', auth, [
+router.get('/analytics/violations', auth, requirePermission(PERMISSIONS.REPORTS_ANALYTICS), [
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
     query('violationType').optional().isString()
@@ -151,27 +157,30 @@ router.get('/analytics/violations', auth, [
     try {
         const { startDate, endDate, violationType } = req.query;
 
-        const matchStage = {};
+        const matchStage = { kind: 'violation', ...await Interview.eventAccessFilterFor(req.user) };
 
         if (startDate || endDate) {
-            matchStage['sessionData.startTime'] = {};
-            if (startDate) matchStage['sessionData.startTime'].$gte = new Date(startDate);
-            if (endDate) matchStage['sessionData.startTime'].$lte = new Date(endDate);
+            matchStage.timestamp = {};
+            if (startDate) matchStage.timestamp.$gte = new Date(startDate);
+            if (endDate) matchStage.timestamp.$lte = new Date(endDate);
+        }
+
+        if (violationType) {
+            matchStage.type = violationType;
         }
 
         const pipeline = [
             { $match: matchStage },
-            { $unwind: '$violations' },
             {
                 $group: {
-                    _id: '$violations.type',
+                    _id: '$type',
                     count: { $sum: 1 },
                     averageSeverity: {
                         $avg: {
                             $cond: [
-                                { $eq: ['$violations.severity', 'high'] },
+                                { $eq: ['$severity', 'high'] },
                                 3,
-                                { $cond: [{ $eq: ['$violations.severity', 'medium'] }, 2, 1] }
+                                { $cond: [{ $eq: ['$severity', 'medium'] }, 2, 1] }
                             ]
                         }
                     },
@@ -190,15 +199,14 @@ router.get('/analytics/violations', auth, [
             { $sort: { count: -1 } }
         ];
 
-        if (violationType) {
-            pipeline.splice(1, 0, { $match: { 'violations.type': violationType } });
-        }
-
-        const violationStats = await Interview.aggregate(pipeline);
+        const violationStats = await Event.aggregate(pipeline);
 
         res.json({
             success: true,
-            data: violationStats
+            data: violationStats.map(stat => ({
+                ...stat,
+                label: ViolationTypes.get(stat.violationType).label
+            }))
         });
 
     } catch (error) {
@@ -213,9 +221,9 @@ router.get('/analytics/violations', auth, [
 /**
  * @route   GET /api/v1/reports/analytics/trends
  * @desc    Get trend analytics over time
- * @access  Private
+ * @access  Private (reports:analytics)
  */
-router.get('/analytics/trends', auth, [
+router.get('/analytics/trends', auth, requirePermission(PERMISSIONS.REPORTS_ANALYTICS), [
     query('period').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Period must be daily, weekly, or monthly'),
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601()
@@ -223,7 +231,7 @@ router.get('/analytics/trends', auth, [
     try {
         const { period = 'daily', startDate, endDate } = req.query;
 
-        const matchStage = {};
+        const matchStage = Interview.accessFilterFor(req.user);
 
         if (startDate || endDate) {
             matchStage['sessionData.startTime'] = {};
@@ -265,7 +273,7 @@ router.get('/analytics/trends', auth, [
                     },
                     averageIntegrityScore: { $avg: '$scores.integrityScore' },
                     averageDuration: { $avg: '$sessionData.duration' },
-                    totalViolations: { $sum: { $size: '$violations' } },
+                    totalViolations: { $sum: '$violationCounts.total' },
                     highRiskInterviews: {
                         $sum: { $cond: ['$flags.isHighRisk', 1, 0] }
                     }
@@ -294,17 +302,17 @@ router.get('/analytics/trends', auth, [
 /**
  * @route   GET /api/v1/reports/export/csv
  * @desc    Export interview data as CSV
- * @access  Private
+ * @access  Private (reports:export)
  */
-router.get('/export/csv', auth, [
+router.get('/export/csv', auth, requirePermission(PERMISSIONS.REPORTS_EXPORT), [
     query('startDate').optional().isISO8601(),
     query('endDate').optional().isISO8601(),
-    query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'failed'])
+    query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'failed', 'abandoned'])
 ], handleValidationErrors, async(req, res) => {
     try {
         const { startDate, endDate, status } = req.query;
 
-        const filter = {};
+        const filter = Interview.accessFilterFor(req.user);
 
         if (startDate || endDate) {
             filter['sessionData.startTime'] = {};
@@ -315,11 +323,22 @@ router.get('/export/csv', auth, [
         if (status) filter['sessionData.status'] = status;
 
         const interviews = await Interview.find(filter)
-            .select('sessionId candidateInfo sessionData scores violations analysis')
+            .select('sessionId candidateInfo sessionData scores violationCounts analysis flags')
             .sort({ 'sessionData.startTime': -1 });
 
+        // Violation counts per session and type
+        const typeCounts = await Event.aggregate([
+            { $match: { kind: 'violation', sessionId: { $in: interviews.map(interview => interview.sessionId) } } },
+            { $group: { _id: { sessionId: '$sessionId', type: '$type' }, count: { $sum: 1 } } }
+        ]);
+        const violationTypesBySession = {};
+        typeCounts.forEach(({ _id, count }) => {
+            violationTypesBySession[_id.sessionId] = violationTypesBySession[_id.sessionId] || {};
+            violationTypesBySession[_id.sessionId][_id.type] = count;
+        });
+
         // Generate CSV
-        const csv = generateCSV(interviews);
+        const csv = generateCSV(interviews, violationTypesBySession);
 
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename="interview-data.csv"');
@@ -337,9 +356,9 @@ router.get('/export/csv', auth, [
 /**
  * Generate detailed report for an interview
  */
-function generateDetailedReport(interview) {
+function generateDetailedReport(interview, violations, events, clips = [], chat = []) {
     const violationsByType = {};
-    interview.violations.forEach(violation => {
+    violations.forEach(violation => {
         if (!violationsByType[violation.type]) {
             violationsByType[violation.type] = 0;
         }
@@ -347,7 +366,7 @@ function generateDetailedReport(interview) {
     });
 
     const eventsByType = {};
-    interview.events.forEach(event => {
+    events.forEach(event => {
         if (!eventsByType[event.type]) {
             eventsByType[event.type] = 0;
         }
@@ -381,11 +400,25 @@ function generateDetailedReport(interview) {
             keyFindings: interview.analysis.keyFindings
         },
         statistics: {
-            totalViolations: interview.violations.length,
+            totalViolations: violations.length,
             violationsByType,
-            totalEvents: interview.events.length,
+            totalEvents: events.length,
             eventsByType,
-            highSeverityViolations: interview.violations.filter(v => v.severity === 'high').length
+            highSeverityViolations: violations.filter(v => v.severity === 'high').length,
+            audio: interview.statistics.audio,
+            input: interview.statistics.input,
+            eyes: interview.statistics.eyes,
+            lips: interview.statistics.lips,
+            headPose: interview.statistics.headPose,
+            gaze: interview.statistics.gaze,
+            identity: interview.statistics.identity,
+            identityReference: interview.identityReference && interview.identityReference.path ? {
+                url: interview.identityReference.url,
+                threshold: interview.identityReference.threshold,
+                enrolledAt: interview.identityReference.enrolledAt
+            } : null,
+            eventCounts: interview.statistics.eventCounts,
+            timers: interview.statistics.timers
         },
         flags: {
             hasViolations: interview.flags.hasViolations,
@@ -393,19 +426,30 @@ function generateDetailedReport(interview) {
             isHighRisk: interview.flags.isHighRisk,
             technicalIssues: interview.flags.technicalIssues
         },
-        violations: interview.violations.map(v => ({
+        violations: violations.map((v, index) => ({
             type: v.type,
+            label: ViolationTypes.get(v.type).label,
             message: v.message,
             severity: v.severity,
             timestamp: v.timestamp,
-            confidence: v.confidence
+            confidence: v.confidence,
+            evidence: v.metadata && v.metadata.evidence ? v.metadata.evidence : null,
+            clip: clips[index] || null
         })),
-        timeline: interview.events.map(e => ({
+        timeline: events.map(e => ({
             type: e.type,
             message: e.message,
             severity: e.severity,
             timestamp: e.timestamp
         })).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)),
+        chat: chat.map(message => ({
+            sender: message.sender.role,
+            name: message.sender.name || null,
+            kind: message.kind,
+            text: message.text,
+            sentAt: message.createdAt,
+            readAt: message.readAt || null
+        })),
         generatedAt: new Date(),
         reportVersion: '1.0'
     };
@@ -413,8 +457,10 @@ function generateDetailedReport(interview) {
 
 /**
  * Generate PDF report
+ * Clip links carry a media token for the user generating the report, as a PDF viewer cannot send
+ * the dashboard's credentials; mediaLink turns a stored file URL into such a link.
  */
-async function generatePDFReport(interview) {
+async function generatePDFReport(interview, violations, clips = [], mediaLink = url => url, chat = []) {
     return new Promise((resolve, reject) => {
         try {
             const doc = new PDFDocument({ margin: 50 });
@@ -453,12 +499,175 @@ async function generatePDFReport(interview) {
             doc.text(`Summary: ${interview.analysis.summary}`);
             doc.moveDown();
 
+            // Time away from the interview
+            const timers = interview.statistics.timers || {};
+            if (timers.tabHiddenTime || timers.windowBlurTime || timers.fullscreenExitTime) {
+                doc.fontSize(16).text('Browser Focus', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Other Tabs: ${timers.tabHiddenTime || 0}s`);
+                doc.text(`Window Unfocused: ${timers.windowBlurTime || 0}s`);
+                doc.text(`Outside Fullscreen: ${timers.fullscreenExitTime || 0}s`);
+                doc.moveDown();
+            }
+
+            // Connection drops the candidate resumed from
+            const connection = interview.sessionData.connection || {};
+            if (connection.reconnectCount > 0) {
+                doc.fontSize(16).text('Connection', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Reconnections: ${connection.reconnectCount}`);
+                doc.text(`Time Disconnected: ${timers.disconnectedTime || 0}s`);
+                doc.moveDown();
+            }
+
+            // Audio
+            const audio = interview.statistics.audio;
+            if (audio && audio.monitoredTime > 0) {
+                doc.fontSize(16).text('Audio Monitoring', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Average Level: ${audio.averageLevelDb} dB (peak ${audio.peakLevelDb} dB, noise floor ${audio.noiseFloorDb} dB)`);
+                doc.text(`Speech Activity: ${audio.speechTime}s (${Math.round(audio.speechRatio * 100)}% of monitored time)`);
+                doc.text(`Background Voices: ${audio.backgroundVoiceTime}s`);
+                doc.text(`Whispering: ${audio.whisperTime}s`);
+                doc.text(`Sudden Loud Noises: ${audio.loudNoiseCount}`);
+                doc.moveDown();
+            }
+
+            // Identity verification against the reference face from the system check
+            const identity = interview.statistics.identity;
+            const reference = interview.identityReference;
+            if (identity && identity.enrolled) {
+                doc.fontSize(16).text('Identity Verification', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Reference Face Enrolled: ${identity.enrolledAt ? identity.enrolledAt.toLocaleString() : 'Yes'} (match threshold ${Math.round(identity.threshold * 100)}%)`);
+                doc.text('Impersonation alerts come from an on-device face comparison and are leads for review, not findings.');
+
+                const referencePath = reference && reference.path ? EvidenceStore.resolvePath(reference.path) : null;
+                if (referencePath && fs.existsSync(referencePath)) {
+                    if (doc.y > doc.page.height - 200) {
+                        doc.addPage();
+                    }
+                    doc.image(referencePath, doc.x + 20, doc.y + 4, { fit: [160, 120] });
+                    doc.y += 130;
+                }
+
+                doc.text(`Checks: ${identity.checks}, Mismatches: ${identity.mismatches}, Impersonation Alerts: ${identity.impersonationCount}`);
+                if (identity.checks > 0) {
+                    doc.text(`Similarity: average ${Math.round(identity.averageSimilarity * 100)}%, lowest ${Math.round(identity.lowestSimilarity * 100)}%`);
+                }
+
+                const mismatches = identity.history.filter(check => !check.matched).slice(0, 20);
+                mismatches.forEach(check => {
+                    doc.text(`    Mismatch at ${check.timestamp.toLocaleTimeString()}: ${Math.round(check.similarity * 100)}% similar`);
+                });
+                doc.moveDown();
+            }
+
+            // Eyes
+            const eyes = interview.statistics.eyes;
+            if (eyes && eyes.trackedTime > 0) {
+                doc.fontSize(16).text('Eye Activity', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Blinks: ${eyes.blinkCount} (${eyes.blinkRate} per minute)`);
+                doc.text(`Prolonged Eye Closures: ${interview.statistics.eventCounts.eyeClosure} (${timers.eyeClosedTime || 0}s eyes closed)`);
+                doc.text(`Drowsiness Episodes: ${eyes.drowsinessCount}`);
+                doc.moveDown();
+            }
+
+            // Head pose: where the candidate looked away to, and the longest episodes
+            const headPose = interview.statistics.headPose;
+            if (headPose && headPose.trackedTime > 0) {
+                doc.fontSize(16).text('Head Pose', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Time Looking Away: ${headPose.awayTime}s of ${headPose.trackedTime}s tracked`);
+
+                const directions = Array.from((headPose.timeByDirection || new Map()).entries())
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([direction, seconds]) => `${direction} ${seconds}s`);
+                if (directions.length > 0) {
+                    doc.text(`By Direction: ${directions.join(', ')}`);
+                }
+
+                const longest = [...headPose.episodes].sort((a, b) => b.duration - a.duration).slice(0, 10);
+                longest.forEach(episode => {
+                    doc.text(`    Looking ${episode.direction} for ${episode.duration}s at ${episode.startedAt.toLocaleTimeString()}${episode.flagged ? ' (flagged)' : ''}`);
+                });
+                doc.moveDown();
+            }
+
+            // Gaze: time with the eyes off the screen and where on the screen the candidate looked
+            const gaze = interview.statistics.gaze;
+            if (gaze && gaze.calibrated && gaze.trackedTime > 0) {
+                doc.fontSize(16).text('Gaze', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Eyes Off Screen: ${gaze.offScreenTime}s of ${gaze.trackedTime}s tracked (${Math.round(gaze.offScreenRatio * 100)}%)`);
+                doc.text(`Off-Screen Episodes: ${gaze.offScreenEpisodes} (longest ${gaze.longestOffScreen}s)`);
+                drawGazeHeatmap(doc, gaze.heatmap);
+                doc.moveDown();
+            }
+
+            // Talking, from lip movement compared with the microphone
+            const lips = interview.statistics.lips;
+            if (lips && lips.trackedTime > 0) {
+                doc.fontSize(16).text('Talking', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Talking Time: ${lips.talkingTime}s (${Math.round(lips.talkingRatio * 100)}% of tracked time)`);
+                doc.text(`Talking Segments: ${lips.talkingSegments} (longest ${lips.longestSegment}s)`);
+                doc.text(`Lips Moving Without Speech: ${lips.silentLipMovementTime}s`);
+                doc.text(`Speech With Still Lips: ${lips.speechWithoutLipMovementTime}s`);
+                doc.moveDown();
+            }
+
+            // Clipboard and input
+            const input = interview.statistics.input;
+            if (input && (input.pasteCount || input.copyCount || input.cutCount || input.contextMenuCount || input.shortcutCount || input.devtoolsOpenCount)) {
+                doc.fontSize(16).text('Clipboard & Input Activity', { underline: true });
+                doc.fontSize(12);
+                doc.text(`Pastes: ${input.pasteCount} (${input.pastedCharacters} characters)`);
+                doc.text(`Copies / Cuts: ${input.copyCount} / ${input.cutCount}`);
+                doc.text(`Right-Click Menus: ${input.contextMenuCount}`);
+                doc.text(`Suspicious Shortcuts: ${input.shortcutCount}`);
+                doc.text(`Developer Tools Opened: ${input.devtoolsOpenCount}`);
+                doc.moveDown();
+            }
+
             // Violations
-            if (interview.violations.length > 0) {
+            if (violations.length > 0) {
                 doc.fontSize(16).text('Violations Detected', { underline: true });
                 doc.fontSize(12);
-                interview.violations.forEach((violation, index) => {
-                    doc.text(`${index + 1}. ${violation.message} (${violation.severity.toUpperCase()}) - ${violation.timestamp.toLocaleString()}`);
+                violations.forEach((violation, index) => {
+                    doc.text(`${index + 1}. [${ViolationTypes.get(violation.type).label}] ${violation.message} (${violation.severity.toUpperCase()}) - ${violation.timestamp.toLocaleString()}`);
+
+                    const evidence = violation.metadata && violation.metadata.evidence;
+                    const evidencePath = evidence ? EvidenceStore.resolvePath(evidence.path) : null;
+                    if (evidencePath && fs.existsSync(evidencePath)) {
+                        if (doc.y + 160 > doc.page.height - doc.page.margins.bottom) {
+                            doc.addPage();
+                        }
+                        doc.image(evidencePath, doc.x + 20, doc.y + 4, { fit: [200, 150] });
+                        doc.y += 160;
+                    }
+
+                    const clip = clips[index];
+                    if (clip) {
+                        clip.parts.forEach((part, partIndex) => {
+                            const label = clip.parts.length > 1 ? `Watch clip (part ${partIndex + 1})` : 'Watch clip';
+                            doc.fillColor('#2980b9').text(`    ${label}`, { link: mediaLink(part.url), underline: true });
+                        });
+                        doc.fillColor('black');
+                    }
+                });
+                doc.moveDown();
+            }
+
+            // Chat between the interviewers and the candidate
+            if (chat.length > 0) {
+                doc.fontSize(16).text('Chat Transcript', { underline: true });
+                doc.fontSize(12);
+                chat.forEach(message => {
+                    const sender = message.sender.role === 'candidate' ? 'Candidate' : (message.sender.name || 'Interviewer');
+                    const kind = message.kind === 'attention' ? ' (attention request)' : '';
+                    doc.text(`[${message.createdAt.toLocaleTimeString()}] ${sender}${kind}: ${message.text}`);
                 });
                 doc.moveDown();
             }
@@ -478,6 +687,9 @@ async function generatePDFReport(interview) {
  * Generate analytics data
  */
 async function generateAnalytics(filter = {}) {
+    // Violations are stored per session, so resolve the interview filter to its sessions first
+    const sessionIds = await Interview.distinct('sessionId', filter);
+
     const [
         totalStats,
         violationStats,
@@ -494,18 +706,17 @@ async function generateAnalytics(filter = {}) {
                     completedInterviews: { $sum: { $cond: [{ $eq: ['$sessionData.status', 'completed'] }, 1, 0] } },
                     averageIntegrityScore: { $avg: '$scores.integrityScore' },
                     averageDuration: { $avg: '$sessionData.duration' },
-                    totalViolations: { $sum: { $size: '$violations' } }
+                    totalViolations: { $sum: '$violationCounts.total' }
                 }
             }
         ]),
 
         // Violation statistics
-        Interview.aggregate([
-            { $match: filter },
-            { $unwind: '$violations' },
+        Event.aggregate([
+            { $match: { kind: 'violation', sessionId: { $in: sessionIds } } },
             {
                 $group: {
-                    _id: '$violations.type',
+                    _id: '$type',
                     count: { $sum: 1 }
                 }
             },
@@ -562,7 +773,7 @@ async function generateAnalytics(filter = {}) {
 /**
  * Generate CSV from interview data
  */
-function generateCSV(interviews) {
+function generateCSV(interviews, violationTypesBySession = {}) {
     const headers = [
         'Session ID',
         'Candidate Name',
@@ -578,6 +789,7 @@ function generateCSV(interviews) {
         'Recommendation',
         'Total Violations',
         'High Severity Violations',
+        'Violations By Type',
         'Requires Review'
     ];
 
@@ -594,8 +806,11 @@ function generateCSV(interviews) {
         interview.scores.overallScore,
         interview.analysis.riskLevel,
         interview.analysis.recommendation,
-        interview.violations.length,
-        interview.violations.filter(v => v.severity === 'high').length,
+        interview.violationCounts.total,
+        interview.violationCounts.high,
+        Object.entries(violationTypesBySession[interview.sessionId] || {})
+            .map(([type, count]) => `${ViolationTypes.get(type).label}: ${count}`)
+            .join('; '),
         interview.flags.requiresReview ? 'Yes' : 'No'
     ]);
 
@@ -613,7 +828,7 @@ function generateCSV(interviews) {
 /**
  * Generate comprehensive proctoring report with AI analytics
  */
-router.post('/generate', async(req, res) => {
+router.post('/generate', auth, requirePermission(PERMISSIONS.REPORTS_READ), async(req, res) => {
     try {
         const reportData = req.body;
 
@@ -820,7 +1035,7 @@ async function generateEnhancedPDFReport(reportData) {
                     const icon = getViolationIcon(type);
                     doc.fontSize(11)
                         .fillColor('#2c3e50')
-                        .text(`${icon} ${type.replace('_', ' ').toUpperCase()}: ${count} incidents`);
+                        .text(`${icon} ${(ViolationTypes.isKnown(type) ? ViolationTypes.get(type).label : type.replace(/_/g, ' ')).toUpperCase()}: ${count} incidents`);
                 });
 
                 doc.moveDown();
@@ -873,24 +1088,54 @@ function formatDuration(seconds) {
     return `${minutes}m ${remainingSeconds}s`;
 }
 
+/**
+ * Draw the gaze heatmap as a grid shaded by time, with the screen outlined inside the off-screen ring
+ */
+function drawGazeHeatmap(doc, heatmap) {
+    if (!heatmap || !heatmap.columns || !heatmap.rows || !heatmap.cells || heatmap.cells.length === 0) return;
+
+    const cellSize = 20;
+    const width = heatmap.columns * cellSize;
+    const height = heatmap.rows * cellSize;
+    const maxSeconds = Math.max(...heatmap.cells, 0.1);
+
+    if (doc.y + height + 20 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+
+    const left = doc.x;
+    const top = doc.y + 4;
+
+    heatmap.cells.forEach((seconds, index) => {
+        const column = index % heatmap.columns;
+        const row = Math.floor(index / heatmap.columns);
+        doc.rect(left + column * cellSize, top + row * cellSize, cellSize, cellSize)
+            .fillOpacity(seconds / maxSeconds)
+            .fill('#c0392b');
+    });
+
+    doc.fillOpacity(1);
+    doc.rect(left, top, width, height).stroke('#999999');
+    doc.rect(left + cellSize, top + cellSize, width - 2 * cellSize, height - 2 * cellSize).stroke('#333333');
+    doc.fillColor('black');
+
+    doc.y = top + height + 4;
+    doc.x = left;
+    doc.fontSize(9).text('Gaze heatmap: the inner box is the screen as the candidate sees it; darker cells were looked at longer');
+    doc.fontSize(12);
+}
+
 /**
  * Get icon for violation type
  */
 function getViolationIcon(type) {
-    const icons = {
-        'mobile_phone': '📱',
-        'unauthorized_object': '📚',
-        'multiple_faces': '👥',
-        'focus_lost': '👀',
-        'no_face': '👤'
-    };
-    return icons[type] || '⚠️';
+    return ViolationTypes.get(type).icon;
 }
 
 /**
  * Get report statistics
  */
-router.get('/stats/:sessionId', async(req, res) => {
+router.get('/stats/:sessionId', auth, requirePermission(PERMISSIONS.REPORTS_READ), async(req, res) => {
     try {
         const { sessionId } = req.params;
 
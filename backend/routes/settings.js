@@ -0,0 +1,190 @@
+/**
+ * Settings Routes
+ * Organization-wide and per-interviewer proctoring preferences from the interviewer dashboard
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Settings = require('../models/Settings');
+const Interview = require('../models/Interview');
+const PolicyProfile = require('../models/PolicyProfile');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+const { DEFAULT_DETECTION, BUILT_IN_PROFILES } = require('../config/policyProfiles');
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Validation shared by both scopes (thresholds are milliseconds)
+const settingsValidation = [
+    body('detection').isObject().withMessage('Detection settings are required'),
+    body(Settings.DETECTION_SETTINGS.map(setting => `detection.${setting}`))
+        .optional().isInt({ min: 1000, max: 120000 }).withMessage('Thresholds must be between 1-120 seconds'),
+    body('pushToLive').optional().isBoolean().withMessage('pushToLive must be a boolean')
+];
+
+/**
+ * @route   GET /api/v1/settings
+ * @desc    Get the organization settings, the current user's settings, the effective result and the
+ *          values each policy profile ends up with (a profile keeps the thresholds it sets itself)
+ * @access  Private (dashboard:view)
+ */
+router.get('/', auth, requirePermission(PERMISSIONS.DASHBOARD_VIEW), async(req, res) => {
+    try {
+        const [organization, interviewer, effective, profiles] = await Promise.all([
+            Settings.findScope('organization'),
+            Settings.findScope('interviewer', req.user.userId),
+            Settings.resolveFor(req.user.userId),
+            PolicyProfile.find({ isActive: true }).sort({ isDefault: -1, name: 1 })
+        ]);
+
+        const defaults = Settings.DETECTION_SETTINGS
+            .reduce((values, setting) => ({ ...values, [setting]: DEFAULT_DETECTION[setting] }), {});
+
+        res.json({
+            success: true,
+            data: {
+                organization: organization ? organization.getDetectionOverrides() : {},
+                interviewer: interviewer ? interviewer.getDetectionOverrides() : {},
+                effective: { ...defaults, ...effective },
+                profiles: (profiles.length > 0 ? profiles.map(profile => profile.toObject()) : BUILT_IN_PROFILES)
+                    .map(profile => profileSettings(profile, effective))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error fetching settings:', error);
+        res.status(500).json({
+            error: 'Failed to fetch settings',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/settings/organization
+ * @desc    Save organization-wide settings, optionally pushing them to in-progress sessions
+ * @access  Private (settings:manage)
+ */
+router.put('/organization', auth, requirePermission(PERMISSIONS.SETTINGS_MANAGE), settingsValidation, handleValidationErrors, async(req, res) => {
+    try {
+        const settings = await Settings.saveScope('organization', null, req.body.detection, req.user.userId);
+
+        const pushed = req.body.pushToLive ?
+            await pushToLiveSessions(req.app.get('io'), { 'sessionData.status': 'in_progress' }) :
+            0;
+
+        res.json({
+            success: true,
+            message: 'Organization settings saved successfully',
+            data: {
+                detection: settings.getDetectionOverrides(),
+                pushedSessions: pushed
+            }
+        });
+
+    } catch (error) {
+        console.error('Error saving organization settings:', error);
+        res.status(500).json({
+            error: 'Failed to save organization settings',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/settings/me
+ * @desc    Save the current interviewer's settings, optionally pushing them to their in-progress sessions
+ * @access  Private (interviews:create)
+ */
+router.put('/me', auth, requirePermission(PERMISSIONS.INTERVIEWS_CREATE), settingsValidation, handleValidationErrors, async(req, res) => {
+    try {
+        const settings = await Settings.saveScope('interviewer', req.user.userId, req.body.detection, req.user.userId);
+
+        const pushed = req.body.pushToLive ?
+            await pushToLiveSessions(req.app.get('io'), {
+                'sessionData.status': 'in_progress',
+                'interviewer.id': req.user.userId
+            }) :
+            0;
+
+        res.json({
+            success: true,
+            message: 'Settings saved successfully',
+            data: {
+                detection: settings.getDetectionOverrides(),
+                pushedSessions: pushed
+            }
+        });
+
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        res.status(500).json({
+            error: 'Failed to save settings',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * Helper function to get the dashboard-tunable values a profile ends up with under the given settings
+ */
+function profileSettings(profile, settings) {
+    const detection = { ...DEFAULT_DETECTION, ...settings, ...profile.detection };
+
+    return {
+        name: profile.name,
+        interviewTypes: profile.interviewTypes || [],
+        detection: Settings.DETECTION_SETTINGS
+            .reduce((values, setting) => ({ ...values, [setting]: detection[setting] }), {}),
+        // Values the profile sets itself, which dashboard settings do not change
+        fixed: Settings.DETECTION_SETTINGS.filter(setting => profile.detection && profile.detection[setting] !== undefined)
+    };
+}
+
+/**
+ * Helper function to apply saved settings to in-progress sessions and notify their candidates.
+ * Each session gets the settings of the interviewer who created it, as new sessions do, beneath
+ * the values its policy profile sets.
+ */
+async function pushToLiveSessions(io, filter) {
+    const interviews = await Interview.find(filter);
+    const overridesByInterviewer = new Map();
+
+    for (const interview of interviews) {
+        const interviewerId = interview.interviewer && interview.interviewer.id ? interview.interviewer.id.toString() : null;
+        if (!overridesByInterviewer.has(interviewerId)) {
+            overridesByInterviewer.set(interviewerId, await Settings.resolveFor(interviewerId));
+        }
+
+        const detection = await PolicyProfile.detectionFor(
+            interview.policy, interview.interviewDetails.interviewType, overridesByInterviewer.get(interviewerId));
+
+        interview.policy.detection = detection;
+        interview.markModified('policy.detection');
+        await interview.save();
+
+        if (io) {
+            io.to(`interview_${interview.sessionId}`).emit('policy-update', {
+                sessionId: interview.sessionId,
+                detection,
+                timestamp: new Date()
+            });
+        }
+    }
+
+    return interviews.length;
+}
+
+module.exports = router;
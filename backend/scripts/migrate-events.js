@@ -0,0 +1,137 @@
+/**
+ * Event Migration Script
+ * Moves violations and events embedded in Interview documents into the Event collection
+ *
+ * Safe to re-run: interviews are only picked up while they still carry embedded arrays,
+ * and the arrays are removed in the same step that records the migrated counts.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Interview = require('../models/Interview');
+const Event = require('../models/Event');
+const ViolationTypes = require('../config/violationTypes');
+
+const BATCH_SIZE = parseInt(process.env.MIGRATION_BATCH_SIZE) || 100;
+
+// Legacy types resolve through the registry (aliases to their type, anything else to 'unknown')
+const toViolation = (interview, violation) => {
+    const { type, severity, metadata } = ViolationTypes.normalize(violation);
+
+    return {
+        sessionId: interview.sessionId,
+        interview: interview._id,
+        kind: 'violation',
+        migrated: true,
+        type,
+        message: violation.message,
+        severity,
+        confidence: violation.confidence,
+        timestamp: violation.timestamp || interview.sessionData.startTime,
+        metadata
+    };
+};
+
+const toEvent = (interview, event) => ({
+    sessionId: interview.sessionId,
+    interview: interview._id,
+    kind: 'event',
+    migrated: true,
+    eventId: event.id,
+    type: event.type,
+    message: event.message,
+    severity: event.severity || 'info',
+    timestamp: event.timestamp || interview.sessionData.startTime,
+    metadata: event.metadata || {}
+});
+
+// Unordered insert: legacy entries that no longer pass validation are skipped, and of entries
+// sharing an id only the first is kept
+const insertMigrated = async(documents) => {
+    if (documents.length === 0) {
+        return [];
+    }
+
+    try {
+        return await Event.insertMany(documents, { ordered: false });
+    } catch (error) {
+        if (!Event.isDuplicate(error)) {
+            throw error;
+        }
+        return error.insertedDocs;
+    }
+};
+
+const migrateInterview = async(interview) => {
+    const documents = [
+        ...(interview.violations || []).map(violation => toViolation(interview, violation)),
+        ...(interview.events || []).map(event => toEvent(interview, event))
+    ];
+
+    // Drop what an interrupted earlier run copied, but not events recorded since the deploy
+    await Event.deleteMany({ sessionId: interview.sessionId, migrated: true });
+
+    const inserted = await insertMigrated(documents);
+    if (inserted.length < documents.length) {
+        console.warn(`⚠️ Skipped ${documents.length - inserted.length} invalid or duplicate entries of ${interview.sessionId}`);
+    }
+
+    // Counts come from what is stored, the inserted entries and any recorded since the deploy,
+    // so they match the Event collection
+    const stored = await Event.find({ sessionId: interview.sessionId }).select('kind severity timestamp').lean();
+    const violations = stored.filter(document => document.kind === 'violation');
+    const countBySeverity = severity => violations.filter(v => v.severity === severity).length;
+    const lastViolation = violations.reduce((latest, v) => (!latest || v.timestamp > latest ? v.timestamp : latest), null);
+
+    // Raw collection update: the arrays are no longer part of the schema
+    await Interview.collection.updateOne({ _id: interview._id }, {
+        $set: {
+            'violationCounts.total': violations.length,
+            'violationCounts.low': countBySeverity('low'),
+            'violationCounts.medium': countBySeverity('medium'),
+            'violationCounts.high': countBySeverity('high'),
+            eventCount: stored.length - violations.length,
+            lastViolationAt: lastViolation
+        },
+        $unset: { violations: '', events: '' }
+    });
+
+    return inserted.length;
+};
+
+const migrate = async() => {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/video_proctoring';
+
+    try {
+        await mongoose.connect(mongoURI);
+        console.log('✅ MongoDB connected successfully');
+
+        await Event.createIndexes();
+
+        const cursor = Interview.collection.find({
+            $or: [{ violations: { $exists: true } }, { events: { $exists: true } }]
+        }).batchSize(BATCH_SIZE);
+
+        let interviewCount = 0;
+        let eventCount = 0;
+
+        for await (const interview of cursor) {
+            eventCount += await migrateInterview(interview);
+            interviewCount++;
+
+            if (interviewCount % BATCH_SIZE === 0) {
+                console.log(`📦 Migrated ${interviewCount} interviews...`);
+            }
+        }
+
+        console.log(`✅ Migration completed: ${interviewCount} interviews, ${eventCount} violations/events moved`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+migrate();
@@ -0,0 +1,55 @@
+/**
+ * Re-scoring Script
+ * Recomputes interview scores from stored violations and events under the current scoring rules
+ *
+ * By default only interviews scored under another rules version (or never scored) are picked up,
+ * so the script is safe to re-run after an interruption. Pass --all to re-score every interview.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Interview = require('../models/Interview');
+const ScoringEngine = require('../services/scoringEngine');
+
+const BATCH_SIZE = parseInt(process.env.RESCORE_BATCH_SIZE) || 100;
+const RESCORE_ALL = process.argv.includes('--all');
+
+const rescore = async() => {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/video_proctoring';
+
+    try {
+        await mongoose.connect(mongoURI);
+        console.log('✅ MongoDB connected successfully');
+
+        const filter = RESCORE_ALL ? {} : { 'scoring.version': { $ne: ScoringEngine.RULES.version } };
+        const cursor = Interview.find(filter).batchSize(BATCH_SIZE).cursor();
+
+        let interviewCount = 0;
+        let changedCount = 0;
+
+        for await (const interview of cursor) {
+            const previousIntegrity = interview.scores.integrityScore;
+
+            await interview.rescore();
+
+            interviewCount++;
+            if (interview.scores.integrityScore !== previousIntegrity) {
+                changedCount++;
+            }
+
+            if (interviewCount % BATCH_SIZE === 0) {
+                console.log(`📦 Re-scored ${interviewCount} interviews...`);
+            }
+        }
+
+        console.log(`✅ Re-scoring completed with rules v${ScoringEngine.RULES.version}: ${interviewCount} interviews, ${changedCount} integrity scores changed`);
+    } catch (error) {
+        console.error('❌ Re-scoring failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+rescore();
@@ -0,0 +1,67 @@
+/**
+ * Database Seed Script
+ * Creates the default administrator and interviewer accounts and the built-in policy profiles if they do not exist
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const PolicyProfile = require('../models/PolicyProfile');
+const { BUILT_IN_PROFILES } = require('../config/policyProfiles');
+
+const defaultUsers = [{
+        name: 'System Administrator',
+        email: process.env.SEED_ADMIN_EMAIL || 'admin@videoproctoring.com',
+        password: process.env.SEED_ADMIN_PASSWORD || 'admin123',
+        role: 'admin'
+    },
+    {
+        name: 'Interview Manager',
+        email: process.env.SEED_INTERVIEWER_EMAIL || 'interviewer@videoproctoring.com',
+        password: process.env.SEED_INTERVIEWER_PASSWORD || 'admin123',
+        role: 'interviewer'
+    }
+];
+
+const seed = async() => {
+    const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/video_proctoring';
+
+    try {
+        await mongoose.connect(mongoURI);
+        console.log('✅ MongoDB connected successfully');
+
+        for (const userData of defaultUsers) {
+            const existingUser = await User.findOne({ email: userData.email.toLowerCase() });
+
+            if (existingUser) {
+                console.log(`⏭️  User already exists: ${userData.email}`);
+                continue;
+            }
+
+            await new User(userData).save();
+            console.log(`👤 Created ${userData.role}: ${userData.email}`);
+        }
+
+        for (const profileData of BUILT_IN_PROFILES) {
+            const existingProfile = await PolicyProfile.findOne({ name: profileData.name });
+
+            if (existingProfile) {
+                console.log(`⏭️  Policy profile already exists: ${profileData.name}`);
+                continue;
+            }
+
+            await new PolicyProfile(profileData).save();
+            console.log(`📋 Created policy profile: ${profileData.name}`);
+        }
+
+        console.log('✅ Seeding completed');
+    } catch (error) {
+        console.error('❌ Seeding failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+};
+
+seed();
@@ -20,6 +20,9 @@ const interviewRoutes = require('./routes/interviews');
 const reportRoutes = require('./routes/reports');
 const authRoutes = require('./routes/auth');
 const dashboardRoutes = require('./routes/dashboard');
+const policyRoutes = require('./routes/policies');
+const settingsRoutes = require('./routes/settings');
+const recordingRoutes = require('./routes/recordings');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -27,6 +30,10 @@ const authMiddleware = require('./middleware/auth');
 
 // Import socket handlers
 const socketHandlers = require('./socket/handlers');
+const { socketAuth } = require('./socket/auth');
+
+// Import background jobs
+const sessionReaper = require('./services/sessionReaper');
 
 // Create Express app
 const app = express();
@@ -41,6 +48,9 @@ const io = socketIo(server, {
     }
 });
 
+// Routes that notify live sessions reach Socket.IO through the app
+app.set('io', io);
+
 // Global middleware
 app.use(helmet({
     contentSecurityPolicy: {
@@ -95,9 +105,6 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.status(200).json({
@@ -116,6 +123,9 @@ app.use(`${apiPrefix}/auth`, authRoutes);
 app.use(`${apiPrefix}/interviews`, interviewRoutes);
 app.use(`${apiPrefix}/reports`, reportRoutes);
 app.use(`${apiPrefix}/dashboard`, dashboardRoutes);
+app.use(`${apiPrefix}/policies`, policyRoutes);
+app.use(`${apiPrefix}/settings`, settingsRoutes);
+app.use(`${apiPrefix}/recordings`, recordingRoutes);
 
 // Serve frontend in production
 if (process.env.NODE_ENV === 'production') {
@@ -126,6 +136,9 @@ if (process.env.NODE_ENV === 'production') {
     });
 }
 
+// Socket.IO handshake authentication (staff JWT or candidate token)
+io.use(socketAuth);
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
@@ -175,11 +188,15 @@ const connectDB = async() => {
 const createIndexes = async() => {
     try {
         const Interview = require('./models/Interview');
+        const User = require('./models/User');
         const Event = require('./models/Event');
+        const Recording = require('./models/Recording');
 
         // Create indexes for better query performance
         await Interview.createIndexes();
+        await User.createIndexes();
         await Event.createIndexes();
+        await Recording.createIndexes();
 
         console.log('✅ Database indexes created successfully');
     } catch (error) {
@@ -191,6 +208,8 @@ const createIndexes = async() => {
 const gracefulShutdown = (signal) => {
     console.log(`\n${signal} received. Starting graceful shutdown...`);
 
+    sessionReaper.stop();
+
     server.close(() => {
         console.log('HTTP server closed');
 
@@ -230,6 +249,11 @@ const startServer = async() => {
         // Connect to database first
         await connectDB();
 
+        // Close out interviews abandoned by their candidates (needs the database)
+        if (mongoose.connection.readyState === 1) {
+            sessionReaper.start(io);
+        }
+
         // Start the server with error handling
         server.listen(PORT, () => {
             console.log(`🚀 Server running on port ${PORT}`);
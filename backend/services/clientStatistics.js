@@ -0,0 +1,201 @@
+/**
+ * Client Statistics
+ * Checks the detection statistics the candidate page reports when an interview ends before any of
+ * them are stored. Only known fields are kept; counts and times must be non-negative numbers, times
+ * cannot exceed the length of the session and ratios stay between 0 and 1. Reported lists are
+ * capped at the length the candidate page itself keeps.
+ */
+
+const isNonNegative = value => Number.isFinite(value) && value >= 0;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const FIELD_CHECKS = {
+    // Seconds, at most the length of the session
+    time: (value, duration) => isNonNegative(value) ? Math.min(value, duration) : undefined,
+    count: value => isNonNegative(value) ? Math.floor(value) : undefined,
+    ratio: value => isNonNegative(value) ? Math.min(value, 1) : undefined,
+    rate: value => isNonNegative(value) ? value : undefined,
+    level: value => Number.isFinite(value) ? value : undefined,
+    boolean: value => typeof value === 'boolean' ? value : undefined,
+    date: value => {
+        const date = new Date(value);
+        return value !== null && value !== undefined && !isNaN(date) ? date : undefined;
+    }
+};
+
+// Fields accepted in each section of the reported statistics, by check
+const SECTIONS = {
+    audio: {
+        averageLevelDb: 'level',
+        peakLevelDb: 'level',
+        noiseFloorDb: 'level',
+        monitoredTime: 'time',
+        speechTime: 'time',
+        speechRatio: 'ratio',
+        backgroundVoiceTime: 'time',
+        whisperTime: 'time',
+        loudNoiseCount: 'count'
+    },
+    input: {
+        pasteCount: 'count',
+        pastedCharacters: 'count',
+        copyCount: 'count',
+        cutCount: 'count',
+        contextMenuCount: 'count',
+        shortcutCount: 'count',
+        devtoolsOpenCount: 'count'
+    },
+    eyes: {
+        trackedTime: 'time',
+        blinkCount: 'count',
+        blinkRate: 'rate',
+        perclos: 'ratio',
+        drowsinessCount: 'count',
+        closureCount: 'count',
+        eyeClosedTime: 'time'
+    },
+    lips: {
+        trackedTime: 'time',
+        talkingTime: 'time',
+        talkingRatio: 'ratio',
+        talkingSegments: 'count',
+        longestSegment: 'time',
+        silentLipMovementTime: 'time',
+        speechWithoutLipMovementTime: 'time'
+    },
+    headPose: {
+        trackedTime: 'time',
+        awayTime: 'time'
+    },
+    gaze: {
+        calibrated: 'boolean',
+        calibrationError: 'rate',
+        trackedTime: 'time',
+        offScreenTime: 'time',
+        offScreenRatio: 'ratio',
+        offScreenEpisodes: 'count',
+        longestOffScreen: 'time'
+    },
+    identity: {
+        enrolled: 'boolean',
+        enrolledAt: 'date',
+        threshold: 'ratio',
+        checks: 'count',
+        mismatches: 'count',
+        impersonationCount: 'count',
+        averageSimilarity: 'ratio',
+        lowestSimilarity: 'ratio'
+    }
+};
+
+// Directions the head pose tracker reports looking away in, from the candidate's point of view
+const HEAD_DIRECTIONS = ['up', 'down', 'left', 'right', 'up-left', 'up-right', 'down-left', 'down-right'];
+
+// Most looking-away episodes kept (the candidate page keeps the same number)
+const MAX_HEAD_POSE_EPISODES = 500;
+
+// Most identity checks kept (the candidate page keeps the same number, an hour of checks)
+const MAX_IDENTITY_CHECKS = 720;
+
+// Largest gaze heatmap accepted, in cells across and down (the candidate page reports 10 x 8)
+const MAX_HEATMAP_SIZE = 32;
+
+const isAngle = value => Number.isFinite(value) && Math.abs(value) <= 180;
+
+// Checks of the lists and maps reported alongside the fields above, by section
+const LIST_CHECKS = {
+    headPose: {
+        timeByDirection: (value, duration) => isPlainObject(value) ?
+            HEAD_DIRECTIONS
+                .filter(direction => isNonNegative(value[direction]))
+                .reduce((times, direction) => ({ ...times, [direction]: Math.min(value[direction], duration) }), {}) :
+            undefined,
+        episodes: (value, duration) => Array.isArray(value) ?
+            value.slice(-MAX_HEAD_POSE_EPISODES)
+                .filter(episode => isPlainObject(episode) && HEAD_DIRECTIONS.includes(episode.direction) &&
+                    isNonNegative(episode.duration) && isAngle(episode.peakYaw) && isAngle(episode.peakPitch))
+                .map(episode => ({
+                    direction: episode.direction,
+                    startedAt: FIELD_CHECKS.date(episode.startedAt),
+                    duration: Math.min(episode.duration, duration),
+                    peakYaw: episode.peakYaw,
+                    peakPitch: episode.peakPitch,
+                    flagged: episode.flagged === true
+                })) :
+            undefined
+    },
+    gaze: {
+        // Every cell holds seconds of gaze (rounded to a tenth), so together they cannot exceed the session
+        heatmap: (value, duration) => {
+            if (!isPlainObject(value) || !Array.isArray(value.cells)) return undefined;
+
+            const { columns, rows, cells } = value;
+            const isSize = size => Number.isInteger(size) && size > 0 && size <= MAX_HEATMAP_SIZE;
+            if (!isSize(columns) || !isSize(rows) || cells.length !== columns * rows ||
+                !cells.every(isNonNegative) || cells.reduce((sum, seconds) => sum + seconds, 0) > duration + cells.length * 0.1) {
+                return undefined;
+            }
+
+            return { columns, rows, cells };
+        }
+    },
+    identity: {
+        history: value => Array.isArray(value) ?
+            value.slice(-MAX_IDENTITY_CHECKS)
+                .filter(check => isPlainObject(check) && FIELD_CHECKS.date(check.timestamp) &&
+                    FIELD_CHECKS.ratio(check.similarity) !== undefined && typeof check.matched === 'boolean')
+                .map(check => ({
+                    timestamp: FIELD_CHECKS.date(check.timestamp),
+                    similarity: FIELD_CHECKS.ratio(check.similarity),
+                    matched: check.matched
+                })) :
+            undefined
+    }
+};
+
+/**
+ * Keep the valid fields of one reported section
+ * @param {string} section - Section name (see SECTIONS)
+ * @param {Object} reported - Section as reported by the candidate page
+ * @param {number} duration - Length of the session in seconds
+ * @returns {Object} Valid fields only
+ */
+const sanitizeSection = (section, reported, duration) => {
+    const fields = Object.entries(SECTIONS[section]).reduce((values, [field, check]) => {
+        const value = FIELD_CHECKS[check](reported[field], duration);
+        return value === undefined ? values : { ...values, [field]: value };
+    }, {});
+
+    Object.entries(LIST_CHECKS[section] || {}).forEach(([list, check]) => {
+        const value = check(reported[list], duration);
+        if (value !== undefined) {
+            fields[list] = value;
+        }
+    });
+
+    return fields;
+};
+
+/**
+ * Validate the statistics reported by the candidate page
+ * @param {Object} statistics - Statistics by section, as reported
+ * @param {number} duration - Length of the session in seconds
+ * @returns {Object} The reported sections with only their valid fields
+ */
+const sanitize = (statistics, duration) => {
+    if (!isPlainObject(statistics)) {
+        return {};
+    }
+
+    return Object.keys(SECTIONS)
+        .filter(section => isPlainObject(statistics[section]))
+        .reduce((sections, section) => ({
+            ...sections,
+            [section]: sanitizeSection(section, statistics[section], Math.max(0, duration))
+        }), {});
+};
+
+module.exports = {
+    sanitize
+};
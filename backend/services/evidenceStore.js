@@ -0,0 +1,110 @@
+/**
+ * Evidence Store
+ * Saves the JPEG snapshots captured with violations under uploads/evidence and keeps
+ * only a reference to them in the violation's metadata.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+const MAX_SNAPSHOT_BYTES = (parseInt(process.env.EVIDENCE_MAX_SNAPSHOT_KB) || 500) * 1024;
+const DATA_URL_PATTERN = /^data:image\/jpeg;base64,([A-Za-z0-9+/=]+)$/;
+
+/**
+ * Write a snapshot data URL to disk
+ * @param {string} sessionId - Session the snapshot belongs to
+ * @param {string} snapshot - JPEG data URL from the candidate page
+ * @returns {Promise<Object>} Stored file path (relative to uploads), URL and size
+ */
+const saveSnapshot = async(sessionId, snapshot) => {
+    const match = DATA_URL_PATTERN.exec(snapshot || '');
+    if (!match) {
+        throw new Error('Evidence snapshot must be a base64 JPEG data URL');
+    }
+
+    const buffer = Buffer.from(match[1], 'base64');
+    if (buffer.length > MAX_SNAPSHOT_BYTES) {
+        throw new Error(`Evidence snapshot exceeds ${MAX_SNAPSHOT_BYTES} bytes`);
+    }
+
+    const relativePath = path.posix.join('evidence', sessionId, `${uuidv4()}.jpg`);
+    const absolutePath = resolvePath(relativePath);
+
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, buffer);
+
+    // Served by the authenticated evidence route of the interview, never statically
+    return {
+        path: relativePath,
+        url: `${API_PREFIX}/interviews/${encodeURIComponent(sessionId)}/evidence/${path.posix.basename(relativePath)}`,
+        size: buffer.length
+    };
+};
+
+/**
+ * Move a violation's inline snapshot to disk, recording it as metadata.evidence.
+ * A snapshot that cannot be stored is dropped; the violation itself is always kept.
+ * @param {string} sessionId - Session the violation belongs to
+ * @param {Object} violation - Violation as sent by the candidate page
+ * @returns {Promise<Object>} Violation without the inline snapshot
+ */
+const extractEvidence = async(sessionId, violation) => {
+    const { evidence, ...data } = violation;
+    if (!evidence || !evidence.snapshot) {
+        return data;
+    }
+
+    try {
+        const stored = await saveSnapshot(sessionId, evidence.snapshot);
+
+        data.metadata = {
+            ...(data.metadata || {}),
+            evidence: {
+                ...stored,
+                width: evidence.width,
+                height: evidence.height,
+                boxes: Array.isArray(evidence.boxes) ? evidence.boxes : [],
+                capturedAt: evidence.capturedAt || new Date()
+            }
+        };
+    } catch (error) {
+        console.warn(`Could not store evidence snapshot for ${sessionId}:`, error.message);
+    }
+
+    return data;
+};
+
+/**
+ * Delete a stored snapshot; a file that is already gone is ignored
+ * @param {string} relativePath - Path returned by saveSnapshot
+ */
+const deleteSnapshot = async(relativePath) => {
+    await fs.promises.unlink(resolvePath(relativePath)).catch(() => {});
+};
+
+/**
+ * Delete the snapshot stored for a violation that was not kept (e.g. a replayed delivery)
+ * @param {Object} violation - Violation returned by extractEvidence
+ */
+const discardEvidence = async(violation) => {
+    const evidence = violation.metadata && violation.metadata.evidence;
+    if (!evidence || !evidence.path) return;
+
+    await deleteSnapshot(evidence.path);
+};
+
+/**
+ * Absolute path of a file below the uploads directory
+ */
+const resolvePath = (relativePath) => path.join(UPLOADS_DIR, ...relativePath.split('/'));
+
+module.exports = {
+    saveSnapshot,
+    deleteSnapshot,
+    extractEvidence,
+    discardEvidence,
+    resolvePath
+};
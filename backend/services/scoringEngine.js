@@ -0,0 +1,106 @@
+/**
+ * Scoring Engine
+ * The only place interview scores are computed. Scores are derived from stored
+ * violations and events using the versioned rules in config/scoring.js.
+ */
+
+const ViolationTypes = require('../config/violationTypes');
+const { SCORING_RULES } = require('../config/scoring');
+
+const emptyPenalties = () => ({ integrity: 0, focus: 0, behavior: 0 });
+
+const round = value => Math.round(value * 100) / 100;
+
+const clampScore = penalty => Math.max(0, Math.min(100, Math.round(100 - penalty)));
+
+/**
+ * Points a single violation or event deducts from each score
+ * @param {Object} record - Stored Event document (kind 'violation' or 'event')
+ * @param {Object} rules - Scoring rules
+ * @returns {Object} Penalties keyed by integrity, focus and behavior
+ */
+const penaltiesFor = (record, rules = SCORING_RULES) => {
+    const penalties = emptyPenalties();
+
+    if (record.kind === 'event') {
+        const rule = rules.eventPenalties[record.type];
+        if (rule) {
+            penalties[rule.score] = rule.penalty;
+        }
+        return penalties;
+    }
+
+    const entry = ViolationTypes.get(record.type);
+    const severityWeight = rules.severityWeights[record.severity] || 1;
+    const confidence = rules.confidenceWeighting && typeof record.confidence === 'number' ? record.confidence : 1;
+    const penalty = round(entry.penalty * severityWeight * confidence);
+
+    penalties.integrity = penalty;
+    if (rules.focusCategories.includes(entry.category)) {
+        penalties.focus = penalty;
+    }
+    if (rules.behaviorCategories.includes(entry.category)) {
+        penalties.behavior = penalty;
+    }
+
+    return penalties;
+};
+
+/**
+ * Add penalties together
+ * @param {Object} total - Accumulated penalties
+ * @param {Object} penalties - Penalties to add
+ * @returns {Object} New accumulated penalties
+ */
+const addPenalties = (total, penalties) => ({
+    integrity: round(total.integrity + penalties.integrity),
+    focus: round(total.focus + penalties.focus),
+    behavior: round(total.behavior + penalties.behavior)
+});
+
+/**
+ * Turn accumulated penalties into 0-100 scores
+ * @param {Object} penalties - Accumulated penalties
+ * @param {Object} rules - Scoring rules
+ * @returns {Object} integrityScore, focusScore, behaviorScore and overallScore
+ */
+const scoresFromPenalties = (penalties, rules = SCORING_RULES) => {
+    const integrityScore = clampScore(penalties.integrity);
+    const focusScore = clampScore(penalties.focus);
+    const behaviorScore = clampScore(penalties.behavior);
+
+    const weights = rules.overallWeights;
+    const weightTotal = weights.integrity + weights.focus + weights.behavior;
+    const overallScore = Math.round(
+        (integrityScore * weights.integrity + focusScore * weights.focus + behaviorScore * weights.behavior) / weightTotal
+    );
+
+    return { integrityScore, focusScore, behaviorScore, overallScore };
+};
+
+/**
+ * Compute scores from a session's full violation and event history
+ * @param {Object[]} violations - Stored violations
+ * @param {Object[]} events - Stored timeline events
+ * @param {Object} rules - Scoring rules
+ * @returns {Object} scores, penalties and the rules version used
+ */
+const computeScores = (violations, events, rules = SCORING_RULES) => {
+    const penalties = [...violations, ...events]
+        .reduce((total, record) => addPenalties(total, penaltiesFor(record, rules)), emptyPenalties());
+
+    return {
+        scores: scoresFromPenalties(penalties, rules),
+        penalties,
+        version: rules.version
+    };
+};
+
+module.exports = {
+    RULES: SCORING_RULES,
+    emptyPenalties,
+    penaltiesFor,
+    addPenalties,
+    scoresFromPenalties,
+    computeScores
+};
@@ -0,0 +1,88 @@
+/**
+ * Session Reaper
+ * Background job closing out interviews left in progress by candidates who stopped sending
+ * heartbeats (closed browser, crashed machine), so they stop showing as active.
+ */
+
+const Interview = require('../models/Interview');
+
+// Silence after which a running interview is abandoned; well above the grace period for reconnecting
+const STALE_AFTER_SECONDS = parseInt(process.env.SESSION_STALE_SECONDS) || 600;
+const REAPER_INTERVAL_SECONDS = parseInt(process.env.SESSION_REAPER_INTERVAL_SECONDS) || 60;
+
+let timer = null;
+
+/**
+ * Abandon every running interview the candidate has not been heard from in time
+ * @param {Object} io - Socket.IO server, to notify subscribed interviewers
+ * @param {Date} now - Time to measure the silence against
+ * @returns {Promise<Array>} Session ids that were abandoned
+ */
+const reapStaleSessions = async(io, now = new Date()) => {
+    const cutoff = new Date(now.getTime() - STALE_AFTER_SECONDS * 1000);
+
+    const candidates = await Interview.find({
+        'sessionData.status': 'in_progress',
+        ...Interview.silentSince(cutoff)
+    });
+
+    const reaped = [];
+
+    for (const interview of candidates) {
+        const lastSeenAt = interview.getLastCandidateActivity();
+
+        try {
+            // Checked again as it is abandoned, since the candidate may have been heard from since the query
+            const silentFor = Math.round((now - lastSeenAt) / 1000);
+            if (!await interview.abandon(`no heartbeat from the candidate for ${silentFor}s`, cutoff)) {
+                continue;
+            }
+
+            io.to(`interviewer_${interview.sessionId}`).emit('interview-abandoned', {
+                sessionId: interview.sessionId,
+                candidateInfo: interview.candidateInfo,
+                lastSeenAt,
+                duration: interview.sessionData.duration,
+                timestamp: new Date()
+            });
+
+            reaped.push(interview.sessionId);
+            console.log(`Abandoned stale interview ${interview.sessionId} (silent for ${silentFor}s)`);
+        } catch (error) {
+            console.error(`Error abandoning interview ${interview.sessionId}:`, error);
+        }
+    }
+
+    return reaped;
+};
+
+/**
+ * Run the reaper periodically until stop() is called
+ * @param {Object} io - Socket.IO server
+ */
+const start = (io) => {
+    if (timer) return;
+
+    timer = setInterval(() => {
+        reapStaleSessions(io).catch(error => console.error('Error reaping stale sessions:', error));
+    }, REAPER_INTERVAL_SECONDS * 1000);
+
+    // The job alone must not keep the process alive
+    timer.unref();
+
+    console.log(`🧹 Session reaper running every ${REAPER_INTERVAL_SECONDS}s (stale after ${STALE_AFTER_SECONDS}s)`);
+};
+
+const stop = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    STALE_AFTER_SECONDS,
+    reapStaleSessions,
+    start,
+    stop
+};
@@ -0,0 +1,137 @@
+/**
+ * Socket.IO Authentication and Authorization
+ * Verifies the handshake token and checks every event against the caller's role and session
+ */
+
+const jwt = require('jsonwebtoken');
+const Interview = require('../models/Interview');
+const { authenticateUser } = require('../middleware/auth');
+const { authenticateCandidate } = require('../middleware/candidateAuth');
+const { CANDIDATE_SOCKET_EVENTS, SOCKET_EVENT_PERMISSIONS, canEmitSocketEvent } = require('../config/permissions');
+
+// Session states in which the candidate still takes part
+const CANDIDATE_SESSION_STATUSES = ['scheduled', 'in_progress'];
+
+/**
+ * Handshake middleware: accepts a staff JWT or a candidate token
+ * passed as `auth.token` (or a Bearer Authorization header)
+ */
+const socketAuth = async(socket, next) => {
+    const token = (socket.handshake.auth && socket.handshake.auth.token) ||
+        (socket.handshake.headers.authorization || '').replace('Bearer ', '');
+
+    try {
+        const decoded = token ? jwt.decode(token) : null;
+
+        if (decoded && decoded.role === 'candidate') {
+            await authenticateCandidate(token, decoded.sessionId);
+            socket.data.candidate = { sessionId: decoded.sessionId, tokenVersion: decoded.tokenVersion };
+        } else {
+            const user = await authenticateUser(token);
+            socket.data.user = {
+                userId: user._id.toString(),
+                email: user.email,
+                role: user.role,
+                name: user.name
+            };
+        }
+
+        next();
+    } catch (error) {
+        console.warn(`Rejected socket connection from ${socket.handshake.address}: ${error.message}`);
+        next(new Error(`Authentication error: ${error.statusCode ? error.message : 'Token is not valid'}`));
+    }
+};
+
+/**
+ * Check whether the authenticated socket may emit an event for a session
+ * @param {Object} socket - Authenticated socket
+ * @param {string} eventName - Socket event name
+ * @param {Object} data - Event payload
+ * @returns {Promise<string|null>} Reason for rejection, or null when allowed
+ */
+const checkEventAccess = async(socket, eventName, data) => {
+    const sessionId = data && data.sessionId;
+
+    if (socket.data.candidate) {
+        if (!CANDIDATE_SOCKET_EVENTS.includes(eventName)) {
+            return 'event is not available to candidates';
+        }
+        if (sessionId !== socket.data.candidate.sessionId) {
+            return 'candidate token was not issued for this session';
+        }
+
+        // Checked on every event, since the token may have been revoked after the handshake
+        // (the interview ended or was abandoned, or a new invite was issued)
+        const interview = await Interview.findOne({ sessionId }).select('candidateAccess.tokenVersion sessionData.status');
+        if (!interview) {
+            return 'interview not found';
+        }
+        if (socket.data.candidate.tokenVersion !== interview.candidateAccess.tokenVersion) {
+            return 'candidate token has been revoked';
+        }
+        if (!CANDIDATE_SESSION_STATUSES.includes(interview.sessionData.status)) {
+            return `interview is ${interview.sessionData.status}`;
+        }
+        return null;
+    }
+
+    const user = socket.data.user;
+
+    if (!SOCKET_EVENT_PERMISSIONS[eventName]) {
+        return 'event is only available to candidates';
+    }
+    if (!canEmitSocketEvent(user.role, eventName)) {
+        return `role ${user.role} may not emit this event`;
+    }
+
+    // Dashboard-wide subscription without a specific session
+    if (!sessionId && eventName === 'join-as-interviewer') {
+        return null;
+    }
+
+    const interview = sessionId ? await Interview.findOne({ sessionId }).select('interviewer assignedInterviewers') : null;
+
+    if (!interview) {
+        return 'interview not found';
+    }
+    if (!interview.isAccessibleBy(user)) {
+        return 'user is not assigned to this interview';
+    }
+
+    return null;
+};
+
+/**
+ * Wrap an event handler so it only runs for authorized callers
+ * @param {Object} socket - Authenticated socket
+ * @param {string} eventName - Socket event name
+ * @param {Function} handler - Handler receiving the payload and an acknowledgement callback
+ */
+const authorizeEvent = (socket, eventName, handler) => async(data, ack) => {
+    const respond = typeof ack === 'function' ? ack : () => {};
+
+    try {
+        const reason = await checkEventAccess(socket, eventName, data);
+
+        if (reason) {
+            const caller = socket.data.user ? `user ${socket.data.user.email}` : `candidate of ${socket.data.candidate.sessionId}`;
+            console.warn(`Rejected '${eventName}' from ${caller} (socket ${socket.id}): ${reason}`);
+            socket.emit('error', { message: 'Not authorized', event: eventName });
+            respond({ success: false, error: 'Not authorized' });
+            return;
+        }
+
+        await handler(data, respond);
+    } catch (error) {
+        console.error(`Error authorizing '${eventName}':`, error);
+        socket.emit('error', { message: 'Authorization failed', event: eventName });
+        respond({ success: false, error: 'Authorization failed', retry: true });
+    }
+};
+
+module.exports = {
+    socketAuth,
+    checkEventAccess,
+    authorizeEvent
+};
@@ -3,7 +3,64 @@
  * Handles real-time communication for video proctoring
  */
 
+const mongoose = require('mongoose');
 const Interview = require('../models/Interview');
+const Event = require('../models/Event');
+const { authorizeEvent } = require('./auth');
+const ViolationTypes = require('../config/violationTypes');
+const EvidenceStore = require('../services/evidenceStore');
+const ChatMessage = require('../models/ChatMessage');
+
+// STUN/TURN servers handed to both peers of a live view (JSON array of RTCIceServer objects)
+const ICE_SERVERS = process.env.WEBRTC_ICE_SERVERS ?
+    JSON.parse(process.env.WEBRTC_ICE_SERVERS) : [{ urls: 'stun:stun.l.google.com:19302' }];
+
+// Grid view thumbnails are small JPEG data URLs; anything larger is not relayed
+const MAX_THUMBNAIL_LENGTH = 64 * 1024;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Errors caused by the message itself (a missing field, a value the schema rejects) fail again on
+// every delivery, so the offline queue is told not to resend it; anything else (the database) may pass later
+const isRetryable = error => !(error instanceof TypeError ||
+    error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError);
+
+/**
+ * Check a violation sent by the candidate page (unknown types and severities are normalized, not rejected)
+ * @param {Object} violation - Violation as sent
+ * @returns {string|null} Why the violation is rejected, or null when it is valid
+ */
+const getViolationError = (violation) => {
+    if (!isPlainObject(violation)) return 'Violation is required';
+    if (typeof violation.type !== 'string' || !violation.type) return 'Violation type is required';
+    if (!violation.message) return 'Violation message is required';
+    if (violation.confidence !== undefined && !(Number.isFinite(violation.confidence) && violation.confidence >= 0 && violation.confidence <= 1)) {
+        return 'Confidence must be between 0 and 1';
+    }
+    if (violation.metadata !== undefined && !isPlainObject(violation.metadata)) return 'Invalid violation metadata';
+    if (violation.evidence !== undefined && !isPlainObject(violation.evidence)) return 'Invalid violation evidence';
+
+    return null;
+};
+
+/**
+ * Check a timeline event sent by the candidate page, as POST /interviews/:sessionId/events does
+ * @param {Object} event - Event as sent
+ * @param {Object|null} interview - Its interview, to check a reported duration against
+ * @returns {string|null} Why the event is rejected, or null when it is valid
+ */
+const getEventError = (event, interview) => {
+    if (!isPlainObject(event)) return 'Event is required';
+    if (!Event.CLIENT_EVENT_TYPES.includes(event.type)) return 'Invalid event type';
+    if (!event.message) return 'Event message is required';
+    if (event.severity !== undefined && !Event.EVENT_SEVERITIES.includes(event.severity)) return 'Invalid severity level';
+    if (event.metadata !== undefined && !isPlainObject(event.metadata)) return 'Invalid event metadata';
+
+    const durationMs = event.metadata && event.metadata.durationMs;
+    if (durationMs !== undefined && interview && !interview.fitsSession(durationMs)) return 'Invalid event duration';
+
+    return null;
+};
 
 class SocketHandlers {
     constructor() {
@@ -14,28 +71,43 @@ class SocketHandlers {
     setupHandlers(socket, io) {
         console.log(`Setting up handlers for socket: ${socket.id}`);
 
+        // Every event is checked against the caller's role and session before it runs
+        const on = (eventName, handler) => socket.on(eventName, authorizeEvent(socket, eventName, handler));
+
         // Interview session events
-        socket.on('join-interview', (data) => this.handleJoinInterview(socket, io, data));
-        socket.on('leave-interview', (data) => this.handleLeaveInterview(socket, io, data));
-        socket.on('interview-started', (data) => this.handleInterviewStarted(socket, io, data));
-        socket.on('interview-ended', (data) => this.handleInterviewEnded(socket, io, data));
+        on('join-interview', (data) => this.handleJoinInterview(socket, io, data));
+        on('leave-interview', (data) => this.handleLeaveInterview(socket, io, data));
+        // Candidate session messages are acknowledged so the client's offline queue can replay them
+        on('interview-started', (data, ack) => this.handleInterviewStarted(socket, io, data, ack));
+        on('interview-ended', (data, ack) => this.handleInterviewEnded(socket, io, data, ack));
 
         // Violation and event handling
-        socket.on('violation-detected', (data) => this.handleViolationDetected(socket, io, data));
-        socket.on('event-logged', (data) => this.handleEventLogged(socket, io, data));
+        on('violation-detected', (data, ack) => this.handleViolationDetected(socket, io, data, ack));
+        on('event-logged', (data, ack) => this.handleEventLogged(socket, io, data, ack));
 
         // Real-time monitoring
-        socket.on('detection-update', (data) => this.handleDetectionUpdate(socket, io, data));
-        socket.on('score-update', (data) => this.handleScoreUpdate(socket, io, data));
+        on('detection-update', (data) => this.handleDetectionUpdate(socket, io, data));
 
         // Interviewer events
-        socket.on('join-as-interviewer', (data) => this.handleJoinAsInterviewer(socket, io, data));
-        socket.on('interviewer-message', (data) => this.handleInterviewerMessage(socket, io, data));
-        socket.on('request-candidate-attention', (data) => this.handleRequestAttention(socket, io, data));
+        on('join-as-interviewer', (data) => this.handleJoinAsInterviewer(socket, io, data));
+        on('interviewer-message', (data, ack) => this.handleInterviewerMessage(socket, io, data, ack));
+        on('request-candidate-attention', (data, ack) => this.handleRequestAttention(socket, io, data, ack));
+
+        // Session chat (messages are stored and delivered to both sides as 'chat-message')
+        on('candidate-message', (data, ack) => this.handleCandidateMessage(socket, io, data, ack));
+        on('chat-history', (data, ack) => this.handleChatHistory(socket, io, data, ack));
+        on('chat-read', (data) => this.handleChatRead(socket, io, data));
+
+        // Live view: WebRTC signaling between the candidate and each watching interviewer
+        on('live-view-request', (data, ack) => this.handleLiveViewRequest(socket, io, data, ack));
+        on('live-view-stop', (data) => this.handleLiveViewStop(socket, io, data));
+        on('webrtc-signal', (data) => this.handleWebRTCSignal(socket, io, data));
 
         // System events
-        socket.on('system-check', (data) => this.handleSystemCheck(socket, io, data));
-        socket.on('technical-issue', (data) => this.handleTechnicalIssue(socket, io, data));
+        on('system-check', (data) => this.handleSystemCheck(socket, io, data));
+        on('identity-enrolled', (data, ack) => this.handleIdentityEnrolled(socket, io, data, ack));
+        on('technical-issue', (data) => this.handleTechnicalIssue(socket, io, data));
+        on('heartbeat', (data, ack) => this.handleHeartbeat(socket, io, data, ack));
 
         // Disconnect handling
         socket.on('disconnect', () => this.handleDisconnect(socket, io));
@@ -48,12 +120,7 @@ class SocketHandlers {
         try {
             const { sessionId, candidateInfo } = data;
 
-            if (!sessionId) {
-                socket.emit('error', { message: 'Session ID is required' });
-                return;
-            }
-
-            // Find the interview
+            // Find the interview (the candidate token was checked at handshake)
             const interview = await Interview.findOne({ sessionId });
             if (!interview) {
                 socket.emit('error', { message: 'Interview not found' });
@@ -67,15 +134,40 @@ class SocketHandlers {
             // Update candidate info if provided
             if (candidateInfo) {
                 Object.assign(interview.candidateInfo, candidateInfo);
-                await interview.save();
             }
 
+            // Joining again after a reload or network drop closes the recorded gap
+            const gap = interview.markCandidateConnected();
+            await interview.save();
+
+            if (gap) {
+                await this.recordConnectionGap(interview, gap);
+            }
+
+            // A running interview is resumed from its server start time
             socket.emit('interview-joined', {
                 sessionId,
-                interview: interview.toObject()
+                interview: interview.toObject(),
+                resumed: interview.sessionData.status === 'in_progress'
             });
 
             // Notify interviewers
+            await this.addDashboardWatchers(io, interview);
+
+            if (gap) {
+                socket.to(`interviewer_${sessionId}`).emit('candidate-reconnected', {
+                    sessionId,
+                    candidateInfo: interview.candidateInfo,
+                    disconnectedAt: gap.disconnectedAt,
+                    durationMs: gap.durationMs,
+                    withinGrace: gap.withinGrace,
+                    reconnectCount: interview.sessionData.connection.reconnectCount,
+                    timestamp: new Date()
+                });
+                console.log(`Candidate reconnected to interview: ${sessionId} after ${Math.round(gap.durationMs / 1000)}s`);
+                return;
+            }
+
             socket.to(`interviewer_${sessionId}`).emit('candidate-joined', {
                 sessionId,
                 candidateInfo: interview.candidateInfo,
@@ -116,16 +208,19 @@ class SocketHandlers {
     /**
      * Handle interview started event
      */
-    async handleInterviewStarted(socket, io, data) {
+    async handleInterviewStarted(socket, io, data, ack = () => {}) {
         try {
             const { sessionId, candidateName } = data;
 
-            // Update interview status
+            // Update interview status (a replayed start must not reopen or restart the session)
             const interview = await Interview.findOne({ sessionId });
+            if (interview && interview.sessionData.status !== 'scheduled') {
+                ack({ success: true, duplicate: true });
+                return;
+            }
             if (interview) {
-                interview.sessionData.status = 'in_progress';
-                interview.sessionData.startTime = new Date();
-                await interview.save();
+                await interview.start();
+                await this.addDashboardWatchers(io, interview);
             }
 
             // Broadcast to all connected clients in the interview room
@@ -144,64 +239,92 @@ class SocketHandlers {
             });
 
             console.log(`Interview started: ${sessionId}`);
+            ack({ success: true });
 
         } catch (error) {
             console.error('Error handling interview started:', error);
+            ack({ success: false, error: error.message, retry: isRetryable(error) });
         }
     }
 
     /**
      * Handle interview ended event
      */
-    async handleInterviewEnded(socket, io, data) {
+    async handleInterviewEnded(socket, io, data, ack = () => {}) {
         try {
-            const { sessionId, sessionData } = data;
+            const { sessionId, statistics } = data;
 
-            // Update interview in database
+            // Same end routine as PUT /interviews/:sessionId/end (reported statistics are validated,
+            // scores are computed server-side only)
             const interview = await Interview.findOne({ sessionId });
-            if (interview) {
-                interview.sessionData.status = 'completed';
-                interview.sessionData.endTime = new Date();
-
-                if (sessionData) {
-                    Object.assign(interview, sessionData);
-                }
-
-                await interview.save();
+            if (!interview || !await interview.complete(statistics)) {
+                ack({
+                    success: false,
+                    error: interview ? `Interview is currently ${interview.sessionData.status}` : 'Interview not found'
+                });
+                return;
             }
 
             // Broadcast to all connected clients
             io.to(`interview_${sessionId}`).emit('interview-ended', {
                 sessionId,
                 endTime: new Date(),
-                finalData: interview ? interview.toObject() : null
+                finalData: interview.toObject()
             });
 
             // Notify interviewers
             io.to(`interviewer_${sessionId}`).emit('interview-completed', {
                 sessionId,
-                interview: interview ? interview.toObject() : null,
+                interview: interview.toObject(),
                 timestamp: new Date()
             });
 
             console.log(`Interview ended: ${sessionId}`);
+            ack({ success: true });
 
         } catch (error) {
             console.error('Error handling interview ended:', error);
+            ack({ success: false, error: error.message, retry: isRetryable(error) });
         }
     }
 
     /**
      * Handle violation detected event
      */
-    async handleViolationDetected(socket, io, data) {
+    async handleViolationDetected(socket, io, data, ack = () => {}) {
         try {
-            const { sessionId, violation } = data;
+            const { sessionId, eventId } = data;
 
-            // Save violation to database
+            const error = getViolationError(data.violation);
+            if (error) {
+                ack({ success: false, error, retry: false });
+                return;
+            }
+
+            if (eventId !== undefined && Event.isServerEventId(eventId)) {
+                ack({ success: false, error: 'Event id is reserved', retry: false });
+                return;
+            }
+
+            // Unknown types are kept (as 'unknown') rather than dropped, but flagged here
+            if (!ViolationTypes.isKnown(data.violation.type)) {
+                console.warn(`Unknown violation type '${data.violation.type}' in ${sessionId}, recording as 'unknown'`);
+            }
+            let violation = ViolationTypes.normalize(data.violation);
+
+            // Save violation to database, with its snapshot stored as evidence
             const interview = await Interview.findOne({ sessionId });
             if (interview) {
-                await interview.addViolation(violation);
+                violation = await EvidenceStore.extractEvidence(interview.sessionId, violation);
+
+                // Already stored from an earlier delivery of the same queued message
+                if (!await interview.addViolation({ ...violation, id: eventId, sequence: data.sequence })) {
+                    await EvidenceStore.discardEvidence(violation);
+                    ack({ success: true, duplicate: true });
+                    return;
+                }
+            } else {
+                delete violation.evidence;
             }
 
             // Broadcast violation to interviewers immediately
@@ -218,24 +341,49 @@ class SocketHandlers {
                 timestamp: new Date()
             });
 
+            if (interview) {
+                this.broadcastScores(io, interview);
+            }
+
             console.log(`Violation detected in ${sessionId}:`, violation.type);
+            ack({ success: true });
 
         } catch (error) {
             console.error('Error handling violation:', error);
+            ack({ success: false, error: error.message, retry: isRetryable(error) });
         }
     }
 
     /**
      * Handle event logged
      */
-    async handleEventLogged(socket, io, data) {
+    async handleEventLogged(socket, io, data, ack = () => {}) {
         try {
-            const { sessionId, event } = data;
+            const { sessionId, event, eventId } = data;
 
-            // Save event to database
             const interview = await Interview.findOne({ sessionId });
+            const error = getEventError(event, interview);
+            if (error) {
+                ack({ success: false, error, retry: false });
+                return;
+            }
+
+            const id = eventId || event.id;
+            if (id !== undefined && Event.isServerEventId(id)) {
+                ack({ success: false, error: 'Event id is reserved', retry: false });
+                return;
+            }
+
+            // Save event to database
             if (interview) {
-                await interview.addEvent(event);
+                const { type, message, severity, timestamp, metadata } = event;
+
+                // Already stored from an earlier delivery of the same queued message
+                if (!await interview.addEvent({ type, message, severity, timestamp, metadata, id, sequence: data.sequence })) {
+                    ack({ success: true, duplicate: true });
+                    return;
+                }
+                this.broadcastScores(io, interview);
             }
 
             // Broadcast to interviewers if it's a significant event
@@ -247,8 +395,11 @@ class SocketHandlers {
                 });
             }
 
+            ack({ success: true });
+
         } catch (error) {
             console.error('Error handling event:', error);
+            ack({ success: false, error: error.message, retry: isRetryable(error) });
         }
     }
 
@@ -257,12 +408,13 @@ class SocketHandlers {
      */
     handleDetectionUpdate(socket, io, data) {
         try {
-            const { sessionId, detections } = data;
+            const { sessionId, detections, thumbnail } = data;
 
-            // Broadcast detection updates to interviewers
+            // Broadcast detection updates to interviewers (oversized thumbnails are dropped)
             socket.to(`interviewer_${sessionId}`).emit('detection-update', {
                 sessionId,
                 detections,
+                thumbnail: typeof thumbnail === 'string' && thumbnail.length <= MAX_THUMBNAIL_LENGTH ? thumbnail : null,
                 timestamp: new Date()
             });
 
@@ -272,48 +424,50 @@ class SocketHandlers {
     }
 
     /**
-     * Handle score updates
+     * Push server-computed scores to the candidate and the interviewers watching the session
      */
-    async handleScoreUpdate(socket, io, data) {
-        try {
-            const { sessionId, scores } = data;
-
-            // Update scores in database
-            const interview = await Interview.findOne({ sessionId });
-            if (interview) {
-                Object.assign(interview.scores, scores);
-                await interview.save();
-            }
-
-            // Broadcast to interviewers
-            io.to(`interviewer_${sessionId}`).emit('score-update', {
-                sessionId,
-                scores,
-                timestamp: new Date()
-            });
-
-        } catch (error) {
-            console.error('Error handling score update:', error);
-        }
+    broadcastScores(io, interview) {
+        const payload = {
+            sessionId: interview.sessionId,
+            scores: interview.scores,
+            scoringVersion: interview.scoring.version,
+            timestamp: new Date()
+        };
+
+        io.to(`interview_${interview.sessionId}`).to(`interviewer_${interview.sessionId}`).emit('score-update', payload);
     }
 
     /**
      * Handle interviewer joining
      */
-    handleJoinAsInterviewer(socket, io, data) {
+    async handleJoinAsInterviewer(socket, io, data = {}) {
         try {
-            const { sessionId, interviewerId, interviewerInfo } = data;
+            const { sessionId } = data;
+            const interviewerId = socket.data.user.userId;
 
-            // Join interviewer room
-            socket.join(`interviewer_${sessionId}`);
             this.interviewerSockets.set(interviewerId, socket.id);
 
+            if (sessionId) {
+                // Join interviewer room
+                socket.join(`interviewer_${sessionId}`);
+            } else {
+                // Dashboard view: watch every open session the user may see
+                socket.join('interviewer_dashboard');
+
+                const interviews = await Interview.find({
+                    'sessionData.status': { $in: ['scheduled', 'in_progress'] },
+                    ...Interview.accessFilterFor(socket.data.user)
+                }).select('sessionId');
+
+                interviews.forEach(interview => socket.join(`interviewer_${interview.sessionId}`));
+            }
+
             socket.emit('interviewer-joined', {
                 sessionId,
                 message: 'Successfully joined as interviewer'
             });
 
-            console.log(`Interviewer ${interviewerId} joined session: ${sessionId}`);
+            console.log(`Interviewer ${interviewerId} joined session: ${sessionId || 'dashboard'}`);
 
         } catch (error) {
             console.error('Error handling interviewer join:', error);
@@ -323,41 +477,206 @@ class SocketHandlers {
     /**
      * Handle interviewer messages to candidate
      */
-    handleInterviewerMessage(socket, io, data) {
+    async handleInterviewerMessage(socket, io, data, ack = () => {}) {
         try {
-            const { sessionId, message, interviewerName } = data;
+            const { sessionId, message } = data;
 
-            // Send message to candidate
-            socket.to(`interview_${sessionId}`).emit('interviewer-message', {
-                message,
-                interviewerName,
-                timestamp: new Date()
-            });
+            const stored = await this.postChatMessage(io, sessionId, this.staffSender(socket), message);
+            ack({ success: true, message: stored });
 
-            console.log(`Interviewer message sent to ${sessionId}: ${message}`);
+            console.log(`Interviewer message sent to ${sessionId}`);
 
         } catch (error) {
             console.error('Error handling interviewer message:', error);
+            ack({ success: false, error: error.message });
         }
     }
 
     /**
      * Handle request for candidate attention
      */
-    handleRequestAttention(socket, io, data) {
+    async handleRequestAttention(socket, io, data, ack = () => {}) {
         try {
             const { sessionId, message } = data;
 
-            // Send attention request to candidate
-            socket.to(`interview_${sessionId}`).emit('attention-request', {
-                message: message || 'Please pay attention to the camera',
-                timestamp: new Date()
-            });
+            const stored = await this.postChatMessage(io, sessionId, this.staffSender(socket),
+                message || 'Please pay attention to the camera', 'attention');
+            ack({ success: true, message: stored });
 
             console.log(`Attention requested for session: ${sessionId}`);
 
         } catch (error) {
             console.error('Error handling attention request:', error);
+            ack({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Handle a chat reply from the candidate
+     */
+    async handleCandidateMessage(socket, io, data, ack = () => {}) {
+        try {
+            const { sessionId, message } = data;
+
+            const stored = await this.postChatMessage(io, sessionId, { role: 'candidate' }, message);
+            ack({ success: true, message: stored });
+
+        } catch (error) {
+            console.error('Error handling candidate message:', error);
+            ack({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Send the session's chat transcript to the caller (e.g. after a reload)
+     */
+    async handleChatHistory(socket, io, data, ack = () => {}) {
+        try {
+            const messages = await ChatMessage.getTranscript(data.sessionId);
+            ack({ success: true, messages: messages.map(message => message.toObject()) });
+
+        } catch (error) {
+            console.error('Error loading chat history:', error);
+            ack({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Mark the other side's messages as read and send read receipts to both sides
+     */
+    async handleChatRead(socket, io, data) {
+        try {
+            const { sessionId } = data;
+            const readerRole = socket.data.user ? 'interviewer' : 'candidate';
+            const readAt = new Date();
+
+            const messageIds = await ChatMessage.markReadBy(sessionId, readerRole, readAt);
+            if (messageIds.length === 0) return;
+
+            io.to(`interview_${sessionId}`).to(`interviewer_${sessionId}`).emit('chat-read', {
+                sessionId,
+                readerRole,
+                messageIds,
+                readAt
+            });
+
+        } catch (error) {
+            console.error('Error handling chat read receipt:', error);
+        }
+    }
+
+    /**
+     * Store a chat message and deliver it to the candidate and every interviewer of the session
+     * @returns {Promise<Object>} The stored message
+     */
+    async postChatMessage(io, sessionId, sender, text, kind = 'message') {
+        const body = typeof text === 'string' ? text.trim() : '';
+        if (!body) {
+            throw new Error('Message text is required');
+        }
+        if (body.length > ChatMessage.MAX_MESSAGE_LENGTH) {
+            throw new Error(`Messages are limited to ${ChatMessage.MAX_MESSAGE_LENGTH} characters`);
+        }
+
+        const interview = await Interview.findOne({ sessionId }).select('_id');
+        const message = await ChatMessage.create({
+            sessionId,
+            interview: interview ? interview._id : undefined,
+            sender,
+            kind,
+            text: body
+        });
+
+        const payload = message.toObject();
+        io.to(`interview_${sessionId}`).to(`interviewer_${sessionId}`).emit('chat-message', payload);
+
+        return payload;
+    }
+
+    /**
+     * Chat sender details for a staff socket
+     */
+    staffSender(socket) {
+        return {
+            role: 'interviewer',
+            userId: socket.data.user.userId,
+            name: socket.data.user.name
+        };
+    }
+
+    /**
+     * Handle an interviewer asking to watch the candidate's camera
+     * The candidate page answers with a WebRTC offer addressed to this socket
+     */
+    handleLiveViewRequest(socket, io, data, ack = () => {}) {
+        try {
+            const { sessionId } = data;
+
+            if (!this.activeInterviews.has(sessionId)) {
+                ack({ success: false, error: 'Candidate is not connected' });
+                return;
+            }
+
+            // Signals from the candidate are only relayed to sockets in the interviewer room
+            socket.join(`interviewer_${sessionId}`);
+
+            socket.to(`interview_${sessionId}`).emit('live-view-request', {
+                sessionId,
+                viewerId: socket.id,
+                viewerName: socket.data.user.name,
+                iceServers: ICE_SERVERS
+            });
+
+            ack({ success: true, iceServers: ICE_SERVERS });
+            console.log(`Live view of ${sessionId} requested by ${socket.data.user.email}`);
+
+        } catch (error) {
+            console.error('Error handling live view request:', error);
+            ack({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Handle an interviewer closing a live view
+     */
+    handleLiveViewStop(socket, io, data) {
+        try {
+            const { sessionId } = data;
+
+            socket.to(`interview_${sessionId}`).emit('live-view-stop', {
+                sessionId,
+                viewerId: socket.id
+            });
+
+        } catch (error) {
+            console.error('Error handling live view stop:', error);
+        }
+    }
+
+    /**
+     * Relay a WebRTC offer, answer or ICE candidate between the candidate and one viewer
+     * Candidates address a viewer socket; viewers always reach the session's candidate
+     */
+    handleWebRTCSignal(socket, io, data) {
+        try {
+            const { sessionId, target, ...signal } = data;
+            const payload = { ...signal, sessionId, from: socket.id };
+
+            if (socket.data.user) {
+                socket.to(`interview_${sessionId}`).emit('webrtc-signal', payload);
+                return;
+            }
+
+            const viewer = io.sockets.sockets.get(target);
+            if (!viewer || !viewer.rooms.has(`interviewer_${sessionId}`)) {
+                console.warn(`Dropped WebRTC signal from ${sessionId} to unknown viewer ${target}`);
+                return;
+            }
+
+            viewer.emit('webrtc-signal', payload);
+
+        } catch (error) {
+            console.error('Error relaying WebRTC signal:', error);
         }
     }
 
@@ -380,6 +699,54 @@ class SocketHandlers {
         }
     }
 
+    /**
+     * Handle the reference face enrolled at the candidate's system check: the snapshot is stored like
+     * violation evidence and kept on the interview with its match threshold, replacing an earlier one
+     */
+    async handleIdentityEnrolled(socket, io, data, ack = () => {}) {
+        try {
+            const { sessionId, threshold, enrolledAt, evidence } = data;
+
+            const interview = await Interview.findOne({ sessionId });
+            if (!interview || !['scheduled', 'in_progress'].includes(interview.sessionData.status)) {
+                ack({ success: false, error: interview ? `Interview is currently ${interview.sessionData.status}` : 'Interview not found' });
+                return;
+            }
+            if (!(typeof threshold === 'number' && threshold >= 0 && threshold <= 1)) {
+                ack({ success: false, error: 'Match threshold must be between 0 and 1' });
+                return;
+            }
+
+            let stored;
+            try {
+                stored = await EvidenceStore.saveSnapshot(sessionId, evidence && evidence.snapshot);
+            } catch (error) {
+                ack({ success: false, error: error.message });
+                return;
+            }
+
+            const previous = interview.identityReference && interview.identityReference.path;
+            const enrolledDate = new Date(enrolledAt || Date.now());
+
+            interview.identityReference = {
+                ...stored,
+                threshold,
+                enrolledAt: isNaN(enrolledDate) ? new Date() : enrolledDate
+            };
+            await interview.save();
+
+            if (previous) {
+                await EvidenceStore.deleteSnapshot(previous);
+            }
+
+            ack({ success: true });
+
+        } catch (error) {
+            console.error('Error handling identity enrollment:', error);
+            ack({ success: false, error: error.message, retry: isRetryable(error) });
+        }
+    }
+
     /**
      * Handle technical issues
      */
@@ -392,7 +759,7 @@ class SocketHandlers {
             if (interview) {
                 interview.flags.technicalIssues = true;
                 await interview.addEvent({
-                    id: `tech_issue_${Date.now()}`,
+                    id: Event.serverEventId(`tech_issue_${Date.now()}`),
                     type: 'system_check',
                     message: `Technical issue: ${issue.description}`,
                     severity: 'warning',
@@ -415,19 +782,67 @@ class SocketHandlers {
         }
     }
 
+    /**
+     * Store a closed connection gap as a connection_lost timeline event with its duration
+     */
+    async recordConnectionGap(interview, gap) {
+        const seconds = Math.round(gap.durationMs / 1000);
+
+        await interview.addEvent({
+            // One event per gap, however often the join is retried
+            id: Event.serverEventId(`connection_lost_${gap.disconnectedAt.getTime()}`),
+            type: 'connection_lost',
+            message: gap.withinGrace ?
+                `Candidate reconnected after ${seconds}s` : `Candidate reconnected after ${seconds}s, beyond the ${Interview.RECONNECT_GRACE_SECONDS}s grace period`,
+            severity: gap.withinGrace ? 'info' : 'warning',
+            timestamp: gap.reconnectedAt,
+            metadata: gap
+        });
+    }
+
+    /**
+     * Handle candidate heartbeat (keeps the session reaper from abandoning the interview)
+     */
+    async handleHeartbeat(socket, io, data, ack = () => {}) {
+        try {
+            const { sessionId } = data;
+
+            // Written directly so frequent heartbeats do not race full document saves
+            const result = await Interview.updateOne(
+                { sessionId, 'sessionData.status': 'in_progress' },
+                { $set: { 'sessionData.connection.lastHeartbeatAt': new Date() } }
+            );
+
+            ack({ success: true, active: result.matchedCount > 0 });
+
+        } catch (error) {
+            console.error('Error handling heartbeat:', error);
+            ack({ success: false, error: error.message });
+        }
+    }
+
     /**
      * Handle socket disconnection
      */
-    handleDisconnect(socket, io) {
+    async handleDisconnect(socket, io) {
         try {
-            // Clean up active interviews
+            // Clean up active interviews (a session already rejoined from a newer socket is not affected)
             for (const [sessionId, socketId] of this.activeInterviews.entries()) {
                 if (socketId === socket.id) {
                     this.activeInterviews.delete(sessionId);
 
+                    // A running interview stays open for the candidate to resume
+                    // (unless a newer socket rejoined the session while it was loading)
+                    const interview = await Interview.findOne({ sessionId });
+                    if (interview && interview.sessionData.status === 'in_progress' && !this.activeInterviews.has(sessionId)) {
+                        interview.markCandidateDisconnected();
+                        await interview.save();
+                    }
+
                     // Notify interviewers of candidate disconnect
                     socket.to(`interviewer_${sessionId}`).emit('candidate-disconnected', {
                         sessionId,
+                        graceSeconds: Interview.RECONNECT_GRACE_SECONDS,
                         timestamp: new Date()
                     });
 
@@ -450,6 +865,17 @@ class SocketHandlers {
         }
     }
 
+    /**
+     * Subscribe dashboard sockets allowed to see an interview to its interviewer room
+     */
+    async addDashboardWatchers(io, interview) {
+        const sockets = await io.in('interviewer_dashboard').fetchSockets();
+
+        sockets
+            .filter(dashboardSocket => interview.isAccessibleBy(dashboardSocket.data.user))
+            .forEach(dashboardSocket => dashboardSocket.join(`interviewer_${interview.sessionId}`));
+    }
+
     /**
      * Get active interviews count
      */
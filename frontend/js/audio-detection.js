@@ -0,0 +1,346 @@
+/**
+ * Audio Detection System for Video Proctoring
+ * Web Audio analysis of the candidate's microphone: speech activity, background voices,
+ * whispering and sudden loud noises
+ */
+
+if (window.AudioDetectionSystem) {
+    console.log(' AudioDetectionSystem already loaded, skipping redefinition');
+} else {
+    class AudioDetectionSystem {
+        constructor() {
+            this.audioContext = null;
+            this.analyser = null;
+            this.source = null;
+            this.audioTrack = null;
+            this.monitorInterval = null;
+            this.isMonitoring = false;
+            this.onViolationDetected = null;
+
+            this.sampleInterval = 100; // ms between analyses
+
+            // Frequency bands (Hz)
+            this.bands = {
+                voice: { min: 300, max: 3400 }, // voiced speech
+                hiss: { min: 2000, max: 6000 }, // unvoiced, breathy speech (whispering)
+                total: { min: 80, max: 8000 }
+            };
+
+            // Levels are relative to the adaptive noise floor (dB)
+            this.thresholds = {
+                speechMarginDb: 10, // voice activity
+                nearSpeechMarginDb: 22, // the candidate speaking into their own microphone
+                whisperMarginDb: 6,
+                voiceBandRatio: 0.5,
+                hissBandRatio: 0.35,
+                backgroundVoiceThreshold: 5000, // ms of sustained distant voices
+                whisperThreshold: 3000, // ms of sustained whispering
+                loudNoiseJumpDb: 25, // dB above the running average
+                loudNoiseMinDb: -25, // absolute level (dBFS) a sudden noise must reach
+                gapTolerance: 1000, // ms of silence allowed inside sustained activity
+                violationCooldown: 15000 // ms between violations of the same type
+            };
+
+            this.resetState();
+
+            console.log('🎤 AudioDetectionSystem instance created');
+        }
+
+        resetState() {
+            this.state = {
+                noiseFloorDb: -60,
+                averageDb: -60,
+                sustained: {}, // key -> { start, lastSeen }
+                lastViolationTime: {},
+                lastVoiceAt: null,
+                lastNearSpeechAt: null
+            };
+
+            this.statistics = {
+                samples: 0,
+                levelSumDb: 0,
+                peakLevelDb: -100,
+                speechSamples: 0,
+                backgroundVoiceSamples: 0,
+                whisperSamples: 0,
+                loudNoiseCount: 0,
+                violations: 0
+            };
+        }
+
+        setViolationCallback(callback) {
+            this.onViolationDetected = callback;
+        }
+
+        /**
+         * Apply audio thresholds from the interview's proctoring policy profile
+         */
+        applyPolicy(detection = {}) {
+            const audio = detection.audio || {};
+
+            ['backgroundVoiceThreshold', 'whisperThreshold', 'loudNoiseJumpDb'].forEach(setting => {
+                if (typeof audio[setting] === 'number') {
+                    this.thresholds[setting] = audio[setting];
+                }
+            });
+        }
+
+        /**
+         * Start analyzing the audio track of a media stream
+         * @returns {boolean} Whether monitoring started
+         */
+        startMonitoring(mediaStream) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.audioTrack = mediaStream ? mediaStream.getAudioTracks()[0] : null;
+
+            if (!AudioContextClass || !this.audioTrack) {
+                console.warn('⚠️ Audio monitoring unavailable (no Web Audio support or no microphone track)');
+                return false;
+            }
+
+            this.stopMonitoring();
+
+            this.audioContext = new AudioContextClass();
+            this.source = this.audioContext.createMediaStreamSource(mediaStream);
+            this.analyser = this.audioContext.createAnalyser();
+            this.analyser.fftSize = 2048;
+            this.analyser.smoothingTimeConstant = 0.3;
+
+            // Analysis only: the analyser is not connected to the speakers
+            this.source.connect(this.analyser);
+
+            this.timeData = new Float32Array(this.analyser.fftSize);
+            this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+
+            if (this.audioContext.state === 'suspended') {
+                this.audioContext.resume().catch(error => console.warn('Could not resume audio context:', error));
+            }
+
+            this.monitorInterval = setInterval(() => this.analyzeFrame(), this.sampleInterval);
+            this.isMonitoring = true;
+
+            console.log('🎤 Audio monitoring started');
+            return true;
+        }
+
+        stopMonitoring() {
+            if (this.monitorInterval) {
+                clearInterval(this.monitorInterval);
+                this.monitorInterval = null;
+            }
+
+            if (this.source) {
+                this.source.disconnect();
+                this.source = null;
+            }
+
+            if (this.audioContext) {
+                this.audioContext.close().catch(() => {});
+                this.audioContext = null;
+            }
+
+            this.analyser = null;
+            this.isMonitoring = false;
+        }
+
+        analyzeFrame() {
+            // A muted microphone is reported by toggleMicrophone, not analyzed as silence
+            if (!this.analyser || !this.audioTrack || !this.audioTrack.enabled) return;
+
+            const now = Date.now();
+            const levelDb = this.getLevelDb();
+
+            this.analyser.getFloatFrequencyData(this.frequencyData);
+            const totalEnergy = this.getBandEnergy(this.bands.total) || 1e-12;
+            const voiceRatio = this.getBandEnergy(this.bands.voice) / totalEnergy;
+            const hissRatio = this.getBandEnergy(this.bands.hiss) / totalEnergy;
+
+            this.checkLoudNoise(levelDb);
+
+            const margin = levelDb - this.state.noiseFloorDb;
+            const isVoice = margin >= this.thresholds.speechMarginDb && voiceRatio >= this.thresholds.voiceBandRatio;
+            const isNearSpeech = isVoice && margin >= this.thresholds.nearSpeechMarginDb;
+            const isBackgroundVoice = isVoice && !isNearSpeech;
+            const isWhisper = !isVoice && margin >= this.thresholds.whisperMarginDb && hissRatio >= this.thresholds.hissBandRatio;
+
+            this.updateNoiseFloor(levelDb, isVoice || isWhisper);
+            this.state.averageDb = this.state.averageDb * 0.95 + levelDb * 0.05;
+
+            // Statistics
+            this.statistics.samples++;
+            this.statistics.levelSumDb += levelDb;
+            this.statistics.peakLevelDb = Math.max(this.statistics.peakLevelDb, levelDb);
+            if (isVoice) this.statistics.speechSamples++;
+            if (isVoice) this.state.lastVoiceAt = now;
+            if (isNearSpeech) this.state.lastNearSpeechAt = now;
+            if (isBackgroundVoice) this.statistics.backgroundVoiceSamples++;
+            if (isWhisper) this.statistics.whisperSamples++;
+
+            // Sustained activity
+            const backgroundDuration = this.trackSustained('backgroundVoice', isBackgroundVoice, now);
+            if (backgroundDuration >= this.thresholds.backgroundVoiceThreshold) {
+                this.raiseViolation('background_voices',
+                    `Background voices detected for ${Math.round(backgroundDuration / 1000)} seconds`,
+                    this.getSustainedConfidence(backgroundDuration, this.thresholds.backgroundVoiceThreshold),
+                    { durationMs: backgroundDuration, levelDb: Math.round(levelDb) });
+                delete this.state.sustained.backgroundVoice;
+            }
+
+            const whisperDuration = this.trackSustained('whisper', isWhisper, now);
+            if (whisperDuration >= this.thresholds.whisperThreshold) {
+                this.raiseViolation('whispering_detected',
+                    `Whispering detected for ${Math.round(whisperDuration / 1000)} seconds`,
+                    this.getSustainedConfidence(whisperDuration, this.thresholds.whisperThreshold),
+                    { durationMs: whisperDuration, levelDb: Math.round(levelDb) });
+                delete this.state.sustained.whisper;
+            }
+        }
+
+        /**
+         * Whether speech was heard recently, for correlating with lip movement
+         * @param {number} windowMs - How recent the speech must be
+         * @returns {Object|null} { voice, nearSpeech }, or null while the microphone is not analyzed
+         */
+        getSpeechActivity(windowMs = 500) {
+            if (!this.isMonitoring || !this.audioTrack || !this.audioTrack.enabled) return null;
+
+            const now = Date.now();
+            const recent = time => time !== null && now - time <= windowMs;
+
+            return {
+                voice: recent(this.state.lastVoiceAt),
+                nearSpeech: recent(this.state.lastNearSpeechAt)
+            };
+        }
+
+        /**
+         * RMS level of the current frame in dBFS
+         */
+        getLevelDb() {
+            this.analyser.getFloatTimeDomainData(this.timeData);
+
+            let sum = 0;
+            for (let i = 0; i < this.timeData.length; i++) {
+                sum += this.timeData[i] * this.timeData[i];
+            }
+
+            const rms = Math.sqrt(sum / this.timeData.length);
+            return rms > 0 ? Math.max(-100, 20 * Math.log10(rms)) : -100;
+        }
+
+        /**
+         * Linear power in a frequency band of the last frequency snapshot
+         */
+        getBandEnergy(band) {
+            const binWidth = this.audioContext.sampleRate / this.analyser.fftSize;
+            const start = Math.max(0, Math.floor(band.min / binWidth));
+            const end = Math.min(this.frequencyData.length - 1, Math.ceil(band.max / binWidth));
+
+            let energy = 0;
+            for (let i = start; i <= end; i++) {
+                energy += Math.pow(10, this.frequencyData[i] / 10);
+            }
+            return energy;
+        }
+
+        /**
+         * Follow quiet periods quickly and loud ones slowly so speech does not raise the floor
+         */
+        updateNoiseFloor(levelDb, isActivity) {
+            if (levelDb < this.state.noiseFloorDb) {
+                this.state.noiseFloorDb = this.state.noiseFloorDb * 0.9 + levelDb * 0.1;
+            } else if (!isActivity) {
+                this.state.noiseFloorDb = this.state.noiseFloorDb * 0.99 + levelDb * 0.01;
+            }
+        }
+
+        checkLoudNoise(levelDb) {
+            const jump = levelDb - this.state.averageDb;
+
+            if (jump >= this.thresholds.loudNoiseJumpDb && levelDb >= this.thresholds.loudNoiseMinDb) {
+                this.statistics.loudNoiseCount++;
+                this.raiseViolation('loud_noise',
+                    `Sudden loud noise detected (+${Math.round(jump)} dB)`,
+                    Math.min(1, 0.5 + (jump - this.thresholds.loudNoiseJumpDb) / (this.thresholds.loudNoiseJumpDb * 2)),
+                    { jumpDb: Math.round(jump), levelDb: Math.round(levelDb) });
+            }
+        }
+
+        /**
+         * Track how long an activity has lasted, tolerating short gaps
+         * @returns {number} Duration in ms, 0 when inactive
+         */
+        trackSustained(key, active, now) {
+            const sustained = this.state.sustained[key];
+
+            if (active) {
+                if (!sustained) {
+                    this.state.sustained[key] = { start: now, lastSeen: now };
+                    return 0;
+                }
+                sustained.lastSeen = now;
+                return now - sustained.start;
+            }
+
+            if (sustained && now - sustained.lastSeen > this.thresholds.gapTolerance) {
+                delete this.state.sustained[key];
+            }
+            return 0;
+        }
+
+        getSustainedConfidence(duration, threshold) {
+            return Math.min(1, 0.6 + 0.4 * ((duration - threshold) / threshold));
+        }
+
+        raiseViolation(type, message, confidence, metadata) {
+            const now = Date.now();
+            const lastTime = this.state.lastViolationTime[type] || 0;
+            if (now - lastTime < this.thresholds.violationCooldown) return;
+            this.state.lastViolationTime[type] = now;
+
+            // Severity comes from the shared registry
+            const violation = window.ViolationTypes.normalize({
+                type,
+                message,
+                timestamp: new Date(),
+                confidence: Math.round(confidence * 100) / 100,
+                metadata: { source: 'audio', ...metadata }
+            });
+
+            console.log(`🎤 Audio violation detected:`, violation);
+            this.statistics.violations++;
+
+            if (this.onViolationDetected) {
+                this.onViolationDetected(violation);
+            }
+        }
+
+        /**
+         * Audio level statistics for reports (times in seconds)
+         */
+        getStatistics() {
+            const samples = this.statistics.samples;
+            const toSeconds = count => Math.round(count * this.sampleInterval / 1000);
+
+            return {
+                averageLevelDb: samples ? Math.round(this.statistics.levelSumDb / samples) : null,
+                peakLevelDb: samples ? Math.round(this.statistics.peakLevelDb) : null,
+                noiseFloorDb: Math.round(this.state.noiseFloorDb),
+                monitoredTime: toSeconds(samples),
+                speechTime: toSeconds(this.statistics.speechSamples),
+                speechRatio: samples ? Math.round(this.statistics.speechSamples / samples * 100) / 100 : 0,
+                backgroundVoiceTime: toSeconds(this.statistics.backgroundVoiceSamples),
+                whisperTime: toSeconds(this.statistics.whisperSamples),
+                loudNoiseCount: this.statistics.loudNoiseCount,
+                violations: this.statistics.violations
+            };
+        }
+
+        reset() {
+            this.stopMonitoring();
+            this.resetState();
+        }
+    }
+
+    window.AudioDetectionSystem = AudioDetectionSystem;
+}
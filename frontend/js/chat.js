@@ -0,0 +1,224 @@
+/**
+ * Session Chat Panel
+ * Two-way chat between interviewers and the candidate, used on both the candidate page and the
+ * interviewer dashboard. Messages are stored by the server and delivered to both sides as
+ * 'chat-message'; 'chat-read' carries read receipts for the sender's messages.
+ */
+
+if (window.ChatPanel) {
+    console.log(' ChatPanel already loaded, skipping redefinition');
+} else {
+    class ChatPanel {
+        /**
+         * @param {Object} socket - Connected socket (candidate or interviewer)
+         * @param {string} sessionId - Session the chat belongs to
+         * @param {Object} options
+         * @param {string} options.role - 'candidate' or 'interviewer' (the local side)
+         * @param {HTMLElement} options.container - Element the panel is rendered into
+         * @param {string} options.sendEvent - Socket event used to send a message
+         * @param {Array<string>} options.templates - Canned messages offered in a picker (optional)
+         */
+        constructor(socket, sessionId, { role, container, sendEvent, templates = [] }) {
+            this.socket = socket;
+            this.sessionId = sessionId;
+            this.role = role;
+            this.container = container;
+            this.sendEvent = sendEvent;
+            this.templates = templates;
+            this.messages = new Map(); // message id -> message element
+            this.onMessage = null; // called with every incoming message from the other side
+
+            this.messageListener = (message) => this.handleMessage(message);
+            this.readListener = (receipt) => this.handleRead(receipt);
+            this.visibilityListener = () => this.markRead();
+
+            this.socket.on('chat-message', this.messageListener);
+            this.socket.on('chat-read', this.readListener);
+            document.addEventListener('visibilitychange', this.visibilityListener);
+
+            this.render();
+        }
+
+        render() {
+            this.container.innerHTML = `
+                <div class="chat-messages"></div>
+                <select class="chat-templates"${this.templates.length ? '' : ' hidden'}>
+                    <option value="">Quick messages...</option>
+                </select>
+                <form class="chat-form">
+                    <input type="text" class="chat-input" maxlength="1000" placeholder="Type a message..." autocomplete="off">
+                    <button type="submit" class="btn btn-primary btn-sm">
+                        <i class="fas fa-paper-plane"></i>
+                    </button>
+                </form>
+                <small class="chat-error"></small>
+            `;
+
+            this.list = this.container.querySelector('.chat-messages');
+            this.input = this.container.querySelector('.chat-input');
+            this.error = this.container.querySelector('.chat-error');
+
+            const picker = this.container.querySelector('.chat-templates');
+            this.templates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template;
+                option.textContent = template;
+                picker.appendChild(option);
+            });
+            picker.addEventListener('change', () => {
+                if (picker.value) {
+                    this.input.value = picker.value;
+                    this.input.focus();
+                    picker.value = '';
+                }
+            });
+
+            this.container.querySelector('.chat-form').addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.send(this.input.value);
+            });
+            this.input.addEventListener('focus', () => this.markRead());
+        }
+
+        /**
+         * Load the stored transcript (e.g. after a reload, or when an interviewer opens the chat)
+         */
+        loadHistory() {
+            return new Promise(resolve => {
+                this.socket.timeout(10000).emit('chat-history', { sessionId: this.sessionId }, (error, response) => {
+                    if (error || !response || !response.success) {
+                        this.showError('Could not load earlier messages');
+                        resolve();
+                        return;
+                    }
+
+                    response.messages.forEach(message => this.appendMessage(message));
+                    this.markRead();
+                    resolve();
+                });
+            });
+        }
+
+        /**
+         * Send a message; the input is cleared once the server has stored it
+         */
+        send(text) {
+            const message = text.trim();
+            if (!message) return;
+
+            this.showError('');
+            this.socket.timeout(10000).emit(this.sendEvent, { sessionId: this.sessionId, message }, (error, response) => {
+                if (error || !response || !response.success) {
+                    this.showError(error ? 'Message not sent - no connection to the server' : (response && response.error) || 'Message not sent');
+                    return;
+                }
+
+                // The stored message also arrives as 'chat-message'; appendMessage ignores the duplicate
+                this.appendMessage(response.message);
+                if (this.input.value.trim() === message) {
+                    this.input.value = '';
+                }
+            });
+        }
+
+        handleMessage(message) {
+            if (message.sessionId !== this.sessionId) return;
+
+            const isNew = !this.messages.has(message._id);
+            this.appendMessage(message);
+
+            if (isNew && message.sender.role !== this.role) {
+                this.markRead();
+                if (this.onMessage) {
+                    this.onMessage(message);
+                }
+            }
+        }
+
+        handleRead({ sessionId, readerRole, messageIds, readAt }) {
+            if (sessionId !== this.sessionId || readerRole === this.role) return;
+
+            messageIds.forEach(id => {
+                const element = this.messages.get(id);
+                if (element) {
+                    element.querySelector('.chat-receipt').textContent = `Read ${this.formatTime(readAt)}`;
+                }
+            });
+        }
+
+        /**
+         * Tell the server the other side's messages have been seen, while the panel is on screen
+         */
+        markRead() {
+            if (document.visibilityState !== 'visible' || !this.container.offsetParent) return;
+
+            const hasUnread = Array.from(this.messages.values()).some(element => element.dataset.unread === 'true');
+            if (!hasUnread) return;
+
+            this.messages.forEach(element => delete element.dataset.unread);
+            this.socket.emit('chat-read', { sessionId: this.sessionId });
+        }
+
+        appendMessage(message) {
+            if (this.messages.has(message._id)) return;
+
+            const own = message.sender.role === this.role;
+            const element = document.createElement('div');
+            element.className = `chat-message ${own ? 'own' : 'other'}${message.kind === 'attention' ? ' attention' : ''}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'chat-meta';
+            meta.textContent = `${this.senderLabel(message, own)} · ${this.formatTime(message.createdAt)}`;
+
+            const text = document.createElement('div');
+            text.className = 'chat-text';
+            text.textContent = message.text;
+
+            element.append(meta, text);
+
+            if (own) {
+                const receipt = document.createElement('div');
+                receipt.className = 'chat-receipt';
+                receipt.textContent = message.readAt ? `Read ${this.formatTime(message.readAt)}` : 'Sent';
+                element.appendChild(receipt);
+            } else if (!message.readAt) {
+                element.dataset.unread = 'true';
+            }
+
+            this.messages.set(message._id, element);
+            this.list.appendChild(element);
+            this.list.scrollTop = this.list.scrollHeight;
+        }
+
+        // Interviewers share one side of the chat, so their messages keep the sender's name
+        senderLabel(message, own) {
+            if (message.sender.role === 'candidate') return own ? 'You' : 'Candidate';
+
+            const name = message.sender.name || 'Interviewer';
+            return message.kind === 'attention' ? `${name} (attention)` : name;
+        }
+
+        formatTime(value) {
+            return new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+
+        showError(message) {
+            if (this.error) {
+                this.error.textContent = message;
+            }
+        }
+
+        /**
+         * Stop listening and remove the panel
+         */
+        destroy() {
+            this.socket.off('chat-message', this.messageListener);
+            this.socket.off('chat-read', this.readListener);
+            document.removeEventListener('visibilitychange', this.visibilityListener);
+            this.container.innerHTML = '';
+            this.messages.clear();
+        }
+    }
+
+    window.ChatPanel = ChatPanel;
+}
@@ -26,6 +26,12 @@ if (window.DetectionSystem) {
             this.frameSkipCount = 0;
             this.maxFrameSkip = 3;
 
+            // Evidence snapshots attached to violations
+            this.evidenceSettings = {
+                maxWidth: 640, // px, larger frames are scaled down
+                quality: 0.7 // JPEG quality
+            };
+
             // Visual Feedback Elements
             this.overlayCanvas = null;
             this.overlayCtx = null;
@@ -44,13 +50,119 @@ if (window.DetectionSystem) {
             this.maxConsecutiveFrames = 5; // Reset after 5 frames to prevent spam
 
             // Focus Detection Tracking
-            this.lookingAwayStartTime = null;
             this.lookingAwayThreshold = 5000; // 5 seconds in milliseconds
             this.noFaceStartTime = null;
             this.noFaceThreshold = 10000; // 10 seconds in milliseconds
-            this.headAngleThreshold = 25; // degrees for looking away detection
+            this.headAngleThreshold = 25; // degrees of head turn left or right for looking away detection
+            this.eyeClosureThreshold = 3000; // 3 seconds in milliseconds
             this.isCurrentlyLookingAway = false;
             this.isCurrentlyNoFace = false;
+            this.lastFaceCount = null; // faces in the last analyzed frame (null until one is analyzed)
+
+            // Face Mesh landmarks are tracked on their own, faster loop (eyes and lips)
+            this.landmarkFrameInterval = 150; // ms between frames, fast enough to catch blinks and speech
+            this.landmarkTrackingInterval = null;
+            this.faceMeshQueue = Promise.resolve(); // Face Mesh handles one frame at a time
+            this.faceMeshPending = 0;
+
+            // Eye state from the Face Mesh eye landmarks (eye aspect ratio, EAR)
+            this.eyeTracking = {
+                defaultClosedRatio: 0.2, // EAR below which eyes count as closed until a baseline is learned
+                closedRatioOfBaseline: 0.7, // eyes are closed below this share of the candidate's open-eye EAR
+                baselineSmoothing: 0.05, // weight of each open-eye frame in the running baseline
+                maxBlinkDuration: 400, // ms; longer closures are not counted as blinks
+                drowsinessWindow: 60000, // ms of frames used for PERCLOS (share of time with eyes closed)
+                drowsinessPerclos: 0.25, // PERCLOS at or above this means the candidate is drowsy
+                drowsinessMinFrames: 100, // frames needed in the window before drowsiness is judged
+                drowsinessCooldown: 60000 // ms between drowsiness violations
+            };
+            this.eyeState = this.createEyeState();
+
+            // Talking from the Face Mesh lip landmarks, compared with what the microphone hears
+            this.lipTracking = {
+                motionWindow: 1500, // ms of mouth-opening samples used to judge lip movement
+                motionThreshold: 0.035, // standard deviation of the mouth opening that counts as talking
+                minMotionFrames: 4, // frames needed in the window before lip movement is judged
+                segmentGap: 1000, // ms of still lips that end a talking segment
+                speechWindow: 600, // ms within which the microphone must have heard speech
+                silentLipThreshold: 5000, // ms of lip movement with no speech heard before a violation
+                stillLipThreshold: 5000, // ms of speech heard with still lips before a violation
+                violationCooldown: 20000 // ms between violations of the same type
+            };
+            this.audioActivitySource = null; // audio detector reporting recent speech
+            this.lipState = this.createLipState();
+
+            // Head pose (yaw, pitch, roll) solved from Face Mesh landmarks against a generic 3D face.
+            // Model points are in mm, in camera axes for a face looking straight at the camera:
+            // x to the image right, y down, z away from the camera.
+            this.headPoseModel = [
+                { index: 1, point: [0, 0, 0] }, // nose tip
+                { index: 152, point: [0, 330, 65] }, // chin
+                { index: 33, point: [-225, -170, 135] }, // outer eye corner, image left
+                { index: 263, point: [225, -170, 135] }, // outer eye corner, image right
+                { index: 61, point: [-150, 150, 125] }, // mouth corner, image left
+                { index: 291, point: [150, 150, 125] } // mouth corner, image right
+            ];
+            this.headPose = {
+                // Degrees from the candidate's neutral pose; left and right follow headAngleThreshold
+                // unless set. Directions are from the candidate's point of view.
+                thresholds: { left: null, right: null, up: 15, down: 20 },
+                neutralFrames: 20, // frames averaged into the candidate's neutral pose at the start
+                smoothing: 0.4, // weight of each new frame in the smoothed pose
+                episodeGap: 700, // ms back at the screen that ends a looking-away episode
+                minEpisodeDuration: 1000, // ms; shorter glances are not kept in the history
+                maxHistory: 500 // episodes kept for the report
+            };
+            this.headPoseState = this.createHeadPoseState();
+
+            // Gaze from the Face Mesh iris landmarks (refineLandmarks) added to the head pose, mapped to the
+            // screen by a calibration the candidate does during the system check
+            this.gazeTracking = {
+                // Screen positions (fractions of the viewport) the candidate looks at during calibration
+                calibrationTargets: [
+                    { x: 0.5, y: 0.5 },
+                    { x: 0.05, y: 0.05 },
+                    { x: 0.95, y: 0.05 },
+                    { x: 0.95, y: 0.95 },
+                    { x: 0.05, y: 0.95 }
+                ],
+                settleTime: 800, // ms after a target appears before its samples are taken
+                sampleTime: 1500, // ms of samples per target
+                minTargetSamples: 5, // samples every target needs for a usable calibration
+                minSpread: 3, // degrees of gaze between the targets needed on each axis
+                maxCalibrationError: 0.2, // mean distance (screen fractions) of the targets from the fitted map
+                eyeballRadius: 0.4, // eyeball radius as a share of eye width, turns iris offsets into angles
+                smoothing: 0.3, // weight of each new frame in the smoothed gaze point
+                offScreenMargin: 0.1, // screen fractions beyond the edges that still count as on screen
+                offScreenThreshold: 4000, // ms of off-screen gaze with the head facing the screen before a violation
+                episodeGap: 500, // ms back on the screen that ends an off-screen episode
+                minEpisodeDuration: 1000, // ms; shorter glances are not counted as episodes
+                violationCooldown: 15000, // ms between off-screen gaze violations
+                heatmapColumns: 8, // heatmap cells across the screen; one ring of cells beyond the edges surrounds them
+                heatmapRows: 6
+            };
+            this.gazeCalibration = null; // linear map from gaze angles to the screen, set by calibrateGaze
+            this.gazeCalibrationRun = null; // samples being collected while calibrateGaze runs
+            this.gazeState = this.createGazeState();
+
+            // Identity verification: the live face is compared with a reference enrolled during the system check
+            this.identityVerification = {
+                enrollmentFrames: 8, // frames averaged into the reference face
+                enrollmentInterval: 250, // ms between enrollment frames
+                enrollmentTimeout: 10000, // ms to collect them before enrollment fails
+                checkInterval: 5000, // ms between checks against the reference
+                thresholdMargin: 0.2, // a check is a mismatch this far below the consistency of the enrollment frames
+                minThreshold: 0.4,
+                maxThreshold: 0.75,
+                mismatchChecks: 3, // consecutive mismatches before an impersonation violation
+                // The embedding is not a trained recognition model, so a mismatch is only a lead for a reviewer
+                mismatchConfidence: 0.3,
+                violationCooldown: 60000, // ms between impersonation violations
+                maxHistory: 720 // checks kept for the report (an hour at the check interval)
+            };
+            this.faceEmbedding = window.FaceEmbedding ? new window.FaceEmbedding() : null;
+            this.faceEnrollmentRun = null; // embeddings being collected while enrollReferenceFace runs
+            this.identityState = this.createIdentityState();
 
             // Visual feedback state
             this.showFocusWarning = false;
@@ -93,7 +205,10 @@ if (window.DetectionSystem) {
                 focusViolations: 0,
                 multiplefacesDetected: 0,
                 noFaceDetected: 0,
-                lookingAwayDetected: 0
+                lookingAwayDetected: 0,
+                eyeClosureDetected: 0,
+                drowsinessDetected: 0,
+                lipSpeechMismatches: 0
             };
 
             // Text Detection for Books/Notebooks
@@ -235,6 +350,46 @@ if (window.DetectionSystem) {
             });
         }
 
+        /**
+         * Apply detection settings from the interview's proctoring policy profile
+         * Values the policy leaves out keep the defaults set in the constructor
+         */
+        applyPolicy(detection = {}) {
+            ['lookingAwayThreshold', 'noFaceThreshold', 'eyeClosureThreshold', 'headAngleThreshold'].forEach(setting => {
+                if (typeof detection[setting] === 'number') {
+                    this[setting] = detection[setting];
+                }
+            });
+
+            if (detection.headPoseThresholds) {
+                ['left', 'right', 'up', 'down'].forEach(direction => {
+                    if (typeof detection.headPoseThresholds[direction] === 'number') {
+                        this.headPose.thresholds[direction] = detection.headPoseThresholds[direction];
+                    }
+                });
+            }
+
+            if (detection.confidenceThresholds) {
+                ['mobilePhone', 'objects'].forEach(group => {
+                    Object.assign(this.confidenceThresholds[group], detection.confidenceThresholds[group]);
+                });
+            }
+
+            if (detection.objectViolationThresholds) {
+                Object.assign(this.objectTracker.violationThresholds, detection.objectViolationThresholds);
+            }
+
+            if (detection.violationPathways) {
+                Object.entries(detection.violationPathways).forEach(([pathway, threshold]) => {
+                    if (this.violationPathways[pathway]) {
+                        this.violationPathways[pathway].threshold = threshold;
+                    }
+                });
+            }
+
+            console.log('📋 Proctoring policy applied to detection thresholds');
+        }
+
         async initialize() {
             try {
                 console.log(' Initializing AI models...');
@@ -345,6 +500,8 @@ if (window.DetectionSystem) {
                 console.log(' Focus check interval cleared');
             }
 
+            this.stopLandmarkTracking();
+
             // Reset detection state
             this.frameSkipCount = 0;
             this.focusLostCount = 0;
@@ -357,6 +514,14 @@ if (window.DetectionSystem) {
             this.onViolationDetected = callback;
         }
 
+        /**
+         * Source of recent speech activity for lip movement checks
+         * @param {Object} source - Object with getSpeechActivity() returning { voice, nearSpeech } or null
+         */
+        setAudioActivitySource(source) {
+            this.audioActivitySource = source;
+        }
+
         getStatistics() {
             return {...this.statistics };
         }
@@ -379,6 +544,25 @@ if (window.DetectionSystem) {
             };
         }
 
+        /**
+         * Current face and gaze state, streamed to the interviewer dashboard
+         */
+        getLiveState() {
+            return {
+                faceCount: this.lastFaceCount,
+                noFace: this.isCurrentlyNoFace,
+                lookingAway: this.isCurrentlyLookingAway,
+                eyeState: this.getEyeStatistics().currentState,
+                drowsy: this.eyeState.drowsy,
+                talking: this.lipState.talking,
+                headDirection: this.headPoseState.direction,
+                gazeOnScreen: this.gazeCalibration && this.gazeState.point ? this.gazeState.onScreen : null,
+                identityMismatch: this.identityState.mismatched,
+                warning: this.focusWarningType,
+                mode: this.useBasicDetection ? 'basic' : 'ai'
+            };
+        }
+
         async startAIDetectionLoop() {
             console.log(' Starting AI detection loop...');
 
@@ -404,11 +588,14 @@ if (window.DetectionSystem) {
                     console.warn('⚠️ Focus detection error:', error);
                 }
             }, 2000);
+
+            this.startLandmarkTracking();
         }
 
         async runAIDetection() {
             await this.detectObjectsWithAI();
             await this.detectFacesWithAI();
+            this.requestIdentityCheck();
             await this.detectGazeWithMediaPipe();
             await this.detectTextWithAI();
             await this.detectHandsWithMediaPipe();
@@ -609,7 +796,8 @@ if (window.DetectionSystem) {
 
                         this.triggerViolation('mobile_phone_detected',
                             `Mobile phone reliably detected: ${bestDetection.class} in ${this.phoneDetectedCount} frames (${(bestDetection.score * 100).toFixed(1)}% confidence)`,
-                            bestDetection.confidenceLevel === 'high' ? 'high' : 'medium');
+                            bestDetection.confidenceLevel === 'high' ? 'high' : 'medium',
+                            [this.toEvidenceBox(bestDetection)]);
 
                         this.statistics.objectDetections++;
                         this.statistics.reliableDetections++;
@@ -736,7 +924,8 @@ if (window.DetectionSystem) {
             console.log(`� ENHANCED VIOLATION TRIGGERED: ${violationType.toUpperCase()}`);
             console.log(`📋 Details: ${message}`);
 
-            this.triggerViolation('mobile_phone_detected', message, severity);
+            // Each enhanced pathway is its own registered type
+            this.triggerViolation(violationType, message, severity, [this.toEvidenceBox(detection)]);
             this.statistics.objectDetections++;
             this.statistics.reliableDetections++;
         }
@@ -1042,7 +1231,8 @@ if (window.DetectionSystem) {
 
                             this.triggerViolation('misclassified_object_detected',
                                 `Person detected holding unidentified object for ${this.misclassifiedDetection.personOnlyFrames} consecutive frames (${(highConfidencePerson.score * 100).toFixed(1)}% confidence)`,
-                                'medium');
+                                'medium',
+                                [this.toEvidenceBox(highConfidencePerson)]);
 
                             this.misclassifiedDetection.lastViolationTime = currentTime;
                             this.misclassifiedDetection.personOnlyFrames = 0;
@@ -1075,7 +1265,8 @@ if (window.DetectionSystem) {
 
                     this.triggerViolation('unknown_object_detected',
                         `Unknown object "${unknownObj.class}" detected with ${(unknownObj.score * 100).toFixed(1)}% confidence`,
-                        'medium');
+                        'medium',
+                        [this.toEvidenceBox(unknownObj)]);
 
                     this.misclassifiedDetection.unknownObjectFrames = 0;
                 }
@@ -1152,7 +1343,7 @@ if (window.DetectionSystem) {
                     const timestamp = new Date().toISOString();
                     const detailedMessage = `${obj.violationType.replace('_', ' ')}: ${obj.class} detected with ${(obj.score * 100).toFixed(1)}% confidence and ${obj.totalScore} suspiciousness points at ${timestamp}`;
 
-                    this.triggerViolation(obj.violationType, detailedMessage, obj.severity);
+                    this.triggerViolation(obj.violationType, detailedMessage, obj.severity, [this.toEvidenceBox(obj)]);
                     this.statistics.objectDetections++;
 
                     // Update category-specific statistics
@@ -1176,6 +1367,7 @@ if (window.DetectionSystem) {
 
                 console.log(`👥 AI Face Detection: ${faces.length} faces detected`);
                 this.statistics.faceDetections++;
+                this.lastFaceCount = faces.length;
 
                 // FOCUS DETECTION LOGIC
                 this.processFocusDetection(faces);
@@ -1196,7 +1388,8 @@ if (window.DetectionSystem) {
                 console.log(`👥 MULTIPLE FACES DETECTED: ${faces.length} faces in frame`);
                 this.triggerViolation('multiple_faces',
                     `Multiple faces detected: ${faces.length} faces in frame`,
-                    'high');
+                    'high',
+                    faces.map(face => this.toEvidenceBox(face, 'face')));
                 this.statistics.multiplefacesDetected++;
 
                 // Reset other timers since we have faces
@@ -1255,52 +1448,22 @@ if (window.DetectionSystem) {
             // Reset no face timer since we have a face
             this.resetNoFaceTimer();
 
-            // Calculate head angle for looking away detection
-            const headAngle = this.calculateHeadAngle(face);
-
-            if (Math.abs(headAngle) > this.headAngleThreshold) {
-                // Person is looking away
-                this.handleLookingAwayDetection(currentTime, headAngle);
-            } else {
-                // Person is looking at screen
-                this.resetLookingAwayTimer();
-                this.hideFocusWarning();
+            // Head pose normally comes from the faster Face Mesh loop; without it, use this face's mesh
+            if (!this.landmarkTrackingInterval && face.scaledMesh && this.videoElement) {
+                const points = this.headPoseModel.map(({ index }) => {
+                    const point = face.scaledMesh[index];
+                    return point ? { x: point[0], y: point[1] } : null;
+                });
+                const pose = this.estimateHeadPose(points, this.videoElement.videoWidth, this.videoElement.videoHeight);
+                if (pose) {
+                    this.updateHeadPose(pose, currentTime);
+                }
             }
 
             // Update last face detection time
             this.lastFaceDetection = currentTime;
         }
 
-        handleLookingAwayDetection(currentTime, headAngle) {
-            if (!this.isCurrentlyLookingAway) {
-                // Start looking away timer
-                this.lookingAwayStartTime = currentTime;
-                this.isCurrentlyLookingAway = true;
-                console.log(`👀 LOOKING AWAY: Starting timer (head angle: ${headAngle.toFixed(1)}°)`);
-            } else {
-                // Check if looking away duration exceeds threshold
-                const lookingAwayDuration = currentTime - this.lookingAwayStartTime;
-
-                if (lookingAwayDuration >= this.lookingAwayThreshold) {
-                    console.log(`👀 LOOKING AWAY VIOLATION: Looking away for ${(lookingAwayDuration / 1000).toFixed(1)} seconds (head angle: ${headAngle.toFixed(1)}°)`);
-
-                    // Show visual warning
-                    this.showFocusWarning = true;
-                    this.focusWarningType = 'looking_away';
-
-                    this.triggerViolation('looking_away',
-                        `Looking away from screen for ${(lookingAwayDuration / 1000).toFixed(1)} seconds (head angle: ${headAngle.toFixed(1)}°)`,
-                        'medium');
-
-                    this.statistics.lookingAwayDetected++;
-                    this.statistics.focusViolations++;
-
-                    // Reset timer to prevent spam (but keep warning visible)
-                    this.lookingAwayStartTime = currentTime;
-                }
-            }
-        }
-
         resetNoFaceTimer() {
             if (this.isCurrentlyNoFace) {
                 console.log(`👤 FACE DETECTED: Resetting no face timer`);
@@ -1311,9 +1474,11 @@ if (window.DetectionSystem) {
         }
 
         resetLookingAwayTimer() {
+            this.endHeadPoseEpisode();
+            this.headPoseState.direction = 'center';
+
             if (this.isCurrentlyLookingAway) {
                 console.log(`👀 LOOKING BACK: Resetting looking away timer`);
-                this.lookingAwayStartTime = null;
                 this.isCurrentlyLookingAway = false;
                 this.hideFocusWarning();
             }
@@ -1327,41 +1492,6 @@ if (window.DetectionSystem) {
             }
         }
 
-        calculateHeadAngle(face) {
-            try {
-                // Get key facial landmarks for head pose estimation
-                const landmarks = face.landmarks;
-
-                if (!landmarks || landmarks.length < 468) {
-                    return 0; // Default to looking straight if landmarks insufficient
-                }
-
-                // Use specific landmarks for head pose calculation
-                // Nose tip, left eye, right eye, left mouth corner, right mouth corner
-                const noseTip = landmarks[1];
-                const leftEye = landmarks[33];
-                const rightEye = landmarks[263];
-                const leftMouth = landmarks[61];
-                const rightMouth = landmarks[291];
-
-                // Calculate horizontal head rotation (yaw)
-                const eyeCenterX = (leftEye.x + rightEye.x) / 2;
-                const mouthCenterX = (leftMouth.x + rightMouth.x) / 2;
-                const noseTipX = noseTip.x;
-
-                // Simple head angle estimation based on facial feature alignment
-                const faceWidth = Math.abs(rightEye.x - leftEye.x);
-                const noseOffset = noseTipX - eyeCenterX;
-                const headAngle = (noseOffset / faceWidth) * 90; // Convert to degrees
-
-                return headAngle;
-
-            } catch (error) {
-                console.warn('Head angle calculation error:', error);
-                return 0; // Default to looking straight on error
-            }
-        }
-
         handleNoFaceDetected() {
             const timeSinceLastFace = Date.now() - this.lastFaceDetection;
             if (timeSinceLastFace > 10000) {
@@ -1376,14 +1506,25 @@ if (window.DetectionSystem) {
             // This is handled by detectGazeWithMediaPipe
         }
 
-        triggerViolation(type, message, severity) {
-            const violation = {
+        triggerViolation(type, message, severity, boxes = [], confidence = null) {
+            if (!window.ViolationTypes.isKnown(type)) {
+                console.warn(`⚠️ Unregistered violation type "${type}", reporting as unknown`);
+            }
+
+            // Resolve aliases and unknown types against the shared registry
+            const violation = window.ViolationTypes.normalize({
                 type,
                 message,
                 severity,
                 timestamp: new Date(),
-                confidence: this.useBasicDetection ? 0.6 : 0.9
-            };
+                confidence: confidence !== null ? confidence : (this.useBasicDetection ? 0.6 : 0.9)
+            });
+
+            // Keep the frame that triggered the violation, with the detections that caused it
+            const evidence = this.captureEvidence(boxes);
+            if (evidence) {
+                violation.evidence = evidence;
+            }
 
             console.log(`🚨 Violation detected:`, violation);
             this.statistics.violations++;
@@ -1393,6 +1534,71 @@ if (window.DetectionSystem) {
             }
         }
 
+        /**
+         * Detection box for evidence snapshots from a COCO-SSD prediction or a face
+         */
+        toEvidenceBox(detection, label) {
+            const bbox = detection ? this.extractBoundingBox(detection) : null;
+            if (!bbox) return null;
+
+            return {
+                bbox,
+                label: label || detection.class || 'object',
+                score: typeof detection.score === 'number' ? Math.round(detection.score * 100) / 100 : undefined
+            };
+        }
+
+        /**
+         * Capture the current video frame as a JPEG with the detection boxes drawn on it
+         * @param {Array} boxes - Boxes in video pixels ({ bbox: [x, y, width, height], label, score })
+         * @param {HTMLVideoElement} video - Video to capture (the interview video by default)
+         * @returns {Object|null} Evidence with a data URL snapshot, or null without a video frame
+         */
+        captureEvidence(boxes = [], video = this.videoElement) {
+            if (!video || !video.videoWidth || !video.videoHeight) return null;
+
+            try {
+                const scale = Math.min(1, this.evidenceSettings.maxWidth / video.videoWidth);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(video.videoWidth * scale);
+                canvas.height = Math.round(video.videoHeight * scale);
+
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                const drawnBoxes = boxes.filter(Boolean).map(box => ({
+                    ...box,
+                    bbox: box.bbox.map(value => Math.round(value * scale))
+                }));
+
+                ctx.lineWidth = 3;
+                ctx.font = '14px sans-serif';
+                drawnBoxes.forEach(box => {
+                    const [x, y, width, height] = box.bbox;
+                    const caption = box.score !== undefined ? `${box.label} ${Math.round(box.score * 100)}%` : box.label;
+
+                    ctx.strokeStyle = '#e74c3c';
+                    ctx.strokeRect(x, y, width, height);
+
+                    ctx.fillStyle = '#e74c3c';
+                    ctx.fillRect(x, Math.max(0, y - 18), ctx.measureText(caption).width + 8, 18);
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillText(caption, x + 4, Math.max(14, y - 4));
+                });
+
+                return {
+                    snapshot: canvas.toDataURL('image/jpeg', this.evidenceSettings.quality),
+                    width: canvas.width,
+                    height: canvas.height,
+                    boxes: drawnBoxes,
+                    capturedAt: new Date()
+                };
+            } catch (error) {
+                console.warn('Could not capture evidence snapshot:', error);
+                return null;
+            }
+        }
+
         setVideoElement(videoElement) {
             this.videoElement = videoElement;
             console.log('📹 Video element set for detection');
@@ -1989,7 +2195,6 @@ if (window.DetectionSystem) {
                         // Store detected hands in instance variable
                         this.detectedHands = detectedHands;
                         this.gazeAwayStartTime = null; // Timer for 5-second gaze tracking
-                        this.consecutiveLookingAwayFrames = 0; // Consecutive frame counter for robust gaze detection
 
                         resolve(detectedHands);
                     });
@@ -2006,114 +2211,1223 @@ if (window.DetectionSystem) {
         async detectGazeWithMediaPipe() {
             if (!this.faceMesh || !this.videoElement) return;
 
+            // Gaze is tracked from the head pose on every Face Mesh frame (see analyzeFaceLandmarks);
+            // the detection loop only sends a frame when the faster landmark loop is not running
+            if (this.landmarkTrackingInterval) return;
+
             try {
-                const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                canvas.width = this.videoElement.videoWidth;
-                canvas.height = this.videoElement.videoHeight;
-                ctx.drawImage(this.videoElement, 0, 0, canvas.width, canvas.height);
+                return await this.processFaceMeshFrame();
+            } catch (error) {
+                console.warn('Gaze detection error:', error);
+            }
+        }
 
-                return new Promise((resolve) => {
-                    this.faceMesh.onResults((results) => {
-                        if (results && results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-                            const landmarks = results.multiFaceLandmarks[0];
-                            const gazeDirection = this.analyzeGazeDirection(landmarks);
-                            this.statistics.gazeDetections++;
-
-                            if (!gazeDirection.lookingAtScreen) {
-                                // Increment consecutive looking away frames
-                                this.consecutiveLookingAwayFrames++;
-
-                                console.log(`👀 Looking away: Frame ${this.consecutiveLookingAwayFrames} (X=${gazeDirection.gazeOffsetX.toFixed(3)}, Y=${gazeDirection.gazeOffsetY.toFixed(3)})`);
-
-                                // Trigger violation after 35 consecutive frames (~7 seconds at 5fps)
-                                if (this.consecutiveLookingAwayFrames >= 35) {
-                                    // Check cooldown to prevent spam
-                                    if (!this.gazeViolationCooldown || (Date.now() - this.gazeViolationCooldown) > 15000) {
-                                        const secondsAway = Math.floor(this.consecutiveLookingAwayFrames / 5); // Approximate seconds
-                                        console.log(`👀 GAZE VIOLATION: Looking away for ${this.consecutiveLookingAwayFrames} frames (~${secondsAway} seconds)`);
-                                        this.triggerViolation('focus_lost', `Candidate looking away from screen for ${secondsAway} seconds`, 'medium');
-                                        this.gazeViolationCooldown = Date.now();
-                                        this.consecutiveLookingAwayFrames = 25; // Reset to prevent immediate re-trigger
-                                    } else {
-                                        const cooldownRemaining = Math.ceil((15000 - (Date.now() - this.gazeViolationCooldown)) / 1000);
-                                        console.log(`👀 Gaze violation on cooldown: ${cooldownRemaining}s remaining`);
-                                    }
-                                }
-                            } else {
-                                // Reset counter immediately when looking back at screen
-                                if (this.consecutiveLookingAwayFrames > 0) {
-                                    console.log(`👀 Looking back at screen after ${this.consecutiveLookingAwayFrames} frames (~${Math.floor(this.consecutiveLookingAwayFrames / 5)} seconds)`);
-                                    this.consecutiveLookingAwayFrames = 0;
-                                }
-                            }
-                        }
+        /**
+         * Run one video frame through Face Mesh. Frames are queued because Face Mesh has a single
+         * results callback; every result also updates the landmark-based trackers (eye state).
+         * @param {HTMLVideoElement} video - Video to take the frame from (the detection video by default)
+         * @returns {Promise<Object|null>} Face Mesh results, or null if the frame could not be processed
+         */
+        processFaceMeshFrame(video = this.videoElement) {
+            const run = () => new Promise((resolve) => {
+                if (!this.faceMesh || !video || !video.videoWidth) {
+                    resolve(null);
+                    return;
+                }
 
-                        resolve(results);
-                    });
+                if (!this.faceMeshCanvas) {
+                    this.faceMeshCanvas = document.createElement('canvas');
+                }
+                const canvas = this.faceMeshCanvas;
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+                this.faceMesh.onResults((results) => {
+                    this.analyzeFaceLandmarks(results, canvas.width, canvas.height, canvas);
+                    resolve(results);
+                });
 
-                    this.faceMesh.send({ image: canvas });
+                Promise.resolve(this.faceMesh.send({ image: canvas })).catch((error) => {
+                    console.warn('Face Mesh frame failed:', error);
+                    resolve(null);
                 });
+            });
 
-            } catch (error) {
-                console.warn('Gaze detection error:', error);
+            this.faceMeshPending++;
+            const frame = this.faceMeshQueue.then(run, run);
+            this.faceMeshQueue = frame.finally(() => {
+                this.faceMeshPending--;
+            });
+
+            return frame;
+        }
+
+        /**
+         * Landmark-based tracking on every Face Mesh result
+         * @param {HTMLCanvasElement} image - The frame Face Mesh ran on (used for identity embeddings)
+         */
+        analyzeFaceLandmarks(results, width, height, image) {
+            const landmarks = results && results.multiFaceLandmarks && results.multiFaceLandmarks[0];
+            const now = Date.now();
+
+            // During enrollment and gaze calibration the frames only feed the samples being collected
+            if (this.faceEnrollmentRun) {
+                this.collectEnrollmentEmbedding(results, width, height, image);
+                return;
+            }
+            if (this.gazeCalibrationRun) {
+                this.collectGazeCalibrationSample(landmarks, width, height);
+                return;
+            }
+
+            if (!landmarks) {
+                // No face: eye and lip state are unknown rather than closed or still
+                this.resetEyeClosure(now);
+                this.eyeState.current = 'unknown';
+                this.resetLipState();
+                this.resetLookingAwayTimer();
+                this.resetGaze();
+                return;
+            }
+
+            this.statistics.gazeDetections++;
+
+            const posePoints = this.headPoseModel.map(({ index }) => {
+                const point = landmarks[index];
+                return point ? { x: point.x * width, y: point.y * height } : null;
+            });
+            const pose = this.estimateHeadPose(posePoints, width, height);
+            if (pose) {
+                this.updateHeadPose(pose, now);
+            }
+
+            const ear = this.calculateEyeAspectRatio(landmarks, width, height);
+            if (ear !== null) {
+                this.updateEyeState(ear, now);
+            }
+
+            // The iris cannot be located behind closed lids
+            const gaze = pose && this.gazeCalibration && this.eyeState.current !== 'closed' ?
+                this.getGazeAngles(landmarks, pose, width, height) : null;
+            if (gaze) {
+                this.updateGaze(gaze, now);
+            }
+
+            if (this.identityState.checkRequested && this.faceEmbedding) {
+                this.checkIdentity(results, width, height, image, now);
+            }
+
+            const mouthOpening = this.calculateMouthOpening(landmarks, width, height);
+            if (mouthOpening !== null) {
+                this.updateLipState(mouthOpening, now);
+            }
+        }
+
+        startLandmarkTracking() {
+            if (this.landmarkTrackingInterval || !this.faceMesh) return;
+
+            this.eyeState = this.createEyeState();
+            this.lipState = this.createLipState();
+            this.headPoseState = this.createHeadPoseState();
+            this.gazeState = this.createGazeState();
+            this.landmarkTrackingInterval = setInterval(() => {
+                // Skip the frame while Face Mesh is still busy rather than building a backlog
+                if (!this.isDetecting || this.faceMeshPending > 0) return;
+
+                this.processFaceMeshFrame().catch(error => console.warn('Landmark tracking error:', error));
+            }, this.landmarkFrameInterval);
+
+            console.log('👁️ Eye and lip tracking started');
+        }
+
+        stopLandmarkTracking() {
+            if (this.landmarkTrackingInterval) {
+                clearInterval(this.landmarkTrackingInterval);
+                this.landmarkTrackingInterval = null;
+                this.resetEyeClosure(Date.now());
+                this.resetLipState();
+                this.resetLookingAwayTimer();
+                this.resetGaze();
+                console.log('👁️ Eye and lip tracking stopped');
+            }
+        }
+
+        createEyeState() {
+            return {
+                current: 'unknown', // 'open', 'closed' or 'unknown' (no face)
+                ear: null,
+                baseline: null, // running open-eye EAR for this candidate
+                closedSince: null,
+                closureReported: false,
+                trackingStartedAt: null,
+                trackedTime: 0, // ms with a face to track
+                lastFrameAt: null,
+                blinkCount: 0,
+                closureCount: 0, // closures longer than eyeClosureThreshold
+                closedTime: 0, // ms in closures longer than a blink
+                samples: [], // { time, closed } within the drowsiness window
+                drowsy: false,
+                drowsinessCount: 0,
+                lastDrowsinessAt: null
+            };
+        }
+
+        /**
+         * Eye aspect ratio averaged over both eyes: eyelid opening relative to eye width
+         * (about 0.3 open, near 0 closed). Landmark coordinates are normalized, so they are scaled
+         * back to pixels first to keep the ratio independent of the frame's aspect ratio.
+         */
+        calculateEyeAspectRatio(landmarks, width, height) {
+            // Corner, upper lid (2), corner, lower lid (2) for each eye
+            const eyes = [
+                [33, 160, 158, 133, 153, 144],
+                [362, 385, 387, 263, 373, 380]
+            ];
+
+            const ratios = eyes.map(indices => {
+                const points = indices.map(index => landmarks[index]);
+                if (points.some(point => !point)) return null;
+
+                const [p1, p2, p3, p4, p5, p6] = points.map(point => ({ x: point.x * width, y: point.y * height }));
+                const eyeWidth = Utils.calculateDistance(p1, p4);
+                if (!eyeWidth) return null;
+
+                return (Utils.calculateDistance(p2, p6) + Utils.calculateDistance(p3, p5)) / (2 * eyeWidth);
+            }).filter(ratio => ratio !== null);
+
+            if (ratios.length === 0) return null;
+            return ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+        }
+
+        /**
+         * Track blinks, prolonged closures and drowsiness from one eye aspect ratio sample
+         */
+        updateEyeState(ear, now) {
+            const state = this.eyeState;
+            const settings = this.eyeTracking;
+
+            if (state.lastFrameAt && state.current !== 'unknown') {
+                // Gaps (detection paused, tab hidden) are not counted as tracked time
+                state.trackedTime += Math.min(now - state.lastFrameAt, this.landmarkFrameInterval * 4);
+            }
+            state.lastFrameAt = now;
+            if (!state.trackingStartedAt) {
+                state.trackingStartedAt = now;
+            }
+
+            const threshold = state.baseline ? state.baseline * settings.closedRatioOfBaseline : settings.defaultClosedRatio;
+            const closed = ear < threshold;
+
+            state.ear = ear;
+            state.current = closed ? 'closed' : 'open';
+
+            if (!closed) {
+                state.baseline = state.baseline ?
+                    state.baseline + (ear - state.baseline) * settings.baselineSmoothing :
+                    ear;
+            }
+
+            state.samples.push({ time: now, closed });
+            while (state.samples.length && now - state.samples[0].time > settings.drowsinessWindow) {
+                state.samples.shift();
+            }
+
+            if (closed) {
+                if (!state.closedSince) {
+                    state.closedSince = now;
+                }
+
+                const closedFor = now - state.closedSince;
+                if (closedFor >= this.eyeClosureThreshold && !state.closureReported) {
+                    state.closureReported = true;
+                    state.closureCount++;
+                    this.statistics.eyeClosureDetected++;
+                    this.triggerViolation('eye_closure', `Eyes closed for ${Math.round(closedFor / 1000)} seconds`, 'low');
+                }
+            } else {
+                this.resetEyeClosure(now);
+            }
+
+            this.checkDrowsiness(now);
+        }
+
+        /**
+         * End the current closure (eyes opened, face lost or tracking stopped), counting it as a
+         * blink or as time with the eyes closed
+         */
+        resetEyeClosure(now) {
+            const state = this.eyeState;
+            if (!state.closedSince) return;
+
+            const duration = now - state.closedSince;
+            if (duration <= this.eyeTracking.maxBlinkDuration) {
+                state.blinkCount++;
+            } else {
+                state.closedTime += duration;
+            }
+
+            state.closedSince = null;
+            state.closureReported = false;
+        }
+
+        /**
+         * Drowsiness from PERCLOS, the share of recent frames with the eyes closed
+         */
+        checkDrowsiness(now) {
+            const state = this.eyeState;
+            const settings = this.eyeTracking;
+
+            if (state.samples.length < settings.drowsinessMinFrames) {
+                state.drowsy = false;
+                return;
+            }
+
+            const perclos = state.samples.filter(sample => sample.closed).length / state.samples.length;
+            state.drowsy = perclos >= settings.drowsinessPerclos;
+
+            if (state.drowsy && (!state.lastDrowsinessAt || now - state.lastDrowsinessAt > settings.drowsinessCooldown)) {
+                state.lastDrowsinessAt = now;
+                state.drowsinessCount++;
+                this.statistics.drowsinessDetected++;
+                this.triggerViolation('drowsiness',
+                    `Candidate appears drowsy: eyes closed ${Math.round(perclos * 100)}% of the last ${Math.round(settings.drowsinessWindow / 1000)} seconds`,
+                    'medium');
+            }
+        }
+
+        /**
+         * Blink and eye-closure statistics for reports (times in seconds, blink rate per minute)
+         */
+        getEyeStatistics() {
+            const state = this.eyeState;
+            const trackedMinutes = state.trackedTime / 60000;
+            const closedSamples = state.samples.filter(sample => sample.closed).length;
+
+            return {
+                currentState: state.current,
+                trackedTime: Math.round(state.trackedTime / 1000),
+                blinkCount: state.blinkCount,
+                blinkRate: trackedMinutes > 0 ? Math.round(state.blinkCount / trackedMinutes * 10) / 10 : 0,
+                closureCount: state.closureCount,
+                eyeClosedTime: Math.round(state.closedTime / 1000),
+                perclos: state.samples.length ? Math.round(closedSamples / state.samples.length * 100) / 100 : 0,
+                drowsinessCount: state.drowsinessCount
+            };
+        }
+
+        createLipState() {
+            return {
+                opening: null,
+                samples: [], // { time, opening } within the motion window
+                lastFrameAt: null,
+                trackedTime: 0, // ms with a face to track
+                talking: false,
+                segmentStart: null,
+                lastMotionAt: null,
+                segmentCount: 0,
+                talkingTime: 0, // ms in finished talking segments
+                longestSegment: 0,
+                sustained: {}, // mismatch key -> { start, lastSeen }
+                lastViolationTime: {},
+                silentLipTime: 0, // ms of lip movement with no speech heard
+                stillLipTime: 0 // ms of speech heard with still lips
+            };
+        }
+
+        /**
+         * Mouth opening: inner lip gap relative to mouth width (near 0 closed, 0.3+ wide open)
+         */
+        calculateMouthOpening(landmarks, width, height) {
+            // Inner upper lip, inner lower lip, mouth corners
+            const points = [13, 14, 78, 308].map(index => landmarks[index]);
+            if (points.some(point => !point)) return null;
+
+            const [upper, lower, left, right] = points.map(point => ({ x: point.x * width, y: point.y * height }));
+            const mouthWidth = Utils.calculateDistance(left, right);
+            if (!mouthWidth) return null;
+
+            return Utils.calculateDistance(upper, lower) / mouthWidth;
+        }
+
+        /**
+         * Classify talking and silent segments from how much the mouth opening varies, and compare
+         * lip movement with the speech the microphone hears
+         */
+        updateLipState(opening, now) {
+            const state = this.lipState;
+            const settings = this.lipTracking;
+
+            const elapsed = state.lastFrameAt ? Math.min(now - state.lastFrameAt, this.landmarkFrameInterval * 4) : 0;
+            state.trackedTime += elapsed;
+            state.lastFrameAt = now;
+            state.opening = opening;
+
+            state.samples.push({ time: now, opening });
+            while (state.samples.length && now - state.samples[0].time > settings.motionWindow) {
+                state.samples.shift();
+            }
+
+            const moving = state.samples.length >= settings.minMotionFrames &&
+                this.getStandardDeviation(state.samples.map(sample => sample.opening)) >= settings.motionThreshold;
+
+            if (moving) {
+                state.lastMotionAt = now;
+                if (!state.talking) {
+                    state.talking = true;
+                    state.segmentStart = now;
+                }
+            } else if (state.talking && now - state.lastMotionAt > settings.segmentGap) {
+                this.endTalkingSegment();
+            }
+
+            this.checkLipSpeechMismatch(moving, now, elapsed);
+        }
+
+        endTalkingSegment() {
+            const state = this.lipState;
+            if (!state.talking) return;
+
+            const duration = state.lastMotionAt - state.segmentStart;
+            state.talkingTime += duration;
+            state.longestSegment = Math.max(state.longestSegment, duration);
+            state.segmentCount++;
+            state.talking = false;
+            state.segmentStart = null;
+        }
+
+        /**
+         * Lips are no longer visible (face lost or tracking stopped)
+         */
+        resetLipState() {
+            this.endTalkingSegment();
+            this.lipState.samples = [];
+            this.lipState.sustained = {};
+            this.lipState.lastFrameAt = null;
+        }
+
+        /**
+         * Flag lips moving while no speech is heard (mouthing to someone, silent reading) and speech
+         * heard while the lips are still (someone else answering)
+         */
+        checkLipSpeechMismatch(moving, now, elapsed) {
+            const state = this.lipState;
+            const settings = this.lipTracking;
+            const audio = this.audioActivitySource ? this.audioActivitySource.getSpeechActivity(settings.speechWindow) : null;
+
+            // Without a microphone to compare against there is no mismatch to judge
+            if (!audio) {
+                state.sustained = {};
+                return;
+            }
+
+            const silentLips = moving && !audio.voice;
+            const stillLips = !moving && audio.voice;
+            if (silentLips) state.silentLipTime += elapsed;
+            if (stillLips) state.stillLipTime += elapsed;
+
+            const silentDuration = this.trackLipMismatch('silentLips', silentLips, now);
+            if (silentDuration >= settings.silentLipThreshold) {
+                this.raiseLipViolation('lip_movement_without_speech',
+                    `Lips moving without speech for ${Math.round(silentDuration / 1000)} seconds`, now);
+                delete state.sustained.silentLips;
+            }
+
+            const stillDuration = this.trackLipMismatch('stillLips', stillLips, now);
+            if (stillDuration >= settings.stillLipThreshold) {
+                this.raiseLipViolation('speech_without_lip_movement',
+                    `Speech heard for ${Math.round(stillDuration / 1000)} seconds while the candidate's lips were still`, now);
+                delete state.sustained.stillLips;
+            }
+        }
+
+        /**
+         * How long a mismatch has lasted, tolerating gaps as short as a pause between words
+         * @returns {number} Duration in ms, 0 when inactive
+         */
+        trackLipMismatch(key, active, now) {
+            const sustained = this.lipState.sustained;
+
+            if (active) {
+                if (!sustained[key]) {
+                    sustained[key] = { start: now, lastSeen: now };
+                    return 0;
+                }
+                sustained[key].lastSeen = now;
+                return now - sustained[key].start;
+            }
+
+            if (sustained[key] && now - sustained[key].lastSeen > this.lipTracking.segmentGap) {
+                delete sustained[key];
+            }
+            return 0;
+        }
+
+        raiseLipViolation(type, message, now) {
+            const lastTime = this.lipState.lastViolationTime[type] || 0;
+            if (now - lastTime < this.lipTracking.violationCooldown) return;
+
+            this.lipState.lastViolationTime[type] = now;
+            this.statistics.lipSpeechMismatches++;
+            this.triggerViolation(type, message, 'medium');
+        }
+
+        getStandardDeviation(values) {
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+            return Math.sqrt(variance);
+        }
+
+        /**
+         * Talking-time statistics for reports (times in seconds)
+         */
+        getLipStatistics() {
+            const state = this.lipState;
+            const ongoing = state.talking ? state.lastMotionAt - state.segmentStart : 0;
+            const talkingTime = state.talkingTime + ongoing;
+            const toSeconds = ms => Math.round(ms / 1000);
+
+            return {
+                trackedTime: toSeconds(state.trackedTime),
+                talkingTime: toSeconds(talkingTime),
+                talkingRatio: state.trackedTime > 0 ? Math.round(talkingTime / state.trackedTime * 100) / 100 : 0,
+                talkingSegments: state.segmentCount + (state.talking ? 1 : 0),
+                longestSegment: toSeconds(Math.max(state.longestSegment, ongoing)),
+                silentLipMovementTime: toSeconds(state.silentLipTime),
+                speechWithoutLipMovementTime: toSeconds(state.stillLipTime)
+            };
+        }
+
+        createHeadPoseState() {
+            return {
+                neutralSamples: [],
+                neutral: null, // { yaw, pitch, roll } while looking at the screen
+                pose: null, // smoothed pose relative to neutral
+                direction: 'center', // 'center', 'left', 'down-right', ...
+                episode: null, // current looking-away episode
+                history: [], // finished episodes, oldest first
+                timeByDirection: {}, // direction -> ms
+                trackedTime: 0,
+                lastFrameAt: null
+            };
+        }
+
+        /**
+         * Solve the head pose from 2D landmarks with POSIT (the iterative scaled-orthographic
+         * approximation of solvePnP) against the generic face in headPoseModel.
+         * The camera is assumed to have a focal length of about the frame width, centered.
+         * @param {Array<Object>} points - Pixel positions ({ x, y }) in headPoseModel order
+         * @returns {Object|null} { yaw, pitch, roll } in degrees; yaw is positive when the candidate
+         *     turns to their left, pitch when they look down, roll when the head tilts clockwise in the image
+         */
+        estimateHeadPose(points, width, height) {
+            if (!width || !height || points.some(point => !point)) return null;
+
+            const model = this.headPoseModel.map(({ point }) => point);
+            const image = points.map(point => [point.x - width / 2, point.y - height / 2]);
+            const focalLength = width;
+
+            // Model vectors from the reference point (nose tip) and their pseudo-inverse
+            const vectors = model.slice(1).map(point => [0, 1, 2].map(axis => point[axis] - model[0][axis]));
+            const pseudoInverse = this.getPseudoInverse(vectors);
+            if (!pseudoInverse) return null;
+
+            let corrections = vectors.map(() => 0);
+            let rowX;
+            let rowY;
+            let rowZ;
+
+            for (let iteration = 0; iteration < 20; iteration++) {
+                const xs = image.slice(1).map((point, i) => point[0] * (1 + corrections[i]) - image[0][0]);
+                const ys = image.slice(1).map((point, i) => point[1] * (1 + corrections[i]) - image[0][1]);
+                const vectorI = pseudoInverse.map(row => this.dot(row, xs));
+                const vectorJ = pseudoInverse.map(row => this.dot(row, ys));
+
+                const normI = Math.hypot(...vectorI);
+                const normJ = Math.hypot(...vectorJ);
+                if (!normI || !normJ) return null;
+
+                rowX = vectorI.map(value => value / normI);
+                rowZ = this.normalize(this.cross(rowX, vectorJ.map(value => value / normJ)));
+                rowY = this.cross(rowZ, rowX);
+
+                const distance = focalLength / ((normI + normJ) / 2);
+                const next = vectors.map(vector => this.dot(vector, rowZ) / distance);
+                const change = Math.max(...next.map((value, i) => Math.abs(value - corrections[i])));
+                corrections = next;
+
+                if (change < 1e-4) break;
+            }
+
+            // Direction the face points in (the model's -z axis), in camera axes
+            const facing = [-rowX[2], -rowY[2], -rowZ[2]];
+            const toDegrees = radians => radians * 180 / Math.PI;
+
+            return {
+                yaw: toDegrees(Math.atan2(facing[0], -facing[2])),
+                pitch: toDegrees(Math.atan2(facing[1], Math.hypot(facing[0], facing[2]))),
+                roll: toDegrees(Math.atan2(rowY[0], rowX[0]))
+            };
+        }
+
+        /**
+         * Track where the candidate is looking from a head pose sample: learn the neutral pose,
+         * smooth, classify the direction and follow looking-away episodes
+         */
+        updateHeadPose(pose, now) {
+            const state = this.headPoseState;
+            const settings = this.headPose;
+
+            if (state.lastFrameAt) {
+                const elapsed = Math.min(now - state.lastFrameAt, this.landmarkFrameInterval * 4);
+                state.trackedTime += elapsed;
+                if (state.direction !== 'center') {
+                    state.timeByDirection[state.direction] = (state.timeByDirection[state.direction] || 0) + elapsed;
+                }
+            }
+            state.lastFrameAt = now;
+
+            // The first frames of the session set the candidate's neutral pose (camera placement and face shape)
+            if (!state.neutral) {
+                state.neutralSamples.push(pose);
+                if (state.neutralSamples.length >= settings.neutralFrames) {
+                    const average = key => state.neutralSamples.reduce((sum, sample) => sum + sample[key], 0) / state.neutralSamples.length;
+                    state.neutral = { yaw: average('yaw'), pitch: average('pitch'), roll: average('roll') };
+                    state.neutralSamples = [];
+                    console.log(`🧭 Neutral head pose: yaw ${state.neutral.yaw.toFixed(1)}°, pitch ${state.neutral.pitch.toFixed(1)}°`);
+                }
+                return;
+            }
+
+            const relative = {
+                yaw: pose.yaw - state.neutral.yaw,
+                pitch: pose.pitch - state.neutral.pitch,
+                roll: pose.roll - state.neutral.roll
+            };
+            state.pose = state.pose ? {
+                yaw: state.pose.yaw + (relative.yaw - state.pose.yaw) * settings.smoothing,
+                pitch: state.pose.pitch + (relative.pitch - state.pose.pitch) * settings.smoothing,
+                roll: state.pose.roll + (relative.roll - state.pose.roll) * settings.smoothing
+            } : relative;
+
+            const direction = this.classifyHeadDirection(state.pose);
+            state.direction = direction;
+            this.isCurrentlyLookingAway = direction !== 'center';
+
+            if (direction === 'center') {
+                if (state.episode && now - state.episode.lastSeen > settings.episodeGap) {
+                    this.endHeadPoseEpisode();
+                }
+                return;
+            }
+
+            if (!state.episode || state.episode.direction !== direction) {
+                this.endHeadPoseEpisode();
+                state.episode = { direction, start: now, lastSeen: now, peakYaw: 0, peakPitch: 0, reported: false };
+            }
+
+            const episode = state.episode;
+            episode.lastSeen = now;
+            if (Math.abs(state.pose.yaw) > Math.abs(episode.peakYaw)) episode.peakYaw = state.pose.yaw;
+            if (Math.abs(state.pose.pitch) > Math.abs(episode.peakPitch)) episode.peakPitch = state.pose.pitch;
+
+            const duration = now - episode.start;
+            if (!episode.reported && duration >= this.lookingAwayThreshold) {
+                episode.reported = true;
+                this.showFocusWarning = true;
+                this.focusWarningType = 'looking_away';
+
+                this.triggerViolation('looking_away',
+                    `Looking ${direction} for ${Math.round(duration / 1000)}s (yaw ${Math.round(state.pose.yaw)}°, pitch ${Math.round(state.pose.pitch)}°)`,
+                    'medium');
+
+                this.statistics.lookingAwayDetected++;
+                this.statistics.focusViolations++;
+            }
+        }
+
+        /**
+         * Direction of a pose relative to neutral, e.g. 'center', 'left' or 'down-right'
+         */
+        classifyHeadDirection(pose) {
+            const thresholds = this.headPose.thresholds;
+            const left = thresholds.left !== null ? thresholds.left : this.headAngleThreshold;
+            const right = thresholds.right !== null ? thresholds.right : this.headAngleThreshold;
+
+            const vertical = pose.pitch > thresholds.down ? 'down' : pose.pitch < -thresholds.up ? 'up' : null;
+            const horizontal = pose.yaw > left ? 'left' : pose.yaw < -right ? 'right' : null;
+
+            return [vertical, horizontal].filter(Boolean).join('-') || 'center';
+        }
+
+        /**
+         * Close the current looking-away episode and keep it in the history if it lasted long enough
+         */
+        endHeadPoseEpisode() {
+            const state = this.headPoseState;
+            const episode = state.episode;
+            if (!episode) return;
+
+            state.episode = null;
+
+            const duration = episode.lastSeen - episode.start;
+            if (duration >= this.headPose.minEpisodeDuration) {
+                state.history.push(this.toHeadPoseEpisode(episode));
+                if (state.history.length > this.headPose.maxHistory) {
+                    state.history.shift();
+                }
             }
+
+            if (episode.reported && this.focusWarningType === 'looking_away') {
+                this.hideFocusWarning();
+            }
+        }
+
+        toHeadPoseEpisode(episode) {
+            return {
+                direction: episode.direction,
+                startedAt: new Date(episode.start).toISOString(),
+                duration: Math.round((episode.lastSeen - episode.start) / 100) / 10,
+                peakYaw: Math.round(episode.peakYaw),
+                peakPitch: Math.round(episode.peakPitch),
+                flagged: episode.reported
+            };
+        }
+
+        /**
+         * Head pose statistics and looking-away history for reports (times in seconds)
+         */
+        getHeadPoseStatistics() {
+            const state = this.headPoseState;
+            const timeByDirection = {};
+            Object.entries(state.timeByDirection).forEach(([direction, ms]) => {
+                timeByDirection[direction] = Math.round(ms / 1000);
+            });
+
+            const episodes = state.episode && state.episode.lastSeen - state.episode.start >= this.headPose.minEpisodeDuration ?
+                [...state.history, this.toHeadPoseEpisode(state.episode)] :
+                [...state.history];
+
+            return {
+                trackedTime: Math.round(state.trackedTime / 1000),
+                awayTime: Object.values(timeByDirection).reduce((sum, seconds) => sum + seconds, 0),
+                timeByDirection,
+                currentDirection: state.direction,
+                episodes
+            };
         }
 
-        analyzeGazeDirection(landmarks) {
+        createGazeState() {
+            return {
+                point: null, // smoothed gaze point in screen fractions (0-1 on screen)
+                onScreen: true,
+                lastFrameAt: null,
+                trackedTime: 0, // ms with a calibrated gaze estimate
+                offScreenTime: 0,
+                episode: null, // current off-screen episode
+                episodeCount: 0,
+                longestEpisode: 0, // ms
+                lastViolationAt: null,
+                heatmap: new Array((this.gazeTracking.heatmapColumns + 2) * (this.gazeTracking.heatmapRows + 2)).fill(0) // ms per cell
+            };
+        }
+
+        /**
+         * Gaze direction as angles: the head pose plus the rotation of the eyes, from the iris centers
+         * (landmarks 468 and 473 with refineLandmarks) relative to the eye corners
+         * @returns {Object|null} { yaw, pitch } in degrees, same signs as estimateHeadPose
+         */
+        getGazeAngles(landmarks, pose, width, height) {
+            // iris center, then the eye corners from image left to image right
+            const eyes = [[468, 33, 133], [473, 362, 263]];
+            const offsets = [];
+
+            for (const [irisIndex, leftIndex, rightIndex] of eyes) {
+                const iris = landmarks[irisIndex];
+                const left = landmarks[leftIndex];
+                const right = landmarks[rightIndex];
+                if (!iris || !left || !right) return null;
+
+                const axis = [(right.x - left.x) * width, (right.y - left.y) * height];
+                const eyeWidth = Math.hypot(axis[0], axis[1]);
+                if (!eyeWidth) return null;
+
+                // Offset of the iris from the middle of the eye, along the eye and across it (image down)
+                const along = [axis[0] / eyeWidth, axis[1] / eyeWidth];
+                const across = [-along[1], along[0]];
+                const fromCenter = [
+                    (iris.x - (left.x + right.x) / 2) * width,
+                    (iris.y - (left.y + right.y) / 2) * height
+                ];
+                offsets.push([this.dot(fromCenter, along) / eyeWidth, this.dot(fromCenter, across) / eyeWidth]);
+            }
+
+            const toDegrees = radians => radians * 180 / Math.PI;
+            const eyeAngle = offset => toDegrees(Math.asin(Math.max(-1, Math.min(1, offset / this.gazeTracking.eyeballRadius))));
+
+            return {
+                yaw: pose.yaw + eyeAngle((offsets[0][0] + offsets[1][0]) / 2),
+                pitch: pose.pitch + eyeAngle((offsets[0][1] + offsets[1][1]) / 2)
+            };
+        }
+
+        /**
+         * Calibrate gaze for this candidate: they look at each target in gazeTracking.calibrationTargets
+         * while the video is sampled, then a linear map from gaze angles to the screen is fitted
+         * @param {HTMLVideoElement} video - Camera video to sample (the setup video during the system check)
+         * @param {Function} onTarget - Called with each target ({ x, y } in viewport fractions) as it is shown
+         * @returns {Promise<Object>} { success, error } with the mean error (screen fractions) on success
+         */
+        async calibrateGaze(video, onTarget = () => {}) {
+            if (!this.faceMesh || !video) {
+                return { success: false, error: 'Face tracking is not available' };
+            }
+
+            const settings = this.gazeTracking;
+            const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+            const targets = [];
+
+            this.gazeCalibrationRun = { samples: null };
+
             try {
-                const leftEye = landmarks[33];
-                const rightEye = landmarks[263];
-                const noseTip = landmarks[1];
-                const leftEyeOuter = landmarks[130];
-                const rightEyeOuter = landmarks[359];
-
-                // Calculate eye center and nose position
-                const eyeCenterX = (leftEye.x + rightEye.x) / 2;
-                const eyeCenterY = (leftEye.y + rightEye.y) / 2;
-
-                // Calculate head pose angles (more robust approach)
-                const faceWidth = Math.abs(leftEyeOuter.x - rightEyeOuter.x);
-                const noseToEyeX = Math.abs(eyeCenterX - noseTip.x);
-                const noseToEyeY = Math.abs(eyeCenterY - noseTip.y);
-
-                // Normalize by face width to account for distance variations
-                const normalizedOffsetX = noseToEyeX / faceWidth;
-                const normalizedOffsetY = noseToEyeY / faceWidth;
-
-                // More lenient thresholds to prevent false positives
-                const yawThreshold = 0.15; // Increased from 0.05 (more lenient left/right)
-                const pitchThreshold = 0.12; // Increased from 0.05 (more lenient up/down)
-
-                // Create "dead zone" in center where minor movements are ignored
-                const deadZoneX = 0.08; // Small dead zone for micro-movements
-                const deadZoneY = 0.06;
-
-                // Check if within acceptable range (looking at screen)
-                const withinDeadZone = normalizedOffsetX < deadZoneX && normalizedOffsetY < deadZoneY;
-                const withinThreshold = normalizedOffsetX < yawThreshold && normalizedOffsetY < pitchThreshold;
-
-                const lookingAtScreen = withinDeadZone || withinThreshold;
-
-                // Enhanced logging for debugging
-                if (!lookingAtScreen) {
-                    console.log(`👀 Gaze Analysis: X-offset=${normalizedOffsetX.toFixed(3)} (threshold: ${yawThreshold}), Y-offset=${normalizedOffsetY.toFixed(3)} (threshold: ${pitchThreshold})`);
-                } else {
-                    console.log(`👀 Looking at screen: X-offset=${normalizedOffsetX.toFixed(3)}, Y-offset=${normalizedOffsetY.toFixed(3)} ✅`);
+                for (const [index, target] of settings.calibrationTargets.entries()) {
+                    onTarget(target, index);
+                    await wait(settings.settleTime);
+
+                    this.gazeCalibrationRun.samples = [];
+                    const until = Date.now() + settings.sampleTime;
+                    while (Date.now() < until) {
+                        await this.processFaceMeshFrame(video);
+                        await wait(this.landmarkFrameInterval);
+                    }
+
+                    targets.push({ target, samples: this.gazeCalibrationRun.samples });
+                    this.gazeCalibrationRun.samples = null;
                 }
+            } finally {
+                this.gazeCalibrationRun = null;
+            }
 
-                return {
-                    lookingAtScreen,
-                    gazeOffsetX: normalizedOffsetX,
-                    gazeOffsetY: normalizedOffsetY,
-                    withinDeadZone,
-                    faceWidth
-                };
-            } catch (error) {
-                console.warn('Gaze analysis error:', error);
-                return { lookingAtScreen: true }; // Default to "looking at screen" on error
+            const result = this.fitGazeCalibration(targets);
+            if (!result.success) {
+                console.warn(`👁️ Gaze calibration failed: ${result.error}`);
+                return result;
+            }
+
+            this.gazeCalibration = result.calibration;
+            this.gazeState = this.createGazeState();
+            console.log(`👁️ Gaze calibrated (mean error ${Math.round(result.calibration.error * 100)}% of the screen)`);
+
+            return { success: true, error: null, calibrationError: result.calibration.error };
+        }
+
+        collectGazeCalibrationSample(landmarks, width, height) {
+            const samples = this.gazeCalibrationRun.samples;
+            if (!samples || !landmarks) return;
+
+            const posePoints = this.headPoseModel.map(({ index }) => {
+                const point = landmarks[index];
+                return point ? { x: point.x * width, y: point.y * height } : null;
+            });
+            const pose = this.estimateHeadPose(posePoints, width, height);
+            const gaze = pose && this.getGazeAngles(landmarks, pose, width, height);
+            if (gaze) {
+                samples.push(gaze);
+            }
+        }
+
+        /**
+         * Fit screen x from gaze yaw and screen y from gaze pitch (least squares over the targets' median gaze)
+         * @param {Array<Object>} targets - { target, samples } per calibration target
+         * @returns {Object} { success, calibration } or { success: false, error }
+         */
+        fitGazeCalibration(targets) {
+            const settings = this.gazeTracking;
+
+            if (targets.some(({ samples }) => samples.length < settings.minTargetSamples)) {
+                return { success: false, error: 'Your face or eyes were not visible for every dot' };
+            }
+
+            const median = values => {
+                const sorted = [...values].sort((a, b) => a - b);
+                const middle = Math.floor(sorted.length / 2);
+                return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+            };
+            const points = targets.map(({ target, samples }) => ({
+                target,
+                yaw: median(samples.map(sample => sample.yaw)),
+                pitch: median(samples.map(sample => sample.pitch))
+            }));
+
+            const fitAxis = (angles, positions) => {
+                const spread = Math.max(...angles) - Math.min(...angles);
+                if (spread < settings.minSpread) return null;
+
+                const meanAngle = angles.reduce((sum, value) => sum + value, 0) / angles.length;
+                const meanPosition = positions.reduce((sum, value) => sum + value, 0) / positions.length;
+                const covariance = angles.reduce((sum, value, i) => sum + (value - meanAngle) * (positions[i] - meanPosition), 0);
+                const variance = angles.reduce((sum, value) => sum + (value - meanAngle) ** 2, 0);
+                const scale = covariance / variance;
+
+                return { offset: meanPosition - scale * meanAngle, scale };
+            };
+
+            const x = fitAxis(points.map(point => point.yaw), points.map(point => point.target.x));
+            const y = fitAxis(points.map(point => point.pitch), points.map(point => point.target.y));
+            if (!x || !y) {
+                return { success: false, error: 'Your eyes did not move enough between the dots' };
+            }
+
+            const calibration = { x, y, error: 0 };
+            calibration.error = points.reduce((sum, point) => {
+                const estimate = this.mapGazeToScreen(point, calibration);
+                return sum + Math.hypot(estimate.x - point.target.x, estimate.y - point.target.y);
+            }, 0) / points.length;
+
+            if (calibration.error > settings.maxCalibrationError) {
+                return { success: false, error: 'Your gaze did not follow the dots closely enough' };
+            }
+
+            return { success: true, calibration };
+        }
+
+        mapGazeToScreen(gaze, calibration = this.gazeCalibration) {
+            return {
+                x: calibration.x.offset + calibration.x.scale * gaze.yaw,
+                y: calibration.y.offset + calibration.y.scale * gaze.pitch
+            };
+        }
+
+        /**
+         * Track where on (or off) the screen the candidate is looking from one gaze sample:
+         * dwell time, the heatmap and off-screen episodes
+         */
+        updateGaze(gaze, now) {
+            const state = this.gazeState;
+            const settings = this.gazeTracking;
+
+            // The time since the last frame is counted where the gaze was during it
+            if (state.lastFrameAt && state.point) {
+                const elapsed = Math.min(now - state.lastFrameAt, this.landmarkFrameInterval * 4);
+                state.trackedTime += elapsed;
+                if (!state.onScreen) {
+                    state.offScreenTime += elapsed;
+                }
+                state.heatmap[this.getHeatmapCell(state.point)] += elapsed;
+            }
+            state.lastFrameAt = now;
+
+            const point = this.mapGazeToScreen(gaze);
+            state.point = state.point ? {
+                x: state.point.x + (point.x - state.point.x) * settings.smoothing,
+                y: state.point.y + (point.y - state.point.y) * settings.smoothing
+            } : point;
+
+            const margin = settings.offScreenMargin;
+            state.onScreen = state.point.x >= -margin && state.point.x <= 1 + margin &&
+                state.point.y >= -margin && state.point.y <= 1 + margin;
+
+            if (state.onScreen) {
+                if (state.episode && now - state.episode.lastSeen > settings.episodeGap) {
+                    this.endGazeEpisode();
+                }
+                return;
+            }
+
+            if (!state.episode) {
+                state.episode = { start: now, lastSeen: now, reported: false };
+            }
+            state.episode.lastSeen = now;
+
+            // Turning the head away is reported by the head pose tracker; this catches glances with the head still
+            const duration = now - state.episode.start;
+            const cooledDown = !state.lastViolationAt || now - state.lastViolationAt >= settings.violationCooldown;
+            if (!state.episode.reported && duration >= settings.offScreenThreshold &&
+                this.headPoseState.direction === 'center' && cooledDown) {
+                state.episode.reported = true;
+                state.lastViolationAt = now;
+
+                this.triggerViolation('gaze_off_screen',
+                    `Eyes off screen (${this.describeOffScreenGaze(state.point)}) for ${Math.round(duration / 1000)}s with the head facing the screen`,
+                    'medium');
+            }
+        }
+
+        /**
+         * Side of the screen an off-screen gaze point is on, from the candidate's point of view (e.g. 'down-left')
+         */
+        describeOffScreenGaze(point) {
+            const margin = this.gazeTracking.offScreenMargin;
+            const vertical = point.y > 1 + margin ? 'down' : point.y < -margin ? 'up' : null;
+            const horizontal = point.x > 1 + margin ? 'right' : point.x < -margin ? 'left' : null;
+
+            return [vertical, horizontal].filter(Boolean).join('-');
+        }
+
+        /**
+         * Heatmap cell of a gaze point: rows from the top, cells from the left, with the outer ring
+         * of cells beyond the screen edges
+         */
+        getHeatmapCell(point) {
+            const columns = this.gazeTracking.heatmapColumns;
+            const rows = this.gazeTracking.heatmapRows;
+            const toCell = (value, count) => value < 0 ? 0 : value >= 1 ? count + 1 : 1 + Math.floor(value * count);
+
+            return toCell(point.y, rows) * (columns + 2) + toCell(point.x, columns);
+        }
+
+        endGazeEpisode() {
+            const state = this.gazeState;
+            const episode = state.episode;
+            if (!episode) return;
+
+            state.episode = null;
+
+            const duration = episode.lastSeen - episode.start;
+            if (duration >= this.gazeTracking.minEpisodeDuration) {
+                state.episodeCount++;
+                state.longestEpisode = Math.max(state.longestEpisode, duration);
+            }
+        }
+
+        resetGaze() {
+            this.endGazeEpisode();
+            this.gazeState.point = null;
+            this.gazeState.onScreen = true;
+            this.gazeState.lastFrameAt = null;
+        }
+
+        /**
+         * Off-screen gaze dwell time and the gaze heatmap for reports (times in seconds)
+         */
+        getGazeStatistics() {
+            const state = this.gazeState;
+            const settings = this.gazeTracking;
+            const toSeconds = ms => Math.round(ms / 100) / 10;
+
+            const current = state.episode ? state.episode.lastSeen - state.episode.start : 0;
+            const currentCounts = current >= settings.minEpisodeDuration;
+
+            return {
+                calibrated: Boolean(this.gazeCalibration),
+                calibrationError: this.gazeCalibration ? Math.round(this.gazeCalibration.error * 1000) / 1000 : null,
+                trackedTime: Math.round(state.trackedTime / 1000),
+                offScreenTime: Math.round(state.offScreenTime / 1000),
+                offScreenRatio: state.trackedTime ? Math.round(state.offScreenTime / state.trackedTime * 100) / 100 : 0,
+                offScreenEpisodes: state.episodeCount + (currentCounts ? 1 : 0),
+                longestOffScreen: toSeconds(Math.max(state.longestEpisode, currentCounts ? current : 0)),
+                heatmap: {
+                    columns: settings.heatmapColumns + 2,
+                    rows: settings.heatmapRows + 2,
+                    cells: state.heatmap.map(toSeconds)
+                }
+            };
+        }
+
+        createIdentityState() {
+            return {
+                reference: null, // averaged embedding of the enrollment frames
+                threshold: null, // similarity below which a check is a mismatch
+                enrolledAt: null,
+                checkRequested: false,
+                lastCheckAt: null,
+                lastSimilarity: null,
+                consecutiveMismatches: 0,
+                mismatched: false, // an impersonation violation was raised and no check has matched since
+                checkCount: 0,
+                mismatchCount: 0,
+                impersonationCount: 0,
+                lastViolationAt: null,
+                similarityTotal: 0,
+                lowestSimilarity: null,
+                history: [] // { timestamp, similarity, matched } per check
+            };
+        }
+
+        /**
+         * Enroll the reference face: embeddings of several frames with a single face are averaged,
+         * and the match threshold is set from how consistent those frames are with each other
+         * @param {HTMLVideoElement} video - Camera video to sample (the setup video during the system check)
+         * @returns {Promise<Object>} { success, error } with the threshold, enrollment time and a snapshot
+         *          of the reference face on success
+         */
+        async enrollReferenceFace(video) {
+            if (!this.faceMesh || !this.faceEmbedding || !video) {
+                return { success: false, error: 'Face verification is not available' };
+            }
+
+            const settings = this.identityVerification;
+            const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+            const embeddings = [];
+            const until = Date.now() + settings.enrollmentTimeout;
+
+            this.faceEnrollmentRun = { embeddings };
+            try {
+                while (embeddings.length < settings.enrollmentFrames && Date.now() < until) {
+                    await this.processFaceMeshFrame(video);
+                    await wait(settings.enrollmentInterval);
+                }
+            } finally {
+                this.faceEnrollmentRun = null;
+            }
+
+            if (embeddings.length < settings.enrollmentFrames) {
+                return { success: false, error: 'A single face was not clearly visible' };
+            }
+
+            // Each frame against a reference made from the others
+            const consistency = embeddings.map((embedding, i) => this.faceEmbedding.similarity(
+                embedding, this.faceEmbedding.average(embeddings.filter((_, j) => j !== i))));
+            const baseline = consistency.reduce((sum, value) => sum + value, 0) / consistency.length;
+
+            this.identityState = this.createIdentityState();
+            this.identityState.reference = this.faceEmbedding.average(embeddings);
+            this.identityState.threshold = Math.min(settings.maxThreshold,
+                Math.max(settings.minThreshold, baseline - settings.thresholdMargin));
+            this.identityState.enrolledAt = Date.now();
+
+            console.log(`🪪 Reference face enrolled (consistency ${baseline.toFixed(3)}, threshold ${this.identityState.threshold.toFixed(3)})`);
+            return {
+                success: true,
+                error: null,
+                threshold: this.identityState.threshold,
+                enrolledAt: new Date(this.identityState.enrolledAt),
+                snapshot: this.captureEvidence([], video)
+            };
+        }
+
+        collectEnrollmentEmbedding(results, width, height, image) {
+            const faces = (results && results.multiFaceLandmarks) || [];
+            if (faces.length !== 1 || !image) return;
+
+            const embedding = this.faceEmbedding.compute(image, faces[0], width, height);
+            if (embedding) {
+                this.faceEnrollmentRun.embeddings.push(embedding);
+            }
+        }
+
+        /**
+         * Ask for the live face to be compared with the reference on the next suitable Face Mesh frame
+         * (called from the detection loop, at most once per checkInterval)
+         */
+        requestIdentityCheck() {
+            const state = this.identityState;
+            if (!state.reference) return;
+
+            const now = Date.now();
+            if (state.lastCheckAt && now - state.lastCheckAt < this.identityVerification.checkInterval) return;
+
+            state.lastCheckAt = now;
+            state.checkRequested = true;
+        }
+
+        /**
+         * Compare the live face with the reference. Frames with several faces, a turned head or closed
+         * eyes are skipped and the check waits for the next frame.
+         */
+        checkIdentity(results, width, height, image, now) {
+            const state = this.identityState;
+            const faces = results.multiFaceLandmarks;
+            if (faces.length !== 1 || !image || this.headPoseState.direction !== 'center' || this.eyeState.current === 'closed') return;
+
+            const embedding = this.faceEmbedding.compute(image, faces[0], width, height);
+            if (!embedding) return;
+
+            state.checkRequested = false;
+            this.recordIdentityCheck(this.faceEmbedding.similarity(embedding, state.reference), now);
+        }
+
+        recordIdentityCheck(similarity, now) {
+            const state = this.identityState;
+            const settings = this.identityVerification;
+            const matched = similarity >= state.threshold;
+
+            state.lastSimilarity = similarity;
+            state.checkCount++;
+            state.similarityTotal += similarity;
+            state.lowestSimilarity = state.lowestSimilarity === null ? similarity : Math.min(state.lowestSimilarity, similarity);
+            state.history.push({ timestamp: new Date(now).toISOString(), similarity: Math.round(similarity * 1000) / 1000, matched });
+            if (state.history.length > settings.maxHistory) {
+                state.history.shift();
+            }
+
+            if (matched) {
+                state.consecutiveMismatches = 0;
+                state.mismatched = false;
+                return;
+            }
+
+            state.mismatchCount++;
+            state.consecutiveMismatches++;
+
+            const cooledDown = !state.lastViolationAt || now - state.lastViolationAt >= settings.violationCooldown;
+            if (state.consecutiveMismatches >= settings.mismatchChecks && cooledDown) {
+                state.lastViolationAt = now;
+                state.impersonationCount++;
+                state.mismatched = true;
+
+                this.triggerViolation('impersonation',
+                    `Face may not match the reference from the system check (similarity ${Math.round(similarity * 100)}%, threshold ${Math.round(state.threshold * 100)}%) - flagged for review`,
+                    'low', [], settings.mismatchConfidence);
             }
         }
+
+        /**
+         * Identity verification history for reports
+         */
+        getIdentityStatistics() {
+            const state = this.identityState;
+            const round = value => value === null ? null : Math.round(value * 1000) / 1000;
+
+            return {
+                enrolled: Boolean(state.reference),
+                enrolledAt: state.enrolledAt ? new Date(state.enrolledAt).toISOString() : null,
+                threshold: round(state.threshold),
+                checks: state.checkCount,
+                mismatches: state.mismatchCount,
+                impersonationCount: state.impersonationCount,
+                averageSimilarity: state.checkCount ? round(state.similarityTotal / state.checkCount) : null,
+                lowestSimilarity: round(state.lowestSimilarity),
+                history: [...state.history]
+            };
+        }
+
+        getPseudoInverse(rows) {
+            // (AᵀA)⁻¹Aᵀ for a tall matrix A given as rows of 3 values
+            const columns = [0, 1, 2].map(column => rows.map(row => row[column]));
+            const gram = columns.map(a => columns.map(b => this.dot(a, b)));
+            const inverse = this.invert3x3(gram);
+            if (!inverse) return null;
+
+            return inverse.map(row => rows.map((_, i) => this.dot(row, [columns[0][i], columns[1][i], columns[2][i]])));
+        }
+
+        invert3x3(m) {
+            const [a, b, c] = m[0];
+            const [d, e, f] = m[1];
+            const [g, h, i] = m[2];
+            const determinant = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+            if (Math.abs(determinant) < 1e-9) return null;
+
+            return [
+                [(e * i - f * h), -(b * i - c * h), (b * f - c * e)],
+                [-(d * i - f * g), (a * i - c * g), -(a * f - c * d)],
+                [(d * h - e * g), -(a * h - b * g), (a * e - b * d)]
+            ].map(row => row.map(value => value / determinant));
+        }
+
+        dot(a, b) {
+            return a.reduce((sum, value, i) => sum + value * b[i], 0);
+        }
+
+        cross(a, b) {
+            return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+        }
+
+        normalize(vector) {
+            const length = Math.hypot(...vector);
+            return length ? vector.map(value => value / length) : vector;
+        }
     }
 
     // UnifiedDetectionSystem for backward compatibility
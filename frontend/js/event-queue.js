@@ -0,0 +1,170 @@
+/**
+ * Offline Event Queue for Video Proctoring
+ * Buffers socket messages for the server with sequence numbers, keeps them in local storage
+ * and replays them in order whenever the connection is available
+ */
+
+if (window.OfflineEventQueue) {
+    console.log(' OfflineEventQueue already loaded, skipping redefinition');
+} else {
+    class OfflineEventQueue {
+        /**
+         * @param {string} sessionId - Session the queued messages belong to
+         */
+        constructor(sessionId) {
+            this.sessionId = sessionId;
+            this.storageKey = `proctoring_queue_${sessionId}`;
+            this.socket = null;
+            this.isFlushing = false;
+            this.ackTimeout = 10000; // ms to wait for the server before retrying
+            this.maxAttempts = 5; // unacknowledged deliveries before a message is dropped
+            this.retryDelay = 5000; // ms before retrying while still connected
+            this.retryTimer = null;
+            this.finished = false; // the interview has ended; storage is released once the queue drains
+
+            // Messages left over from an earlier page load of the same session are kept. The client id
+            // keeps event ids unique if the stored sequence is lost (cleared storage, another browser)
+            const saved = Utils.storage.get(this.storageKey, { sequence: 0, items: [] });
+            this.clientId = saved.clientId || Utils.generateId();
+            this.sequence = saved.sequence;
+            this.items = saved.items;
+
+            if (this.items.length > 0) {
+                console.log(`📮 Restored ${this.items.length} queued messages for ${sessionId}`);
+            }
+        }
+
+        /**
+         * Send through this socket from now on, replaying the backlog on every (re)connect
+         */
+        attach(socket) {
+            this.socket = socket;
+            socket.on('connect', () => this.flush());
+
+            if (socket.connected) {
+                this.flush();
+            }
+        }
+
+        /**
+         * Queue a message; it is sent as soon as everything queued before it has been acknowledged
+         * @param {string} eventName - Socket event name
+         * @param {Object} payload - Event payload (eventId and sequence are added)
+         * @returns {Object} The queued item
+         */
+        enqueue(eventName, payload) {
+            const sequence = ++this.sequence;
+            const item = {
+                sequence,
+                eventName,
+                payload: {
+                    ...payload,
+                    eventId: `${this.sessionId}-${this.clientId}-${sequence}`,
+                    sequence
+                },
+                queuedAt: new Date()
+            };
+
+            this.items.push(item);
+            this.persist();
+            this.flush();
+
+            return item;
+        }
+
+        /**
+         * Send queued messages one at a time, in sequence order, until one is not acknowledged.
+         * Messages the server rejects, or that keep failing, are dropped so they cannot block
+         * the rest of the queue; the server ignores messages it has already stored.
+         */
+        async flush() {
+            if (this.isFlushing || !this.socket || !this.socket.connected) return;
+            this.isFlushing = true;
+
+            try {
+                while (this.items.length > 0 && this.socket.connected) {
+                    const item = this.items[0];
+                    const response = await this.send(item);
+
+                    if (!response || response.retry) {
+                        item.attempts = (item.attempts || 0) + 1;
+
+                        if (item.attempts < this.maxAttempts) {
+                            console.warn(`📮 Queued ${item.eventName} #${item.sequence} not stored (attempt ${item.attempts}), retrying later`);
+                            this.persist();
+                            this.scheduleRetry();
+                            break;
+                        }
+                        console.error(`📮 Dropping queued ${item.eventName} #${item.sequence} after ${item.attempts} attempts`);
+                    } else if (!response.success) {
+                        console.error(`📮 Server rejected queued ${item.eventName} #${item.sequence}:`, response.error);
+                    }
+
+                    this.items.shift();
+                    this.persist();
+                }
+            } finally {
+                this.isFlushing = false;
+            }
+        }
+
+        scheduleRetry() {
+            if (this.retryTimer) return;
+
+            this.retryTimer = setTimeout(() => {
+                this.retryTimer = null;
+                this.flush();
+            }, this.retryDelay);
+        }
+
+        send(item) {
+            return new Promise(resolve => {
+                this.socket.timeout(this.ackTimeout).emit(item.eventName, item.payload, (error, response) => {
+                    resolve(error ? null : response);
+                });
+            });
+        }
+
+        /**
+         * Release the stored queue once the interview has ended and everything queued is delivered
+         */
+        finish() {
+            this.finished = true;
+            this.persist();
+        }
+
+        /**
+         * Evidence snapshots (of violations or the reference face) stay in memory only; local storage
+         * is too small to hold them
+         */
+        persist() {
+            if (this.finished && this.items.length === 0) {
+                Utils.storage.remove(this.storageKey);
+                return;
+            }
+
+            Utils.storage.set(this.storageKey, {
+                clientId: this.clientId,
+                sequence: this.sequence,
+                items: this.items.map(item => {
+                    const withoutSnapshot = ({ snapshot, ...evidence }) => evidence;
+                    const { violation, evidence } = item.payload;
+
+                    if (violation && violation.evidence) {
+                        return { ...item, payload: { ...item.payload, violation: { ...violation, evidence: withoutSnapshot(violation.evidence) } } };
+                    }
+                    if (evidence) {
+                        return { ...item, payload: { ...item.payload, evidence: withoutSnapshot(evidence) } };
+                    }
+                    return item;
+                })
+            });
+        }
+
+        get pendingCount() {
+            return this.items.length;
+        }
+    }
+
+    window.OfflineEventQueue = OfflineEventQueue;
+}
@@ -0,0 +1,198 @@
+/**
+ * Face Embedding for Identity Verification
+ * A lightweight on-device face descriptor computed from a Face Mesh result: local binary pattern (LBP)
+ * histograms of the face aligned on the eyes, plus the proportions of the face from 3D landmark
+ * distances, which do not change as the head turns. It is not a trained recognition network, so the
+ * match threshold is set per candidate from the consistency of their reference frames.
+ */
+
+if (window.FaceEmbedding) {
+    console.log(' FaceEmbedding already loaded, skipping redefinition');
+} else {
+    class FaceEmbedding {
+        constructor() {
+            this.settings = {
+                size: 64, // px of the aligned face crop
+                grid: 4, // LBP histograms per row and column of the crop
+                eyeY: 0.4, // eye line in the crop, as a share of its height
+                eyeDistance: 0.4, // distance between the eye centers, as a share of the crop width
+                appearanceWeight: 0.7, // weight of the LBP similarity; the rest is face proportions
+                appearanceFloor: 0.8, // LBP cosine that counts as no resemblance (unrelated faces rarely score lower)
+                geometryTolerance: 0.15 // mean proportion difference (log ratio) at which geometry similarity is 0
+            };
+
+            // Landmarks that keep their place when the candidate talks or changes expression:
+            // eye corners, nose bridge, tip and wings, forehead and the sides of the face
+            this.geometryLandmarks = [33, 133, 362, 263, 168, 1, 98, 327, 10, 234, 454];
+
+            this.canvas = null;
+            this.uniformBins = this.buildUniformBins();
+        }
+
+        /**
+         * Embedding of the face in a frame
+         * @param {HTMLCanvasElement} image - Frame the landmarks were detected in
+         * @param {Array<Object>} landmarks - Face Mesh landmarks (normalized x, y, z) of one face
+         * @param {number} width - Frame width in px
+         * @param {number} height - Frame height in px
+         * @returns {Object|null} { appearance, geometry }, or null when the face cannot be aligned
+         */
+        compute(image, landmarks, width, height) {
+            const appearance = this.computeAppearance(image, landmarks, width, height);
+            const geometry = this.computeGeometry(landmarks, width, height);
+            return appearance && geometry ? { appearance, geometry } : null;
+        }
+
+        /**
+         * Similarity of two embeddings, from 0 (different) to 1 (identical)
+         */
+        similarity(a, b) {
+            const cosine = a.appearance.reduce((sum, value, i) => sum + value * b.appearance[i], 0);
+            const appearance = Math.max(0, (cosine - this.settings.appearanceFloor) / (1 - this.settings.appearanceFloor));
+            const difference = a.geometry.reduce((sum, value, i) => sum + Math.abs(Math.log(value / b.geometry[i])), 0) / a.geometry.length;
+            const geometry = Math.max(0, 1 - difference / this.settings.geometryTolerance);
+
+            return this.settings.appearanceWeight * appearance + (1 - this.settings.appearanceWeight) * geometry;
+        }
+
+        /**
+         * Mean of several embeddings of the same face
+         */
+        average(embeddings) {
+            const mean = vectors => vectors[0].map((_, i) => vectors.reduce((sum, vector) => sum + vector[i], 0) / vectors.length);
+
+            return {
+                appearance: this.normalize(mean(embeddings.map(embedding => embedding.appearance))),
+                geometry: mean(embeddings.map(embedding => embedding.geometry))
+            };
+        }
+
+        /**
+         * LBP histograms of the face crop, rotated and scaled so the eyes are level at a fixed place
+         */
+        computeAppearance(image, landmarks, width, height) {
+            const center = indices => {
+                const points = indices.map(index => landmarks[index]);
+                if (points.some(point => !point)) return null;
+                return {
+                    x: points.reduce((sum, point) => sum + point.x, 0) / points.length * width,
+                    y: points.reduce((sum, point) => sum + point.y, 0) / points.length * height
+                };
+            };
+            const leftEye = center([33, 133]);
+            const rightEye = center([362, 263]);
+            if (!leftEye || !rightEye) return null;
+
+            const size = this.settings.size;
+            const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+            if (!eyeDistance) return null;
+
+            if (!this.canvas) {
+                this.canvas = document.createElement('canvas');
+                this.canvas.width = size;
+                this.canvas.height = size;
+            }
+            const ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, size, size);
+
+            // Similarity transform taking the left eye center to its place in the crop, with the eyes level
+            const scale = this.settings.eyeDistance * size / eyeDistance;
+            const angle = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+            const a = scale * Math.cos(angle);
+            const b = -scale * Math.sin(angle);
+            const target = { x: (1 - this.settings.eyeDistance) / 2 * size, y: this.settings.eyeY * size };
+
+            ctx.setTransform(a, b, -b, a, target.x - (a * leftEye.x - b * leftEye.y), target.y - (b * leftEye.x + a * leftEye.y));
+            ctx.drawImage(image, 0, 0, width, height);
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+            const pixels = ctx.getImageData(0, 0, size, size).data;
+            const gray = new Float32Array(size * size);
+            for (let i = 0; i < gray.length; i++) {
+                gray[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+            }
+
+            return this.normalize(this.getLbpHistograms(gray, size));
+        }
+
+        /**
+         * Uniform LBP histograms over a grid of cells, square-rooted so no single bin dominates
+         */
+        getLbpHistograms(gray, size) {
+            const grid = this.settings.grid;
+            const bins = 59;
+            const cellSize = (size - 2) / grid;
+            const histograms = new Array(grid * grid * bins).fill(0);
+            const neighbours = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+
+            for (let y = 1; y < size - 1; y++) {
+                for (let x = 1; x < size - 1; x++) {
+                    const value = gray[y * size + x];
+                    let code = 0;
+                    neighbours.forEach(([dx, dy], bit) => {
+                        if (gray[(y + dy) * size + x + dx] >= value) {
+                            code |= 1 << bit;
+                        }
+                    });
+
+                    const cell = Math.min(grid - 1, Math.floor((y - 1) / cellSize)) * grid + Math.min(grid - 1, Math.floor((x - 1) / cellSize));
+                    histograms[cell * bins + this.uniformBins[code]]++;
+                }
+            }
+
+            return histograms.map(Math.sqrt);
+        }
+
+        /**
+         * Map each 8-bit LBP code to one of 58 uniform patterns (at most two bit changes around the
+         * circle) or to a shared bin for everything else
+         */
+        buildUniformBins() {
+            const bins = new Array(256);
+            let next = 0;
+
+            for (let code = 0; code < 256; code++) {
+                let transitions = 0;
+                for (let bit = 0; bit < 8; bit++) {
+                    if (((code >> bit) & 1) !== ((code >> ((bit + 1) % 8)) & 1)) {
+                        transitions++;
+                    }
+                }
+                bins[code] = transitions <= 2 ? next++ : 58;
+            }
+
+            return bins;
+        }
+
+        /**
+         * Distances between the geometry landmarks in 3D, relative to the distance between the outer eye corners
+         */
+        computeGeometry(landmarks, width, height) {
+            const points = this.geometryLandmarks.map(index => landmarks[index]);
+            if (points.some(point => !point)) return null;
+
+            // Face Mesh gives z on about the same scale as x
+            const positions = points.map(point => [point.x * width, point.y * height, (point.z || 0) * width]);
+            const distance = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1], p[2] - q[2]);
+
+            const reference = distance(positions[0], positions[3]);
+            if (!reference) return null;
+
+            const ratios = [];
+            for (let i = 0; i < positions.length; i++) {
+                for (let j = i + 1; j < positions.length; j++) {
+                    ratios.push(Math.max(distance(positions[i], positions[j]) / reference, 1e-3));
+                }
+            }
+            return ratios;
+        }
+
+        normalize(vector) {
+            const length = Math.hypot(...vector);
+            return length ? vector.map(value => value / length) : vector;
+        }
+    }
+
+    window.FaceEmbedding = FaceEmbedding;
+}
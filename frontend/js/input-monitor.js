@@ -0,0 +1,279 @@
+/**
+ * Input Monitoring System for Video Proctoring
+ * Clipboard, context-menu, keyboard-shortcut and developer-tools activity on the candidate page
+ */
+
+if (window.InputMonitoringSystem) {
+    console.log(' InputMonitoringSystem already loaded, skipping redefinition');
+} else {
+    class InputMonitoringSystem {
+        constructor() {
+            this.listeners = null;
+            this.devtoolsInterval = null;
+            this.isMonitoring = false;
+            this.onViolationDetected = null;
+            this.onEventLogged = null;
+
+            this.settings = {
+                enabled: true,
+                minPasteLength: 20, // characters; shorter pastes are only logged as events
+                devtoolsSizeThreshold: 160, // px between outer and inner window size with docked devtools
+                devtoolsCheckInterval: 2000, // ms between devtools checks
+                violationCooldown: 10000 // ms between violations of the same type
+            };
+
+            // Shortcuts with no place in an interview (clipboard keys are covered by clipboard events)
+            this.suspiciousShortcuts = [
+                { key: 'F12', label: 'F12 (developer tools)', devtools: true },
+                { key: 'I', ctrl: true, shift: true, label: 'Ctrl+Shift+I (developer tools)', devtools: true },
+                { key: 'J', ctrl: true, shift: true, label: 'Ctrl+Shift+J (console)', devtools: true },
+                { key: 'C', ctrl: true, shift: true, label: 'Ctrl+Shift+C (inspect element)', devtools: true },
+                { key: 'U', ctrl: true, label: 'Ctrl+U (view source)' },
+                { key: 'P', ctrl: true, label: 'Ctrl+P (print)' },
+                { key: 'S', ctrl: true, label: 'Ctrl+S (save page)' },
+                { key: 'PrintScreen', label: 'Print Screen' }
+            ];
+
+            this.resetState();
+
+            console.log('⌨️ InputMonitoringSystem instance created');
+        }
+
+        resetState() {
+            this.state = {
+                devtoolsOpen: false,
+                lastViolationTime: {}
+            };
+
+            this.statistics = {
+                pasteCount: 0,
+                pastedCharacters: 0,
+                copyCount: 0,
+                cutCount: 0,
+                contextMenuCount: 0,
+                shortcutCount: 0,
+                devtoolsOpenCount: 0,
+                violations: 0
+            };
+        }
+
+        setViolationCallback(callback) {
+            this.onViolationDetected = callback;
+        }
+
+        setEventCallback(callback) {
+            this.onEventLogged = callback;
+        }
+
+        /**
+         * Apply input settings from the interview's proctoring policy profile
+         */
+        applyPolicy(detection = {}) {
+            const input = detection.input || {};
+
+            if (typeof input.enabled === 'boolean') {
+                this.settings.enabled = input.enabled;
+            }
+            ['minPasteLength', 'devtoolsSizeThreshold'].forEach(setting => {
+                if (typeof input[setting] === 'number') {
+                    this.settings[setting] = input[setting];
+                }
+            });
+
+            // A policy pushed mid-interview can switch monitoring off
+            if (!this.settings.enabled && this.isMonitoring) {
+                this.stopMonitoring();
+            }
+        }
+
+        /**
+         * Start listening for input activity on the page
+         * @returns {boolean} Whether monitoring started (false when disabled by policy)
+         */
+        startMonitoring() {
+            if (!this.settings.enabled) {
+                console.log('⌨️ Input monitoring disabled by policy');
+                return false;
+            }
+
+            this.stopMonitoring();
+
+            this.listeners = {
+                copy: () => this.onClipboard('copy'),
+                cut: () => this.onClipboard('cut'),
+                paste: (event) => this.onPaste(event),
+                contextmenu: (event) => this.onContextMenu(event),
+                keydown: (event) => this.onKeyDown(event)
+            };
+
+            Object.entries(this.listeners).forEach(([type, listener]) => {
+                document.addEventListener(type, listener, true);
+            });
+
+            this.devtoolsInterval = setInterval(() => this.checkDevtools(), this.settings.devtoolsCheckInterval);
+            this.isMonitoring = true;
+
+            console.log('⌨️ Input monitoring started');
+            return true;
+        }
+
+        stopMonitoring() {
+            if (this.listeners) {
+                Object.entries(this.listeners).forEach(([type, listener]) => {
+                    document.removeEventListener(type, listener, true);
+                });
+                this.listeners = null;
+            }
+
+            if (this.devtoolsInterval) {
+                clearInterval(this.devtoolsInterval);
+                this.devtoolsInterval = null;
+            }
+
+            this.isMonitoring = false;
+        }
+
+        onClipboard(action) {
+            const selectionLength = String(window.getSelection ? window.getSelection() : '').length;
+            this.statistics[action === 'cut' ? 'cutCount' : 'copyCount']++;
+
+            this.logEvent(`Text ${action === 'cut' ? 'cut' : 'copied'} (${selectionLength} characters)`, 'info', {
+                action,
+                selectionLength
+            });
+
+            this.raiseViolation('clipboard_copy',
+                `Text ${action === 'cut' ? 'cut' : 'copied'} from the interview page`,
+                { action, selectionLength });
+        }
+
+        onPaste(event) {
+            // Only the size of the pasted text is recorded, never its content
+            const text = event.clipboardData ? event.clipboardData.getData('text') : '';
+            const pasteLength = text.length;
+            const lineCount = text ? text.split('\n').length : 0;
+            const target = this.describeTarget(event.target);
+
+            this.statistics.pasteCount++;
+            this.statistics.pastedCharacters += pasteLength;
+
+            const isSuspicious = pasteLength >= this.settings.minPasteLength;
+            this.logEvent(`Pasted ${pasteLength} characters into ${target}`, isSuspicious ? 'warning' : 'info', {
+                action: 'paste',
+                pasteLength,
+                lineCount,
+                target
+            });
+
+            if (isSuspicious) {
+                this.raiseViolation('clipboard_paste',
+                    `Pasted ${pasteLength} characters (${lineCount} lines)`,
+                    { pasteLength, lineCount, target },
+                    lineCount > 5 ? 'high' : undefined);
+            }
+        }
+
+        onContextMenu(event) {
+            this.statistics.contextMenuCount++;
+            const target = this.describeTarget(event.target);
+
+            this.logEvent(`Context menu opened on ${target}`, 'info', { action: 'context_menu', target });
+            this.raiseViolation('context_menu', 'Right-click menu opened', { target });
+        }
+
+        onKeyDown(event) {
+            const key = event.key && event.key.length === 1 ? event.key.toUpperCase() : event.key;
+            const ctrl = event.ctrlKey || event.metaKey;
+
+            const shortcut = this.suspiciousShortcuts.find(candidate =>
+                candidate.key === key &&
+                !!candidate.ctrl === ctrl &&
+                !!candidate.shift === event.shiftKey
+            );
+            if (!shortcut) return;
+
+            this.statistics.shortcutCount++;
+            this.logEvent(`Shortcut pressed: ${shortcut.label}`, 'warning', { action: 'shortcut', shortcut: shortcut.label });
+            this.raiseViolation('suspicious_shortcut', `Suspicious shortcut pressed: ${shortcut.label}`, {
+                shortcut: shortcut.label,
+                devtools: !!shortcut.devtools
+            });
+        }
+
+        /**
+         * Docked developer tools shrink the page viewport relative to the browser window.
+         * Undocked devtools are not visible to this heuristic.
+         */
+        checkDevtools() {
+            const widthGap = window.outerWidth - window.innerWidth;
+            const heightGap = window.outerHeight - window.innerHeight;
+            const isOpen = widthGap > this.settings.devtoolsSizeThreshold || heightGap > this.settings.devtoolsSizeThreshold;
+
+            if (isOpen === this.state.devtoolsOpen) return;
+            this.state.devtoolsOpen = isOpen;
+
+            if (!isOpen) {
+                this.logEvent('Developer tools closed', 'info', { action: 'devtools', state: 'closed' });
+                return;
+            }
+
+            this.statistics.devtoolsOpenCount++;
+            this.logEvent('Developer tools opened', 'warning', { action: 'devtools', state: 'open' });
+
+            // Browser zoom and side panels can also shrink the viewport
+            this.raiseViolation('devtools_open', 'Developer tools appear to be open', {
+                widthGap,
+                heightGap
+            }, undefined, 0.7);
+        }
+
+        describeTarget(target) {
+            if (!target || !target.tagName) return 'the page';
+            return target.id ? `${target.tagName.toLowerCase()}#${target.id}` : target.tagName.toLowerCase();
+        }
+
+        logEvent(message, severity, metadata) {
+            if (this.onEventLogged) {
+                this.onEventLogged('input_activity', message, severity, { source: 'input', ...metadata });
+            }
+        }
+
+        raiseViolation(type, message, metadata, severity, confidence = 1) {
+            const now = Date.now();
+            const lastTime = this.state.lastViolationTime[type] || 0;
+            if (now - lastTime < this.settings.violationCooldown) return;
+            this.state.lastViolationTime[type] = now;
+
+            // Severity defaults to the shared registry
+            const violation = window.ViolationTypes.normalize({
+                type,
+                message,
+                severity,
+                timestamp: new Date(),
+                confidence,
+                metadata: { source: 'input', ...metadata }
+            });
+
+            console.log(`⌨️ Input violation detected:`, violation);
+            this.statistics.violations++;
+
+            if (this.onViolationDetected) {
+                this.onViolationDetected(violation);
+            }
+        }
+
+        /**
+         * Input activity counts for reports
+         */
+        getStatistics() {
+            return { ...this.statistics };
+        }
+
+        reset() {
+            this.stopMonitoring();
+            this.resetState();
+        }
+    }
+
+    window.InputMonitoringSystem = InputMonitoringSystem;
+}
@@ -3,6 +3,17 @@
  * Handles real-time monitoring, data fetching, and UI management
  */
 
+// Canned warnings offered in the candidate chat
+const CHAT_WARNING_TEMPLATES = [
+    'Please keep your face visible to the camera.',
+    'Please look at the screen and avoid looking away.',
+    'Please put away your phone and any other devices.',
+    'Please remove books or notes from your desk.',
+    'Only you should be in the room during the interview.',
+    'Please stay on the interview tab and do not switch windows.',
+    'Please keep background noise to a minimum.'
+];
+
 class InterviewerDashboard {
     constructor() {
         this.socket = null;
@@ -10,6 +21,15 @@ class InterviewerDashboard {
         this.autoRefresh = true;
         this.refreshInterval = null;
         this.apiBase = 'http://localhost:5000/api/v1';
+        this.authToken = Utils.storage.get('authToken');
+        this.liveViewer = null; // open live view of a candidate's camera
+        this.chatPanel = null; // open chat with a candidate
+        this.evidenceUrls = []; // object URLs of the evidence images shown in the modal
+        this.loadedSettings = {}; // effective settings the form was filled with, to save only what changed
+        this.gridSessions = new Map(); // sessionId -> interview with its latest live state, for the grid view
+        this.gridSort = 'risk';
+        this.loginRequest = null; // pending login, shared by every request that was refused
+        this.resolveLogin = null;
 
         // Initialize dashboard
         this.init();
@@ -79,6 +99,14 @@ class InterviewerDashboard {
             });
         }
 
+        const gridSort = document.getElementById('grid-sort');
+        if (gridSort) {
+            gridSort.addEventListener('change', () => {
+                this.gridSort = gridSort.value;
+                this.renderGrid();
+            });
+        }
+
         const timeFilter = document.getElementById('time-filter');
         if (timeFilter) {
             timeFilter.addEventListener('change', () => {
@@ -101,6 +129,22 @@ class InterviewerDashboard {
                 this.saveSettings();
             });
         }
+
+        // Login
+        const loginForm = document.getElementById('login-form');
+        if (loginForm) {
+            loginForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submitLogin();
+            });
+        }
+
+        const cancelLogin = document.getElementById('login-cancel');
+        if (cancelLogin) {
+            cancelLogin.addEventListener('click', () => {
+                this.finishLogin(false);
+            });
+        }
     }
 
     /**
@@ -108,14 +152,18 @@ class InterviewerDashboard {
      */
     initializeSocket() {
         try {
-            this.socket = io('http://localhost:5000');
+            // The token is read on every (re)connect so a fresh login is picked up
+            this.socket = io('http://localhost:5000', {
+                auth: (cb) => cb({ token: this.authToken })
+            });
 
             this.socket.on('connect', () => {
                 console.log('Connected to server');
-                this.socket.emit('join-as-interviewer', {
-                    interviewerId: 'interviewer_1',
-                    interviewerInfo: { name: 'Dashboard User' }
-                });
+                this.socket.emit('join-as-interviewer', {});
+            });
+
+            this.socket.on('connect_error', (error) => {
+                console.warn('Socket connection rejected:', error.message);
             });
 
             this.socket.on('disconnect', () => {
@@ -127,6 +175,10 @@ class InterviewerDashboard {
                 this.handleViolationAlert(data);
             });
 
+            this.socket.on('event-notification', (data) => {
+                this.handleEventNotification(data);
+            });
+
             this.socket.on('interview-started-notification', (data) => {
                 this.handleInterviewStarted(data);
             });
@@ -143,6 +195,32 @@ class InterviewerDashboard {
                 this.handleCandidateDisconnected(data);
             });
 
+            this.socket.on('candidate-reconnected', (data) => {
+                this.handleCandidateReconnected(data);
+            });
+
+            this.socket.on('interview-abandoned', (data) => {
+                this.handleInterviewAbandoned(data);
+            });
+
+            this.socket.on('detection-update', (data) => {
+                this.handleDetectionUpdate(data);
+            });
+
+            this.socket.on('score-update', (data) => {
+                this.handleScoreUpdate(data);
+            });
+
+            this.socket.on('chat-message', (data) => {
+                this.handleChatMessage(data);
+            });
+
+            this.socket.on('webrtc-signal', (data) => {
+                if (this.liveViewer) {
+                    this.liveViewer.handleSignal(data);
+                }
+            });
+
         } catch (error) {
             console.warn('Socket connection not available:', error);
         }
@@ -183,6 +261,9 @@ class InterviewerDashboard {
             case 'active-interviews':
                 await this.loadActiveInterviews();
                 break;
+            case 'grid':
+                await this.loadGrid();
+                break;
             case 'violations':
                 await this.loadViolations();
                 break;
@@ -192,6 +273,103 @@ class InterviewerDashboard {
             case 'analytics':
                 await this.loadAnalytics();
                 break;
+            case 'settings':
+                await this.loadSettings();
+                break;
+        }
+    }
+
+    /**
+     * Fetch from the API with the stored bearer token, logging in again on 401
+     */
+    async apiFetch(path, options = {}, retry = true) {
+        const headers = { ...(options.headers || {}) };
+        if (this.authToken) {
+            headers['Authorization'] = `Bearer ${this.authToken}`;
+        }
+
+        const response = await fetch(`${this.apiBase}${path}`, { ...options, headers });
+
+        if (response.status === 401 && retry && await this.login()) {
+            return this.apiFetch(path, options, false);
+        }
+
+        return response;
+    }
+
+    /**
+     * Show the login form
+     * @returns {Promise<boolean>} Whether the interviewer logged in (false when the form is cancelled)
+     */
+    login() {
+        if (!this.loginRequest) {
+            this.loginRequest = new Promise(resolve => {
+                this.resolveLogin = resolve;
+                document.getElementById('login-modal').style.display = 'flex';
+                document.getElementById('login-email').focus();
+            });
+        }
+        return this.loginRequest;
+    }
+
+    /**
+     * Send the credentials from the login form and store the issued token
+     */
+    async submitLogin() {
+        const email = document.getElementById('login-email').value.trim();
+        const password = document.getElementById('login-password').value;
+        const submit = document.getElementById('login-submit');
+
+        submit.disabled = true;
+        try {
+            const response = await fetch(`${this.apiBase}/auth/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, password })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showLoginError(data.error || 'Login failed');
+                return;
+            }
+
+            this.authToken = data.data.token;
+            this.currentUser = data.data.user;
+            Utils.storage.set('authToken', this.authToken);
+
+            // A rejected handshake is not retried automatically
+            if (this.socket && !this.socket.connected) {
+                this.socket.connect();
+            }
+            this.finishLogin(true);
+        } catch (error) {
+            console.error('Error logging in:', error);
+            this.showLoginError('Login failed');
+        } finally {
+            submit.disabled = false;
+        }
+    }
+
+    showLoginError(message) {
+        const error = document.getElementById('login-error');
+        error.textContent = message;
+        error.classList.remove('hidden');
+    }
+
+    /**
+     * Close the login form and settle the pending login
+     */
+    finishLogin(loggedIn) {
+        document.getElementById('login-modal').style.display = 'none';
+        document.getElementById('login-form').reset();
+        document.getElementById('login-error').classList.add('hidden');
+
+        const resolve = this.resolveLogin;
+        this.loginRequest = null;
+        this.resolveLogin = null;
+        if (resolve) {
+            resolve(loggedIn);
         }
     }
 
@@ -200,7 +378,7 @@ class InterviewerDashboard {
      */
     async loadDashboardData() {
         try {
-            const response = await fetch(`${this.apiBase}/dashboard/overview`);
+            const response = await this.apiFetch(`/dashboard/overview`);
             const data = await response.json();
 
             if (data.success) {
@@ -252,6 +430,7 @@ class InterviewerDashboard {
                         <small class="text-muted">Started: ${new Date(interview.sessionData.startTime).toLocaleTimeString()}</small>
                     </div>
                     <div class="text-right">
+                        ${this.getConnectionBadge(interview)}
                         <span class="badge ${this.getScoreBadgeClass(interview.scores.integrityScore)}">
                             ${interview.scores.integrityScore}%
                         </span>
@@ -259,6 +438,9 @@ class InterviewerDashboard {
                             <button class="btn btn-sm btn-primary" onclick="dashboard.viewInterview('${interview.sessionId}')">
                                 <i class="fas fa-eye"></i> Monitor
                             </button>
+                            <button class="btn btn-sm btn-success" onclick="dashboard.openLiveView('${interview.sessionId}')">
+                                <i class="fas fa-video"></i> Live
+                            </button>
                         </div>
                     </div>
                 </div>
@@ -302,7 +484,7 @@ class InterviewerDashboard {
      */
     async loadActiveInterviews() {
         try {
-            const response = await fetch(`${this.apiBase}/dashboard/active-interviews`);
+            const response = await this.apiFetch(`/dashboard/active-interviews`);
             const data = await response.json();
 
             if (data.success) {
@@ -335,6 +517,7 @@ class InterviewerDashboard {
                     </div>
                     <div class="col-md-4 text-right">
                         <div class="mb-2">
+                            ${this.getConnectionBadge(interview)}
                             <span class="badge ${this.getScoreBadgeClass(interview.scores.integrityScore)}">
                                 Integrity: ${interview.scores.integrityScore}%
                             </span>
@@ -343,8 +526,11 @@ class InterviewerDashboard {
                             <button class="btn btn-sm btn-primary" onclick="dashboard.viewInterview('${interview.sessionId}')">
                                 <i class="fas fa-eye"></i> Monitor
                             </button>
-                            <button class="btn btn-sm btn-warning" onclick="dashboard.sendMessage('${interview.sessionId}')">
-                                <i class="fas fa-comment"></i> Message
+                            <button class="btn btn-sm btn-success" onclick="dashboard.openLiveView('${interview.sessionId}')">
+                                <i class="fas fa-video"></i> Live
+                            </button>
+                            <button class="btn btn-sm btn-warning" onclick="dashboard.openChat('${interview.sessionId}')">
+                                <i class="fas fa-comment"></i> Chat
                             </button>
                         </div>
                     </div>
@@ -361,6 +547,181 @@ class InterviewerDashboard {
         container.innerHTML = html;
     }
 
+    /**
+     * Load the active sessions shown in the grid view, keeping the live state already received
+     */
+    async loadGrid() {
+        try {
+            const response = await this.apiFetch(`/dashboard/active-interviews`);
+            const data = await response.json();
+
+            if (!data.success) return;
+
+            const sessions = new Map();
+            data.data.interviews.forEach(interview => {
+                const previous = this.gridSessions.get(interview.sessionId) || {};
+                sessions.set(interview.sessionId, { ...previous, ...interview });
+            });
+            this.gridSessions = sessions;
+
+            this.renderGrid();
+        } catch (error) {
+            console.error('Error loading grid view:', error);
+        }
+    }
+
+    /**
+     * Render every active session as a tile in the selected order
+     */
+    renderGrid() {
+        const container = document.getElementById('monitor-grid');
+        if (!container) return;
+
+        const sessions = Array.from(this.gridSessions.values());
+        if (sessions.length === 0) {
+            container.innerHTML = '<p class="text-center">No active interviews</p>';
+            return;
+        }
+
+        container.innerHTML = this.sortGridSessions(sessions).map(session => this.renderGridTile(session)).join('');
+    }
+
+    /**
+     * Re-render a single tile in place (frequent live updates should not reorder the grid)
+     */
+    updateGridTile(sessionId) {
+        const tile = document.getElementById(`grid-tile-${sessionId}`);
+        const session = this.gridSessions.get(sessionId);
+
+        if (tile && session) {
+            tile.outerHTML = this.renderGridTile(session);
+        }
+    }
+
+    sortGridSessions(sessions) {
+        const riskRank = { critical: 3, high: 2, medium: 1, low: 0 };
+        const byIntegrity = (a, b) => a.scores.integrityScore - b.scores.integrityScore;
+        const byViolations = (a, b) => (b.recentViolationCount || 0) - (a.recentViolationCount || 0);
+
+        const comparators = {
+            risk: (a, b) => (riskRank[b.analysis?.riskLevel] || 0) - (riskRank[a.analysis?.riskLevel] || 0) ||
+                byIntegrity(a, b) || byViolations(a, b),
+            integrity: (a, b) => byIntegrity(a, b) || byViolations(a, b),
+            violations: (a, b) => byViolations(a, b) || byIntegrity(a, b),
+            name: (a, b) => a.candidateInfo.name.localeCompare(b.candidateInfo.name)
+        };
+
+        return sessions.sort(comparators[this.gridSort] || comparators.risk);
+    }
+
+    renderGridTile(session) {
+        const flashing = session.flashUntil && session.flashUntil > Date.now();
+
+        // Live state older than a few updates is shown as missing
+        const live = session.liveUpdatedAt && Date.now() - session.liveUpdatedAt < 20000 ? session.live : null;
+        const thumbnail = live && session.thumbnail ?
+            `<img class="grid-thumbnail" src="${session.thumbnail}" alt="${session.candidateInfo.name}">` :
+            '<div class="grid-thumbnail"><i class="fas fa-video-slash"></i></div>';
+
+        return `
+            <div class="grid-tile ${this.getRiskClass(session.analysis?.riskLevel)} ${flashing ? 'flashing' : ''}" id="grid-tile-${session.sessionId}">
+                ${thumbnail}
+                <div class="grid-tile-body">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <strong>${session.candidateInfo.name}</strong>
+                        <span class="badge ${this.getScoreBadgeClass(session.scores.integrityScore)}">
+                            ${session.scores.integrityScore}%
+                        </span>
+                    </div>
+                    <small class="text-muted">${this.describeLiveState(live)}</small>
+                    <div class="mt-1">
+                        ${this.getConnectionBadge(session)}
+                        <small>Recent violations: ${session.recentViolationCount || 0}</small>
+                    </div>
+                    ${session.lastViolation ? `<small class="d-block text-muted">${session.lastViolation.message}</small>` : ''}
+                    <div class="btn-group mt-2">
+                        <button class="btn btn-sm btn-primary" onclick="dashboard.viewInterview('${session.sessionId}')">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                        <button class="btn btn-sm btn-success" onclick="dashboard.openLiveView('${session.sessionId}')">
+                            <i class="fas fa-video"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Face and gaze state from the candidate's latest detection-update
+     */
+    describeLiveState(live) {
+        if (!live) return 'No live data';
+        if (live.noFace || live.faceCount === 0) return '👤 No face in frame';
+        if (live.faceCount > 1) return `👥 ${live.faceCount} faces in frame`;
+        if (live.identityMismatch) return '🪪 Face does not match the reference';
+        if (live.lookingAway) return live.headDirection && live.headDirection !== 'center' ? `👀 Looking ${live.headDirection}` : '👀 Looking away';
+        if (live.gazeOnScreen === false) return '👁️ Eyes off screen';
+        if (live.drowsy) return '🥱 Appears drowsy';
+        if (live.eyeState === 'closed') return '😴 Eyes closed';
+        if (live.talking) return '🗣️ Talking';
+        if (live.faceCount === 1) return '✅ Face visible, looking at screen';
+        return `Detection running (${live.mode || 'unknown'} mode)`;
+    }
+
+    /**
+     * Handle the periodic face/gaze state and thumbnail sent by a candidate
+     */
+    handleDetectionUpdate(data) {
+        const session = this.gridSessions.get(data.sessionId);
+        if (!session) return;
+
+        session.live = data.detections;
+        session.liveUpdatedAt = Date.now();
+        if (data.thumbnail) {
+            session.thumbnail = data.thumbnail;
+        }
+
+        if (this.currentSection === 'grid') {
+            this.updateGridTile(data.sessionId);
+        }
+    }
+
+    /**
+     * Handle scores pushed by the server after a violation or event
+     */
+    handleScoreUpdate(data) {
+        const session = this.gridSessions.get(data.sessionId);
+        if (!session) return;
+
+        session.scores = data.scores;
+
+        if (this.currentSection === 'grid') {
+            this.renderGrid();
+        }
+    }
+
+    /**
+     * Make a session's tile flash for a few seconds after a new violation
+     */
+    flashGridTile(data) {
+        const session = this.gridSessions.get(data.sessionId);
+        if (!session) return;
+
+        const flashDuration = 5000;
+        session.flashUntil = Date.now() + flashDuration;
+        session.recentViolationCount = (session.recentViolationCount || 0) + 1;
+        session.lastViolation = data.violation;
+        if (typeof data.integrityScore === 'number') {
+            session.scores = { ...session.scores, integrityScore: data.integrityScore };
+        }
+
+        if (this.currentSection === 'grid') {
+            this.renderGrid();
+            setTimeout(() => this.updateGridTile(data.sessionId), flashDuration);
+        }
+    }
+
     /**
      * Load violations data
      */
@@ -374,7 +735,7 @@ class InterviewerDashboard {
             params.append('hours', hours);
             params.append('limit', '50');
 
-            const response = await fetch(`${this.apiBase}/dashboard/violations/recent?${params}`);
+            const response = await this.apiFetch(`/dashboard/violations/recent?${params}`);
             const data = await response.json();
 
             if (data.success) {
@@ -416,7 +777,7 @@ class InterviewerDashboard {
                                 <strong>${item.candidateName}</strong><br>
                                 <small class="text-muted">${item.candidateEmail || ''}</small>
                             </td>
-                            <td>${item.violation.type.replace('_', ' ').toUpperCase()}</td>
+                            <td>${ViolationTypes.get(item.violation.type).icon} ${ViolationTypes.get(item.violation.type).label.toUpperCase()}</td>
                             <td>${item.violation.message}</td>
                             <td>
                                 <span class="badge ${this.getSeverityBadgeClass(item.violation.severity)}">
@@ -467,6 +828,8 @@ class InterviewerDashboard {
         
         // Show notification
         this.showNotification(`Violation detected: ${data.violation.message}`, 'warning');
+
+        this.flashGridTile(data);
         
         // Refresh data if on relevant section
         if (this.currentSection === 'overview' || this.currentSection === 'violations') {
@@ -474,6 +837,15 @@ class InterviewerDashboard {
         }
     }
 
+    /**
+     * Handle warning-level timeline events (e.g. the candidate switching tabs)
+     */
+    handleEventNotification(data) {
+        console.log('Event notification received:', data);
+
+        this.showNotification(`${data.sessionId}: ${data.event.message}`, 'warning');
+    }
+
     /**
      * Handle interview started notification
      */
@@ -481,6 +853,10 @@ class InterviewerDashboard {
         console.log('Interview started:', data);
         this.showNotification(`Interview started: ${data.candidateName}`, 'info');
         this.loadDashboardData();
+
+        if (this.currentSection === 'grid') {
+            this.loadGrid();
+        }
     }
 
     /**
@@ -490,6 +866,25 @@ class InterviewerDashboard {
         console.log('Interview completed:', data);
         this.showNotification(`Interview completed: ${data.interview?.candidateInfo?.name}`, 'success');
         this.loadDashboardData();
+
+        if (this.currentSection === 'grid') {
+            this.loadGrid();
+        }
+    }
+
+    /**
+     * Handle an interview closed by the server after the candidate stopped responding
+     */
+    handleInterviewAbandoned(data) {
+        console.log('Interview abandoned:', data);
+
+        const name = data.candidateInfo?.name || data.sessionId;
+        this.showNotification(`Interview abandoned: ${name} (last seen ${new Date(data.lastSeenAt).toLocaleTimeString()})`, 'warning');
+        this.loadDashboardData();
+
+        if (this.currentSection === 'grid') {
+            this.loadGrid();
+        }
     }
 
     /**
@@ -505,7 +900,19 @@ class InterviewerDashboard {
      */
     handleCandidateDisconnected(data) {
         console.log('Candidate disconnected:', data);
-        this.showNotification('Candidate disconnected unexpectedly', 'warning');
+        this.showNotification(`Candidate disconnected unexpectedly (${data.sessionId}), waiting up to ${data.graceSeconds}s to resume`, 'warning');
+        this.loadDashboardData();
+    }
+
+    /**
+     * Handle a candidate resuming the same session after a reload or network drop
+     */
+    handleCandidateReconnected(data) {
+        console.log('Candidate reconnected:', data);
+
+        const seconds = Math.round(data.durationMs / 1000);
+        const name = data.candidateInfo?.name || data.sessionId;
+        this.showNotification(`${name} reconnected after ${seconds}s`, data.withinGrace ? 'info' : 'warning');
         this.loadDashboardData();
     }
 
@@ -514,7 +921,7 @@ class InterviewerDashboard {
      */
     async viewInterview(sessionId) {
         try {
-            const response = await fetch(`${this.apiBase}/interviews/${sessionId}`);
+            const response = await this.apiFetch(`/interviews/${sessionId}`);
             const data = await response.json();
 
             if (data.success) {
@@ -557,13 +964,16 @@ class InterviewerDashboard {
                 </div>
             </div>
             
+            ${this.renderIdentityReference(interview)}
+
             <h5 class="mt-4">Recent Violations</h5>
             <div class="violations-list">
-                ${interview.violations.slice(-5).map(violation => `
+                ${interview.recentViolations.slice(-5).map(violation => `
                     <div class="violation-item ${violation.severity} mb-2">
-                        <strong>${violation.type.replace('_', ' ').toUpperCase()}:</strong> 
+                        <strong>${ViolationTypes.get(violation.type).label.toUpperCase()}:</strong> 
                         ${violation.message}
                         <br><small>${new Date(violation.timestamp).toLocaleString()}</small>
+                        ${this.renderEvidenceThumbnail(violation)}
                     </div>
                 `).join('')}
             </div>
@@ -579,6 +989,62 @@ class InterviewerDashboard {
         `;
 
         modal.style.display = 'flex';
+        this.loadEvidenceImages(body);
+    }
+
+    /**
+     * Evidence snapshot thumbnail for a violation (links to the full image once loaded)
+     */
+    renderEvidenceThumbnail(violation) {
+        const evidence = violation.metadata && violation.metadata.evidence;
+        if (!evidence || !evidence.url) return '';
+
+        return `
+            <a target="_blank" rel="noopener">
+                <img class="evidence-thumbnail" data-evidence-url="${evidence.url}" alt="Evidence for ${ViolationTypes.get(violation.type).label}">
+            </a>
+        `;
+    }
+
+    /**
+     * Reference face from the candidate's system check, to compare identity flags with
+     */
+    renderIdentityReference(interview) {
+        const reference = interview.identityReference;
+        if (!reference || !reference.url) return '';
+
+        return `
+            <h5 class="mt-4">Reference Face</h5>
+            <p>
+                Enrolled ${new Date(reference.enrolledAt).toLocaleString()}, match threshold ${Math.round(reference.threshold * 100)}%.
+                Identity flags come from an on-device comparison and need a reviewer's judgement.
+            </p>
+            <a target="_blank" rel="noopener">
+                <img class="evidence-thumbnail" data-evidence-url="${reference.url}" alt="Reference face">
+            </a>
+        `;
+    }
+
+    /**
+     * Load the evidence images in a container. They are served only to authenticated staff,
+     * so they are fetched with the token and shown from object URLs.
+     */
+    async loadEvidenceImages(container) {
+        const images = container.querySelectorAll('img[data-evidence-url]');
+
+        for (const image of images) {
+            try {
+                const response = await this.apiFetch(image.dataset.evidenceUrl.replace(/^\/api\/v1/, ''));
+                if (!response.ok) continue;
+
+                const url = URL.createObjectURL(await response.blob());
+                this.evidenceUrls.push(url);
+                image.src = url;
+                image.parentElement.href = url;
+            } catch (error) {
+                console.error('Error loading evidence image:', error);
+            }
+        }
     }
 
     /**
@@ -587,29 +1053,130 @@ class InterviewerDashboard {
     closeModal() {
         const modal = document.getElementById('interview-modal');
         modal.style.display = 'none';
+
+        if (this.liveViewer) {
+            this.liveViewer.close();
+            this.liveViewer = null;
+        }
+
+        if (this.chatPanel) {
+            this.chatPanel.destroy();
+            this.chatPanel = null;
+        }
+
+        this.evidenceUrls.forEach(url => URL.revokeObjectURL(url));
+        this.evidenceUrls = [];
     }
 
     /**
-     * Send message to candidate
+     * Watch a candidate's camera live, optionally with the detection overlay on top
      */
-    sendMessage(sessionId) {
-        const message = prompt('Enter message to send to candidate:');
-        if (message && this.socket) {
-            this.socket.emit('interviewer-message', {
-                sessionId,
-                message,
-                interviewerName: 'Interviewer'
-            });
-            this.showNotification('Message sent to candidate', 'success');
+    async openLiveView(sessionId) {
+        if (!this.socket || !window.LiveViewer) {
+            this.showError('Live view is not available');
+            return;
+        }
+
+        this.closeModal();
+
+        const modal = document.getElementById('interview-modal');
+        document.getElementById('modal-title').textContent = `Live View: ${sessionId}`;
+        document.getElementById('modal-body').innerHTML = `
+            <div class="live-view">
+                <video id="live-view-video" autoplay playsinline></video>
+                <video id="live-view-overlay" class="live-view-overlay" autoplay playsinline muted></video>
+            </div>
+            <div class="d-flex justify-content-between align-items-center mt-2">
+                <small id="live-view-status" class="text-muted"></small>
+                <label class="mb-0">
+                    <input type="checkbox" id="live-view-show-overlay" checked> Show detections
+                </label>
+            </div>
+        `;
+        modal.style.display = 'flex';
+
+        const viewer = new window.LiveViewer(this.socket, sessionId, {
+            video: document.getElementById('live-view-video'),
+            overlay: document.getElementById('live-view-overlay')
+        });
+        viewer.onStatusChange = (message) => {
+            const status = document.getElementById('live-view-status');
+            if (status) status.textContent = message;
+        };
+        document.getElementById('live-view-show-overlay').addEventListener('change', (event) => {
+            viewer.setOverlayVisible(event.target.checked);
+        });
+
+        this.liveViewer = viewer;
+
+        try {
+            await viewer.open();
+        } catch (error) {
+            console.warn('Could not open live view:', error.message);
         }
     }
 
+    /**
+     * Chat with a candidate, with canned warnings and an attention request
+     */
+    async openChat(sessionId) {
+        if (!this.socket || !window.ChatPanel) {
+            this.showError('Chat is not available');
+            return;
+        }
+
+        this.closeModal();
+
+        const modal = document.getElementById('interview-modal');
+        document.getElementById('modal-title').textContent = `Chat: ${sessionId}`;
+        document.getElementById('modal-body').innerHTML = `
+            <div id="chat-panel" class="chat-panel"></div>
+            <button class="btn btn-sm btn-warning mt-2" id="chat-request-attention">
+                <i class="fas fa-bell"></i> Request attention
+            </button>
+        `;
+        modal.style.display = 'flex';
+
+        const panel = new window.ChatPanel(this.socket, sessionId, {
+            role: 'interviewer',
+            container: document.getElementById('chat-panel'),
+            sendEvent: 'interviewer-message',
+            templates: CHAT_WARNING_TEMPLATES
+        });
+        this.chatPanel = panel;
+
+        // Sends the typed text (or the default prompt) as a highlighted attention request
+        document.getElementById('chat-request-attention').addEventListener('click', () => {
+            const message = panel.input.value.trim();
+            this.socket.timeout(10000).emit('request-candidate-attention', { sessionId, message }, (error, response) => {
+                if (error || !response || !response.success) {
+                    panel.showError('Attention request not sent');
+                    return;
+                }
+                panel.appendMessage(response.message);
+                panel.input.value = '';
+            });
+        });
+
+        await panel.loadHistory();
+    }
+
+    /**
+     * Let the interviewer know about candidate messages in chats that are not open
+     */
+    handleChatMessage(data) {
+        if (data.sender.role !== 'candidate') return;
+        if (this.chatPanel && this.chatPanel.sessionId === data.sessionId) return;
+
+        this.showNotification(`New chat message from the candidate in ${data.sessionId}`, 'info');
+    }
+
     /**
      * Download report
      */
     async downloadReport(sessionId) {
         try {
-            const response = await fetch(`${this.apiBase}/reports/${sessionId}/pdf`);
+            const response = await this.apiFetch(`/reports/${sessionId}/pdf`);
             
             if (response.ok) {
                 const blob = await response.blob();
@@ -676,18 +1243,118 @@ class InterviewerDashboard {
     }
 
     /**
-     * Save settings
+     * Load the effective proctoring settings into the settings form (inputs are in seconds)
+     */
+    async loadSettings() {
+        try {
+            const response = await this.apiFetch('/settings');
+            const data = await response.json();
+
+            if (data.success) {
+                const fields = this.getSettingsFields();
+                this.loadedSettings = data.data.effective;
+                Object.entries(fields).forEach(([inputId, setting]) => {
+                    const input = document.getElementById(inputId);
+                    if (input && data.data.effective[setting] !== undefined) {
+                        input.value = data.data.effective[setting] / 1000;
+                    }
+                });
+                this.renderProfileSettings(data.data.profiles || []);
+            }
+        } catch (error) {
+            console.error('Error loading settings:', error);
+            this.showError('Failed to load settings');
+        }
+    }
+
+    /**
+     * Show the thresholds each policy profile runs with; values a profile sets itself are kept
+     * whatever the dashboard settings say
      */
-    saveSettings() {
-        const settings = {
-            focusThreshold: document.getElementById('focus-threshold')?.value,
-            noFaceThreshold: document.getElementById('no-face-threshold')?.value,
-            eyeThreshold: document.getElementById('eye-threshold')?.value
+    renderProfileSettings(profiles) {
+        const container = document.getElementById('profile-settings');
+        if (!container) return;
+
+        const settings = Object.values(this.getSettingsFields());
+        const format = (profile, setting) => {
+            const seconds = `${profile.detection[setting] / 1000}s`;
+            return profile.fixed.includes(setting) ? `<strong title="Set by the profile">${seconds}</strong>` : seconds;
         };
 
-        // Save to localStorage for demo
-        localStorage.setItem('proctoring-settings', JSON.stringify(settings));
-        this.showNotification('Settings saved successfully', 'success');
+        container.innerHTML = `
+            <h4>Effective Values by Policy Profile</h4>
+            <p class="text-muted">Values in bold are set by the profile and are not changed by these settings.</p>
+            <table class="table">
+                <thead>
+                    <tr><th>Profile</th><th>Interview types</th><th>Focus lost</th><th>No face</th><th>Eye closure</th></tr>
+                </thead>
+                <tbody>
+                    ${profiles.map(profile => `
+                        <tr>
+                            <td>${profile.name}</td>
+                            <td>${profile.interviewTypes.join(', ') || '-'}</td>
+                            ${settings.map(setting => `<td>${format(profile, setting)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Save the settings changed in the form to the server, optionally as the organization default
+     * and for live sessions. Unchanged values are left out so they keep following the defaults.
+     */
+    async saveSettings() {
+        const detection = {};
+        Object.entries(this.getSettingsFields()).forEach(([inputId, setting]) => {
+            const value = parseFloat(document.getElementById(inputId)?.value);
+            if (!isNaN(value) && Math.round(value * 1000) !== this.loadedSettings[setting]) {
+                detection[setting] = Math.round(value * 1000);
+            }
+        });
+
+        if (Object.keys(detection).length === 0) {
+            this.showNotification('No settings were changed', 'info');
+            return;
+        }
+
+        const scope = document.getElementById('organization-settings')?.checked ? 'organization' : 'me';
+        const pushToLive = Boolean(document.getElementById('push-live-settings')?.checked);
+
+        try {
+            const response = await this.apiFetch(`/settings/${scope}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ detection, pushToLive })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                this.showError(data.message || data.error || 'Failed to save settings');
+                return;
+            }
+
+            const pushed = data.data.pushedSessions;
+            await this.loadSettings();
+            this.showNotification(pushed > 0 ?
+                `Settings saved and pushed to ${pushed} live session(s)` :
+                'Settings saved successfully', 'success');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showError('Failed to save settings');
+        }
+    }
+
+    /**
+     * Settings form inputs and the detection setting each one controls
+     */
+    getSettingsFields() {
+        return {
+            'focus-threshold': 'lookingAwayThreshold',
+            'no-face-threshold': 'noFaceThreshold',
+            'eye-threshold': 'eyeClosureThreshold'
+        };
     }
 
     /**
@@ -709,6 +1376,21 @@ class InterviewerDashboard {
         return 'danger';
     }
 
+    /**
+     * Badge for a candidate who dropped out of or came back to a running session
+     */
+    getConnectionBadge(interview) {
+        const connection = interview.sessionData.connection || {};
+
+        if (connection.status === 'disconnected') {
+            return '<span class="badge danger"><i class="fas fa-plug"></i> Disconnected</span>';
+        }
+        if (connection.status === 'reconnected') {
+            return `<span class="badge warning"><i class="fas fa-sync"></i> Reconnected (${connection.reconnectCount}x)</span>`;
+        }
+        return '';
+    }
+
     getSeverityBadgeClass(severity) {
         const classes = {
             'low': 'success',
@@ -0,0 +1,139 @@
+/**
+ * Live Stream Publisher for Video Proctoring
+ * Streams the candidate's camera to interviewers who open a live view, one WebRTC peer
+ * connection per viewer, with signaling relayed through the interview's Socket.IO room
+ */
+
+if (window.LiveStreamPublisher) {
+    console.log(' LiveStreamPublisher already loaded, skipping redefinition');
+} else {
+    class LiveStreamPublisher {
+        /**
+         * @param {Object} socket - Connected candidate socket
+         * @param {string} sessionId - Session being streamed
+         */
+        constructor(socket, sessionId) {
+            this.socket = socket;
+            this.sessionId = sessionId;
+            this.mediaStream = null;
+            this.overlayStream = null;
+            this.peers = new Map(); // viewer socket id -> RTCPeerConnection
+
+            this.settings = {
+                overlayFrameRate: 10 // fps of the detection overlay track
+            };
+
+            this.socket.on('live-view-request', (data) => this.handleRequest(data));
+            this.socket.on('live-view-stop', (data) => this.closePeer(data.viewerId));
+            this.socket.on('webrtc-signal', (data) => this.handleSignal(data));
+
+            console.log('📡 LiveStreamPublisher ready');
+        }
+
+        /**
+         * Set the streams sent to viewers who connect from now on
+         * @param {MediaStream} mediaStream - Camera and microphone
+         * @param {HTMLCanvasElement} overlayCanvas - Detection overlay drawn over the candidate's video (optional)
+         */
+        setSources(mediaStream, overlayCanvas) {
+            this.mediaStream = mediaStream;
+
+            if (overlayCanvas && overlayCanvas.captureStream && !this.overlayStream) {
+                this.overlayStream = overlayCanvas.captureStream(this.settings.overlayFrameRate);
+            }
+        }
+
+        async handleRequest({ viewerId, viewerName, iceServers }) {
+            if (!this.mediaStream) {
+                this.signal(viewerId, { unavailable: 'The candidate has not started the camera yet' });
+                return;
+            }
+
+            // A repeated request from the same viewer restarts its connection
+            this.closePeer(viewerId);
+
+            const peer = new RTCPeerConnection({ iceServers });
+            this.peers.set(viewerId, peer);
+
+            this.mediaStream.getTracks().forEach(track => peer.addTrack(track, this.mediaStream));
+            if (this.overlayStream) {
+                this.overlayStream.getVideoTracks().forEach(track => peer.addTrack(track, this.overlayStream));
+            }
+
+            peer.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this.signal(viewerId, { candidate: event.candidate });
+                }
+            };
+
+            // Viewers that close their tab or lose the network are cleaned up here
+            peer.onconnectionstatechange = () => {
+                if (['failed', 'closed'].includes(peer.connectionState)) {
+                    this.closePeer(viewerId);
+                }
+            };
+
+            try {
+                const offer = await peer.createOffer();
+                await peer.setLocalDescription(offer);
+
+                this.signal(viewerId, {
+                    description: peer.localDescription,
+                    overlayStreamId: this.overlayStream ? this.overlayStream.id : null
+                });
+
+                console.log(`📡 Live view opened for ${viewerName || viewerId}`);
+            } catch (error) {
+                console.error('Could not start live view:', error);
+                this.closePeer(viewerId);
+            }
+        }
+
+        async handleSignal({ from, description, candidate }) {
+            const peer = this.peers.get(from);
+            if (!peer) return;
+
+            try {
+                if (description) {
+                    await peer.setRemoteDescription(description);
+                } else if (candidate) {
+                    await peer.addIceCandidate(candidate);
+                }
+            } catch (error) {
+                console.warn('Could not apply live view signal:', error);
+            }
+        }
+
+        signal(viewerId, message) {
+            this.socket.emit('webrtc-signal', { sessionId: this.sessionId, target: viewerId, ...message });
+        }
+
+        closePeer(viewerId) {
+            const peer = this.peers.get(viewerId);
+            if (!peer) return;
+
+            this.peers.delete(viewerId);
+            peer.close();
+            console.log(`📡 Live view closed for ${viewerId}`);
+        }
+
+        /**
+         * Close every live view (the interview is over)
+         */
+        stop() {
+            Array.from(this.peers.keys()).forEach(viewerId => this.closePeer(viewerId));
+
+            if (this.overlayStream) {
+                this.overlayStream.getTracks().forEach(track => track.stop());
+                this.overlayStream = null;
+            }
+            this.mediaStream = null;
+        }
+
+        get viewerCount() {
+            return this.peers.size;
+        }
+    }
+
+    window.LiveStreamPublisher = LiveStreamPublisher;
+}
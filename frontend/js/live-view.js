@@ -0,0 +1,141 @@
+/**
+ * Live View for the Interviewer Dashboard
+ * Receives a candidate's camera over WebRTC, with the candidate's detection overlay as a
+ * second video track that can be shown on top of the picture
+ */
+
+if (window.LiveViewer) {
+    console.log(' LiveViewer already loaded, skipping redefinition');
+} else {
+    class LiveViewer {
+        /**
+         * @param {Object} socket - Connected interviewer socket
+         * @param {string} sessionId - Session to watch
+         * @param {Object} elements - video (camera) and overlay (detection overlay) video elements
+         */
+        constructor(socket, sessionId, { video, overlay }) {
+            this.socket = socket;
+            this.sessionId = sessionId;
+            this.video = video;
+            this.overlay = overlay;
+            this.peer = null;
+            this.iceServers = [];
+            this.onStatusChange = null;
+        }
+
+        /**
+         * Ask the candidate page for a stream; it replies with an offer through handleSignal
+         * @returns {Promise<void>} Rejects when the candidate cannot be reached
+         */
+        open() {
+            this.setStatus('Connecting to the candidate...');
+
+            return new Promise((resolve, reject) => {
+                this.socket.timeout(10000).emit('live-view-request', { sessionId: this.sessionId }, (error, response) => {
+                    if (error || !response || !response.success) {
+                        const message = error ? 'No response from the server' : (response && response.error) || 'Live view unavailable';
+                        this.setStatus(message);
+                        reject(new Error(message));
+                        return;
+                    }
+
+                    this.iceServers = response.iceServers;
+                    resolve();
+                });
+            });
+        }
+
+        async handleSignal({ sessionId, unavailable, description, overlayStreamId, candidate }) {
+            if (sessionId !== this.sessionId) return;
+
+            if (unavailable) {
+                this.setStatus(unavailable);
+                return;
+            }
+
+            try {
+                if (description && description.type === 'offer') {
+                    await this.answer(description, overlayStreamId);
+                } else if (candidate && this.peer) {
+                    await this.peer.addIceCandidate(candidate);
+                }
+            } catch (error) {
+                console.error('Could not apply live view signal:', error);
+                this.setStatus('Live view connection failed');
+            }
+        }
+
+        async answer(offer, overlayStreamId) {
+            this.closePeer();
+
+            const peer = new RTCPeerConnection({ iceServers: this.iceServers });
+            this.peer = peer;
+
+            peer.ontrack = (event) => {
+                const [stream] = event.streams;
+                const element = stream && stream.id === overlayStreamId ? this.overlay : this.video;
+
+                if (element && element.srcObject !== stream) {
+                    element.srcObject = stream;
+                    element.play().catch(() => {});
+                }
+            };
+
+            peer.onicecandidate = (event) => {
+                if (event.candidate) {
+                    this.socket.emit('webrtc-signal', { sessionId: this.sessionId, candidate: event.candidate });
+                }
+            };
+
+            peer.onconnectionstatechange = () => {
+                const labels = {
+                    connected: 'Live',
+                    disconnected: 'Connection interrupted...',
+                    failed: 'Live view ended - the candidate is no longer connected'
+                };
+                if (labels[peer.connectionState]) {
+                    this.setStatus(labels[peer.connectionState]);
+                }
+            };
+
+            await peer.setRemoteDescription(offer);
+            const answer = await peer.createAnswer();
+            await peer.setLocalDescription(answer);
+
+            this.socket.emit('webrtc-signal', { sessionId: this.sessionId, description: peer.localDescription });
+        }
+
+        setOverlayVisible(visible) {
+            if (this.overlay) {
+                this.overlay.style.display = visible ? '' : 'none';
+            }
+        }
+
+        setStatus(message) {
+            if (this.onStatusChange) {
+                this.onStatusChange(message);
+            }
+        }
+
+        closePeer() {
+            if (this.peer) {
+                this.peer.close();
+                this.peer = null;
+            }
+        }
+
+        /**
+         * Stop watching and tell the candidate page to drop this viewer
+         */
+        close() {
+            this.closePeer();
+            this.socket.emit('live-view-stop', { sessionId: this.sessionId });
+
+            [this.video, this.overlay].filter(Boolean).forEach(element => {
+                element.srcObject = null;
+            });
+        }
+    }
+
+    window.LiveViewer = LiveViewer;
+}
@@ -8,7 +8,21 @@ class VideoProctoringApp {
         this.currentPhase = 'setup';
         this.mediaStream = null;
         this.detectionSystem = null;
+        this.audioDetection = null;
+        this.inputMonitor = null;
+        this.sessionRecorder = null;
         this.socket = null;
+        this.eventQueue = null; // buffers messages for the server while the socket is down
+        this.liveStream = null; // streams the camera to interviewers who open a live view
+        this.chat = null; // chat with the interviewers
+        this.apiBase = 'http://localhost:5000/api/v1';
+        this.candidateToken = null;
+        this.serverScores = null; // last scores pushed by the server's scoring engine
+        this.policy = null; // proctoring policy profile for the invited session
+        this.awayState = {}; // focus-change reason -> time the candidate left
+        this.focusListeners = null;
+        this.resumeState = null; // interview restored after a page reload (see restoreSession)
+        this.reconnectGraceSeconds = 120; // how long a reloaded page may resume the interview
 
         // Interview session data
         this.sessionData = {
@@ -30,6 +44,8 @@ class VideoProctoringApp {
 
         // Timers and intervals
         this.sessionTimer = null;
+        this.heartbeatTimer = null;
+        this.monitorUpdateTimer = null;
         this.detectionInterval = null;
         this.uiUpdateInterval = null;
 
@@ -67,6 +83,15 @@ class VideoProctoringApp {
             // Initialize AI detection system first
             await this.initializeAIDetectionSystem();
 
+            // Redeem the invite link (if the candidate was sent one)
+            await this.acceptInvite();
+
+            // Pick up an interview interrupted by a reload
+            this.restoreSession();
+
+            // Configure detection from the session's policy profile
+            await this.loadPolicy();
+
             // Initialize socket connection (if backend is available)
             this.initializeSocket();
 
@@ -392,6 +417,12 @@ class VideoProctoringApp {
         }
 
         // Window events
+        window.addEventListener('pagehide', () => {
+            if (this.isRecording) {
+                this.saveResumeState();
+            }
+        });
+
         window.addEventListener('beforeunload', (e) => {
             if (this.isRecording) {
                 e.preventDefault();
@@ -402,26 +433,527 @@ class VideoProctoringApp {
         console.log('Event listeners set up');
     }
 
+    /**
+     * Exchange the invite code from the link for a candidate token
+     */
+    async acceptInvite() {
+        const params = new URLSearchParams(window.location.search);
+        const sessionId = params.get('session');
+        const inviteCode = params.get('invite');
+
+        if (!sessionId || !inviteCode) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/interviews/${encodeURIComponent(sessionId)}/join`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ inviteCode })
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                Utils.addAlert('danger', data.error || 'Invite link is invalid or has expired');
+                return;
+            }
+
+            this.candidateToken = data.data.candidateToken;
+            this.sessionData.id = data.data.sessionId;
+            this.sessionData.candidateName = data.data.candidateInfo.name;
+            this.sessionData.position = data.data.candidateInfo.position;
+            this.reconnectGraceSeconds = data.data.reconnectGraceSeconds || this.reconnectGraceSeconds;
+            console.log('🎟️ Invite accepted for session:', this.sessionData.id);
+        } catch (error) {
+            console.warn('Could not redeem invite link:', error);
+        }
+    }
+
+    /**
+     * Continue the interview saved by an earlier page load if it was left within the grace period
+     */
+    restoreSession() {
+        const saved = Utils.storage.get('proctoring_session');
+        if (!saved) return;
+
+        const expired = Date.now() - saved.lastSeenAt > saved.graceSeconds * 1000;
+        const otherSession = this.candidateToken && saved.id !== this.sessionData.id;
+
+        if (expired || otherSession) {
+            this.clearResumeState();
+            return;
+        }
+
+        this.resumeState = saved;
+        this.sessionData.id = saved.id;
+        this.sessionData.candidateName = saved.candidateName;
+        this.sessionData.position = saved.position;
+        this.reconnectGraceSeconds = saved.graceSeconds;
+
+        // Reopened without the invite link
+        if (!this.candidateToken) {
+            this.candidateToken = saved.candidateToken;
+        }
+
+        console.log(`🔁 Resuming interrupted session ${saved.id} (started ${new Date(saved.startTime).toLocaleTimeString()})`);
+    }
+
+    /**
+     * Remember the running interview so a reload can resume it
+     */
+    saveResumeState() {
+        Utils.storage.set('proctoring_session', {
+            id: this.sessionData.id,
+            candidateToken: this.candidateToken,
+            candidateName: this.sessionData.candidateName,
+            position: this.sessionData.position,
+            startTime: this.sessionData.startTime,
+            recordingSequence: this.sessionRecorder ? this.sessionRecorder.sequence : 0,
+            graceSeconds: this.reconnectGraceSeconds,
+            lastSeenAt: Date.now()
+        });
+    }
+
+    clearResumeState() {
+        Utils.storage.remove('proctoring_session');
+        this.resumeState = null;
+    }
+
+    /**
+     * Fetch the proctoring policy for the invited session
+     */
+    async loadPolicy() {
+        if (!this.candidateToken) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/interviews/${encodeURIComponent(this.sessionData.id)}/policy`, {
+                headers: { 'Authorization': `Bearer ${this.candidateToken}` }
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                console.warn('Could not load proctoring policy, using default thresholds:', data.error);
+                return;
+            }
+
+            this.policy = data.data;
+            console.log(`📋 Proctoring policy loaded: ${this.policy.name}`);
+            this.applyPolicy();
+        } catch (error) {
+            console.warn('Could not load proctoring policy, using default thresholds:', error);
+        }
+    }
+
+    /**
+     * Configure the current detection system from the loaded policy
+     */
+    applyPolicy() {
+        if (this.policy && this.detectionSystem && this.detectionSystem.applyPolicy) {
+            this.detectionSystem.applyPolicy(this.policy.detection);
+        }
+        if (this.policy && this.audioDetection) {
+            this.audioDetection.applyPolicy(this.policy.detection);
+        }
+        if (this.policy && this.inputMonitor) {
+            this.inputMonitor.applyPolicy(this.policy.detection);
+        }
+    }
+
+    /**
+     * Start analyzing the microphone alongside video detection
+     */
+    startAudioMonitoring() {
+        if (!window.AudioDetectionSystem || !this.mediaStream) {
+            console.warn('⚠️ Audio monitoring not available');
+            return;
+        }
+
+        if (!this.audioDetection) {
+            this.audioDetection = new window.AudioDetectionSystem();
+            this.audioDetection.setViolationCallback((violation) => {
+                this.handleViolation(violation);
+            });
+        }
+
+        this.applyPolicy();
+        this.audioDetection.startMonitoring(this.mediaStream);
+
+        // Lip movement is compared with what the microphone hears
+        if (this.detectionSystem && typeof this.detectionSystem.setAudioActivitySource === 'function') {
+            this.detectionSystem.setAudioActivitySource(this.audioDetection);
+        }
+    }
+
+    /**
+     * Record the session and upload it in segments for violation clips (server sessions only)
+     */
+    startSessionRecording() {
+        if (!window.SessionRecorder || !this.candidateToken) {
+            console.warn('⚠️ Session recording not available');
+            return;
+        }
+
+        if (!this.sessionRecorder) {
+            this.sessionRecorder = new window.SessionRecorder();
+        }
+
+        this.sessionRecorder.start(this.mediaStream, {
+            uploadUrl: `${this.apiBase}/recordings/${encodeURIComponent(this.sessionData.id)}/segments`,
+            getToken: () => this.candidateToken,
+            // Segments of a resumed session continue the numbering instead of replacing earlier ones
+            firstSequence: this.resumeState ? this.resumeState.recordingSequence : 0
+        });
+    }
+
+    /**
+     * Start clipboard, context-menu, shortcut and devtools monitoring (unless the policy disables it)
+     */
+    startInputMonitoring() {
+        if (!window.InputMonitoringSystem) {
+            console.warn('⚠️ Input monitoring not available');
+            return;
+        }
+
+        if (!this.inputMonitor) {
+            this.inputMonitor = new window.InputMonitoringSystem();
+            this.inputMonitor.setViolationCallback((violation) => {
+                this.handleViolation(violation);
+            });
+            this.inputMonitor.setEventCallback((type, message, severity, metadata) => {
+                this.logServerEvent(type, message, severity, metadata);
+            });
+        }
+
+        this.applyPolicy();
+        this.inputMonitor.startMonitoring();
+    }
+
+    /**
+     * Track tab switches, window focus, fullscreen exits and extra monitors during the interview
+     */
+    startFocusMonitoring() {
+        this.stopFocusMonitoring();
+        this.awayState = {};
+
+        this.focusListeners = {
+            visibilitychange: () => (document.hidden ? this.onAwayStart('tab_hidden') : this.onAwayEnd('tab_hidden')),
+            blur: () => this.onAwayStart('window_blur'),
+            focus: () => this.onAwayEnd('window_blur'),
+            fullscreenchange: () => (document.fullscreenElement ? this.onAwayEnd('fullscreen_exit') : this.onAwayStart('fullscreen_exit')),
+            screenchange: () => this.checkMultipleMonitors()
+        };
+
+        document.addEventListener('visibilitychange', this.focusListeners.visibilitychange);
+        window.addEventListener('blur', this.focusListeners.blur);
+        window.addEventListener('focus', this.focusListeners.focus);
+        document.addEventListener('fullscreenchange', this.focusListeners.fullscreenchange);
+        if (window.screen && typeof window.screen.addEventListener === 'function') {
+            window.screen.addEventListener('change', this.focusListeners.screenchange);
+        }
+
+        // Leaving fullscreen is only tracked once the interview has entered it
+        if (document.documentElement.requestFullscreen && !document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(error => {
+                console.warn('Fullscreen not available:', error.message);
+            });
+        }
+
+        this.checkMultipleMonitors();
+        console.log('🗂️ Tab, window and fullscreen monitoring started');
+    }
+
+    /**
+     * Remove the focus listeners added by startFocusMonitoring
+     */
+    stopFocusMonitoring() {
+        if (!this.focusListeners) return;
+
+        document.removeEventListener('visibilitychange', this.focusListeners.visibilitychange);
+        window.removeEventListener('blur', this.focusListeners.blur);
+        window.removeEventListener('focus', this.focusListeners.focus);
+        document.removeEventListener('fullscreenchange', this.focusListeners.fullscreenchange);
+        if (window.screen && typeof window.screen.removeEventListener === 'function') {
+            window.screen.removeEventListener('change', this.focusListeners.screenchange);
+        }
+
+        this.focusListeners = null;
+        this.awayState = {};
+
+        if (document.fullscreenElement && document.exitFullscreen) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }
+
+    /**
+     * Candidate left the interview (tab hidden, window blurred or fullscreen exited)
+     */
+    onAwayStart(reason) {
+        if (!this.isRecording || this.awayState[reason]) return;
+
+        // Switching tabs also blurs the window; only the tab switch is reported
+        if (reason === 'window_blur' && document.hidden) return;
+        if (reason === 'tab_hidden') {
+            delete this.awayState.window_blur;
+        }
+
+        this.awayState[reason] = Date.now();
+        this.logServerEvent('focus_change', `${this.getAwayLabel(reason)} started`, 'warning', {
+            reason,
+            state: 'away'
+        });
+    }
+
+    /**
+     * Candidate came back: record the time away and raise a timed violation
+     */
+    onAwayEnd(reason) {
+        const startTime = this.awayState[reason];
+        if (!startTime) return;
+        delete this.awayState[reason];
+
+        const durationMs = Date.now() - startTime;
+        const seconds = Math.round(durationMs / 100) / 10;
+
+        this.logServerEvent('focus_change', `${this.getAwayLabel(reason)} ended after ${seconds}s`, 'info', {
+            reason,
+            state: 'returned',
+            durationMs
+        });
+
+        const browserPolicy = this.getBrowserPolicy();
+        if (durationMs < browserPolicy.minAwayDuration) return;
+
+        const violationTypes = {
+            tab_hidden: 'tab_switch',
+            window_blur: 'window_blur',
+            fullscreen_exit: 'fullscreen_exit'
+        };
+
+        this.handleViolation(ViolationTypes.normalize({
+            type: violationTypes[reason],
+            message: `${this.getAwayLabel(reason)} for ${seconds} seconds`,
+            severity: durationMs >= browserPolicy.highSeverityDuration ? 'high' : undefined,
+            confidence: 1,
+            timestamp: new Date(),
+            metadata: { source: 'browser', reason, durationMs }
+        }));
+    }
+
+    /**
+     * Flag sessions where the browser reports or hints at a second monitor (reported once)
+     */
+    checkMultipleMonitors() {
+        if (!this.isRecording || this.multipleMonitorsReported || !window.screen) return;
+
+        // screen.isExtended is only available in Chromium; a window placed beyond the
+        // primary screen is a weaker hint
+        const isExtended = window.screen.isExtended === true;
+        const offPrimaryScreen = window.screenX < 0 || window.screenX >= window.screen.width;
+
+        if (!isExtended && !offPrimaryScreen) return;
+
+        this.multipleMonitorsReported = true;
+        this.handleViolation(ViolationTypes.normalize({
+            type: 'multiple_monitors',
+            message: isExtended ? 'Multiple monitors connected' : 'Interview window is on a secondary screen',
+            confidence: isExtended ? 0.95 : 0.6,
+            timestamp: new Date(),
+            metadata: { source: 'browser', isExtended, screenX: window.screenX }
+        }));
+    }
+
+    getAwayLabel(reason) {
+        const labels = {
+            tab_hidden: 'Switched away from the interview tab',
+            window_blur: 'Interview window lost focus',
+            fullscreen_exit: 'Left fullscreen'
+        };
+        return labels[reason] || 'Left the interview';
+    }
+
+    getBrowserPolicy() {
+        const detection = this.policy && this.policy.detection ? this.policy.detection : {};
+        return {
+            minAwayDuration: 1000,
+            highSeverityDuration: 10000,
+            ...(detection.browser || {})
+        };
+    }
+
+    /**
+     * Record a timeline event locally and on the server (streamed to interviewers for warnings)
+     */
+    logServerEvent(type, message, severity, metadata = {}) {
+        this.addEvent(type, message, severity);
+
+        if (this.socket) {
+            this.sendToServer('event-logged', {
+                sessionId: this.sessionData.id,
+                event: {
+                    id: `event_${Date.now()}`,
+                    type,
+                    message,
+                    severity,
+                    timestamp: new Date(),
+                    metadata
+                }
+            });
+        }
+    }
+
+    /**
+     * Send a session message to the server through the offline queue (direct emit without one)
+     */
+    sendToServer(eventName, payload) {
+        if (this.eventQueue) {
+            this.eventQueue.enqueue(eventName, payload);
+        } else if (this.socket) {
+            this.socket.emit(eventName, payload);
+        }
+    }
+
+    /**
+     * Audio level statistics for reports, or null when audio was not monitored
+     */
+    getAudioStatistics() {
+        return this.audioDetection ? this.audioDetection.getStatistics() : null;
+    }
+
+    /**
+     * Clipboard and input activity counts for reports, or null when input was not monitored
+     */
+    getInputStatistics() {
+        return this.inputMonitor ? this.inputMonitor.getStatistics() : null;
+    }
+
+    /**
+     * Talking-time statistics from lip movement for reports, or null when lips were not tracked
+     */
+    getLipStatistics() {
+        const detector = this.detectionSystem;
+        return detector && typeof detector.getLipStatistics === 'function' ? detector.getLipStatistics() : null;
+    }
+
+    /**
+     * Head pose statistics and looking-away history for reports, or null when the head was not tracked
+     */
+    getHeadPoseStatistics() {
+        const detector = this.detectionSystem;
+        return detector && typeof detector.getHeadPoseStatistics === 'function' ? detector.getHeadPoseStatistics() : null;
+    }
+
+    /**
+     * Identity verification history against the reference face for reports, or null when identity was not verified
+     */
+    getIdentityStatistics() {
+        const detector = this.detectionSystem;
+        return detector && typeof detector.getIdentityStatistics === 'function' ? detector.getIdentityStatistics() : null;
+    }
+
+    /**
+     * Off-screen gaze time and the gaze heatmap for reports, or null when gaze was not tracked
+     */
+    getGazeStatistics() {
+        const detector = this.detectionSystem;
+        return detector && typeof detector.getGazeStatistics === 'function' ? detector.getGazeStatistics() : null;
+    }
+
+    /**
+     * Blink and eye-closure statistics for reports, or null when eyes were not tracked
+     */
+    getEyeStatistics() {
+        const detector = this.detectionSystem;
+        return detector && typeof detector.getEyeStatistics === 'function' ? detector.getEyeStatistics() : null;
+    }
+
     /**
      * Initialize socket connection for real-time communication
      */
     initializeSocket() {
         try {
             if (typeof io !== 'undefined') {
-                this.socket = io('http://localhost:5000');
+                if (!this.candidateToken) {
+                    console.log('No invite token, running without server connection');
+                    return;
+                }
+
+                this.socket = io('http://localhost:5000', {
+                    auth: { token: this.candidateToken }
+                });
+
+                // Violations and events raised while disconnected are replayed on reconnect
+                if (window.OfflineEventQueue) {
+                    this.eventQueue = new window.OfflineEventQueue(this.sessionData.id);
+                }
+
+                // Interviewers can ask to watch the camera at any point of the session
+                if (window.LiveStreamPublisher) {
+                    this.liveStream = new window.LiveStreamPublisher(this.socket, this.sessionData.id);
+                }
+
+                const chatContainer = document.getElementById('chat-panel');
+                if (window.ChatPanel && chatContainer) {
+                    this.chat = new window.ChatPanel(this.socket, this.sessionData.id, {
+                        role: 'candidate',
+                        container: chatContainer,
+                        sendEvent: 'candidate-message'
+                    });
+                    this.chat.onMessage = (message) => {
+                        const type = message.kind === 'attention' ? 'warning' : 'info';
+                        Utils.addAlert(type, `${message.sender.name || 'Interviewer'}: ${message.text}`);
+                    };
+                }
 
                 this.socket.on('connect', () => {
                     console.log('Connected to server');
                     Utils.updateStatusIndicator('connection-status', 'active');
+
+                    this.socket.emit('join-interview', {
+                        sessionId: this.sessionData.id
+                    });
                 });
 
+                // Attached after the join handler so the backlog is replayed once the session is joined
+                if (this.eventQueue) {
+                    this.eventQueue.attach(this.socket);
+                }
+
                 this.socket.on('disconnect', () => {
-                    console.log('Disconnected from server');
+                    console.log('Disconnected from server, queueing updates until the connection returns');
                     Utils.updateStatusIndicator('connection-status', 'error');
+
+                    if (this.isRecording) {
+                        Utils.addAlert('warning', 'Connection lost - reconnecting, your interview continues');
+                    }
+                });
+
+                this.socket.on('interview-joined', (data) => {
+                    if (data.resumed && this.isRecording) {
+                        Utils.addAlert('info', 'Reconnected - your interview has resumed');
+                    }
+
+                    // Messages sent while the page was closed or offline
+                    if (this.chat) {
+                        this.chat.loadHistory();
+                    }
+                });
+
+                // Thresholds updated from the interviewer dashboard while the session runs
+                this.socket.on('policy-update', (data) => {
+                    this.policy = { ...(this.policy || {}), detection: data.detection };
+                    this.applyPolicy();
+                });
+
+                // Scores are computed by the server; the local estimate is only used offline
+                this.socket.on('score-update', (data) => {
+                    this.applyServerScores(data.scores);
                 });
 
-                this.socket.on('interviewer-message', (data) => {
-                    Utils.addAlert('info', `Interviewer: ${data.message}`);
+                this.socket.on('interview-ended', (data) => {
+                    if (data.finalData && data.finalData.scores) {
+                        this.applyServerScores(data.finalData.scores);
+                        if (this.currentPhase === 'results') {
+                            this.showResults();
+                        }
+                    }
                 });
             }
         } catch (error) {
@@ -429,6 +961,26 @@ class VideoProctoringApp {
         }
     }
 
+    /**
+     * Whether scores currently come from the server rather than the local estimate
+     */
+    isServerScored() {
+        return Boolean(this.socket && this.socket.connected && this.serverScores);
+    }
+
+    /**
+     * Display scores pushed by the server
+     */
+    applyServerScores(scores) {
+        if (!scores) return;
+
+        this.serverScores = scores;
+        this.sessionData.integrityScore = scores.integrityScore;
+
+        Utils.updateScore('integrity-score', scores.integrityScore);
+        Utils.updateScore('focus-score', scores.focusScore);
+    }
+
     /**
      * Start system check process - WITH REAL CAMERA ACCESS
      */
@@ -620,6 +1172,12 @@ class VideoProctoringApp {
                 if (aiInitialized) {
                     console.log('✅ AI detection system initialized');
                     this.updateStepStatus('step-detection', 'success');
+
+                    // Step 3: Reference face for identity verification
+                    await this.enrollReferenceFace();
+
+                    // Step 4: Gaze calibration
+                    await this.runGazeCalibration();
                 } else {
                     console.log('⚠️ AI initialization failed, using basic detection');
                     this.updateStepStatus('step-detection', 'warning');
@@ -656,6 +1214,94 @@ class VideoProctoringApp {
         }
     }
 
+    /**
+     * Capture the candidate's reference face; it is compared with the live face throughout the
+     * interview. Failing it is not fatal - the interview runs without identity verification and
+     * the report shows the candidate was not enrolled.
+     */
+    async enrollReferenceFace() {
+        const detector = this.detectionSystem;
+
+        if (!detector || typeof detector.enrollReferenceFace !== 'function' || !this.setupVideo || !this.setupVideo.srcObject) {
+            this.updateStepStatus('step-identity', 'warning');
+            return;
+        }
+
+        let result = null;
+        for (let attempt = 1; attempt <= 2 && !(result && result.success); attempt++) {
+            Utils.showLoading(attempt === 1 ?
+                'Capturing your reference face - please look at the camera...' :
+                `${result.error}. Please sit alone in front of the camera and look at it...`);
+            result = await detector.enrollReferenceFace(this.setupVideo);
+        }
+
+        if (result.success) {
+            this.updateStepStatus('step-identity', 'success');
+
+            // Reviewers compare identity flags with the reference face stored on the interview
+            if (result.snapshot) {
+                this.sendToServer('identity-enrolled', {
+                    sessionId: this.sessionData.id,
+                    threshold: Math.round(result.threshold * 1000) / 1000,
+                    enrolledAt: result.enrolledAt,
+                    evidence: result.snapshot
+                });
+            }
+        } else {
+            console.warn('⚠️ Reference face enrollment failed, continuing without identity verification:', result.error);
+            this.updateStepStatus('step-identity', 'warning');
+        }
+    }
+
+    /**
+     * Gaze calibration: the candidate looks at a dot in the middle and at each corner of the screen,
+     * so glances off the screen can be told from looking at it. Failing it is not fatal - the
+     * interview runs without gaze tracking.
+     */
+    async runGazeCalibration() {
+        const overlay = document.getElementById('gaze-calibration');
+        const detector = this.detectionSystem;
+
+        if (!overlay || !detector || !detector.faceMesh || !this.setupVideo || !this.setupVideo.srcObject) {
+            this.updateStepStatus('step-calibration', 'warning');
+            return;
+        }
+
+        const dot = overlay.querySelector('.gaze-calibration-dot');
+        const message = overlay.querySelector('.gaze-calibration-message');
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+        let result = null;
+
+        Utils.hideLoading();
+        overlay.classList.add('active');
+
+        for (let attempt = 1; attempt <= 2 && !(result && result.success); attempt++) {
+            dot.hidden = true;
+            message.textContent = attempt === 1 ?
+                'Gaze calibration: look straight at each dot until it moves.' :
+                `${result.error}. Let's try once more - look straight at each dot until it moves.`;
+            await wait(2500);
+
+            message.textContent = '';
+            result = await detector.calibrateGaze(this.setupVideo, (target) => {
+                dot.style.left = `${target.x * 100}%`;
+                dot.style.top = `${target.y * 100}%`;
+                dot.hidden = false;
+            });
+        }
+
+        overlay.classList.remove('active');
+
+        if (result.success) {
+            this.updateStepStatus('step-calibration', 'success');
+        } else {
+            console.warn('⚠️ Gaze calibration failed, continuing without gaze tracking:', result.error);
+            this.updateStepStatus('step-calibration', 'warning');
+        }
+
+        Utils.showLoading('Finishing system check...');
+    }
+
     /**
      * Continue in demo mode without camera
      */
@@ -688,6 +1334,8 @@ class VideoProctoringApp {
         this.updateStepStatus('step-camera', 'warning');
         this.updateStepStatus('step-microphone', 'warning');
         this.updateStepStatus('step-detection', 'success');
+        this.updateStepStatus('step-identity', 'warning');
+        this.updateStepStatus('step-calibration', 'warning');
 
         setTimeout(() => {
             Utils.showAlert('Demo Mode Active',
@@ -722,10 +1370,12 @@ class VideoProctoringApp {
                 console.log('📺 Global video stream connected');
             }
 
-            // Initialize session data
-            this.sessionData.startTime = new Date();
-            this.sessionData.id = Utils.generateId();
-            console.log('📊 Session data initialized:', this.sessionData.id);
+            // Initialize session data (a resumed session keeps its id and start time)
+            this.sessionData.startTime = this.resumeState ? new Date(this.resumeState.startTime) : new Date();
+            if (!this.candidateToken && !this.resumeState) {
+                this.sessionData.id = Utils.generateId();
+            }
+            console.log(`📊 Session data ${this.resumeState ? 'resumed' : 'initialized'}:`, this.sessionData.id);
 
             // Start recording and detection
             this.isRecording = true;
@@ -737,6 +1387,9 @@ class VideoProctoringApp {
                 await this.detectionSystem.initialize();
             }
 
+            // Detection systems may have been recreated since the policy loaded
+            this.applyPolicy();
+
             // Start detection with video element
             if (this.detectionSystem && this.mainVideo) {
                 console.log('🎯 Starting detection system with video...');
@@ -746,18 +1399,43 @@ class VideoProctoringApp {
                 console.warn('⚠️ Detection system or video not available');
             }
 
+            this.startAudioMonitoring();
+            this.startInputMonitoring();
+            this.startSessionRecording();
+            this.startFocusMonitoring();
+
+            // Live views show the camera with the same detection overlay the candidate sees
+            if (this.liveStream) {
+                this.liveStream.setSources(this.mediaStream, document.getElementById('main-overlay-canvas'));
+            }
+
+            // The chat becomes visible with the interview screen
+            if (this.chat) {
+                this.chat.markRead();
+            }
+
             this.startSessionTimer();
             this.startUIUpdates();
+            this.startHeartbeat();
+            this.startMonitorUpdates();
 
-            // Add initial event
-            this.addEvent('interview_started', 'Interview session started');
+            this.saveResumeState();
 
-            // Notify server if connected
-            if (this.socket) {
-                this.socket.emit('interview-started', {
-                    sessionId: this.sessionData.id,
-                    candidateName: this.sessionData.candidateName
-                });
+            if (this.resumeState) {
+                // The server already knows the session; the reconnect gap is recorded there
+                this.addEvent('interview_resumed', 'Interview session resumed after reload');
+                Utils.addAlert('info', 'Your interview has been resumed');
+            } else {
+                // Add initial event
+                this.addEvent('interview_started', 'Interview session started');
+
+                // Notify server if connected
+                if (this.socket) {
+                    this.sendToServer('interview-started', {
+                        sessionId: this.sessionData.id,
+                        candidateName: this.sessionData.candidateName
+                    });
+                }
             }
 
             console.log('✅ Interview started successfully with full detection active');
@@ -783,6 +1461,78 @@ class VideoProctoringApp {
         }, 100); // Process at 10 FPS
     }
 
+    /**
+     * Tell the server the candidate is still here; sessions that go silent are closed as abandoned
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            if (!this.socket || !this.socket.connected) return;
+
+            this.socket.emit('heartbeat', { sessionId: this.sessionData.id }, (response) => {
+                if (response && response.active === false) {
+                    console.warn('💓 Server no longer has this interview in progress');
+                }
+            });
+        }, 15000);
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Periodically send a small snapshot and the face/gaze state for the interviewers' grid view
+     */
+    startMonitorUpdates() {
+        this.stopMonitorUpdates();
+        this.monitorUpdateTimer = setInterval(() => this.sendDetectionUpdate(), 5000);
+    }
+
+    stopMonitorUpdates() {
+        if (this.monitorUpdateTimer) {
+            clearInterval(this.monitorUpdateTimer);
+            this.monitorUpdateTimer = null;
+        }
+    }
+
+    sendDetectionUpdate() {
+        if (!this.socket || !this.socket.connected) return;
+
+        const detector = this.detectionSystem;
+
+        // Live state only: dropped rather than queued while the connection is down
+        this.socket.volatile.emit('detection-update', {
+            sessionId: this.sessionData.id,
+            detections: detector && typeof detector.getLiveState === 'function' ? detector.getLiveState() : null,
+            thumbnail: this.captureThumbnail()
+        });
+    }
+
+    /**
+     * Small JPEG of the current camera frame, or null without video
+     */
+    captureThumbnail() {
+        const video = this.mainVideo;
+        if (!video || !video.videoWidth || !video.videoHeight) return null;
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = 160;
+            canvas.height = Math.round(video.videoHeight * (160 / video.videoWidth));
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+            return canvas.toDataURL('image/jpeg', 0.5);
+        } catch (error) {
+            console.warn('Could not capture thumbnail:', error);
+            return null;
+        }
+    }
+
     /**
      * Start session timer
      */
@@ -798,6 +1548,11 @@ class VideoProctoringApp {
                 // Calculate duration in seconds
                 this.sessionData.duration = Math.floor((Date.now() - this.sessionData.startTime.getTime()) / 1000);
 
+                // Keep the resume record fresh for the grace period
+                if (this.sessionData.duration % 5 === 0) {
+                    this.saveResumeState();
+                }
+
                 // Update timer display
                 const timerElement = document.getElementById('interview-timer');
                 if (timerElement) {
@@ -909,6 +1664,9 @@ class VideoProctoringApp {
         // Update detection statistics
         this.sessionData.stats.totalDetections++;
 
+        // Server scores are authoritative once they arrive
+        if (this.isServerScored()) return;
+
         // Don't recalculate integrity score here - it's managed by violation handling
         // Only update if no violations have occurred yet
         if (this.sessionData.violationScore === 0) {
@@ -943,7 +1701,7 @@ class VideoProctoringApp {
 
         // Notify server if connected
         if (this.socket) {
-            this.socket.emit('violation-detected', {
+            this.sendToServer('violation-detected', {
                 sessionId: this.sessionData.id,
                 violation: violation
             });
@@ -1062,11 +1820,36 @@ class VideoProctoringApp {
                 console.log('✅ Detection system stopped');
             }
 
+            if (this.audioDetection) {
+                this.audioDetection.stopMonitoring();
+                console.log('🎤 Audio monitoring stopped');
+            }
+
+            if (this.inputMonitor) {
+                this.inputMonitor.stopMonitoring();
+            }
+
+            if (this.sessionRecorder) {
+                // The last segment keeps uploading while the results are shown
+                this.sessionRecorder.stop().then(() => {
+                    console.log('🎬 Recording upload finished:', this.sessionRecorder.getStatistics());
+                });
+            }
+
+            this.stopFocusMonitoring();
+
             if (this.sessionTimer) {
                 clearInterval(this.sessionTimer);
                 console.log('⏰ Session timer stopped');
             }
 
+            this.stopHeartbeat();
+            this.stopMonitorUpdates();
+
+            if (this.liveStream) {
+                this.liveStream.stop();
+            }
+
             if (this.detectionInterval) {
                 clearInterval(this.detectionInterval);
                 console.log('🔍 Detection interval stopped');
@@ -1085,6 +1868,9 @@ class VideoProctoringApp {
                 });
             }
 
+            // A finished interview can no longer be resumed
+            this.clearResumeState();
+
             // Set end time and calculate duration safely
             this.sessionData.endTime = new Date();
 
@@ -1097,8 +1883,10 @@ class VideoProctoringApp {
             this.sessionData.duration = Math.floor((this.sessionData.endTime.getTime() - this.sessionData.startTime.getTime()) / 1000);
 
             // Calculate final scores safely - preserve actual scores from violations
-            // Don't recalculate integrity score if violations have occurred
-            if (this.sessionData.violationScore === 0 && this.detectionSystem && this.detectionSystem.calculateIntegrityScore) {
+            // Don't recalculate integrity score if violations have occurred or the server scores the session
+            if (this.isServerScored()) {
+                console.log(`📊 Final integrity score from server: ${this.sessionData.integrityScore}%`);
+            } else if (this.sessionData.violationScore === 0 && this.detectionSystem && this.detectionSystem.calculateIntegrityScore) {
                 // Only recalculate if no violations occurred
                 this.sessionData.integrityScore = this.detectionSystem.calculateIntegrityScore(this.sessionData.duration);
                 console.log(`📊 Final integrity score calculated: ${this.sessionData.integrityScore}% (no violations)`);
@@ -1112,12 +1900,28 @@ class VideoProctoringApp {
 
             // Notify server if connected
             if (this.socket) {
-                this.socket.emit('interview-ended', {
+                this.sendToServer('interview-ended', {
                     sessionId: this.sessionData.id,
-                    sessionData: this.sessionData
+                    statistics: {
+                        audio: this.getAudioStatistics(),
+                        input: this.getInputStatistics(),
+                        eyes: this.getEyeStatistics(),
+                        lips: this.getLipStatistics(),
+                        headPose: this.getHeadPoseStatistics(),
+                        gaze: this.getGazeStatistics(),
+                        identity: this.getIdentityStatistics()
+                    }
                 });
             }
 
+            if (this.eventQueue) {
+                this.eventQueue.finish();
+            }
+
+            if (this.eventQueue && !this.socket.connected && this.eventQueue.pendingCount > 0) {
+                Utils.addAlert('warning', `${this.eventQueue.pendingCount} updates will be sent to the server when the connection returns`);
+            }
+
             // Switch to results phase
             this.showResults();
 
@@ -1219,12 +2023,18 @@ class VideoProctoringApp {
 
         if (this.detectionSystem && this.detectionSystem.getStatistics) {
             try {
-                stats = this.detectionSystem.getStatistics();
+                stats = { ...stats, ...this.detectionSystem.getStatistics() };
             } catch (error) {
                 console.warn('Could not get detection statistics:', error);
             }
         }
 
+        const eyes = this.getEyeStatistics();
+        if (eyes) {
+            stats.eventCounts.eyeClosure = eyes.closureCount;
+            stats.currentState.eyeState = eyes.currentState;
+        }
+
         return {
             sessionInfo: {
                 id: this.sessionData.id,
@@ -1235,13 +2045,20 @@ class VideoProctoringApp {
                 duration: this.sessionData.duration,
                 durationFormatted: this.formatTime(this.sessionData.duration)
             },
-            scores: {
+            scores: this.serverScores || {
                 integrityScore: this.sessionData.integrityScore,
                 focusScore: stats.currentState.focusState === 'focused' ? 100 : 60
             },
             violations: this.sessionData.violations,
             events: this.sessionData.events,
             statistics: stats,
+            audio: this.getAudioStatistics(),
+            input: this.getInputStatistics(),
+            eyes,
+            lips: this.getLipStatistics(),
+            headPose: this.getHeadPoseStatistics(),
+            gaze: this.getGazeStatistics(),
+            identity: this.getIdentityStatistics(),
             summary: {
                 totalViolations: this.sessionData.violations.length,
                 violationsByType: this.getViolationsByType(),
@@ -1315,6 +2132,21 @@ class VideoProctoringApp {
             }
         }
 
+        if (this.audioDetection) {
+            this.audioDetection.reset();
+        }
+
+        if (this.inputMonitor) {
+            this.inputMonitor.reset();
+        }
+
+        if (this.sessionRecorder) {
+            this.sessionRecorder.reset();
+        }
+
+        this.stopFocusMonitoring();
+        this.multipleMonitorsReported = false;
+
         // Create new emergency detection system
         this.detectionSystem = new DetectionSystem();
 
@@ -1349,6 +2181,7 @@ class VideoProctoringApp {
         }
 
         // Reset scores
+        this.serverScores = null;
         Utils.updateScore('focus-score', 100);
         Utils.updateScore('integrity-score', 100);
         Utils.updateCount('violation-count', 0);
@@ -1423,12 +2256,13 @@ class VideoProctoringApp {
         const statusElement = step.querySelector('.step-status');
         if (!statusElement) return;
 
-        statusElement.classList.remove('pending', 'success', 'error');
+        statusElement.classList.remove('pending', 'success', 'warning', 'error');
         statusElement.classList.add(status);
 
         const icons = {
             pending: 'fa-clock',
             success: 'fa-check',
+            warning: 'fa-exclamation',
             error: 'fa-times'
         };
 
@@ -1455,7 +2289,7 @@ class VideoProctoringApp {
 
         // Send to server if connected
         if (this.socket) {
-            this.socket.emit('violation-detected', {
+            this.sendToServer('violation-detected', {
                 sessionId: this.sessionData.id,
                 violation: violation
             });
@@ -1468,9 +2302,18 @@ class VideoProctoringApp {
     handleViolation(violation) {
         console.log('🚨 Violation detected:', violation);
 
+        // The snapshot itself is only sent to the server, not kept with the violation
+        const { evidence: reportedEvidence, ...details } = violation;
+
+        // Detectors without a camera view (audio, input, browser) still get a plain frame
+        let evidence = reportedEvidence;
+        if (!evidence && this.detectionSystem && typeof this.detectionSystem.captureEvidence === 'function') {
+            evidence = this.detectionSystem.captureEvidence();
+        }
+
         // Add to violations array with timestamp
         const violationRecord = {
-            ...violation,
+            ...details,
             timestamp: new Date(),
             id: Date.now()
         };
@@ -1478,29 +2321,25 @@ class VideoProctoringApp {
         this.sessionData.violations.push(violationRecord);
         this.sessionData.stats.violationCount++;
 
-        // Calculate penalties based on severity
-        let integrityPenalty = 5; // Default penalty
+        // Offline integrity estimate from the shared registry penalties;
+        // violation points still scale with severity
+        let integrityPenalty = ViolationTypes.getPenalty(violation.type);
         let violationPoints = 10; // Default violation points
 
         switch (violation.severity) {
             case 'critical':
-                integrityPenalty = 15;
                 violationPoints = 25;
                 break;
             case 'high':
-                integrityPenalty = 10;
                 violationPoints = 20;
                 break;
             case 'medium':
-                integrityPenalty = 7;
                 violationPoints = 15;
                 break;
             case 'low':
-                integrityPenalty = 3;
                 violationPoints = 5;
                 break;
             default:
-                integrityPenalty = 5;
                 violationPoints = 10;
         }
 
@@ -1511,9 +2350,11 @@ class VideoProctoringApp {
             violationPoints = Math.round(violationPoints * confidenceMultiplier);
         }
 
-        // Update scores
+        // Update scores (the integrity estimate is replaced by the server's score-update when connected)
         const previousIntegrityScore = this.sessionData.integrityScore;
-        this.sessionData.integrityScore = Math.max(0, this.sessionData.integrityScore - integrityPenalty);
+        if (!this.isServerScored()) {
+            this.sessionData.integrityScore = Math.max(0, this.sessionData.integrityScore - integrityPenalty);
+        }
         this.sessionData.violationScore += violationPoints;
 
         // Update UI immediately
@@ -1542,11 +2383,11 @@ class VideoProctoringApp {
         // Add to events list for tracking
         this.addEvent(`${violation.type}: ${violation.message}`, 'violation');
 
-        // Send to server if connected
+        // Send to the server (queued while disconnected)
         if (this.socket) {
-            this.socket.emit('violation-detected', {
+            this.sendToServer('violation-detected', {
                 sessionId: this.sessionData.id,
-                violation: violationRecord
+                violation: evidence ? { ...violationRecord, evidence } : violationRecord
             });
         }
     }
@@ -1564,7 +2405,7 @@ class VideoProctoringApp {
             <div class="alert-content">
                 <span class="alert-icon">${this.getViolationIcon(violation.type)}</span>
                 <div class="alert-text">
-                    <strong>${violation.type.replace('_', ' ').toUpperCase()}</strong>
+                    <strong>${ViolationTypes.get(violation.type).label.toUpperCase()}</strong>
                     <p>${violation.message}</p>
                     ${violation.confidence ? `<small>Confidence: ${(violation.confidence * 100).toFixed(1)}%</small>` : ''}
                 </div>
@@ -1589,14 +2430,7 @@ class VideoProctoringApp {
      * Get icon for violation type
      */
     getViolationIcon(type) {
-        const icons = {
-            'mobile_phone': '📱',
-            'unauthorized_object': '📚',
-            'multiple_faces': '👥',
-            'focus_lost': '👀',
-            'no_face': '👤'
-        };
-        return icons[type] || '⚠️';
+        return ViolationTypes.get(type).icon;
     }
 
     /**
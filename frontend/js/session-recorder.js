@@ -0,0 +1,226 @@
+/**
+ * Session Recorder for Video Proctoring
+ * Records the candidate's camera and microphone with MediaRecorder and uploads the session
+ * in self-contained segments, so reviewers can play the moments around each violation
+ */
+
+if (window.SessionRecorder) {
+    console.log(' SessionRecorder already loaded, skipping redefinition');
+} else {
+    class SessionRecorder {
+        constructor() {
+            this.mediaStream = null;
+            this.recorder = null;
+            this.chunks = [];
+            this.segmentStart = null;
+            this.segmentTimer = null;
+            this.sequence = 0;
+            this.isRecording = false;
+            this.uploadQueue = Promise.resolve();
+            this.uploadUrl = null;
+            this.getToken = null;
+
+            this.settings = {
+                segmentDuration: 30000, // ms per uploaded segment
+                videoBitsPerSecond: 500000,
+                maxRetries: 3,
+                retryDelay: 2000 // ms, doubled on each retry
+            };
+
+            this.statistics = {
+                segmentsRecorded: 0,
+                segmentsUploaded: 0,
+                failedUploads: 0,
+                bytesUploaded: 0
+            };
+
+            console.log('🎬 SessionRecorder instance created');
+        }
+
+        /**
+         * First container format this browser can record
+         */
+        getMimeType() {
+            const candidates = [
+                'video/webm;codecs=vp9,opus',
+                'video/webm;codecs=vp8,opus',
+                'video/webm',
+                'video/mp4'
+            ];
+            return candidates.find(type => window.MediaRecorder.isTypeSupported(type)) || '';
+        }
+
+        /**
+         * Start recording a media stream
+         * @param {MediaStream} mediaStream - Camera and microphone stream
+         * @param {Object} options - uploadUrl, getToken (returns the candidate token) and
+         *                           firstSequence (number of the first segment, for resumed sessions)
+         * @returns {boolean} Whether recording started
+         */
+        start(mediaStream, { uploadUrl, getToken, firstSequence = 0 }) {
+            if (!window.MediaRecorder || !mediaStream) {
+                console.warn('⚠️ Session recording unavailable (no MediaRecorder support or no media stream)');
+                return false;
+            }
+
+            this.mediaStream = mediaStream;
+            this.uploadUrl = uploadUrl;
+            this.getToken = getToken;
+            this.sequence = firstSequence;
+            this.mimeType = this.getMimeType();
+            this.isRecording = true;
+
+            this.startSegment();
+
+            console.log(`🎬 Session recording started (${this.mimeType || 'browser default format'})`);
+            return true;
+        }
+
+        /**
+         * Each segment gets its own MediaRecorder so the uploaded file has its own header
+         * and can be played without the segments before it
+         */
+        startSegment() {
+            const options = { videoBitsPerSecond: this.settings.videoBitsPerSecond };
+            if (this.mimeType) {
+                options.mimeType = this.mimeType;
+            }
+
+            const recorder = new MediaRecorder(this.mediaStream, options);
+            const chunks = [];
+            const segment = { sequence: this.sequence++, startTime: new Date() };
+
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+
+            recorder.onstop = () => {
+                segment.endTime = new Date();
+                if (chunks.length > 0) {
+                    this.statistics.segmentsRecorded++;
+                    this.enqueueUpload(new Blob(chunks, { type: recorder.mimeType || 'video/webm' }), segment);
+                }
+            };
+
+            recorder.onerror = (event) => {
+                console.error('Recording error:', event.error);
+            };
+
+            recorder.start();
+            this.recorder = recorder;
+
+            this.segmentTimer = setTimeout(() => this.rotateSegment(), this.settings.segmentDuration);
+        }
+
+        rotateSegment() {
+            if (!this.isRecording) return;
+
+            const previous = this.recorder;
+            this.startSegment();
+
+            if (previous && previous.state !== 'inactive') {
+                previous.stop();
+            }
+        }
+
+        /**
+         * Stop recording and wait for the last segment to upload
+         */
+        async stop() {
+            if (!this.isRecording) {
+                return this.uploadQueue;
+            }
+
+            this.isRecording = false;
+
+            if (this.segmentTimer) {
+                clearTimeout(this.segmentTimer);
+                this.segmentTimer = null;
+            }
+
+            if (this.recorder && this.recorder.state !== 'inactive') {
+                // onstop queues the final upload
+                await new Promise(resolve => {
+                    this.recorder.addEventListener('stop', () => setTimeout(resolve, 0), { once: true });
+                    this.recorder.stop();
+                });
+            }
+            this.recorder = null;
+
+            console.log('🎬 Session recording stopped');
+            return this.uploadQueue;
+        }
+
+        /**
+         * Uploads run one at a time so the server receives segments in order
+         */
+        enqueueUpload(blob, segment) {
+            this.uploadQueue = this.uploadQueue
+                .then(() => this.uploadSegment(blob, segment))
+                .catch(error => {
+                    this.statistics.failedUploads++;
+                    console.error(`Could not upload recording segment ${segment.sequence}:`, error);
+                });
+        }
+
+        async uploadSegment(blob, segment, attempt = 0) {
+            const form = new FormData();
+            // Fields go before the file so the server can read them while storing it
+            form.append('sequence', segment.sequence);
+            form.append('startTime', segment.startTime.toISOString());
+            form.append('endTime', segment.endTime.toISOString());
+            form.append('segment', blob, `segment-${segment.sequence}.${blob.type.includes('mp4') ? 'mp4' : 'webm'}`);
+
+            try {
+                const response = await fetch(this.uploadUrl, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${this.getToken()}` },
+                    body: form
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Upload failed with status ${response.status}`);
+                }
+
+                this.statistics.segmentsUploaded++;
+                this.statistics.bytesUploaded += blob.size;
+            } catch (error) {
+                if (attempt >= this.settings.maxRetries) {
+                    throw error;
+                }
+
+                await new Promise(resolve => setTimeout(resolve, this.settings.retryDelay * Math.pow(2, attempt)));
+                return this.uploadSegment(blob, segment, attempt + 1);
+            }
+        }
+
+        getStatistics() {
+            return { ...this.statistics };
+        }
+
+        reset() {
+            this.isRecording = false;
+            if (this.segmentTimer) {
+                clearTimeout(this.segmentTimer);
+                this.segmentTimer = null;
+            }
+            if (this.recorder && this.recorder.state !== 'inactive') {
+                this.recorder.onstop = null;
+                this.recorder.stop();
+            }
+            this.recorder = null;
+            this.sequence = 0;
+            this.uploadQueue = Promise.resolve();
+            this.statistics = {
+                segmentsRecorded: 0,
+                segmentsUploaded: 0,
+                failedUploads: 0,
+                bytesUploaded: 0
+            };
+        }
+    }
+
+    window.SessionRecorder = SessionRecorder;
+}
@@ -0,0 +1,173 @@
+/**
+ * Violation Type Registry
+ * Single source of truth for violation types shared by the detector, the dashboard and the backend
+ */
+
+(function(root) {
+    const SEVERITIES = ['low', 'medium', 'high'];
+
+    // Categories group types for scoring: attention and browser feed the focus score,
+    // the rest feed the behavior score
+    const CATEGORIES = ['attention', 'browser', 'identity', 'device', 'object', 'audio', 'speech', 'input', 'other'];
+
+    // type -> label, icon, category, default severity and integrity penalty. Types marked needsReview come
+    // from a detector that is not conclusive: they cost little and flag the interview for a reviewer.
+    const TYPES = {
+        // Face and attention
+        no_face: { label: 'No Face Detected', icon: '👤', category: 'attention', severity: 'high', penalty: 20 },
+        multiple_faces: { label: 'Multiple Faces', icon: '👥', category: 'identity', severity: 'high', penalty: 15 },
+        impersonation: { label: 'Possible Impersonation', icon: '🪪', category: 'identity', severity: 'low', penalty: 10, needsReview: true },
+        focus_lost: { label: 'Focus Lost', icon: '👀', category: 'attention', severity: 'medium', penalty: 5 },
+        looking_away: { label: 'Looking Away', icon: '👀', category: 'attention', severity: 'low', penalty: 3 },
+        gaze_off_screen: { label: 'Eyes Off Screen', icon: '👁️', category: 'attention', severity: 'medium', penalty: 3 },
+        eye_closure: { label: 'Eyes Closed', icon: '😴', category: 'attention', severity: 'low', penalty: 2 },
+        drowsiness: { label: 'Drowsiness', icon: '🥱', category: 'attention', severity: 'medium', penalty: 3 },
+
+        // Browser tab, window and screen
+        tab_switch: { label: 'Tab Switched', icon: '🗂️', category: 'browser', severity: 'medium', penalty: 10 },
+        window_blur: { label: 'Window Focus Lost', icon: '🪟', category: 'browser', severity: 'low', penalty: 5 },
+        fullscreen_exit: { label: 'Exited Fullscreen', icon: '🔲', category: 'browser', severity: 'medium', penalty: 5 },
+        multiple_monitors: { label: 'Multiple Monitors', icon: '🖥️', category: 'browser', severity: 'medium', penalty: 10 },
+
+        // Devices
+        camera_disabled: { label: 'Camera Disabled', icon: '📷', category: 'device', severity: 'high', penalty: 15 },
+        microphone_disabled: { label: 'Microphone Disabled', icon: '🎤', category: 'device', severity: 'medium', penalty: 10 },
+
+        // Objects
+        unauthorized_object: { label: 'Unauthorized Object', icon: '📚', category: 'object', severity: 'medium', penalty: 10 },
+        mobile_phone_detected: { label: 'Mobile Phone', icon: '📱', category: 'object', severity: 'high', penalty: 15 },
+        books_notes_detected: { label: 'Books or Notes', icon: '📚', category: 'object', severity: 'high', penalty: 10 },
+        electronic_device_detected: { label: 'Electronic Device', icon: '💻', category: 'object', severity: 'high', penalty: 15 },
+        writing_materials_detected: { label: 'Writing Materials', icon: '✏️', category: 'object', severity: 'medium', penalty: 5 },
+        suspicious_item_detected: { label: 'Suspicious Item', icon: '🔍', category: 'object', severity: 'medium', penalty: 5 },
+        misclassified_object_detected: { label: 'Misclassified Object', icon: '❓', category: 'object', severity: 'medium', penalty: 10 },
+        unknown_object_detected: { label: 'Unidentified Object', icon: '❓', category: 'object', severity: 'medium', penalty: 5 },
+
+        // Enhanced mobile detection pathway
+        direct_mobile_detection: { label: 'Mobile Phone (Direct)', icon: '📱', category: 'object', severity: 'high', penalty: 15 },
+        misclassified_mobile_object: { label: 'Mobile Phone (Misclassified)', icon: '📱', category: 'object', severity: 'high', penalty: 15 },
+        person_with_suspicious_object: { label: 'Holding Suspicious Object', icon: '🤳', category: 'object', severity: 'medium', penalty: 10 },
+        highly_suspicious_object: { label: 'Highly Suspicious Object', icon: '🔍', category: 'object', severity: 'high', penalty: 10 },
+        consecutive_suspicious_behavior: { label: 'Repeated Suspicious Behavior', icon: '🔁', category: 'object', severity: 'medium', penalty: 10 },
+
+        // Audio
+        background_voices: { label: 'Background Voices', icon: '🗣️', category: 'audio', severity: 'medium', penalty: 10 },
+        whispering_detected: { label: 'Whispering', icon: '🤫', category: 'audio', severity: 'medium', penalty: 10 },
+        loud_noise: { label: 'Sudden Loud Noise', icon: '🔊', category: 'audio', severity: 'low', penalty: 3 },
+
+        // Lip movement compared with the microphone
+        lip_movement_without_speech: { label: 'Silent Lip Movement', icon: '👄', category: 'speech', severity: 'medium', penalty: 8 },
+        speech_without_lip_movement: { label: 'Speech Without Lip Movement', icon: '🗣️', category: 'speech', severity: 'medium', penalty: 10 },
+
+        // Clipboard, keyboard and developer tools
+        clipboard_paste: { label: 'Text Pasted', icon: '📋', category: 'input', severity: 'medium', penalty: 10 },
+        clipboard_copy: { label: 'Text Copied', icon: '📄', category: 'input', severity: 'low', penalty: 3 },
+        context_menu: { label: 'Right-Click Menu', icon: '🖱️', category: 'input', severity: 'low', penalty: 2 },
+        suspicious_shortcut: { label: 'Suspicious Shortcut', icon: '⌨️', category: 'input', severity: 'medium', penalty: 5 },
+        devtools_open: { label: 'Developer Tools Open', icon: '🛠️', category: 'input', severity: 'high', penalty: 15 },
+
+        // Fallback for types this registry does not know about
+        unknown: { label: 'Unknown Violation', icon: '⚠️', category: 'other', severity: 'low', penalty: 5 }
+    };
+
+    // Older or alternate names emitted by detection pathways -> registered type
+    const ALIASES = {
+        mobile_phone: 'mobile_phone_detected',
+        mobile_detected_stateful: 'mobile_phone_detected',
+        book_detected_stateful: 'books_notes_detected'
+    };
+
+    const ViolationTypes = {
+        TYPES,
+        ALIASES,
+        SEVERITIES,
+        CATEGORIES,
+
+        /**
+         * All registered type names
+         * @returns {string[]} Type names, including 'unknown'
+         */
+        list() {
+            return Object.keys(TYPES);
+        },
+
+        /**
+         * Resolve a type or alias to its registered name
+         * @param {string} type - Emitted violation type
+         * @returns {string|null} Registered type name, or null when unknown
+         */
+        resolve(type) {
+            if (TYPES[type]) return type;
+            if (ALIASES[type]) return ALIASES[type];
+            return null;
+        },
+
+        /**
+         * Whether a type (or alias) is registered
+         * @param {string} type - Emitted violation type
+         * @returns {boolean}
+         */
+        isKnown(type) {
+            return this.resolve(type) !== null;
+        },
+
+        /**
+         * Get the registry entry for a type, falling back to 'unknown'
+         * @param {string} type - Emitted violation type
+         * @returns {Object} Entry with label, icon, category, severity and penalty
+         */
+        get(type) {
+            return TYPES[this.resolve(type) || 'unknown'];
+        },
+
+        /**
+         * Integrity penalty for a type
+         * @param {string} type - Emitted violation type
+         * @returns {number} Points deducted from the integrity score
+         */
+        getPenalty(type) {
+            return this.get(type).penalty;
+        },
+
+        /**
+         * Normalize a severity, defaulting to the type's registered severity
+         * @param {string} type - Emitted violation type
+         * @param {string} severity - Emitted severity, may be missing or 'critical'
+         * @returns {string} One of SEVERITIES
+         */
+        normalizeSeverity(type, severity) {
+            if (severity === 'critical') return 'high';
+            return SEVERITIES.includes(severity) ? severity : this.get(type).severity;
+        },
+
+        /**
+         * Normalize a violation so it only carries registered values.
+         * Unknown types become 'unknown' with the emitted type kept in metadata.
+         * @param {Object} violation - Violation as emitted by a detector
+         * @returns {Object} Normalized copy
+         */
+        normalize(violation) {
+            const resolved = this.resolve(violation.type);
+            const metadata = { ...(violation.metadata || {}) };
+
+            if (!resolved) {
+                metadata.originalType = violation.type;
+            } else if (resolved !== violation.type) {
+                metadata.alias = violation.type;
+            }
+
+            return {
+                ...violation,
+                type: resolved || 'unknown',
+                severity: this.normalizeSeverity(violation.type, violation.severity),
+                metadata
+            };
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ViolationTypes;
+    } else {
+        root.ViolationTypes = ViolationTypes;
+    }
+})(typeof window !== 'undefined' ? window : this);